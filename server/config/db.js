@@ -85,8 +85,12 @@ const initializeDB = async () => {
       const passwordHash = await User.hashPassword(password);
       
       // Generate PassMatrix sequence for admin
-      const defaultSequence = '1,2,3,4,5'; // Change in production!
-      const { hash: passMatrixHash, salt: passMatrixSalt } = User.hashPassMatrix(defaultSequence);
+      const defaultSequence = (process.env.ADMIN_PASSMATRIX_SEQUENCE || '1,2,3,4,5').split(','); // Change in production!
+      const {
+        hash: passMatrixHash,
+        salt: passMatrixSalt,
+        kdf: passMatrixKdf
+      } = await User.hashPassMatrix(defaultSequence);
 
       // Encrypt private key
       const encryptedPrivateKey = EncryptionService.encryptKey(
@@ -100,6 +104,7 @@ const initializeDB = async () => {
         passwordHash,
         passMatrixHash,
         passMatrixSalt,
+        passMatrixKdf,
         publicKey,
         encryptedPrivateKey,
         role: 'admin',
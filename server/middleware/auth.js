@@ -60,6 +60,15 @@ const authenticateJWT = async (req, res, next) => {
         message: 'Token has been invalidated, please login again'
       });
     }
+
+    // Tokens from a device session die with it
+    if (decoded.sid && !(user.refreshTokens || []).some(session => session.sessionId === decoded.sid)) {
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: 'Session has been revoked, please login again',
+        code: 'SESSION_REVOKED'
+      });
+    }
     
     // Check if user account is active
     if (user.status !== 'active') {
@@ -75,7 +84,10 @@ const authenticateJWT = async (req, res, next) => {
       username: user.username,
       email: user.email,
       role: user.role,
-      permissions: user.permissions || []
+      permissions: user.permissions || [],
+      publicKey: user.publicKey,
+      isVerified: user.isVerified,
+      sessionId: decoded.sid
     };
 
     next();
@@ -88,6 +100,28 @@ const authenticateJWT = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to require a confirmed email address. Runs after authenticateJWT.
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ 
+      error: 'Authentication required',
+      message: 'Please login first'
+    });
+  }
+
+  if (!req.user.isVerified) {
+    return res.status(403).json({
+      error: 'Access denied',
+      message: 'Please verify your email address first',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+
+  next();
+};
+
 /**
  * Middleware to check if user has required role
  * @param {string[]} roles - Array of allowed roles
@@ -167,6 +201,7 @@ const checkPermission = (requiredPermissions) => {
 
 module.exports = { 
   authenticateJWT,
+  requireVerifiedEmail,
   checkRole,
   checkPermission
 };
\ No newline at end of file
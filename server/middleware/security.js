@@ -1,5 +1,7 @@
 const { SecurityLog } = require('../models/securityLog');
+const { BlockedAddress } = require('../models/blockedAddress');
 const sanitize = require('sanitize-html');
+const { locateRequest } = require('../utils/geoLocation');
 
 /**
  * Global error handler middleware
@@ -56,16 +58,18 @@ const errorHandler = (err, req, res, next) => {
 /**
  * Log security events to database
  * @param {Object} req - Express request object
- * @param {Object} eventData - Event data
+ * @param {Object} eventData - Event data: event_type, a catalog event, and
+ *   details, plus any other SecurityLog field
  */
 const logSecurityEvent = async (req, eventData) => {
   try {
     // Extract request information
     const ip_address = req.ip || req.connection.remoteAddress;
     const user_agent = req.headers['user-agent'];
-    const user_id = req.user?.id;
-    const username = req.user?.username || eventData.username;
+    const user_id = req.user?.id || eventData.user_id;
+    const username = req.user?.username || eventData.username || eventData.details?.username;
     const session_id = req.body?.sessionId || eventData.sessionId;
+    const { geo, location } = locateRequest(req);
     
     // Create log entry
     await SecurityLog.createLog({
@@ -75,7 +79,9 @@ const logSecurityEvent = async (req, eventData) => {
       session_id,
       ip_address,
       user_agent,
-      device_info: user_agent
+      device_info: user_agent,
+      geo,
+      location
     });
   } catch (error) {
     console.error('Failed to log security event:', error);
@@ -95,7 +101,7 @@ const requestLogger = async (req, res, next) => {
 
   try {
     await logSecurityEvent(req, {
-      event_type: 'api_request',
+      event_type: 'API_REQUEST',
       details: {
         path: req.path,
         method: req.method,
@@ -139,6 +145,20 @@ const sanitizeInput = (req, res, next) => {
   next();
 };
 
+/**
+ * Middleware to turn away addresses an anomaly rule has blocked
+ */
+const rejectBlockedAddress = async (req, res, next) => {
+  try {
+    if (await BlockedAddress.isBlocked(req.ip || req.connection.remoteAddress)) {
+      return next(new SecurityError('Sign-in from this address is temporarily blocked', 403));
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Create a custom SecurityError
  */
@@ -153,6 +173,7 @@ class SecurityError extends Error {
 module.exports = {
   errorHandler,
   logSecurityEvent,
+  rejectBlockedAddress,
   requestLogger,
   sanitizeInput,
   SecurityError
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// What a rule can do when it matches, beyond recording SUSPICIOUS_ACTIVITY
+const ANOMALY_ACTIONS = ['lockout', 'alert', 'reauth'];
+
+// Define the anomaly rule schema: an admin's changes to one of the built-in
+// anomaly detection rules. Rules without a document run with their defaults.
+const anomalyRuleSchema = new mongoose.Schema({
+  rule: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  enabled: {
+    type: Boolean
+  },
+  actions: {
+    type: [{ type: String, enum: ANOMALY_ACTIONS }],
+    default: undefined
+  },
+  // Thresholds and windows, by name; see the rule's defaults
+  settings: {
+    type: Object,
+    default: {}
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const AnomalyRule = mongoose.model('AnomalyRule', anomalyRuleSchema);
+
+module.exports = {
+  ANOMALY_ACTIONS,
+  AnomalyRule
+};
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Define the audit checkpoint schema: a signed record of where an audit log
+// chain stood at a point in time. Exported copies kept off the server show
+// whether the chain was later rewritten or cut short.
+const auditCheckpointSchema = new mongoose.Schema({
+  chain: {
+    type: String,
+    enum: ['security', 'file_access'],
+    required: true
+  },
+  // Position and hash of the chain's last entry when the checkpoint was taken
+  seq: {
+    type: Number,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Fingerprint of the public key the signature verifies with
+  keyId: {
+    type: String,
+    required: true
+  },
+  // Base64 Ed25519 signature over the other fields
+  signature: {
+    type: String,
+    required: true
+  }
+});
+
+auditCheckpointSchema.index({ chain: 1, seq: -1 });
+auditCheckpointSchema.index({ createdAt: -1 });
+
+const AuditCheckpoint = mongoose.model('AuditCheckpoint', auditCheckpointSchema);
+
+module.exports = {
+  AuditCheckpoint
+};
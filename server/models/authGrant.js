@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// How long redeemed or expired grants are kept, so a replay is recognised as
+// such rather than as an unknown grant
+const GRANT_RETENTION_SECONDS = 60 * 60;
+
+// Define the authentication grant schema. A grant is issued when a pattern is
+// verified and exchanged once for a token by /auth/get-token.
+const authGrantSchema = new mongoose.Schema({
+  // SHA-256 of the grant; the grant itself is only known to the client
+  grantHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  username: {
+    type: String,
+    required: true
+  },
+  // Pattern session the grant was issued from
+  sessionId: {
+    type: String,
+    required: true
+  },
+  // Hash of the client the pattern was verified from
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  redeemedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Create indexes
+authGrantSchema.index({ expiresAt: 1 }, { expireAfterSeconds: GRANT_RETENTION_SECONDS });
+
+const AuthGrant = mongoose.model('AuthGrant', authGrantSchema);
+
+module.exports = {
+  AuthGrant,
+  GRANT_RETENTION_SECONDS
+};
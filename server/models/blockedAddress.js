@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Define the blocked address schema: client addresses an anomaly rule has
+// shut out of signing in for a while
+const blockedAddressSchema = new mongoose.Schema({
+  ipAddress: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // The anomaly rule that blocked it
+  rule: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// MongoDB removes blocks once they expire
+blockedAddressSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check whether an address is blocked; expired blocks may linger until
+// MongoDB removes them
+blockedAddressSchema.statics.isBlocked = async function(ipAddress) {
+  return !!(await this.exists({ ipAddress, expiresAt: { $gt: new Date() } }));
+};
+
+const BlockedAddress = mongoose.model('BlockedAddress', blockedAddressSchema);
+
+module.exports = {
+  BlockedAddress
+};
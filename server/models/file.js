@@ -1,4 +1,98 @@
 const mongoose = require('mongoose');
+const { auditChainPlugin } = require('../utils/auditChain');
+const { logWatchPlugin } = require('../utils/logWatch');
+
+// Encryption metadata shared by the current version and archived versions
+const encryptionMetadataDefinition = {
+  // 1 = single AES-GCM stream with one auth tag
+  // 2 = segmented AES-GCM, each segment authenticated on its own
+  version: {
+    type: Number,
+    enum: [1, 2],
+    default: 1
+  },
+  iv: {
+    type: String,
+    required: true
+  },
+  authTag: {
+    type: String,
+    required: function() {
+      return this.encryptionMetadata.version !== 2;
+    }
+  },
+  segmentSize: {
+    type: Number
+  }
+};
+
+// Define the archived file version schema
+const fileVersionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  filename: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  encryptionScheme: {
+    type: String,
+    enum: ['server', 'client'],
+    default: 'server'
+  },
+  encryptionKey: {
+    type: String,
+    required: true
+  },
+  encryptionMetadata: encryptionMetadataDefinition,
+  // Keys of this version wrapped for the users it was shared with
+  recipientKeys: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    wrappedKey: String
+  }],
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Fields that make up the content of a version
+const VERSIONED_FIELDS = [
+  'filename',
+  'path',
+  'size',
+  'hash',
+  'contentType',
+  'encryptionScheme',
+  'encryptionKey',
+  'encryptionMetadata',
+  'uploadedBy'
+];
 
 // Define the file schema
 const fileSchema = new mongoose.Schema({
@@ -32,21 +126,26 @@ const fileSchema = new mongoose.Schema({
     type: String,
     required: true
   },
-  encryptionMetadata: {
-    iv: {
-      type: String,
-      required: true
-    },
-    authTag: {
-      type: String,
-      required: true
-    }
+  // 'server' files are encrypted by EncryptionService on upload; 'client' files
+  // arrive already encrypted (IV + ciphertext + tag) and their key is wrapped
+  // with the server master key
+  encryptionScheme: {
+    type: String,
+    enum: ['server', 'client'],
+    default: 'server'
   },
+  encryptionMetadata: encryptionMetadataDefinition,
   owner: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // Containing folder; null means the owner's root
+  folder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder',
+    default: null
+  },
   sharedWith: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -57,11 +156,32 @@ const fileSchema = new mongoose.Schema({
       enum: ['read', 'read_write'],
       default: 'read'
     },
+    // Set when the share was cascaded from a folder
+    inheritedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Folder'
+    },
+    // Key of the current version wrapped with the recipient's public key.
+    // Only the recipient can unwrap it; null until one has been provided.
+    wrappedKey: {
+      type: String,
+      default: null
+    },
     sharedAt: {
       type: Date,
       default: Date.now
     }
   }],
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  currentVersion: {
+    type: Number,
+    default: 1
+  },
+  // Older versions, oldest first; the current version lives in the top-level fields
+  versions: [fileVersionSchema],
   uploadDate: {
     type: Date,
     default: Date.now
@@ -69,6 +189,19 @@ const fileSchema = new mongoose.Schema({
   lastAccessed: {
     type: Date,
     default: Date.now
+  },
+  // Soft delete: trashed files keep their ciphertext until they are purged
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
 }, {
   timestamps: true
@@ -76,8 +209,10 @@ const fileSchema = new mongoose.Schema({
 
 // Create indexes
 fileSchema.index({ owner: 1 });
+fileSchema.index({ owner: 1, folder: 1, originalName: 1 });
 fileSchema.index({ 'sharedWith.user': 1 });
 fileSchema.index({ uploadDate: -1 });
+fileSchema.index({ isDeleted: 1, deletedAt: 1 });
 
 // Pre-save middleware to update lastAccessed
 fileSchema.pre('save', function(next) {
@@ -85,6 +220,115 @@ fileSchema.pre('save', function(next) {
   next();
 });
 
+// Drop keys of archived versions wrapped for users who lost access, whether
+// the share was revoked or the file left a shared folder
+fileSchema.pre('save', function(next) {
+  const recipients = new Set(this.sharedWith.map(share => share.user.toString()));
+  this.versions.forEach(version => {
+    if (version.recipientKeys.some(k => !recipients.has(k.user.toString()))) {
+      version.recipientKeys = version.recipientKeys.filter(k => recipients.has(k.user.toString()));
+    }
+  });
+  next();
+});
+
+// Get the storage fields of a version, including the current one
+fileSchema.methods.getVersion = function(versionNumber) {
+  if (versionNumber === this.currentVersion) {
+    const current = { version: this.currentVersion, uploadedAt: this.uploadDate };
+    VERSIONED_FIELDS.forEach(field => { current[field] = this.get(field); });
+    current.recipientKeys = this.sharedWith
+      .filter(share => share.wrappedKey)
+      .map(share => ({ user: share.user, wrappedKey: share.wrappedKey }));
+    return current;
+  }
+  return this.versions.find(v => v.version === versionNumber) || null;
+};
+
+// Archive the current content and make the given content the new current version.
+// Recipient keys of the old version no longer apply; data.recipientKeys may
+// carry keys for the new one.
+fileSchema.methods.addVersion = function(data) {
+  this.versions.push(this.getVersion(this.currentVersion));
+
+  VERSIONED_FIELDS.forEach(field => {
+    if (data[field] !== undefined) this.set(field, data[field]);
+  });
+
+  const recipientKeys = data.recipientKeys || [];
+  this.sharedWith.forEach(share => {
+    const recipientKey = recipientKeys.find(k => k.user.equals(share.user));
+    share.wrappedKey = recipientKey ? recipientKey.wrappedKey : null;
+  });
+
+  const latest = Math.max(this.currentVersion, ...this.versions.map(v => v.version));
+  this.currentVersion = latest + 1;
+  this.uploadDate = new Date();
+};
+
+// Restore an archived version by copying it into a new current version
+fileSchema.methods.restoreVersion = function(versionNumber, restoredBy) {
+  const target = this.getVersion(versionNumber);
+  if (!target || versionNumber === this.currentVersion) {
+    return false;
+  }
+
+  const data = {};
+  VERSIONED_FIELDS.forEach(field => { data[field] = target[field]; });
+  data.uploadedBy = restoredBy;
+  data.recipientKeys = target.recipientKeys;
+  this.addVersion(data);
+  return true;
+};
+
+// Get the key of a version wrapped for a user the file is shared with
+fileSchema.methods.getRecipientKey = function(userId, versionNumber) {
+  const content = this.getVersion(versionNumber);
+  const recipientKey = content && content.recipientKeys.find(k => k.user.equals(userId));
+  return recipientKey ? recipientKey.wrappedKey : null;
+};
+
+// Stop sharing the file with a user; their keys go with the share (see pre-save)
+fileSchema.methods.revokeShare = function(userId) {
+  const before = this.sharedWith.length;
+  this.sharedWith = this.sharedWith.filter(share => !share.user.equals(userId));
+  return this.sharedWith.length !== before;
+};
+
+// Drop the oldest archived versions beyond `keep`. Returns the storage paths
+// that are no longer referenced by any remaining version.
+fileSchema.methods.pruneVersions = function(keep) {
+  if (this.versions.length <= keep) {
+    return [];
+  }
+
+  const sorted = [...this.versions].sort((a, b) => b.version - a.version);
+  const removed = sorted.slice(keep);
+  this.versions = sorted.slice(0, keep).sort((a, b) => a.version - b.version);
+
+  const referenced = new Set([this.path, ...this.versions.map(v => v.path)]);
+  return [...new Set(removed.map(v => v.path))].filter(p => !referenced.has(p));
+};
+
+// Move the file to the trash
+fileSchema.methods.softDelete = function(deletedBy) {
+  this.isDeleted = true;
+  this.deletedAt = new Date();
+  this.deletedBy = deletedBy;
+};
+
+// Take the file back out of the trash
+fileSchema.methods.restoreFromTrash = function() {
+  this.isDeleted = false;
+  this.deletedAt = null;
+  this.deletedBy = undefined;
+};
+
+// Every storage path referenced by the file, across all versions
+fileSchema.methods.getStoredPaths = function() {
+  return [...new Set([this.path, ...this.versions.map(v => v.path)])];
+};
+
 // Define the file access log schema
 const fileAccessLogSchema = new mongoose.Schema({
   file: {
@@ -92,14 +336,21 @@ const fileAccessLogSchema = new mongoose.Schema({
     ref: 'File',
     required: true
   },
+  // Anonymous share link visitors have no user
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() {
+      return !this.shareLink;
+    }
+  },
+  shareLink: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ShareLink'
   },
   action: {
     type: String,
-    enum: ['upload', 'download', 'delete', 'share', 'view'],
+    enum: ['upload', 'download', 'delete', 'share', 'view', 'restore', 'trash_restore', 'denied'],
     required: true
   },
   timestamp: {
@@ -117,6 +368,16 @@ const fileAccessLogSchema = new mongoose.Schema({
 // Create indexes for file access logs
 fileAccessLogSchema.index({ file: 1, timestamp: -1 });
 fileAccessLogSchema.index({ user: 1, timestamp: -1 });
+fileAccessLogSchema.index({ shareLink: 1, timestamp: -1 });
+
+// Chain every entry to the one before it, so edits and deletions show
+fileAccessLogSchema.plugin(auditChainPlugin, {
+  chain: 'file_access',
+  fields: ['file', 'user', 'shareLink', 'action', 'timestamp', 'ipAddress', 'userAgent']
+});
+
+// Let the anomaly rules see every entry as it is written
+fileAccessLogSchema.plugin(logWatchPlugin, { name: 'file_access' });
 
 // Create models
 const File = mongoose.model('File', fileSchema);
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+// Identifier used in URLs and request bodies for a user's root folder
+const ROOT_FOLDER_ID = 'root';
+
+// Define the folder schema. Folders form a tree per owner via `parent`;
+// a null parent means the folder sits at the owner's root.
+const folderSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 255
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder',
+    default: null
+  },
+  sharedWith: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    permission: {
+      type: String,
+      enum: ['read', 'read_write'],
+      default: 'read'
+    },
+    // Set when the share was cascaded from an ancestor folder
+    inheritedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Folder'
+    },
+    sharedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Create indexes
+folderSchema.index({ owner: 1, parent: 1, name: 1 }, { unique: true });
+folderSchema.index({ 'sharedWith.user': 1 });
+
+// Ancestors from the root down to (and including) this folder
+folderSchema.methods.getPath = async function() {
+  const path = [this];
+  let parentId = this.parent;
+
+  while (parentId) {
+    const parent = await this.constructor.findById(parentId);
+    if (!parent) break;
+    path.unshift(parent);
+    parentId = parent.parent;
+  }
+
+  return path;
+};
+
+// Find a folder by id only if it belongs to the given user
+folderSchema.statics.findOwned = function(folderId, userId) {
+  if (!mongoose.isValidObjectId(folderId)) {
+    return Promise.resolve(null);
+  }
+  return this.findOne({ _id: folderId, owner: userId });
+};
+
+// Ids of every folder below the given one, breadth first
+folderSchema.statics.findDescendantIds = async function(folderId) {
+  const descendants = [];
+  let level = [folderId];
+
+  while (level.length > 0) {
+    const children = await this.find({ parent: { $in: level } }).select('_id');
+    level = children.map(child => child._id);
+    descendants.push(...level);
+  }
+
+  return descendants;
+};
+
+const Folder = mongoose.model('Folder', folderSchema);
+
+/**
+ * Replace the shares an item (file or folder) inherited from its old
+ * location with those of its containing folder. Shares granted directly
+ * on the item are kept and win over inherited ones for the same user.
+ * Files get no key for users they are newly shared with; see
+ * fillRecipientKeys in utils/shareKeys.
+ * @param {Document} item - File or Folder document
+ * @param {Document|null} folder - Containing folder, or null for the root
+ */
+const applyFolderShares = (item, folder) => {
+  const inherited = item.sharedWith.filter(share => share.inheritedFrom);
+  item.sharedWith = item.sharedWith.filter(share => !share.inheritedFrom);
+
+  if (!folder) return;
+
+  folder.sharedWith.forEach(share => {
+    if (item.sharedWith.some(existing => existing.user.equals(share.user))) return;
+
+    // Keep file keys already wrapped for users who still have access
+    const previous = inherited.find(existing => existing.user.equals(share.user));
+    item.sharedWith.push({
+      user: share.user,
+      permission: share.permission,
+      inheritedFrom: share.inheritedFrom || folder._id,
+      wrappedKey: previous ? previous.wrappedKey : undefined,
+      sharedAt: share.sharedAt
+    });
+  });
+};
+
+module.exports = {
+  Folder,
+  ROOT_FOLDER_ID,
+  applyFolderShares
+};
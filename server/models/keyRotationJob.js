@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+// Define the key rotation job schema. Jobs persist their progress so an
+// interrupted rotation picks up where it stopped; unwrapped keys needed to
+// run them are only ever held in memory.
+const keyRotationJobSchema = new mongoose.Schema({
+  // 'user' re-wraps every file key of a user under a new key pair,
+  // 'file' re-encrypts the stored ciphertexts of a file under new data keys
+  type: {
+    type: String,
+    enum: ['user', 'file'],
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    required: function() {
+      return this.type === 'file';
+    }
+  },
+  status: {
+    type: String,
+    enum: ['running', 'paused', 'completed', 'failed'],
+    default: 'running'
+  },
+  // Whether the job needs keys only the user's client can unwrap: user jobs
+  // are run by the client, file jobs of server-encrypted files get the old
+  // data keys from it
+  requiresClientKeys: {
+    type: Boolean,
+    default: false
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  processed: {
+    type: Number,
+    default: 0
+  },
+  // User jobs: last file whose keys were re-wrapped (files are visited by _id)
+  lastFileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // File jobs: stored ciphertexts still to re-encrypt
+  pendingPaths: [{
+    type: String
+  }],
+  // User jobs: the key pair being rotated away from, kept until the job
+  // completes so the client can still unwrap keys not yet re-wrapped
+  previousPublicKey: {
+    type: String
+  },
+  previousEncryptedPrivateKey: {
+    type: String
+  },
+  // File jobs: instance working on the job and when it last showed it is
+  // alive; a job whose heartbeats stop is taken over by another instance
+  claimedBy: {
+    type: String,
+    default: null
+  },
+  heartbeatAt: {
+    type: Date,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Create indexes
+keyRotationJobSchema.index({ user: 1, createdAt: -1 });
+keyRotationJobSchema.index({ status: 1 });
+// One unfinished rotation per user; a second one fails to save
+keyRotationJobSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['running', 'paused'] } } }
+);
+
+// Progress of the job in percent
+keyRotationJobSchema.methods.getProgress = function() {
+  if (this.status === 'completed') return 100;
+  return this.total > 0 ? Math.floor((this.processed / this.total) * 100) : 0;
+};
+
+const KeyRotationJob = mongoose.model('KeyRotationJob', keyRotationJobSchema);
+
+module.exports = {
+  KeyRotationJob
+};
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Define the pattern session schema. A session covers one pattern creation
+// or sign-in attempt. It is deleted when used up, and MongoDB drops it
+// through the TTL index once expired.
+const patternSessionSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  username: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the client's session token; the token itself is not stored
+  sessionTokenHash: {
+    type: String,
+    required: true
+  },
+  // Grid challenges already answered in this session
+  usedChallenges: [{
+    type: String
+  }],
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Create indexes
+patternSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+patternSessionSchema.index({ username: 1, createdAt: -1 });
+
+const PatternSession = mongoose.model('PatternSession', patternSessionSchema);
+
+module.exports = {
+  PatternSession
+};
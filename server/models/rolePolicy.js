@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Define the role policy schema: security requirements an admin sets for
+// every user with a role
+const rolePolicySchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['admin', 'user'],
+    required: true,
+    unique: true
+  },
+  // Users with the role must sign in with an authenticator app code
+  requireTwoFactor: {
+    type: Boolean,
+    default: false
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Check whether a role requires two-factor authentication
+rolePolicySchema.statics.requiresTwoFactor = async function(role) {
+  const policy = await this.findOne({ role }).lean();
+  return !!(policy && policy.requireTwoFactor);
+};
+
+const RolePolicy = mongoose.model('RolePolicy', rolePolicySchema);
+
+module.exports = {
+  RolePolicy
+};
@@ -1,32 +1,26 @@
 const mongoose = require('mongoose');
+const { auditChainPlugin } = require('../utils/auditChain');
+const { logWatchPlugin } = require('../utils/logWatch');
+const { SEVERITIES, isReportableBy, getEventSeverity } = require('../utils/securityEvents');
 
 // Define the security log schema with enhanced fields for authentication events
 const securityLogSchema = new mongoose.Schema({
   event_type: {
     type: String,
     required: true,
-    enum: [
-      'LOGIN_SUCCESS',
-      'LOGIN_FAILED',
-      'LOGOUT',
-      'PASSWORD_RESET_REQUEST',
-      'PASSWORD_RESET_SUCCESS',
-      'PATTERN_CREATION',
-      'PATTERN_VERIFICATION_SUCCESS',
-      'PATTERN_VERIFICATION_FAILED',
-      'TOKEN_GENERATED',
-      'TOKEN_REFRESHED',
-      'TOKEN_INVALIDATED',
-      'OTP_GENERATED',
-      'OTP_VERIFIED_SUCCESS',
-      'OTP_VERIFIED_FAILED',
-      'ACCOUNT_LOCKED',
-      'ACCOUNT_UNLOCKED',
-      'SECURITY_ERROR',
-      'SUSPICIOUS_ACTIVITY',
-      'USER_REGISTRATION_INITIATED',
-      'USER_REGISTRATION_COMPLETED'
-    ],
+    validate: {
+      // Each source may only report the catalog events it is listed for
+      validator: function(value) {
+        return isReportableBy(value, this.source);
+      },
+      message: props => `${props.value} is not a security event in the catalog`
+    },
+    index: true
+  },
+  source: {
+    type: String,
+    enum: ['server', 'client'],
+    default: 'server',
     index: true
   },
   user_id: {
@@ -51,6 +45,11 @@ const securityLogSchema = new mongoose.Schema({
   location: {
     type: String
   },
+  // Coordinates of the client, where a proxy in front of the server says
+  geo: {
+    latitude: { type: Number },
+    longitude: { type: Number }
+  },
   device_info: {
     type: String
   },
@@ -60,7 +59,7 @@ const securityLogSchema = new mongoose.Schema({
   },
   severity: {
     type: String,
-    enum: ['info', 'warning', 'error', 'critical'],
+    enum: SEVERITIES,
     default: 'info'
   },
   timestamp: {
@@ -74,6 +73,30 @@ const securityLogSchema = new mongoose.Schema({
 securityLogSchema.index({ event_type: 1, timestamp: -1 });
 securityLogSchema.index({ user_id: 1, event_type: 1, timestamp: -1 });
 securityLogSchema.index({ severity: 1, timestamp: -1 });
+securityLogSchema.index({ ip_address: 1, timestamp: -1 });
+
+// Chain every entry to the one before it, so edits and deletions show
+securityLogSchema.plugin(auditChainPlugin, {
+  chain: 'security',
+  fields: [
+    'event_type',
+    'source',
+    'user_id',
+    'username',
+    'session_id',
+    'ip_address',
+    'user_agent',
+    'location',
+    'geo',
+    'device_info',
+    'details',
+    'severity',
+    'timestamp'
+  ]
+});
+
+// Let the anomaly rules see every entry as it is written
+securityLogSchema.plugin(logWatchPlugin, { name: 'security' });
 
 // Add a method to create a standardized security log entry
 securityLogSchema.statics.createLog = async function(data) {
@@ -86,6 +109,7 @@ securityLogSchema.statics.createLog = async function(data) {
       ip_address,
       user_agent,
       location,
+      geo,
       device_info,
       details,
       severity
@@ -100,12 +124,13 @@ securityLogSchema.statics.createLog = async function(data) {
       ip_address,
       user_agent,
       location,
+      geo,
       device_info,
       details,
-      severity: severity || getDefaultSeverity(event_type)
+      severity: severity || getEventSeverity(event_type)
     });
 
-    await logEntry.save();
+    await logEntry.appendToChain();
     return logEntry;
   } catch (error) {
     console.error('Failed to create security log:', error);
@@ -114,31 +139,6 @@ securityLogSchema.statics.createLog = async function(data) {
   }
 };
 
-// Helper function to determine default severity based on event type
-function getDefaultSeverity(eventType) {
-  const criticalEvents = [
-    'SECURITY_ERROR',
-    'SUSPICIOUS_ACTIVITY',
-    'ACCOUNT_LOCKED'
-  ];
-
-  const errorEvents = [
-    'LOGIN_FAILED',
-    'PATTERN_VERIFICATION_FAILED',
-    'OTP_VERIFIED_FAILED'
-  ];
-
-  const warningEvents = [
-    'PASSWORD_RESET_REQUEST',
-    'TOKEN_INVALIDATED'
-  ];
-
-  if (criticalEvents.includes(eventType)) return 'critical';
-  if (errorEvents.includes(eventType)) return 'error';
-  if (warningEvents.includes(eventType)) return 'warning';
-  return 'info';
-}
-
 // Create model
 const SecurityLog = mongoose.model('SecurityLog', securityLogSchema);
 
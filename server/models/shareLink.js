@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const MAX_PASSPHRASE_ATTEMPTS = parseInt(process.env.SHARE_LINK_MAX_PASSPHRASE_ATTEMPTS) || 10;
+
+// Define the share link schema for public, token-based file links
+const shareLinkSchema = new mongoose.Schema({
+  // Only a SHA-256 of the link token is stored; the token itself is shown once
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Links serve the version that was current when they were created
+  version: {
+    type: Number,
+    required: true
+  },
+  // File key re-wrapped for the link: under a passphrase-derived key, or
+  // under the server master key when the link has no passphrase
+  wrappedKey: {
+    type: String,
+    required: true
+  },
+  keyWrapping: {
+    type: String,
+    enum: ['server', 'passphrase'],
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  maxDownloads: {
+    type: Number,
+    default: null
+  },
+  downloadCount: {
+    type: Number,
+    default: 0
+  },
+  failedAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastAccessedAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Create indexes
+shareLinkSchema.index({ file: 1, createdAt: -1 });
+shareLinkSchema.index({ owner: 1 });
+
+// Hash a link token for lookup
+shareLinkSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Generate a new random link token
+shareLinkSchema.statics.generateToken = function() {
+  return crypto.randomBytes(32).toString('base64url');
+};
+
+shareLinkSchema.statics.findByToken = function(token) {
+  return this.findOne({ tokenHash: this.hashToken(token) });
+};
+
+// Why the link cannot be used right now, or null if it can
+shareLinkSchema.methods.getUnavailableReason = function(now = new Date()) {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt && this.expiresAt <= now) return 'expired';
+  if (this.maxDownloads !== null && this.downloadCount >= this.maxDownloads) return 'download_limit_reached';
+  if (this.failedAttempts >= MAX_PASSPHRASE_ATTEMPTS) return 'locked';
+  return null;
+};
+
+// Atomically count a download, failing if the link ran out in the meantime
+shareLinkSchema.statics.claimDownload = function(linkId, now = new Date()) {
+  return this.findOneAndUpdate(
+    {
+      _id: linkId,
+      revokedAt: null,
+      failedAttempts: { $lt: MAX_PASSPHRASE_ATTEMPTS },
+      $and: [
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+        { $or: [{ maxDownloads: null }, { $expr: { $lt: ['$downloadCount', '$maxDownloads'] } }] }
+      ]
+    },
+    { $inc: { downloadCount: 1 }, lastAccessedAt: now },
+    { new: true }
+  );
+};
+
+const ShareLink = mongoose.model('ShareLink', shareLinkSchema);
+
+module.exports = {
+  ShareLink,
+  MAX_PASSPHRASE_ATTEMPTS
+};
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+const SESSION_EXPIRY_MS = parseInt(process.env.UPLOAD_SESSION_EXPIRY_MS) || 24 * 60 * 60 * 1000; // 24 hours
+
+// Define the upload session schema for resumable chunked uploads
+const uploadSessionSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Destination folder; null means the user's root
+  folder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder',
+    default: null
+  },
+  filename: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  chunkSize: {
+    type: Number,
+    required: true
+  },
+  totalChunks: {
+    type: Number,
+    required: true
+  },
+  chunks: [{
+    index: {
+      type: Number,
+      required: true
+    },
+    size: {
+      type: Number,
+      required: true
+    },
+    hash: {
+      type: String,
+      required: true
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['active', 'finalizing', 'completed', 'failed'],
+    default: 'active'
+  },
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File'
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + SESSION_EXPIRY_MS)
+  }
+}, {
+  timestamps: true
+});
+
+// Abandoned sessions are removed by MongoDB automatically
+uploadSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+uploadSessionSchema.index({ user: 1, status: 1 });
+
+// Expected byte length of a given chunk index
+uploadSessionSchema.methods.expectedChunkSize = function(index) {
+  if (index === this.totalChunks - 1) {
+    return this.size - this.chunkSize * (this.totalChunks - 1);
+  }
+  return this.chunkSize;
+};
+
+// Received chunks collapsed into contiguous byte ranges
+uploadSessionSchema.methods.receivedRanges = function() {
+  const indices = this.chunks.map(chunk => chunk.index).sort((a, b) => a - b);
+  const ranges = [];
+
+  for (const index of indices) {
+    const start = index * this.chunkSize;
+    const end = start + this.expectedChunkSize(index) - 1;
+    const last = ranges[ranges.length - 1];
+
+    if (last && last.end + 1 === start) {
+      last.end = end;
+    } else {
+      ranges.push({ start, end });
+    }
+  }
+
+  return ranges;
+};
+
+uploadSessionSchema.methods.isComplete = function() {
+  return this.chunks.length === this.totalChunks;
+};
+
+const UploadSession = mongoose.model('UploadSession', uploadSessionSchema);
+
+module.exports = {
+  UploadSession,
+  SESSION_EXPIRY_MS
+};
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+
+const TICKET_SECRET = process.env.UPLOAD_TICKET_SECRET || process.env.JWT_SECRET || 'default-secret-key';
+const TICKET_EXPIRY_SECONDS = parseInt(process.env.UPLOAD_TICKET_EXPIRY) || 15 * 60; // 15 minutes
+
+// Define the upload ticket schema for presigned client-side encrypted uploads
+const uploadTicketSchema = new mongoose.Schema({
+  ticketId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  filename: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['issued', 'uploading', 'uploaded', 'confirmed', 'failed'],
+    default: 'issued'
+  },
+  receivedBytes: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Expired tickets are removed by MongoDB automatically
+uploadTicketSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+uploadTicketSchema.index({ user: 1, status: 1 });
+
+// Sign a short-lived token bound to this ticket, its owner and its declared size
+uploadTicketSchema.methods.signToken = function() {
+  return jwt.sign(
+    {
+      tid: this.ticketId,
+      sub: this.user.toString(),
+      size: this.size
+    },
+    TICKET_SECRET,
+    { expiresIn: Math.max(1, Math.floor((this.expiresAt - Date.now()) / 1000)) }
+  );
+};
+
+// Verify an upload token and return its claims
+uploadTicketSchema.statics.verifyToken = function(token) {
+  return jwt.verify(token, TICKET_SECRET);
+};
+
+// Atomically claim an issued ticket so it can only be used once
+uploadTicketSchema.statics.claim = function(claims) {
+  return this.findOneAndUpdate(
+    {
+      ticketId: claims.tid,
+      user: claims.sub,
+      size: claims.size,
+      status: 'issued',
+      expiresAt: { $gt: new Date() }
+    },
+    { status: 'uploading' },
+    { new: true }
+  );
+};
+
+const UploadTicket = mongoose.model('UploadTicket', uploadTicketSchema);
+
+module.exports = {
+  UploadTicket,
+  TICKET_EXPIRY_SECONDS
+};
@@ -1,6 +1,34 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
 const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Number of archived versions kept per file unless the user chooses otherwise
+const DEFAULT_VERSION_RETENTION = 10;
+
+// KDF for new PassMatrix hashes. Hashes made with older settings (or the
+// original unsalted SHA-256) are upgraded on the user's next successful login.
+const PASSMATRIX_KDF = {
+  algorithm: 'scrypt',
+  version: 2,
+  N: 2 ** 15,
+  r: 8,
+  p: 1,
+  keyLength: 32
+};
+const PASSMATRIX_SALT_BYTES = 16;
+
+// Bounds of the per-user pattern policy
+const MAX_PATTERN_ROUNDS = 3;
+const MIN_PATTERN_LENGTH = 4;
+const MAX_PATTERN_LENGTH = 10;
+const DEFAULT_PATTERN_POLICY = {
+  orderSensitive: false,
+  rounds: 1,
+  minLength: 5
+};
 
 // Define the user schema
 const userSchema = new mongoose.Schema({
@@ -36,6 +64,38 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: false // Will be set during pattern selection
   },
+  // How passMatrixHash was derived; unset for legacy SHA-256 hashes
+  passMatrixKdf: {
+    algorithm: {
+      type: String,
+      enum: ['scrypt']
+    },
+    version: Number,
+    N: Number,
+    r: Number,
+    p: Number,
+    keyLength: Number
+  },
+  // How the user's pattern is entered: whether click order counts, how many
+  // successive grids it spans and the fewest images picked on each grid
+  patternPolicy: {
+    orderSensitive: {
+      type: Boolean,
+      default: DEFAULT_PATTERN_POLICY.orderSensitive
+    },
+    rounds: {
+      type: Number,
+      min: 1,
+      max: MAX_PATTERN_ROUNDS,
+      default: DEFAULT_PATTERN_POLICY.rounds
+    },
+    minLength: {
+      type: Number,
+      min: MIN_PATTERN_LENGTH,
+      max: MAX_PATTERN_LENGTH,
+      default: DEFAULT_PATTERN_POLICY.minLength
+    }
+  },
   publicKey: {
     type: String,
     required: false // Will be set after successful authentication
@@ -52,32 +112,118 @@ const userSchema = new mongoose.Schema({
     type: Date,
     required: false
   },
-  // Recovery OTP for password/pattern reset
-  recoveryOtp: {
-    type: String,
-    required: false
-  },
-  recoveryOtpExpires: {
-    type: Date,
-    required: false
-  },
-  // Reset session token for pattern reset
-  resetSessionToken: {
-    type: String,
-    required: false
-  },
-  resetSessionExpires: {
-    type: Date,
-    required: false
+  // Account recovery: an emailed code or a recovery code proves ownership
+  // and buys a short reset session that can only set a new pattern
+  recovery: {
+    // Emailed one-time code, hashed with a salt of its own
+    otpHash: {
+      type: String,
+      default: null
+    },
+    otpSalt: {
+      type: String,
+      default: null
+    },
+    otpExpiresAt: {
+      type: Date,
+      default: null
+    },
+    requestedAt: {
+      type: Date,
+      default: null
+    },
+    // Wrong codes since the last successful one; too many lock recovery
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lockedUntil: {
+      type: Date,
+      default: null
+    },
+    resetTokenHash: {
+      type: String,
+      default: null
+    },
+    resetExpiresAt: {
+      type: Date,
+      default: null
+    },
+    // Optional recovery codes, usable instead of an emailed code
+    codes: [{
+      hash: {
+        type: String,
+        required: true
+      },
+      usedAt: {
+        type: Date,
+        default: null
+      }
+    }],
+    codesGeneratedAt: {
+      type: Date,
+      default: null
+    }
   },
-  // Refresh tokens for authentication
+  // Signed-in device sessions. Each is one refresh token family and keeps
+  // only the hash of its current token; rotating replaces the hash.
   refreshTokens: [{
-    type: String
+    sessionId: {
+      type: String,
+      required: true
+    },
+    tokenHash: {
+      type: String,
+      required: true
+    },
+    deviceName: {
+      type: String,
+      default: 'Unknown device'
+    },
+    ipAddress: String,
+    userAgent: String,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    }
   }],
   isVerified: {
     type: Boolean,
     default: false
   },
+  // Email confirmation links sent to the user
+  emailVerification: {
+    // Id of the latest link; links sent before it no longer work
+    tokenId: {
+      type: String,
+      default: null
+    },
+    sentAt: {
+      type: Date,
+      default: null
+    },
+    // Emails sent since windowStartedAt, for throttling resends
+    sendCount: {
+      type: Number,
+      default: 0
+    },
+    windowStartedAt: {
+      type: Date,
+      default: null
+    },
+    verifiedAt: {
+      type: Date,
+      default: null
+    }
+  },
   role: {
     type: String,
     enum: ['admin', 'user'],
@@ -101,6 +247,81 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Authenticator app (TOTP) second factor
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Base32 secret sealed under the server master key
+    secret: {
+      type: String,
+      default: null
+    },
+    // Secret from an enrollment not yet confirmed with a first code
+    pendingSecret: {
+      type: String,
+      default: null
+    },
+    // Time step of the last accepted code, so each code works only once
+    lastUsedStep: {
+      type: Number,
+      default: null
+    },
+    // SHA-256 hashes of one-time backup codes
+    backupCodes: [{
+      hash: String,
+      usedAt: {
+        type: Date,
+        default: null
+      }
+    }],
+    enabledAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // WebAuthn credentials (passkeys and security keys) that can sign in
+  // instead of the PassMatrix pattern
+  webauthnCredentials: [{
+    // Base64url credential id, as the authenticator reports it
+    credentialId: {
+      type: String,
+      required: true
+    },
+    // Base64url COSE public key
+    publicKey: {
+      type: String,
+      required: true
+    },
+    // Signature counter; a counter that goes backwards means a cloned authenticator
+    counter: {
+      type: Number,
+      default: 0
+    },
+    transports: [{
+      type: String
+    }],
+    deviceType: String,
+    backedUp: Boolean,
+    name: {
+      type: String,
+      default: 'Passkey'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null
+    }
+  }],
+  // Access tokens issued before this time are rejected
+  tokenInvalidatedAt: {
+    type: Date,
+    default: null
+  },
   lastLogin: {
     type: Date,
     default: null
@@ -110,6 +331,13 @@ const userSchema = new mongoose.Schema({
     enum: ['active', 'inactive', 'locked'],
     default: 'active'
   },
+  // How many archived versions to keep per file
+  versionRetention: {
+    type: Number,
+    min: 1,
+    max: 100,
+    default: DEFAULT_VERSION_RETENTION
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -126,6 +354,51 @@ userSchema.pre('save', function(next) {
   next();
 });
 
+/**
+ * Helper function to split a submitted pattern into rounds. A flat list of
+ * image ids is a single-round pattern.
+ */
+const toPatternRounds = (pattern) => (Array.isArray(pattern[0]) ? pattern : [pattern]);
+
+/**
+ * Helper function to turn a pattern into the string that gets hashed. Unless
+ * the policy makes click order significant, each round is sorted so only the
+ * set of images counts; the order of rounds always counts.
+ */
+const serializePattern = (pattern, orderSensitive = false) =>
+  toPatternRounds(pattern)
+    .map(round => (orderSensitive ? [...round] : [...round].sort()).join('|'))
+    .join('/');
+
+/**
+ * Helper function to derive a pattern hash with scrypt
+ */
+const derivePatternHash = async (pattern, orderSensitive, salt, { N, r, p, keyLength }) => {
+  const hash = await scrypt(serializePattern(pattern, orderSensitive), Buffer.from(salt, 'base64'), keyLength, {
+    N,
+    r,
+    p,
+    maxmem: 256 * N * r
+  });
+  return hash.toString('hex');
+};
+
+/**
+ * Helper function to compute the original pattern hash: SHA-256 with the
+ * username as salt. Only used to verify hashes not yet upgraded.
+ */
+const legacyPatternHash = (pattern, salt) =>
+  crypto.createHash('sha256').update(`${serializePattern(pattern)}:${salt}`).digest('hex');
+
+/**
+ * Helper function to compare two hex digests in constant time
+ */
+const timingSafeEqualHex = (a, b) => {
+  const bufferA = Buffer.from(a, 'hex');
+  const bufferB = Buffer.from(String(b), 'hex');
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
 // Method to validate password
 userSchema.methods.validatePassword = async function(password) {
   try {
@@ -135,45 +408,71 @@ userSchema.methods.validatePassword = async function(password) {
   }
 };
 
-// Method to validate PassMatrix sequence
-userSchema.methods.validatePassMatrix = async function(pattern, sessionId) {
+// Method to check a pattern against the user's pattern policy
+// Returns a description of the first violation, or null if it complies
+userSchema.methods.checkPatternPolicy = function(pattern) {
+  const { rounds, minLength } = this.patternPolicy;
+  const patternRounds = toPatternRounds(pattern);
+
+  if (patternRounds.length !== rounds) {
+    return `Pattern must span ${rounds} grid${rounds > 1 ? 's' : ''}`;
+  }
+  if (patternRounds.some(round => round.length < minLength || round.length > MAX_PATTERN_LENGTH)) {
+    return `Select between ${minLength} and ${MAX_PATTERN_LENGTH} images on each grid`;
+  }
+  if (patternRounds.some(round => new Set(round).size !== round.length)) {
+    return 'An image can only be selected once per grid';
+  }
+  return null;
+};
+
+// Method to validate PassMatrix sequence. Patterns outside the user's policy
+// never match. A correct pattern whose hash uses outdated parameters is
+// re-hashed on the document; the caller saves it.
+userSchema.methods.validatePassMatrix = async function(pattern) {
   try {
     if (!this.passMatrixHash) {
       throw new Error('No pattern hash found for user');
     }
-    
-    // Sort pattern indices to ensure order-independence
-    const sortedPattern = [...pattern].sort();
-    
-    // Hash the pattern using the same algorithm as the client
-    console.log('Server validating pattern:', {
-      sortedPattern,
-      username: this.username,
-      storedHashLength: this.passMatrixHash.length
-    });
-    
-    // CRITICAL: Use the same salt as during pattern creation
-    // The salt is stored as username in passMatrixSalt
-    const salt = this.passMatrixSalt || this.username;
-    
-    // Create the same pattern string as used during creation
-    // This must match EXACTLY what the client does - NO sessionId
-    const patternString = `${sortedPattern.join('|')}:${salt}`;
-    console.log('Server hashing pattern with string:', patternString);
-    
-    // Use Node.js crypto for hashing (compatible with Web Crypto API)
-    const hash = crypto.createHash('sha256').update(patternString).digest('hex');
-    console.log('Server generated hash:', hash);
-    console.log('Stored hash:', this.passMatrixHash);
-    
-    // Compare with stored hash
-    return hash === this.passMatrixHash;
+
+    if (this.checkPatternPolicy(pattern)) {
+      return false;
+    }
+
+    const { orderSensitive } = this.patternPolicy;
+    const hash = this.passMatrixKdf && this.passMatrixKdf.algorithm
+      ? await derivePatternHash(pattern, orderSensitive, this.passMatrixSalt, this.passMatrixKdf)
+      : legacyPatternHash(pattern, this.passMatrixSalt || this.username);
+
+    const isMatch = timingSafeEqualHex(hash, this.passMatrixHash);
+
+    if (isMatch && this.passMatrixNeedsRehash()) {
+      await this.setPassMatrix(pattern);
+    }
+
+    return isMatch;
   } catch (error) {
     console.error('PassMatrix validation error:', error);
     throw new Error('PassMatrix validation failed');
   }
 };
 
+// Method to check whether the stored pattern hash uses the current KDF
+userSchema.methods.passMatrixNeedsRehash = function() {
+  const kdf = this.passMatrixKdf || {};
+  return ['algorithm', 'version', 'N', 'r', 'p', 'keyLength']
+    .some(param => kdf[param] !== PASSMATRIX_KDF[param]);
+};
+
+// Method to set the user's pattern, hashed with the current KDF. The caller
+// checks it against the pattern policy first.
+userSchema.methods.setPassMatrix = async function(pattern) {
+  const { hash, salt, kdf } = await this.constructor.hashPassMatrix(pattern, this.patternPolicy.orderSensitive);
+  this.passMatrixHash = hash;
+  this.passMatrixSalt = salt;
+  this.passMatrixKdf = kdf;
+};
+
 // Method to increment failed login attempts
 userSchema.methods.incrementLoginAttempts = async function() {
   this.failedLoginAttempts += 1;
@@ -210,23 +509,12 @@ userSchema.statics.hashPassword = async function(password) {
   }
 };
 
-// Static method to hash PassMatrix sequence
-userSchema.statics.hashPassMatrix = async function(pattern, username) {
+// Static method to hash PassMatrix sequence with a fresh random salt
+userSchema.statics.hashPassMatrix = async function(pattern, orderSensitive = false) {
   try {
-    // Sort pattern indices to ensure order-independence
-    const sortedPattern = [...pattern].sort();
-    
-    // Create pattern string with username as salt - NO userId/sessionId
-    const patternString = `${sortedPattern.join('|')}:${username}`;
-    
-    console.log('Static hashPassMatrix using pattern string:', patternString);
-    
-    // Use Node.js crypto for hashing (compatible with Web Crypto API)
-    const hash = crypto.createHash('sha256').update(patternString).digest('hex');
-    
-    console.log('Generated hash in static method:', hash);
-    
-    return { hash, salt: username };
+    const salt = crypto.randomBytes(PASSMATRIX_SALT_BYTES).toString('base64');
+    const hash = await derivePatternHash(pattern, orderSensitive, salt, PASSMATRIX_KDF);
+    return { hash, salt, kdf: { ...PASSMATRIX_KDF } };
   } catch (error) {
     console.error('Error hashing pattern:', error);
     throw new Error('Failed to hash pattern');
@@ -237,7 +525,12 @@ userSchema.statics.hashPassMatrix = async function(pattern, username) {
 userSchema.index({ username: 1 }, { unique: true });
 userSchema.index({ email: 1 }, { unique: true });
 userSchema.index({ status: 1 });
+userSchema.index({ 'webauthnCredentials.credentialId': 1 });
 
 const User = mongoose.model('User', userSchema);
 
-module.exports = { User };
\ No newline at end of file
+module.exports = {
+  User,
+  DEFAULT_VERSION_RETENTION,
+  DEFAULT_PATTERN_POLICY
+};
\ No newline at end of file
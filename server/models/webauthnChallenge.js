@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Define the WebAuthn challenge schema. Each registration or sign-in
+// ceremony gets one challenge, deleted when the ceremony completes; MongoDB
+// drops unused ones through the TTL index.
+const webauthnChallengeSchema = new mongoose.Schema({
+  challengeId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Base64url challenge the authenticator has to sign
+  challenge: {
+    type: String,
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['registration', 'authentication'],
+    required: true
+  },
+  // User registering a credential, or the user named at sign-in if any.
+  // Kept as a string id, as the memory store keeps it, so routes can compare
+  // it whichever store read it back.
+  userId: {
+    type: String,
+    default: null
+  },
+  // Hash of the client the ceremony was started from
+  fingerprint: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Create indexes
+webauthnChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const WebAuthnChallenge = mongoose.model('WebAuthnChallenge', webauthnChallengeSchema);
+
+module.exports = {
+  WebAuthnChallenge
+};
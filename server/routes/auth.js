@@ -3,17 +3,58 @@
 const express = require('express');
 const router = express.Router();
 const jwt = require('jsonwebtoken');
-const { User } = require('../models/user');
+const mongoose = require('mongoose');
+const { User, DEFAULT_PATTERN_POLICY } = require('../models/user');
 const { logSecurityEvent, SecurityError } = require('../middleware/security');
 const { authenticateJWT } = require('../middleware/auth');
-const { EncryptionService } = require('../utils/encryption');
-const { getRandomMatrixImages } = require('../utils/imageMatrix');
+const { EncryptionService, parseSharingPublicKey } = require('../utils/encryption');
+const { getRandomMatrixImages, createGridChallenge, resolveGridSelection } = require('../utils/imageMatrix');
+const { getSessionStore, hashSessionToken } = require('../utils/sessionStore');
+const { startRefreshSession, rotateRefreshToken, revokeRefreshSessions } = require('../utils/refreshTokens');
+const { beginEnrollment, confirmEnrollment, verifySecondFactor, isTwoFactorRequired } = require('../utils/twoFactor');
+const {
+  MAX_WEBAUTHN_CREDENTIALS,
+  registrationOptions,
+  verifyRegistration,
+  authenticationOptions,
+  verifyAuthentication,
+  describeCredentials
+} = require('../utils/webauthn');
+const { resendWaitSeconds, sendVerificationEmail, confirmEmailToken } = require('../utils/emailVerification');
+const {
+  recoveryWaitSeconds,
+  issueRecoveryOtp,
+  verifyRecoveryOtp,
+  redeemRecoveryCode,
+  recordFailedRecovery,
+  issueResetToken,
+  checkResetToken,
+  endResetSession,
+  issueRecoveryCodes,
+  describeRecoveryCodes,
+  notifyAccountOwner
+} = require('../utils/accountRecovery');
+const emailService = require('../utils/email');
 const crypto = require('crypto');
 
 // Constants
 const MAX_LOGIN_ATTEMPTS = 5;
 const LOCKOUT_TIME = 15 * 60 * 1000; // 15 minutes
 const JWT_EXPIRY = '24h';
+// Time to type a second factor code before the pattern has to be entered again
+const TWO_FACTOR_GRANT_TTL_MS = 5 * 60 * 1000; // 5 minutes
+// Security event logged for each way of passing the second factor
+const SECOND_FACTOR_EVENTS = {
+  totp: 'TWO_FACTOR_VERIFIED',
+  backup: 'BACKUP_CODE_USED',
+  enrollment: 'TWO_FACTOR_ENABLED'
+};
+// Events for each way of proving ownership during account recovery
+const RECOVERY_EVENTS = {
+  otp: { success: 'OTP_VERIFIED_SUCCESS', failure: 'OTP_VERIFIED_FAILED' },
+  recovery_code: { success: 'RECOVERY_CODE_USED', failure: 'RECOVERY_CODE_FAILED' }
+};
+
 const COOKIE_OPTIONS = {
   httpOnly: true,
   secure: process.env.NODE_ENV === 'production',
@@ -21,15 +62,285 @@ const COOKIE_OPTIONS = {
   maxAge: 24 * 60 * 60 * 1000 // 24 hours
 };
 
+/**
+ * Helper function to check the shape of a submitted pattern: one entry per
+ * grid, holding the grid's challenge and the positions selected on it
+ */
+const isValidPattern = (pattern) =>
+  Array.isArray(pattern) &&
+  pattern.length > 0 &&
+  pattern.every(round => round && typeof round.challenge === 'string' && Array.isArray(round.positions));
+
+/**
+ * Helper function to get an active pattern session
+ * @returns {Object|null} The session, or null if it is unknown, expired or
+ *   belongs to another user or client
+ */
+const getPatternSession = async (sessionId, username, sessionToken) => {
+  if (!sessionId || !sessionToken) return null;
+
+  const session = await getSessionStore().get(sessionId);
+  if (!session || session.username !== username ||
+      session.sessionTokenHash !== hashSessionToken(sessionToken)) {
+    return null;
+  }
+  return session;
+};
+
+/**
+ * Helper function to map a submitted pattern to image ids. Each grid's
+ * positions are read against the layout its challenge recorded, and a
+ * challenge is only accepted once, so a captured request cannot be replayed.
+ * @returns {Array<Array<string>>} Selected image ids, one list per grid
+ */
+const resolvePattern = async (pattern, sessionId) => {
+  const rounds = pattern.map(({ challenge, positions }) => resolveGridSelection(challenge, positions, sessionId));
+
+  const challengeIds = rounds.map(round => round.challengeId);
+  if (new Set(challengeIds).size !== challengeIds.length ||
+      !(await getSessionStore().useChallenges(sessionId, challengeIds))) {
+    throw new SecurityError('Grid already used', 401);
+  }
+
+  return rounds.map(round => round.imageIds);
+};
+
+/**
+ * Helper function to fingerprint the client a request comes from: the
+ * browser's pattern session token, its address and its user agent
+ */
+const clientFingerprint = (req, sessionToken) =>
+  crypto.createHash('sha256')
+    .update(`${sessionToken}|${req.ip}|${req.get('user-agent') || ''}`)
+    .digest('hex');
+
+/**
+ * Helper function to redeem the grant a verified pattern earned. Redeeming
+ * burns the grant whatever the outcome, so a grant presented by the wrong
+ * client cannot be retried by the right one.
+ * @throws {SecurityError} If the grant is unknown, expired, or was issued for
+ *   another user, pattern session or client
+ */
+const redeemSignInGrant = async (req, { username, sessionId, sessionToken, grant }) => {
+  const { status, record } = await getSessionStore().redeemGrant(grant);
+  let reason = status === 'valid' ? null : status;
+  if (!reason && (record.username !== username || record.sessionId !== sessionId)) {
+    reason = 'session_mismatch';
+  } else if (!reason && record.fingerprint !== clientFingerprint(req, sessionToken)) {
+    reason = 'client_mismatch';
+  }
+  
+  if (reason) {
+    try {
+      await logSecurityEvent(req, {
+        event_type: 'TOKEN_INVALIDATED',
+        details: {
+          username,
+          sessionId,
+          reason,
+          grantUsername: record ? record.username : undefined
+        }
+      });
+    } catch (logError) {
+      console.warn('Failed to log rejected grant:', logError);
+      // Continue despite logging error
+    }
+    throw new SecurityError('Invalid or expired authentication grant', 401);
+  }
+};
+
+/**
+ * Helper function to count a failed sign-in step, locking the account after
+ * too many. The caller saves the user.
+ */
+const recordFailedLogin = async (req, user) => {
+  user.loginAttempts = (user.loginAttempts || 0) + 1;
+  
+  // Lock account after too many failed attempts
+  if (user.loginAttempts >= MAX_LOGIN_ATTEMPTS) {
+    user.status = 'locked';
+    user.lockedUntil = new Date(Date.now() + LOCKOUT_TIME);
+    try {
+      await logSecurityEvent(req, {
+        event_type: 'ACCOUNT_LOCKED',
+        details: {
+          username: user.username,
+          lockedUntil: user.lockedUntil
+        }
+      });
+    } catch (logError) {
+      console.warn('Failed to log account lock:', logError);
+      // Continue despite logging error
+    }
+  }
+};
+
+/**
+ * Helper function to refuse a locked or deactivated account, resetting a lock
+ * whose lockout period has passed. A lock with no end lasts until an admin
+ * lifts it. The caller saves the user.
+ * @returns {boolean} Whether an expired lock was reset
+ * @throws {SecurityError} If the account is deactivated or still locked
+ */
+const checkAccountLock = (user) => {
+  if (user.status === 'inactive') {
+    throw new SecurityError('This account has been deactivated. Please contact support.');
+  }
+  if (user.status !== 'locked') return false;
+  if (!user.lockedUntil) {
+    throw new SecurityError('Account is locked. Please contact support.');
+  }
+  if (user.lockedUntil > new Date()) {
+    throw new SecurityError(`Account is locked. Try again after ${new Date(user.lockedUntil).toLocaleString()}`);
+  }
+  user.status = 'active';
+  user.loginAttempts = 0;
+  user.lockedUntil = null;
+  return true;
+};
+
+/**
+ * Helper function to check whether a user still has to pass, or first set
+ * up, a second factor after their pattern
+ * @returns {Promise<'verify'|'enroll'|null>}
+ */
+const pendingSecondFactor = async (user) => {
+  if (user.twoFactor.enabled) return 'verify';
+  if (await isTwoFactorRequired(user)) return 'enroll';
+  return null;
+};
+
+/**
+ * Helper function to sign an access token, tied to the device session it was
+ * issued for
+ */
+const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    {
+      id: user._id,
+      username: user.username,
+      role: user.role,
+      permissions: user.permissions,
+      sid: sessionId
+    },
+    process.env.JWT_SECRET || 'default-secret-key',
+    { expiresIn: JWT_EXPIRY }
+  );
+
+/**
+ * Helper function to email a verification link as part of signing up. A
+ * delivery failure does not fail the request; the user can ask for a resend.
+ * @returns {Promise<boolean>} Whether the email was sent
+ */
+const sendSignupVerification = async (req, user) => {
+  if (resendWaitSeconds(user) > 0) return false;
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    console.warn('Failed to send verification email:', error);
+    return false;
+  }
+  
+  try {
+    await logSecurityEvent(req, {
+      event_type: 'EMAIL_VERIFICATION_SENT',
+      details: {
+        userId: user._id,
+        username: user.username
+      }
+    });
+  } catch (logError) {
+    console.warn('Failed to log verification email:', logError);
+    // Continue despite logging error
+  }
+  return true;
+};
+
+/**
+ * Helper function to check a code proving a user owns the account they are
+ * recovering. Wrong codes count towards locking recovery; a right one opens
+ * a reset session.
+ * @param {string} method - 'otp' or 'recovery_code'
+ * @param {Function} check - Checks the code against the user, using it up
+ * @returns {Promise<string>} The reset session token
+ * @throws {SecurityError} If the code is wrong or recovery is locked
+ */
+const proveAccountOwnership = async (req, username, method, check) => {
+  const user = await User.findOne({ username });
+  if (!user) {
+    throw new SecurityError('Invalid credentials');
+  }
+  
+  const wait = recoveryWaitSeconds(user);
+  if (wait > 0) {
+    throw new SecurityError(`Too many wrong codes. Try again in ${Math.ceil(wait / 60)} minutes.`, 429);
+  }
+  
+  const isValid = check(user);
+  const locked = !isValid && recordFailedRecovery(user);
+  const resetToken = isValid ? issueResetToken(user) : null;
+  await user.save();
+  
+  try {
+    await logSecurityEvent(req, {
+      event_type: isValid ? RECOVERY_EVENTS[method].success : RECOVERY_EVENTS[method].failure,
+      details: {
+        userId: user._id,
+        username: user.username
+      }
+    });
+    if (locked) {
+      await logSecurityEvent(req, {
+        event_type: 'RECOVERY_LOCKED',
+        details: {
+          userId: user._id,
+          username: user.username,
+          lockedUntil: user.recovery.lockedUntil
+        }
+      });
+    }
+  } catch (logError) {
+    console.warn('Failed to log recovery attempt:', logError);
+    // Continue despite logging error
+  }
+  
+  if (locked) {
+    await notifyAccountOwner(req, user, 'Account recovery locked after too many wrong codes');
+    throw new SecurityError('Too many wrong codes. Account recovery is locked for a while.', 429);
+  }
+  if (!isValid) {
+    throw new SecurityError('Invalid or expired code. Please try again.', 400);
+  }
+  return resetToken;
+};
+
+/**
+ * Helper function to describe a user's pattern policy to the client
+ */
+const serializePatternPolicy = (user) => {
+  const { orderSensitive, rounds, minLength } = user ? user.patternPolicy : DEFAULT_PATTERN_POLICY;
+  return { orderSensitive, rounds, minLength };
+};
+
 /**
  * @route   GET /auth/matrix-images
- * @desc    Get random images for PassMatrix
+ * @desc    Get a freshly shuffled PassMatrix grid for a pattern session,
+ *          with a signed challenge recording its layout
  * @access  Public
  */
 router.get('/matrix-images', async (req, res, next) => {
   try {
+    const { username, sessionId, sessionToken } = req.query;
+
+    if (!(await getPatternSession(sessionId, username, sessionToken))) {
+      throw new SecurityError('Invalid or expired pattern session', 401);
+    }
+
     const imageUrls = await getRandomMatrixImages();
-    res.json({ images: imageUrls }); 
+    res.json({
+      images: imageUrls,
+      challenge: createGridChallenge(sessionId, imageUrls)
+    }); 
   } catch (error) {
     next(error);
   }
@@ -42,13 +353,17 @@ router.get('/matrix-images', async (req, res, next) => {
  */
 router.post('/signup', async (req, res, next) => {
   try {
-    const { username, email, phoneNumber } = req.body;
+    const { username, email, phoneNumber, patternPolicy = {}, generateRecoveryCodes } = req.body;
 
     // Validate input
     if (!username || !email) {
       throw new SecurityError('Username and email are required');
     }
 
+    if (typeof patternPolicy !== 'object' || patternPolicy === null || Array.isArray(patternPolicy)) {
+      throw new SecurityError('patternPolicy must be an object', 400);
+    }
+
     // Check if user exists
     const existingUser = await User.findOne({
       $or: [{ username }, { email }]
@@ -64,16 +379,24 @@ router.post('/signup', async (req, res, next) => {
       username,
       email,
       phoneNumber,
+      patternPolicy: {
+        orderSensitive: patternPolicy.orderSensitive,
+        rounds: patternPolicy.rounds,
+        minLength: patternPolicy.minLength
+      },
       isVerified: false,
       permissions: ['file:upload', 'file:download', 'file:share', 'file:delete']
     });
 
+    // Optional codes for recovering the account without access to the email
+    const recoveryCodes = generateRecoveryCodes === true ? issueRecoveryCodes(user) : undefined;
+
     await user.save();
 
     try {
       await logSecurityEvent(req, {
         event_type: 'USER_REGISTRATION_INITIATED',
-        data: {
+        details: {
           userId: user._id,
           username: user.username
         }
@@ -83,12 +406,17 @@ router.post('/signup', async (req, res, next) => {
       // Continue despite logging error
     }
 
+    const emailVerificationSent = await sendSignupVerification(req, user);
+
     res.status(201).json({
       message: 'Registration initiated',
+      emailVerificationSent,
+      recoveryCodes,
       user: {
         id: user._id,
         username: user.username,
-        email: user.email
+        email: user.email,
+        patternPolicy: serializePatternPolicy(user)
       }
     });
   } catch (error) {
@@ -117,23 +445,20 @@ router.post('/signin', async (req, res, next) => {
     }
 
     // Check if account is locked
-    if (user.status === 'locked') {
-      if (user.lockedUntil && user.lockedUntil > new Date()) {
-        throw new SecurityError(`Account is locked. Try again after ${new Date(user.lockedUntil).toLocaleString()}`);
-      } else {
-        // Reset lock if lockout period has passed
-        user.status = 'active';
-        user.loginAttempts = 0;
-        user.lockedUntil = null;
-        await user.save();
-      }
+    if (checkAccountLock(user)) {
+      await user.save();
+    }
+
+    // An admin cleared the pattern; recovery sets a new one
+    if (!user.passMatrixHash) {
+      throw new SecurityError('Your pattern was reset. Use account recovery to set a new one.');
     }
 
     try {
       // Log signin attempt
       await logSecurityEvent(req, {
         event_type: 'SIGNIN_ATTEMPT',
-        data: {
+        details: {
           username: user.username
         }
       });
@@ -162,13 +487,18 @@ router.post('/signin', async (req, res, next) => {
  */
 router.post('/signout', authenticateJWT, async (req, res, next) => {
   try {
+    // End this device's session so its refresh token stops working
+    if (req.user.sessionId) {
+      await revokeRefreshSessions(req.user.id, req.user.sessionId);
+    }
+    
     // Clear auth cookie
     res.clearCookie('token', COOKIE_OPTIONS);
     
     try {
       await logSecurityEvent(req, {
-        event_type: 'LOGOUT_SUCCESS',
-        data: {
+        event_type: 'LOGOUT',
+        details: {
           user_id: req.user.id,
           username: req.user.username
         }
@@ -191,7 +521,7 @@ router.post('/signout', authenticateJWT, async (req, res, next) => {
  */
 router.get('/validate', authenticateJWT, async (req, res) => {
   try {
-    const user = await User.findById(req.user.id).select('-password -passMatrixHash -passMatrixSalt -patternSessionId');
+    const user = await User.findById(req.user.id).select('-password -passMatrixHash -passMatrixSalt -passMatrixKdf -patternSessionId -refreshTokens -webauthnCredentials.publicKey -twoFactor.secret -twoFactor.pendingSecret -twoFactor.backupCodes -emailVerification.tokenId -recovery');
     if (!user) {
       return res.status(401).json({ 
         authenticated: false,
@@ -218,7 +548,7 @@ router.get('/validate', authenticateJWT, async (req, res) => {
  */
 router.get('/me', authenticateJWT, async (req, res, next) => {
   try {
-    const user = await User.findById(req.user.id).select('-passwordHash -passMatrixHash -passMatrixSalt -patternSessionId -encryptedPrivateKey');
+    const user = await User.findById(req.user.id).select('-passwordHash -passMatrixHash -passMatrixSalt -passMatrixKdf -patternSessionId -encryptedPrivateKey -refreshTokens -webauthnCredentials.publicKey -twoFactor.secret -twoFactor.pendingSecret -twoFactor.backupCodes -emailVerification.tokenId -recovery');
     if (!user) {
       throw new SecurityError('User not found');
     }
@@ -229,6 +559,75 @@ router.get('/me', authenticateJWT, async (req, res, next) => {
   }
 });
 
+/**
+ * @route   PUT /auth/keys
+ * @desc    Register the RSA-OAEP key pair the user's client shares files
+ *          with. The private key never reaches the server unencrypted; the
+ *          client may store it here encrypted (encryptedPrivateKey) so it can
+ *          be recovered on other devices.
+ * @access  Private
+ */
+router.put('/keys', authenticateJWT, async (req, res, next) => {
+  try {
+    const { publicKey, encryptedPrivateKey } = req.body;
+
+    let pem;
+    try {
+      pem = parseSharingPublicKey(publicKey);
+    } catch (error) {
+      throw new SecurityError(error.message, 400);
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      throw new SecurityError('User not found');
+    }
+
+    // Existing file keys are wrapped with the registered key, so only a key rotation can replace it
+    if (user.publicKey && user.publicKey !== pem) {
+      throw new SecurityError('A different public key is already registered', 409);
+    }
+
+    user.publicKey = pem;
+    if (encryptedPrivateKey) {
+      user.encryptedPrivateKey = String(encryptedPrivateKey);
+    }
+    await user.save();
+
+    await logSecurityEvent(req, {
+      event_type: 'PUBLIC_KEY_REGISTERED',
+      details: {
+        userId: user._id
+      }
+    });
+
+    res.json({ message: 'Keys registered', publicKey: pem });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /auth/users/:id/public-key
+ * @desc    Get another user's public key to wrap a file key for them
+ * @access  Private
+ */
+router.get('/users/:id/public-key', authenticateJWT, async (req, res, next) => {
+  try {
+    const user = mongoose.isValidObjectId(req.params.id)
+      ? await User.findById(req.params.id).select('publicKey')
+      : null;
+
+    if (!user || !user.publicKey) {
+      throw new SecurityError('No public key registered for this user', 404);
+    }
+
+    res.json({ userId: user._id, publicKey: user.publicKey });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @route   GET /auth/check-username/:username
  * @desc    Check if username exists
@@ -261,28 +660,15 @@ router.post('/create-pattern-session', async (req, res, next) => {
       throw new SecurityError('Username and session token are required');
     }
     
-    // Generate a unique session ID for this pattern creation
-    const sessionId = crypto.randomBytes(16).toString('hex');
-    
-    // Store session in memory or database with expiration
-    // For simplicity, we'll use a global Map here
-    // In production, use Redis or another session store
-    if (!global.patternSessions) {
-      global.patternSessions = new Map();
-    }
-    
-    global.patternSessions.set(sessionId, {
-      username,
-      sessionToken,
-      createdAt: new Date(),
-      expiresAt: new Date(Date.now() + 10 * 60 * 1000) // 10 minutes
-    });
+    // Start a session for this attempt. Sessions expire on their own, and
+    // starting one beyond the per-user cap drops the oldest.
+    const { sessionId } = await getSessionStore().create(String(username), String(sessionToken));
     
     try {
       // Log session creation
       await logSecurityEvent(req, {
         event_type: 'PATTERN_SESSION_CREATED',
-        data: {
+        details: {
           username,
           sessionId
         }
@@ -292,9 +678,14 @@ router.post('/create-pattern-session', async (req, res, next) => {
       // Continue despite logging error
     }
     
+    // The client needs the policy to know how many grids to show. Unknown
+    // usernames get the default so the response does not reveal them.
+    const user = await User.findOne({ username });
+
     res.json({
       success: true,
-      sessionId
+      sessionId,
+      patternPolicy: serializePatternPolicy(user)
     });
   } catch (error) {
     next(error);
@@ -311,15 +702,15 @@ router.post('/store-pattern-hash', async (req, res, next) => {
     console.log('Received store-pattern-hash request:', { 
       username: req.body.username,
       sessionId: req.body.sessionId,
-      hashLength: req.body.hash ? req.body.hash.length : 0
+      patternLength: Array.isArray(req.body.pattern) ? req.body.pattern.length : 0
     });
     
-    const { username, hash, sessionId, sessionToken } = req.body;
+    const { username, pattern, sessionId, sessionToken } = req.body;
     
-    if (!username || !hash || !sessionId || !sessionToken) {
+    if (!username || !isValidPattern(pattern) || !sessionId || !sessionToken) {
       console.error('Missing required parameters:', { 
         hasUsername: !!username, 
-        hasHash: !!hash, 
+        hasPattern: isValidPattern(pattern), 
         hasSessionId: !!sessionId, 
         hasSessionToken: !!sessionToken 
       });
@@ -327,41 +718,12 @@ router.post('/store-pattern-hash', async (req, res, next) => {
     }
     
     // Verify session
-    if (!global.patternSessions) {
-      console.error('No pattern sessions initialized');
-      global.patternSessions = new Map();
-      throw new SecurityError('No active sessions found');
-    }
-    
-    if (!global.patternSessions.has(sessionId)) {
-      console.error(`Session ID ${sessionId} not found in active sessions`);
-      throw new SecurityError('Invalid session');
-    }
-    
-    const session = global.patternSessions.get(sessionId);
-    console.log('Found session:', { 
-      sessionUsername: session.username, 
-      requestUsername: username,
-      sessionExpiry: session.expiresAt
-    });
-    
-    if (session.username !== username || session.sessionToken !== sessionToken) {
-      console.error('Session mismatch:', { 
-        sessionUsername: session.username, 
-        requestUsername: username,
-        tokenMatch: session.sessionToken === sessionToken
-      });
-      throw new SecurityError('Session mismatch');
+    if (!(await getPatternSession(sessionId, username, sessionToken))) {
+      throw new SecurityError('Invalid or expired pattern session', 401);
     }
     
-    if (session.expiresAt < new Date()) {
-      console.error('Session expired:', { 
-        expiresAt: session.expiresAt, 
-        now: new Date() 
-      });
-      global.patternSessions.delete(sessionId);
-      throw new SecurityError('Session expired');
-    }
+    // Read the selected positions against the grids the server served
+    const rounds = await resolvePattern(pattern, sessionId);
     
     // Find user or create if it doesn't exist (for sign-up flow)
     let user = await User.findOne({ username });
@@ -373,7 +735,8 @@ router.post('/store-pattern-hash', async (req, res, next) => {
     if (!user) {
       console.log('Creating new user for pattern storage:', { username });
       // This is for sign-up flow - create a minimal user record
-      // The rest of the user data will be added in completeRegistration
+      // The rest of the user data will be added in completeRegistration,
+      // and the placeholder address is never verified or emailed
       user = new User({
         username,
         email: `${username}@temp.com`, // Temporary email to satisfy schema requirements
@@ -395,7 +758,7 @@ router.post('/store-pattern-hash', async (req, res, next) => {
       try {
         await logSecurityEvent(req, {
           event_type: 'USER_REGISTRATION_INITIATED',
-          data: {
+          details: {
             userId: user._id,
             username: user.username
           }
@@ -404,18 +767,19 @@ router.post('/store-pattern-hash', async (req, res, next) => {
         console.warn('Failed to log registration event:', logError);
         // Continue despite logging error
       }
+    } else if (user.passMatrixHash) {
+      // Replacing a pattern takes a reset session from account recovery
+      throw new SecurityError('This account already has a pattern. Use account recovery to reset it.');
     }
     
-    // Store the hash directly
-    console.log('Storing pattern hash for user:', { 
-      username: user.username, 
-      hashLength: hash.length,
-      hash: hash.substring(0, 10) + '...' // Show part of the hash for debugging
-    });
+    const policyError = user.checkPatternPolicy(rounds);
+    if (policyError) {
+      throw new SecurityError(policyError, 400);
+    }
     
-    // Store the hash and salt, but don't use sessionId for pattern verification
-    user.passMatrixHash = hash;
-    user.passMatrixSalt = username; // Using username as salt
+    // Hash the pattern with a fresh salt; the client never hashes it
+    console.log('Storing pattern hash for user:', { username: user.username });
+    await user.setPassMatrix(rounds);
     
     // Still store the sessionId for security tracking and CSRF protection
     // But it's no longer used in the pattern hash verification
@@ -432,8 +796,8 @@ router.post('/store-pattern-hash', async (req, res, next) => {
     // Log pattern creation
     try {
       await logSecurityEvent(req, {
-        event_type: 'PATTERN_STORED',
-        data: {
+        event_type: 'PATTERN_CREATION',
+        details: {
           username
         }
       });
@@ -461,24 +825,18 @@ router.post('/verify-pattern', async (req, res, next) => {
   try {
     const { username, pattern, sessionToken, sessionId } = req.body;
     
-    if (!username || !pattern || !sessionToken || !Array.isArray(pattern)) {
+    if (!username || !sessionToken || !isValidPattern(pattern)) {
       throw new SecurityError('Invalid verification request');
     }
     
     console.log('Received pattern verification request:', {
       username,
-      pattern,
       patternLength: pattern.length,
       hasSessionToken: !!sessionToken,
       hasSessionId: !!sessionId,
       sessionId: sessionId
     });
     
-    // Log the pattern string that will be used for verification
-    console.log('Server will verify with pattern string format:', '[sorted_pattern]:salt:sessionId');
-    console.log('Pattern before sorting:', pattern);
-    console.log('Pattern after sorting:', [...pattern].sort());
-    
     // Check if sessionId is provided
     if (!sessionId) {
       console.warn('Missing sessionId in verification request');
@@ -488,22 +846,9 @@ router.post('/verify-pattern', async (req, res, next) => {
       });
     }
     
-    // Verify session if sessionId is provided
-    let sessionValid = false;
-    if (global.patternSessions) {
-      const session = global.patternSessions.get(sessionId);
-      if (!session) {
-        console.warn(`Session ID ${sessionId} not found in active sessions`);
-      } else if (session.username !== username) {
-        console.warn(`Session username mismatch: ${session.username} vs ${username}`);
-      } else if (session.sessionToken !== sessionToken) {
-        console.warn('Session token mismatch');
-      } else if (session.expiresAt < new Date()) {
-        console.warn('Session expired');
-      } else {
-        console.log('Found matching session for verification');
-        sessionValid = true;
-      }
+    // The grids being answered were issued to this session, so it must be live
+    if (!(await getPatternSession(sessionId, username, sessionToken))) {
+      throw new SecurityError('Invalid or expired pattern session', 401);
     }
     
     // Find user
@@ -512,44 +857,26 @@ router.post('/verify-pattern', async (req, res, next) => {
       throw new SecurityError('User not found');
     }
     
-    // Verify that the sessionId matches the one saved for this user
-    // If sessionValid is already true from global sessions, we can skip this check
-    if (!sessionValid) {
-      // Check if user has a stored sessionId that matches the provided one
-      if (!user.patternSessionId) {
-        console.warn('User has no stored session ID');
-        // Continue anyway - this might be a first login after pattern creation
-      } else if (user.patternSessionId !== sessionId) {
-        console.warn('User session ID mismatch', {
-          providedSessionId: sessionId,
-          storedSessionId: user.patternSessionId
-        });
-        // We'll still try to validate with the stored sessionId
-        console.log('Will attempt validation with stored sessionId instead');
-      } else {
-        console.log('Using stored session ID for validation');
-        sessionValid = true;
-      }
+    // A locked account gets no guesses at its pattern, even from a pattern
+    // session opened before the lock
+    if (checkAccountLock(user)) {
+      await user.save();
     }
     
-    // Use the user model's validatePassMatrix method for consistent hashing
-    console.log('Validating pattern using user model method');
-    
-    // Pass the sessionId as the userId parameter for consistent hashing
-    const isMatch = await user.validatePassMatrix(pattern, sessionId);
+    // Read the selected positions against the grids the server served
+    const rounds = await resolvePattern(pattern, sessionId);
     
-    console.log('Verification result from validatePassMatrix:', {
-      isMatch,
-      storedHashLength: user.passMatrixHash ? user.passMatrixHash.length : 0
-    });
+    // Patterns outside the user's policy never match. A match on an outdated
+    // hash also re-hashes it, saved with the user below.
+    const isMatch = await user.validatePassMatrix(rounds);
     
     console.log('Pattern validation result:', { isMatch });
     
     try {
       // Log verification attempt without awaiting to prevent blocking
       logSecurityEvent(req, {
-        event_type: isMatch ? 'PATTERN_VERIFIED' : 'PATTERN_VERIFICATION_FAILED',
-        data: {
+        event_type: isMatch ? 'PATTERN_VERIFICATION_SUCCESS' : 'PATTERN_VERIFICATION_FAILED',
+        details: {
           username,
           success: isMatch
         }
@@ -561,26 +888,7 @@ router.post('/verify-pattern', async (req, res, next) => {
     
     if (!isMatch) {
       // Increment failed attempts
-      user.loginAttempts = (user.loginAttempts || 0) + 1;
-      
-      // Lock account after too many failed attempts
-      if (user.loginAttempts >= MAX_LOGIN_ATTEMPTS) {
-        user.status = 'locked';
-        user.lockedUntil = new Date(Date.now() + LOCKOUT_TIME);
-        try {
-          await logSecurityEvent(req, {
-            event_type: 'ACCOUNT_LOCKED',
-            data: {
-              username,
-              lockedUntil: user.lockedUntil
-            }
-          });
-        } catch (logError) {
-          console.warn('Failed to log account lock:', logError);
-          // Continue despite logging error
-        }
-      }
-      
+      await recordFailedLogin(req, user);
       await user.save();
       
       return res.status(401).json({
@@ -589,14 +897,33 @@ router.post('/verify-pattern', async (req, res, next) => {
       });
     }
     
-    // Reset login attempts on successful verification
-    user.loginAttempts = 0;
-    user.lastLogin = new Date();
+    // A session signs in once; of concurrent attempts only one gets through
+    if (!(await getSessionStore().consume(sessionId))) {
+      throw new SecurityError('Invalid or expired pattern session', 401);
+    }
+    
+    // Reset login attempts on successful verification. With a second factor
+    // to go that waits for it, or wrong codes could be retried forever.
+    const secondFactor = await pendingSecondFactor(user);
+    if (!secondFactor) {
+      user.loginAttempts = 0;
+      user.lastLogin = new Date();
+    }
     await user.save();
     
+    // The grant is what /get-token exchanges for a token, from this client only
+    const grant = await getSessionStore().createGrant({
+      username,
+      sessionId,
+      fingerprint: clientFingerprint(req, sessionToken)
+    }, secondFactor ? TWO_FACTOR_GRANT_TTL_MS : undefined);
+    
     res.json({
       success: true,
-      message: 'Pattern verified successfully'
+      message: 'Pattern verified successfully',
+      grant,
+      twoFactorRequired: secondFactor === 'verify',
+      twoFactorSetupRequired: secondFactor === 'enroll'
     });
   } catch (error) {
     console.error('Error in verify-pattern:', error);
@@ -606,35 +933,48 @@ router.post('/verify-pattern', async (req, res, next) => {
 
 /**
  * @route   POST /auth/complete-registration
- * @desc    Complete user registration after pattern verification
+ * @desc    Complete user registration after pattern verification and email
+ *          a link confirming the address. The account cannot use files until
+ *          the link is opened. Takes the grant from /verify-pattern and
+ *          returns a fresh one for /get-token.
  * @access  Public
  */
 router.post('/complete-registration', async (req, res, next) => {
   try {
-    const { username, email, phoneNumber, sessionToken } = req.body;
+    const { username, email, phoneNumber, sessionId, sessionToken, grant } = req.body;
     
-    if (!username || !email || !sessionToken) {
+    if (!username || !email || !sessionId || !sessionToken || typeof grant !== 'string') {
       throw new SecurityError('Missing required parameters');
     }
     
+    // Only whoever just entered the account's pattern may set its address
+    await redeemSignInGrant(req, { username, sessionId, sessionToken, grant });
+    
     // Find user
     const user = await User.findOne({ username });
     if (!user) {
       throw new SecurityError('User not found');
     }
     
-    // Update user information
+    // A verified address is only changed by the signed-in user
+    if (user.isVerified) {
+      throw new SecurityError('Registration is already complete');
+    }
+    
+    if (email !== user.email && await User.exists({ email, _id: { $ne: user._id } })) {
+      throw new SecurityError('Username or email already exists');
+    }
+    
+    // Update user information. Links sent to an earlier address stop working.
     user.email = email;
     user.phoneNumber = phoneNumber || '';
-    user.isVerified = true;
-    user.status = 'active';
     await user.save();
     
     try {
       // Log registration completion
       await logSecurityEvent(req, {
-        event_type: 'REGISTRATION_COMPLETED',
-        data: {
+        event_type: 'USER_REGISTRATION_COMPLETED',
+        details: {
           userId: user._id,
           username
         }
@@ -644,9 +984,20 @@ router.post('/complete-registration', async (req, res, next) => {
       // Continue despite logging error
     }
     
+    const emailVerificationSent = await sendSignupVerification(req, user);
+    
+    // The grant presented is used up; this one signs the new user in
+    const nextGrant = await getSessionStore().createGrant({
+      username,
+      sessionId,
+      fingerprint: clientFingerprint(req, sessionToken)
+    });
+    
     res.json({
       success: true,
-      message: 'Registration completed successfully'
+      message: 'Registration completed successfully. Check your email to verify your address.',
+      emailVerificationSent,
+      grant: nextGrant
     });
   } catch (error) {
     console.error('Error in complete-registration:', error);
@@ -655,126 +1006,711 @@ router.post('/complete-registration', async (req, res, next) => {
 });
 
 /**
- * @route   POST /auth/get-token
- * @desc    Get authentication token after successful pattern verification
+ * @route   POST /auth/verify-email
+ * @desc    Confirm the user's email address with the token from the link
+ *          emailed to them
  * @access  Public
  */
-router.post('/get-token', async (req, res, next) => {
+router.post('/verify-email', async (req, res, next) => {
   try {
-    const { username, sessionToken } = req.body;
+    const { token } = req.body;
     
-    if (!username || !sessionToken) {
-      throw new SecurityError('Missing required parameters');
+    if (typeof token !== 'string' || !token) {
+      throw new SecurityError('Verification token is required', 400);
     }
     
-    // Find user
-    const user = await User.findOne({ username });
+    const { status, user } = await confirmEmailToken(token);
+    if (status === 'expired') {
+      throw new SecurityError('This verification link has expired. Sign in to request a new one.', 400);
+    }
+    if (status === 'invalid') {
+      throw new SecurityError('Invalid verification link', 400);
+    }
+    
+    if (status === 'verified') {
+      try {
+        await logSecurityEvent(req, {
+          event_type: 'EMAIL_VERIFIED',
+          details: {
+            userId: user._id,
+            username: user.username
+          }
+        });
+      } catch (logError) {
+        console.warn('Failed to log email verification:', logError);
+        // Continue despite logging error
+      }
+    }
+    
+    res.json({
+      success: true,
+      message: status === 'verified' ? 'Email address verified' : 'Email address already verified'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /auth/resend-verification
+ * @desc    Email the signed-in user a new verification link. Earlier links
+ *          stop working. Limited to one email a minute and a few a day.
+ * @access  Private
+ */
+router.post('/resend-verification', authenticateJWT, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
     if (!user) {
       throw new SecurityError('User not found');
     }
     
-    // Generate JWT token
-    const token = jwt.sign(
-      {
-        id: user._id,
-        username: user.username,
-        role: user.role,
-        permissions: user.permissions
-      },
-      process.env.JWT_SECRET || 'default-secret-key',
-      { expiresIn: JWT_EXPIRY }
-    );
+    if (user.isVerified) {
+      throw new SecurityError('Email address already verified', 400);
+    }
     
-    // Set JWT cookie
-    res.cookie('token', token, COOKIE_OPTIONS);
+    const wait = resendWaitSeconds(user);
+    if (wait > 0) {
+      res.set('Retry-After', String(wait));
+      throw new SecurityError(`Please wait ${wait} seconds before requesting another email`, 429);
+    }
+    
+    await sendVerificationEmail(user);
     
     try {
-      // Log token generation
       await logSecurityEvent(req, {
-        event_type: 'TOKEN_GENERATED',
-        data: {
+        event_type: 'EMAIL_VERIFICATION_SENT',
+        details: {
           userId: user._id,
-          username
+          username: user.username,
+          resend: true
         }
       });
     } catch (logError) {
-      console.warn('Failed to log token generation:', logError);
+      console.warn('Failed to log verification email:', logError);
       // Continue despite logging error
     }
     
     res.json({
       success: true,
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        role: user.role,
-        permissions: user.permissions
-      }
+      message: `A new verification link has been sent to ${user.email}`
     });
   } catch (error) {
-    console.error('Error in get-token:', error);
     next(error);
   }
 });
 
 /**
- * @route   POST /auth/request-recovery-otp
- * @desc    Generate and send OTP for pattern recovery
+ * @route   POST /auth/get-token
+ * @desc    Exchange the grant from a successful pattern verification for an
+ *          authentication token. Users with a second factor also send a code
+ *          from their authenticator app or a backup code; users whose role
+ *          requires one and who have none enroll here first. Until then the
+ *          response carries a replacement grant instead of a token.
  * @access  Public
  */
-router.post('/request-recovery-otp', async (req, res, next) => {
+router.post('/get-token', async (req, res, next) => {
   try {
-    const { username, email } = req.body;
+    const { username, sessionId, sessionToken, grant, deviceName, twoFactorCode } = req.body;
     
-    if (!username || !email) {
-      throw new SecurityError('Username and email are required');
+    if (!username || !sessionId || !sessionToken || typeof grant !== 'string') {
+      throw new SecurityError('Missing required parameters');
     }
     
-    // Find user by username
+    await redeemSignInGrant(req, { username, sessionId, sessionToken, grant });
+    
+    // Find user
     const user = await User.findOne({ username });
     if (!user) {
-      // For security reasons, don't reveal that the user doesn't exist
-      // Instead, pretend we sent an email
-      return res.json({
-        success: true,
-        message: 'If a matching account was found, an OTP has been sent to the email address.'
+      throw new SecurityError('User not found');
+    }
+    
+    // Locks and deactivation set after the pattern was verified still count
+    if (checkAccountLock(user)) {
+      await user.save();
+    }
+    
+    const secondFactor = await pendingSecondFactor(user);
+    let backupCodes;
+    if (secondFactor) {
+      // The grant presented is used up, so the next attempt needs a new one
+      const nextGrant = () => getSessionStore().createGrant({
+        username,
+        sessionId,
+        fingerprint: clientFingerprint(req, sessionToken)
+      }, TWO_FACTOR_GRANT_TTL_MS);
+      
+      if (!twoFactorCode) {
+        const prompt = {
+          success: false,
+          twoFactorRequired: secondFactor === 'verify',
+          twoFactorSetupRequired: secondFactor === 'enroll'
+        };
+        if (secondFactor === 'enroll') {
+          prompt.enrollment = await beginEnrollment(user);
+          await user.save();
+        }
+        return res.json({ ...prompt, grant: await nextGrant() });
+      }
+      
+      let method = null;
+      if (secondFactor === 'enroll') {
+        backupCodes = await confirmEnrollment(user, twoFactorCode);
+        method = backupCodes ? 'enrollment' : null;
+      } else {
+        method = await verifySecondFactor(user, twoFactorCode);
+      }
+      
+      try {
+        await logSecurityEvent(req, {
+          event_type: SECOND_FACTOR_EVENTS[method] || 'TWO_FACTOR_FAILED',
+          details: {
+            userId: user._id,
+            username,
+            stage: secondFactor
+          }
+        });
+      } catch (logError) {
+        console.warn('Failed to log second factor attempt:', logError);
+        // Continue despite logging error
+      }
+      
+      if (!method) {
+        await recordFailedLogin(req, user);
+        await user.save();
+        
+        const locked = user.status === 'locked';
+        return res.status(403).json({
+          success: false,
+          message: locked ? 'Too many failed attempts. Account is locked.' : 'Invalid authentication code',
+          twoFactorRequired: secondFactor === 'verify',
+          twoFactorSetupRequired: secondFactor === 'enroll',
+          grant: locked ? undefined : await nextGrant()
+        });
+      }
+      
+      user.loginAttempts = 0;
+      user.lastLogin = new Date();
+      await user.save();
+    }
+    
+    // Start a device session and issue its first token pair
+    const refreshSession = await startRefreshSession(user, req, deviceName);
+    const token = signAccessToken(user, refreshSession.sessionId);
+    
+    // Set JWT cookie
+    res.cookie('token', token, COOKIE_OPTIONS);
+    
+    try {
+      // Log token generation
+      await logSecurityEvent(req, {
+        event_type: 'TOKEN_GENERATED',
+        details: {
+          userId: user._id,
+          username
+        }
+      });
+    } catch (logError) {
+      console.warn('Failed to log token generation:', logError);
+      // Continue despite logging error
+    }
+
+    try {
+      // The sign-in the anomaly rules compare later sign-ins against
+      await logSecurityEvent(req, {
+        event_type: 'LOGIN_SUCCESS',
+        user_id: user._id,
+        username,
+        details: {
+          sessionId: refreshSession.sessionId
+        }
+      });
+    } catch (logError) {
+      console.warn('Failed to log sign-in:', logError);
+      // Continue despite logging error
+    }
+
+    res.json({
+      success: true,
+      token,
+      refreshToken: refreshSession.refreshToken,
+      backupCodes,
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        role: user.role,
+        permissions: user.permissions,
+        isVerified: user.isVerified
+      }
+    });
+  } catch (error) {
+    console.error('Error in get-token:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /auth/refresh
+ * @desc    Exchange a refresh token for a new access and refresh token.
+ *          Each refresh token works once; presenting a used one revokes
+ *          its device session.
+ * @access  Public
+ */
+router.post('/refresh', async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    if (typeof refreshToken !== 'string' || !refreshToken) {
+      throw new SecurityError('Refresh token is required', 401);
+    }
+    
+    const { user, refreshToken: nextRefreshToken, sessionId } = await rotateRefreshToken(refreshToken, req);
+    
+    if (user.status !== 'active') {
+      await revokeRefreshSessions(user._id, sessionId);
+      throw new SecurityError(`Your account is ${user.status}`, 401);
+    }
+    
+    const token = signAccessToken(user, sessionId);
+    res.cookie('token', token, COOKIE_OPTIONS);
+    
+    res.json({
+      success: true,
+      token,
+      refreshToken: nextRefreshToken
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /auth/sessions
+ * @desc    List the user's signed-in device sessions
+ * @access  Private
+ */
+router.get('/sessions', authenticateJWT, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('refreshTokens');
+    if (!user) {
+      throw new SecurityError('User not found');
+    }
+    
+    const now = new Date();
+    const sessions = user.refreshTokens
+      .filter(session => session.expiresAt > now)
+      .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+      .map(session => ({
+        id: session.sessionId,
+        deviceName: session.deviceName,
+        ipAddress: session.ipAddress,
+        userAgent: session.userAgent,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session.sessionId === req.user.sessionId
+      }));
+    
+    res.json({ sessions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /auth/sessions/:sessionId
+ * @desc    Sign out one device session
+ * @access  Private
+ */
+router.delete('/sessions/:sessionId', authenticateJWT, async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    
+    if (!(await revokeRefreshSessions(req.user.id, sessionId))) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    
+    try {
+      await logSecurityEvent(req, {
+        event_type: 'TOKEN_INVALIDATED',
+        details: {
+          userId: req.user.id,
+          username: req.user.username,
+          sessionId,
+          reason: 'session_revoked'
+        }
+      });
+    } catch (logError) {
+      console.warn('Failed to log session revocation:', logError);
+      // Continue despite logging error
+    }
+    
+    if (sessionId === req.user.sessionId) {
+      res.clearCookie('token', COOKIE_OPTIONS);
+    }
+    
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /auth/sessions
+ * @desc    Sign out every device session, including this one
+ * @access  Private
+ */
+router.delete('/sessions', authenticateJWT, async (req, res, next) => {
+  try {
+    await revokeRefreshSessions(req.user.id);
+    
+    try {
+      await logSecurityEvent(req, {
+        event_type: 'TOKEN_INVALIDATED',
+        details: {
+          userId: req.user.id,
+          username: req.user.username,
+          reason: 'all_sessions_revoked'
+        }
+      });
+    } catch (logError) {
+      console.warn('Failed to log session revocation:', logError);
+      // Continue despite logging error
+    }
+    
+    res.clearCookie('token', COOKIE_OPTIONS);
+    res.json({ message: 'All sessions revoked' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /auth/webauthn/register/options
+ * @desc    Start registering a passkey for the signed-in user
+ * @access  Private
+ */
+router.post('/webauthn/register/options', authenticateJWT, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      throw new SecurityError('User not found');
+    }
+    
+    if (user.webauthnCredentials.length >= MAX_WEBAUTHN_CREDENTIALS) {
+      throw new SecurityError(`You can register at most ${MAX_WEBAUTHN_CREDENTIALS} passkeys`, 400);
+    }
+    
+    const options = await registrationOptions(user);
+    const challengeId = await getSessionStore().createChallenge({
+      challenge: options.challenge,
+      purpose: 'registration',
+      userId: String(user._id)
+    });
+    
+    res.json({ challengeId, options });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /auth/webauthn/register/verify
+ * @desc    Finish registering a passkey with the authenticator's response
+ * @access  Private
+ */
+router.post('/webauthn/register/verify', authenticateJWT, async (req, res, next) => {
+  try {
+    const { challengeId, response, name } = req.body;
+    
+    if (!challengeId || !response || typeof response.id !== 'string') {
+      throw new SecurityError('Missing required parameters', 400);
+    }
+    
+    const ceremony = await getSessionStore().takeChallenge(challengeId, 'registration');
+    if (!ceremony || String(ceremony.userId) !== String(req.user.id)) {
+      throw new SecurityError('Invalid or expired passkey challenge', 400);
+    }
+    
+    const credential = await verifyRegistration(response, ceremony.challenge);
+    if (!credential) {
+      throw new SecurityError('Passkey registration failed', 400);
+    }
+    
+    // A credential signs in one account only
+    if (await User.exists({ 'webauthnCredentials.credentialId': credential.credentialId })) {
+      throw new SecurityError('This passkey is already registered', 409);
+    }
+    
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      throw new SecurityError('User not found');
+    }
+    user.webauthnCredentials.push({
+      ...credential,
+      name: String(name || 'Passkey').slice(0, 100)
+    });
+    await user.save();
+    
+    try {
+      await logSecurityEvent(req, {
+        event_type: 'PASSKEY_REGISTERED',
+        details: {
+          userId: user._id,
+          username: user.username,
+          credentialId: credential.credentialId
+        }
+      });
+    } catch (logError) {
+      console.warn('Failed to log passkey registration:', logError);
+      // Continue despite logging error
+    }
+    
+    res.status(201).json({ credentials: describeCredentials(user) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /auth/webauthn/credentials
+ * @desc    List the user's passkeys
+ * @access  Private
+ */
+router.get('/webauthn/credentials', authenticateJWT, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('webauthnCredentials');
+    if (!user) {
+      throw new SecurityError('User not found');
+    }
+    
+    res.json({ credentials: describeCredentials(user) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /auth/webauthn/credentials/:credentialId
+ * @desc    Remove one of the user's passkeys
+ * @access  Private
+ */
+router.delete('/webauthn/credentials/:credentialId', authenticateJWT, async (req, res, next) => {
+  try {
+    const { credentialId } = req.params;
+    
+    const result = await User.updateOne(
+      { _id: req.user.id, 'webauthnCredentials.credentialId': credentialId },
+      { $pull: { webauthnCredentials: { credentialId } } }
+    );
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ message: 'Passkey not found' });
+    }
+    
+    try {
+      await logSecurityEvent(req, {
+        event_type: 'PASSKEY_REMOVED',
+        details: {
+          userId: req.user.id,
+          username: req.user.username,
+          credentialId
+        }
       });
+    } catch (logError) {
+      console.warn('Failed to log passkey removal:', logError);
+      // Continue despite logging error
+    }
+    
+    res.json({ message: 'Passkey removed' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /auth/webauthn/login/options
+ * @desc    Start signing in with a passkey instead of a pattern. With a
+ *          username only that user's passkeys are offered; without one the
+ *          browser lets the user pick any passkey for this site.
+ * @access  Public
+ */
+router.post('/webauthn/login/options', async (req, res, next) => {
+  try {
+    const { username, sessionToken } = req.body;
+    
+    if (!sessionToken) {
+      throw new SecurityError('Session token is required');
+    }
+    
+    let user = null;
+    if (username) {
+      user = await User.findOne({ username });
+      if (!user || user.webauthnCredentials.length === 0) {
+        throw new SecurityError('No passkey is registered for this account', 400);
+      }
+    }
+    
+    const options = await authenticationOptions(user);
+    const challengeId = await getSessionStore().createChallenge({
+      challenge: options.challenge,
+      purpose: 'authentication',
+      userId: user ? String(user._id) : null,
+      fingerprint: clientFingerprint(req, sessionToken)
+    });
+    
+    res.json({ challengeId, options });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /auth/webauthn/login/verify
+ * @desc    Verify a passkey assertion. Like a verified pattern this returns a
+ *          grant for /get-token, with the challenge id as its session id;
+ *          a second factor, if the user has one, is still asked for there.
+ * @access  Public
+ */
+router.post('/webauthn/login/verify', async (req, res, next) => {
+  try {
+    const { challengeId, response, sessionToken } = req.body;
+    
+    if (!challengeId || !sessionToken || !response || typeof response.id !== 'string') {
+      throw new SecurityError('Missing required parameters');
     }
     
-    // Verify email matches the user's email
-    if (user.email.toLowerCase() !== email.toLowerCase()) {
-      // For security reasons, don't reveal that the email doesn't match
-      return res.json({
-        success: true,
-        message: 'If a matching account was found, an OTP has been sent to the email address.'
+    // The challenge is single use and answered by the client it was issued to
+    const fingerprint = clientFingerprint(req, sessionToken);
+    const ceremony = await getSessionStore().takeChallenge(challengeId, 'authentication');
+    if (!ceremony || ceremony.fingerprint !== fingerprint) {
+      throw new SecurityError('Invalid or expired passkey challenge', 401);
+    }
+    
+    const user = await User.findOne({ 'webauthnCredentials.credentialId': response.id });
+    const credential = user && user.webauthnCredentials.find(entry => entry.credentialId === response.id);
+    if (!credential || (ceremony.userId && String(ceremony.userId) !== String(user._id))) {
+      throw new SecurityError('Passkey verification failed', 401);
+    }
+    
+    if (checkAccountLock(user)) {
+      await user.save();
+    }
+    
+    // A discoverable passkey names its account; it must be the one it is stored on
+    const { userHandle } = response.response || {};
+    const handleMatches = !userHandle || userHandle === Buffer.from(String(user._id)).toString('base64url');
+    const isMatch = handleMatches && await verifyAuthentication(response, ceremony.challenge, credential);
+    
+    try {
+      await logSecurityEvent(req, {
+        event_type: isMatch ? 'PASSKEY_VERIFIED' : 'PASSKEY_VERIFICATION_FAILED',
+        details: {
+          userId: user._id,
+          username: user.username,
+          credentialId: credential.credentialId
+        }
       });
+    } catch (logError) {
+      console.warn('Failed to log passkey verification:', logError);
+      // Continue despite logging error
     }
     
-    // Generate OTP
-    const otpService = require('../utils/otp');
-    const emailService = require('../utils/email');
-    const otp = otpService.generateOtp();
+    if (!isMatch) {
+      await recordFailedLogin(req, user);
+      await user.save();
+      
+      return res.status(401).json({
+        success: false,
+        message: 'Passkey verification failed'
+      });
+    }
     
-    // Store hashed OTP and expiry in user record
-    user.recoveryOtp = otpService.hashOtp(otp);
-    user.recoveryOtpExpires = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
+    // An admin cleared the pattern; recovery sets a new one before any sign-in
+    if (!user.passMatrixHash) {
+      throw new SecurityError('Your pattern was reset. Use account recovery to set a new one.');
+    }
     
+    // As after a pattern, the attempt count waits for any second factor
+    const secondFactor = await pendingSecondFactor(user);
+    if (!secondFactor) {
+      user.loginAttempts = 0;
+      user.lastLogin = new Date();
+    }
+    await user.save();
+    
+    const grant = await getSessionStore().createGrant({
+      username: user.username,
+      sessionId: challengeId,
+      fingerprint
+    }, secondFactor ? TWO_FACTOR_GRANT_TTL_MS : undefined);
+    
+    res.json({
+      success: true,
+      message: 'Passkey verified successfully',
+      username: user.username,
+      sessionId: challengeId,
+      grant,
+      twoFactorRequired: secondFactor === 'verify',
+      twoFactorSetupRequired: secondFactor === 'enroll'
+    });
+  } catch (error) {
+    console.error('Error in webauthn login verify:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /auth/request-recovery-otp
+ * @desc    Email a one-time code for recovering the account, if its email
+ *          address is verified. The response does not reveal whether the
+ *          username and email matched.
+ * @access  Public
+ */
+router.post('/request-recovery-otp', async (req, res, next) => {
+  try {
+    const { username, email } = req.body;
+    
+    if (!username || !email) {
+      throw new SecurityError('Username and email are required');
+    }
+    
+    const genericResponse = {
+      success: true,
+      message: 'If a matching account was found, an OTP has been sent to the email address.'
+    };
+    
+    // For security reasons, don't reveal that the user doesn't exist or
+    // that the email doesn't match
+    const user = await User.findOne({ username });
+    if (!user || user.email.toLowerCase() !== String(email).toLowerCase()) {
+      return res.json(genericResponse);
+    }
+    
+    // An address nobody confirmed may not be the owner's, so it cannot
+    // recover the account; recovery codes still can
+    if (!user.isVerified) {
+      return res.json(genericResponse);
+    }
+    
+    const wait = recoveryWaitSeconds(user, true);
+    if (wait > 0) {
+      res.set('Retry-After', String(wait));
+      throw new SecurityError(`Please wait ${wait} seconds before requesting another code`, 429);
+    }
+    
+    const otp = issueRecoveryOtp(user);
     await user.save();
     
-    // Send OTP email
     await emailService.sendOtpEmail({
       email: user.email,
       username: user.username,
       otp
     });
     
-    // Log the event
     try {
       await logSecurityEvent(req, {
         event_type: 'OTP_GENERATED',
-        data: {
+        details: {
           userId: user._id,
           username: user.username
         }
@@ -784,10 +1720,7 @@ router.post('/request-recovery-otp', async (req, res, next) => {
       // Continue despite logging error
     }
     
-    res.json({
-      success: true,
-      message: 'If a matching account was found, an OTP has been sent to the email address.'
-    });
+    res.json(genericResponse);
   } catch (error) {
     console.error('Error in request-recovery-otp:', error);
     next(error);
@@ -796,7 +1729,7 @@ router.post('/request-recovery-otp', async (req, res, next) => {
 
 /**
  * @route   POST /auth/verify-recovery-otp
- * @desc    Verify OTP for pattern recovery and generate reset session token
+ * @desc    Check the emailed recovery code and open a reset session
  * @access  Public
  */
 router.post('/verify-recovery-otp', async (req, res, next) => {
@@ -807,77 +1740,177 @@ router.post('/verify-recovery-otp', async (req, res, next) => {
       throw new SecurityError('Username and OTP are required');
     }
     
-    // Find user
+    // Codes emailed to an address that was never verified do not count
+    const resetToken = await proveAccountOwnership(req, username, 'otp', user => user.isVerified && verifyRecoveryOtp(user, otp));
+    
+    res.json({
+      success: true,
+      message: 'OTP verified successfully',
+      resetToken,
+      username
+    });
+  } catch (error) {
+    console.error('Error in verify-recovery-otp:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /auth/verify-recovery-code
+ * @desc    Open a reset session with one of the user's recovery codes,
+ *          instead of an emailed code
+ * @access  Public
+ */
+router.post('/verify-recovery-code', async (req, res, next) => {
+  try {
+    const { username, code } = req.body;
+    
+    if (!username || !code) {
+      throw new SecurityError('Username and recovery code are required');
+    }
+    
+    const resetToken = await proveAccountOwnership(req, username, 'recovery_code', user => redeemRecoveryCode(user, code));
+    
+    res.json({
+      success: true,
+      message: 'Recovery code accepted',
+      resetToken,
+      username
+    });
+  } catch (error) {
+    console.error('Error in verify-recovery-code:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /auth/reset-pattern
+ * @desc    Set a new pattern in a reset session, entered on grids from a
+ *          pattern session like any other pattern. Signs out every device.
+ * @access  Public
+ */
+router.post('/reset-pattern', async (req, res, next) => {
+  try {
+    const { username, resetToken, pattern, sessionId, sessionToken } = req.body;
+    
+    if (!username || !resetToken || !sessionId || !sessionToken || !isValidPattern(pattern)) {
+      throw new SecurityError('Missing required parameters');
+    }
+    
     const user = await User.findOne({ username });
-    if (!user) {
-      throw new SecurityError('Invalid credentials');
+    if (!user || !checkResetToken(user, resetToken)) {
+      throw new SecurityError('Invalid or expired reset session', 401);
     }
     
-    // Check if OTP exists and is not expired
-    if (!user.recoveryOtp || !user.recoveryOtpExpires) {
-      throw new SecurityError('No recovery OTP found. Please request a new one.');
+    if (!(await getPatternSession(sessionId, username, sessionToken))) {
+      throw new SecurityError('Invalid or expired pattern session', 401);
     }
     
-    // Check if OTP is expired
-    if (user.recoveryOtpExpires < new Date()) {
-      throw new SecurityError('OTP has expired. Please request a new one.');
+    const rounds = await resolvePattern(pattern, sessionId);
+    const policyError = user.checkPatternPolicy(rounds);
+    if (policyError) {
+      throw new SecurityError(policyError, 400);
     }
     
-    // Verify OTP
-    const otpService = require('../utils/otp');
-    const isValid = otpService.verifyHashedOtp(otp, user.recoveryOtp);
+    if (!(await getSessionStore().consume(sessionId))) {
+      throw new SecurityError('Invalid or expired pattern session', 401);
+    }
     
-    if (!isValid) {
-      // Log failed verification
-      try {
-        await logSecurityEvent(req, {
-          event_type: 'OTP_VERIFIED_FAILED',
-          data: {
-            userId: user._id,
-            username: user.username
-          }
-        });
-      } catch (logError) {
-        console.warn('Failed to log OTP verification failure:', logError);
-      }
-      
-      throw new SecurityError('Invalid OTP. Please try again.');
+    await user.setPassMatrix(rounds);
+    endResetSession(user);
+    
+    // Proving ownership also lifts a timed lock, as failed sign-ins and
+    // anomaly rules set; a lock with no end is an admin's to lift
+    user.loginAttempts = 0;
+    if (user.status === 'locked' && user.lockedUntil) {
+      user.status = 'active';
+      user.lockedUntil = null;
+    }
+    await user.save();
+    
+    // Whoever knew the old pattern may be signed in somewhere
+    await revokeRefreshSessions(user._id);
+    
+    try {
+      await logSecurityEvent(req, {
+        event_type: 'PATTERN_RESET',
+        details: {
+          userId: user._id,
+          username
+        }
+      });
+    } catch (logError) {
+      console.warn('Failed to log pattern reset:', logError);
+      // Continue despite logging error
     }
     
-    // Generate reset session token
-    const resetSessionToken = crypto.randomBytes(32).toString('hex');
+    await notifyAccountOwner(req, user, 'Pattern reset through account recovery');
     
-    // Store reset session token and expiry
-    user.resetSessionToken = resetSessionToken;
-    user.resetSessionExpires = new Date(Date.now() + 30 * 60 * 1000); // 30 minutes
+    res.json({
+      success: true,
+      message: 'Pattern reset successfully. Sign in with your new pattern.'
+    });
+  } catch (error) {
+    console.error('Error in reset-pattern:', error);
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /auth/recovery-codes
+ * @desc    Get how many unused recovery codes the user has
+ * @access  Private
+ */
+router.get('/recovery-codes', authenticateJWT, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('recovery.codes recovery.codesGeneratedAt');
+    if (!user) {
+      throw new SecurityError('User not found');
+    }
     
-    // Clear the used OTP
-    user.recoveryOtp = undefined;
-    user.recoveryOtpExpires = undefined;
+    res.json(describeRecoveryCodes(user));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /auth/recovery-codes
+ * @desc    Generate a new set of recovery codes, replacing any earlier set.
+ *          The codes are returned only this once.
+ * @access  Private
+ */
+router.post('/recovery-codes', authenticateJWT, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      throw new SecurityError('User not found');
+    }
     
+    const codes = issueRecoveryCodes(user);
     await user.save();
     
-    // Log successful verification
     try {
       await logSecurityEvent(req, {
-        event_type: 'OTP_VERIFIED_SUCCESS',
-        data: {
+        event_type: 'RECOVERY_CODES_GENERATED',
+        details: {
           userId: user._id,
           username: user.username
         }
       });
     } catch (logError) {
-      console.warn('Failed to log OTP verification success:', logError);
+      console.warn('Failed to log recovery code generation:', logError);
+      // Continue despite logging error
     }
     
+    // New codes are a way into the account, so the owner hears about them
+    await notifyAccountOwner(req, user, 'New recovery codes generated');
+    
     res.json({
-      success: true,
-      message: 'OTP verified successfully',
-      resetSessionToken,
-      username: user.username
+      ...describeRecoveryCodes(user),
+      codes
     });
   } catch (error) {
-    console.error('Error in verify-recovery-otp:', error);
     next(error);
   }
 });
@@ -1,15 +1,27 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const fsPromises = require('fs').promises;
+const { promisify } = require('util');
+const pipeline = promisify(require('stream').pipeline);
 const { v4: uuidv4 } = require('uuid');
 const { File, FileAccessLog } = require('../models/file');
+const { Folder, ROOT_FOLDER_ID, applyFolderShares } = require('../models/folder');
+const { User, DEFAULT_VERSION_RETENTION } = require('../models/user');
+const { ShareLink } = require('../models/shareLink');
+const { UploadTicket, TICKET_EXPIRY_SECONDS } = require('../models/uploadTicket');
+const { UploadSession } = require('../models/uploadSession');
 const { authenticateJWT, checkPermission } = require('../middleware/auth');
 const { logSecurityEvent, SecurityError } = require('../middleware/security');
-const { EncryptionService } = require('../utils/encryption');
+const { EncryptionService, encryptClientKey } = require('../utils/encryption');
 const FileValidationService = require('../utils/fileValidation');
+const { storage: fileStorage } = require('../utils/storage');
+const { TRASH_RETENTION_DAYS, removeStoredFiles, purgeFile } = require('../utils/trash');
+const { CLIENT_IV_LENGTH, CLIENT_TAG_LENGTH, unwrapFileKey, checkFileKey, sendFileContent } = require('../utils/fileDelivery');
+const { parseWrappedKeys, fillRecipientKeys, sendKeysRequired } = require('../utils/shareKeys');
 
 // Constants
 const UPLOAD_FOLDER = process.env.UPLOAD_FOLDER || path.join(__dirname, '../uploads');
@@ -23,6 +35,13 @@ const ALLOWED_MIME_TYPES = new Set([
   'image/gif',
   'text/plain'
 ]);
+// Resumable upload sessions allow larger files, limited per role
+const MAX_UPLOAD_SIZE_BY_ROLE = {
+  admin: parseInt(process.env.MAX_UPLOAD_SIZE_ADMIN) || 5 * 1024 * 1024 * 1024, // 5GB default
+  user: parseInt(process.env.MAX_UPLOAD_SIZE_USER) || 1024 * 1024 * 1024 // 1GB default
+};
+const UPLOAD_CHUNK_SIZE = parseInt(process.env.UPLOAD_CHUNK_SIZE) || 5 * 1024 * 1024; // 5MB default
+const MIN_LINK_PASSPHRASE_LENGTH = 8;
 
 // Ensure upload directory exists
 if (!fs.existsSync(UPLOAD_FOLDER)) {
@@ -68,16 +87,24 @@ const logFileAccess = async (req, fileId, action) => {
       file: fileId,
       user: req.user.id,
       action,
-      ip_address: req.ip,
-      user_agent: req.headers['user-agent']
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
     });
     
-    await accessLog.save();
+    await accessLog.appendToChain();
   } catch (error) {
     console.error('Error logging file access:', error);
   }
 };
 
+/**
+ * Helper function to get how many archived versions a user keeps per file
+ */
+const getVersionRetention = async (userId) => {
+  const user = await User.findById(userId).select('versionRetention');
+  return user?.versionRetention || DEFAULT_VERSION_RETENTION;
+};
+
 /**
  * Helper function to check file access
  */
@@ -89,13 +116,13 @@ const checkFileAccess = async (req, fileId, requireWriteAccess = false) => {
   }
   
   // Check if user is the owner
-  if (file.owner.toString() === req.user.id) {
+  if (file.owner.equals(req.user.id)) {
     return file;
   }
   
   // Check if file is shared with the user
   const sharedWithUser = file.sharedWith.find(
-    share => share.user.toString() === req.user.id
+    share => share.user.equals(req.user.id)
   );
   
   if (!sharedWithUser) {
@@ -110,6 +137,130 @@ const checkFileAccess = async (req, fileId, requireWriteAccess = false) => {
   return file;
 };
 
+/**
+ * Helper function to resolve a destination folder owned by the current
+ * user. Returns null for the root folder.
+ */
+const getTargetFolder = async (req, folderId) => {
+  if (!folderId || folderId === ROOT_FOLDER_ID) {
+    return null;
+  }
+
+  const folder = await Folder.findOwned(folderId, req.user.id);
+  if (!folder) {
+    throw new SecurityError('Folder not found', 404);
+  }
+  return folder;
+};
+
+/**
+ * Helper function to wrap a new file key for everyone the file is shared
+ * with. Recipients without a registered public key get no key until the
+ * owner shares the file with them again.
+ */
+const wrapKeyForRecipients = async (file, fileKey) => {
+  if (file.sharedWith.length === 0) return;
+
+  const recipients = await User.find({
+    _id: { $in: file.sharedWith.map(share => share.user) }
+  }).select('publicKey');
+
+  file.sharedWith.forEach(share => {
+    const recipient = recipients.find(user => user._id.equals(share.user));
+    if (recipient && recipient.publicKey) {
+      share.wrappedKey = EncryptionService.encryptKey(fileKey, recipient.publicKey);
+    }
+  });
+};
+
+/**
+ * Helper function to store uploaded content. Uploading a name the user
+ * already has in the same folder adds a new version to that file instead
+ * of a new file, and versions beyond the user's retention count are pruned.
+ * New files inherit the shares of their folder, and the file key is wrapped
+ * for every recipient.
+ */
+const saveUploadedFile = async (req, data, folder = null, fileKey) => {
+  const existing = await File.findOne({
+    owner: req.user.id,
+    folder: folder ? folder._id : null,
+    originalName: data.originalName,
+    isDeleted: { $ne: true }
+  });
+
+  if (!existing) {
+    const file = new File({
+      ...data,
+      owner: req.user.id,
+      folder: folder ? folder._id : null,
+      uploadedBy: req.user.id
+    });
+    applyFolderShares(file, folder);
+    await wrapKeyForRecipients(file, fileKey);
+    await file.save();
+    return file;
+  }
+
+  existing.addVersion({ ...data, uploadedBy: req.user.id });
+  await wrapKeyForRecipients(existing, fileKey);
+  const orphanedPaths = existing.pruneVersions(await getVersionRetention(req.user.id));
+  await existing.save();
+  await removeStoredFiles(orphanedPaths);
+
+  return existing;
+};
+
+/**
+ * Helper function to validate a plaintext upload, encrypt it with a fresh
+ * file key and create its File record. The plaintext file is removed once
+ * the encrypted copy has been stored.
+ */
+const encryptAndStoreFile = async (req, { plaintextPath, originalName, contentType, size, maxSize, folder }) => {
+  // Validate file
+  const validation = await FileValidationService.validateFile(plaintextPath, originalName, { maxSize });
+  if (!validation.isValid) {
+    await fsPromises.unlink(plaintextPath);
+    throw new SecurityError(validation.error);
+  }
+
+  // Calculate file hash for integrity
+  const fileHash = await FileValidationService.calculateFileHash(plaintextPath);
+
+  // Generate encryption key for the file
+  const fileKey = await EncryptionService.generateKey();
+
+  // Create encrypted file
+  const encryptedFilePath = plaintextPath + '.encrypted';
+  const readStream = fs.createReadStream(plaintextPath);
+  const writeStream = fs.createWriteStream(encryptedFilePath);
+
+  const { iv, segmentSize } = await EncryptionService.encryptSegmentedStream(readStream, writeStream, fileKey);
+
+  // Encrypt file key with user's public key
+  const encryptedKey = EncryptionService.encryptKey(fileKey, req.user.publicKey);
+
+  // Create file record, or a new version of an existing one
+  const file = await saveUploadedFile(req, {
+    filename: path.basename(encryptedFilePath),
+    originalName,
+    contentType,
+    size,
+    path: encryptedFilePath,
+    encryptionKey: encryptedKey,
+    encryptionMetadata: {
+      version: 2,
+      iv: iv.toString('base64'),
+      segmentSize
+    },
+    hash: fileHash
+  }, folder, fileKey);
+
+  // Delete original unencrypted file
+  await fsPromises.unlink(plaintextPath);
+
+  return { file, fileHash };
+};
+
 /**
  * @route   POST /files/upload
  * @desc    Upload and encrypt a file
@@ -121,55 +272,22 @@ router.post('/upload', authenticateJWT, checkPermission(['file:upload']), upload
       throw new Error('No file uploaded');
     }
 
-    // Validate file
-    const validation = await FileValidationService.validateFile(req.file.path, req.file.originalname);
-    if (!validation.isValid) {
-      await fsPromises.unlink(req.file.path);
-      throw new SecurityError(validation.error);
-    }
-
-    // Calculate file hash for integrity
-    const fileHash = await FileValidationService.calculateFileHash(req.file.path);
-
-    // Generate encryption key for the file
-    const fileKey = await EncryptionService.generateKey();
-    
-    // Create encrypted file
-    const encryptedFilePath = req.file.path + '.encrypted';
-    const readStream = fs.createReadStream(req.file.path);
-    const writeStream = fs.createWriteStream(encryptedFilePath);
-
-    const { iv, authTag } = await EncryptionService.encryptStream(readStream, writeStream, fileKey);
-
-    // Encrypt file key with user's public key
-    const encryptedKey = EncryptionService.encryptKey(fileKey, req.user.publicKey);
-
-    // Create file record
-    const file = new File({
-      filename: path.basename(encryptedFilePath),
+    const { file, fileHash } = await encryptAndStoreFile(req, {
+      plaintextPath: req.file.path,
       originalName: req.file.originalname,
       contentType: req.file.mimetype,
       size: req.file.size,
-      path: encryptedFilePath,
-      encryptionKey: encryptedKey,
-      encryptionMetadata: {
-        iv: iv.toString('base64'),
-        authTag: authTag.toString('base64')
-      },
-      hash: fileHash,
-      owner: req.user.id
+      folder: await getTargetFolder(req, req.body.folder_id)
     });
 
-    await file.save();
-
-    // Delete original unencrypted file
-    await fsPromises.unlink(req.file.path);
-
     // Log the upload
-    await logSecurityEvent(req, 'FILE_UPLOAD', {
-      fileId: file._id,
-      filename: file.originalName,
-      hash: fileHash
+    await logSecurityEvent(req, {
+      event_type: 'FILE_UPLOAD',
+      details: {
+        fileId: file._id,
+        filename: file.originalName,
+        hash: fileHash
+      }
     });
 
     // Log file access
@@ -182,7 +300,8 @@ router.post('/upload', authenticateJWT, checkPermission(['file:upload']), upload
         name: file.originalName,
         size: file.size,
         type: file.contentType,
-        hash: fileHash
+        hash: fileHash,
+        version: file.currentVersion
       }
     });
   } catch (error) {
@@ -199,168 +318,1234 @@ router.post('/upload', authenticateJWT, checkPermission(['file:upload']), upload
 });
 
 /**
- * @route   GET /files/:id
- * @desc    Download a file
+ * Helper function to load an upload session owned by the current user
+ */
+const getUploadSession = async (req, sessionId) => {
+  const session = await UploadSession.findOne({ sessionId, user: req.user.id });
+  if (!session) {
+    throw new SecurityError('Upload session not found', 404);
+  }
+  return session;
+};
+
+/**
+ * Helper function to describe an upload session to the client
+ */
+const serializeUploadSession = (session) => ({
+  session_id: session.sessionId,
+  filename: session.filename,
+  size: session.size,
+  chunk_size: session.chunkSize,
+  total_chunks: session.totalChunks,
+  received_chunks: session.chunks.map(chunk => chunk.index).sort((a, b) => a - b),
+  received_ranges: session.receivedRanges(),
+  status: session.status,
+  expires_at: session.expiresAt
+});
+
+/**
+ * @route   POST /files/upload-sessions
+ * @desc    Start a resumable chunked upload
  * @access  Private
  */
-router.get('/:id', authenticateJWT, checkPermission(['file:download']), async (req, res, next) => {
+router.post('/upload-sessions', authenticateJWT, checkPermission(['file:upload']), async (req, res, next) => {
   try {
-    const file = await File.findById(req.params.id);
-    if (!file) {
-      throw new Error('File not found');
+    const { filename, content_type, size, folder_id } = req.body;
+    const declaredSize = Number(size);
+    const maxSize = MAX_UPLOAD_SIZE_BY_ROLE[req.user.role] || MAX_FILE_SIZE;
+
+    if (!filename || typeof filename !== 'string') {
+      throw new SecurityError('Filename is required', 400);
     }
 
-    // Check access permission
-    const hasAccess = file.owner.equals(req.user.id) || 
-      file.sharedWith.some(share => share.user.equals(req.user.id));
-    
-    if (!hasAccess) {
-      throw new SecurityError('Access denied');
+    if (!ALLOWED_MIME_TYPES.has(content_type)) {
+      throw new SecurityError('File type not allowed', 400);
+    }
+
+    if (!Number.isInteger(declaredSize) || declaredSize <= 0) {
+      throw new SecurityError('A valid size is required', 400);
+    }
+
+    if (declaredSize > maxSize) {
+      throw new SecurityError('File size exceeds maximum allowed size', 413);
+    }
+
+    const folder = await getTargetFolder(req, folder_id);
+
+    const session = new UploadSession({
+      sessionId: uuidv4(),
+      user: req.user.id,
+      folder: folder ? folder._id : null,
+      filename: path.basename(filename),
+      contentType: content_type,
+      size: declaredSize,
+      chunkSize: UPLOAD_CHUNK_SIZE,
+      totalChunks: Math.ceil(declaredSize / UPLOAD_CHUNK_SIZE)
+    });
+
+    await session.save();
+
+    res.status(201).json(serializeUploadSession(session));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /files/upload-sessions/:sessionId
+ * @desc    Get the chunks and byte ranges received so far
+ * @access  Private
+ */
+router.get('/upload-sessions/:sessionId', authenticateJWT, async (req, res, next) => {
+  try {
+    const session = await getUploadSession(req, req.params.sessionId);
+    res.json(serializeUploadSession(session));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /files/upload-sessions/:sessionId/chunks/:index
+ * @desc    Upload one numbered chunk; the X-Chunk-Hash header carries its SHA-256
+ * @access  Private
+ */
+router.put('/upload-sessions/:sessionId/chunks/:index', authenticateJWT, checkPermission(['file:upload']), async (req, res, next) => {
+  const chunkHash = String(req.headers['x-chunk-hash'] || '').toLowerCase();
+  const index = Number(req.params.index);
+  let chunkKey;
+
+  try {
+    const session = await getUploadSession(req, req.params.sessionId);
+
+    if (session.status !== 'active') {
+      throw new SecurityError(`Upload session is ${session.status}`, 409);
+    }
+
+    if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+      throw new SecurityError('Invalid chunk index', 400);
+    }
+
+    if (!/^[a-f0-9]{64}$/.test(chunkHash)) {
+      throw new SecurityError('X-Chunk-Hash header must be a SHA-256 hex digest', 400);
     }
 
-    // Create temporary decrypted file
-    const tempPath = path.join(UPLOAD_FOLDER, `temp-${uuidv4()}`);
-    const readStream = fs.createReadStream(file.path);
-    const writeStream = fs.createWriteStream(tempPath);
+    // Retried chunks that already arrived intact are acknowledged without rewriting
+    const existing = session.chunks.find(chunk => chunk.index === index);
+    if (existing) {
+      if (existing.hash !== chunkHash) {
+        throw new SecurityError('Chunk already received with a different hash', 409);
+      }
+      req.resume();
+      return res.json(serializeUploadSession(session));
+    }
+
+    const expectedSize = session.expectedChunkSize(index);
+    chunkKey = path.join('sessions', session.sessionId, `${index}.part`);
+
+    const receivedBytes = await fileStorage.writeStream(chunkKey, req, expectedSize);
+    if (receivedBytes !== expectedSize) {
+      throw new SecurityError(`Chunk ${index} should be ${expectedSize} bytes, received ${receivedBytes}`, 400);
+    }
+
+    const receivedHash = await FileValidationService.calculateFileHash(fileStorage.resolve(chunkKey));
+    if (receivedHash !== chunkHash) {
+      throw new SecurityError(`Chunk ${index} failed hash verification`, 422);
+    }
 
-    // Decrypt the file key
-    const fileKey = EncryptionService.decryptKey(
-      file.encryptionKey,
-      req.user.privateKey
+    const updated = await UploadSession.findOneAndUpdate(
+      { _id: session._id, status: 'active', 'chunks.index': { $ne: index } },
+      { $push: { chunks: { index, size: receivedBytes, hash: receivedHash } } },
+      { new: true }
     );
 
-    // Decrypt the file
-    await EncryptionService.decryptStream(
-      readStream,
-      writeStream,
-      fileKey,
-      Buffer.from(file.encryptionMetadata.iv, 'base64'),
-      Buffer.from(file.encryptionMetadata.authTag, 'base64')
+    if (!updated) {
+      throw new SecurityError('Chunk could not be recorded', 409);
+    }
+
+    res.json(serializeUploadSession(updated));
+  } catch (error) {
+    // Drop partial or corrupt chunk data so the client can retry it
+    if (chunkKey && error.code !== 'EEXIST') {
+      await fileStorage.remove(chunkKey).catch(removeError => {
+        console.error('Error cleaning up chunk:', removeError);
+      });
+    }
+    next(error.code === 'EEXIST' ? new SecurityError('Chunk upload already in progress', 409) : error);
+  }
+});
+
+/**
+ * @route   POST /files/upload-sessions/:sessionId/finalize
+ * @desc    Assemble all chunks, validate and encrypt the file
+ * @access  Private
+ */
+router.post('/upload-sessions/:sessionId/finalize', authenticateJWT, checkPermission(['file:upload']), async (req, res, next) => {
+  let plaintextPath;
+
+  try {
+    const session = await getUploadSession(req, req.params.sessionId);
+
+    if (!session.isComplete()) {
+      return res.status(409).json({
+        error: 'Upload incomplete',
+        message: `Received ${session.chunks.length} of ${session.totalChunks} chunks`,
+        received_ranges: session.receivedRanges()
+      });
+    }
+
+    // Only one finalize may run for a session
+    const claimed = await UploadSession.findOneAndUpdate(
+      { _id: session._id, status: 'active' },
+      { status: 'finalizing' },
+      { new: true }
     );
 
-    // Verify file hash before sending
-    const downloadHash = await FileValidationService.calculateFileHash(tempPath);
-    if (downloadHash !== file.hash) {
-      await fsPromises.unlink(tempPath);
-      throw new SecurityError('File integrity check failed');
+    if (!claimed) {
+      throw new SecurityError(`Upload session is ${session.status}`, 409);
     }
 
-    // Log access
-    await logSecurityEvent(req, 'FILE_DOWNLOAD', {
-      fileId: file._id,
-      filename: file.originalName,
-      hash: downloadHash
+    let result;
+    try {
+      // Assemble chunks in order into a plaintext file in the user's folder
+      const userFolder = path.join(UPLOAD_FOLDER, req.user.id.toString());
+      await fsPromises.mkdir(userFolder, { recursive: true });
+      plaintextPath = path.join(userFolder, `${Date.now()}-${uuidv4()}${path.extname(session.filename)}`);
+
+      for (let index = 0; index < session.totalChunks; index++) {
+        const chunkKey = path.join('sessions', session.sessionId, `${index}.part`);
+        await pipeline(fileStorage.createReadStream(chunkKey), fs.createWriteStream(plaintextPath, { flags: 'a' }));
+      }
+
+      const { size: assembledSize } = await fsPromises.stat(plaintextPath);
+      if (assembledSize !== session.size) {
+        throw new SecurityError('Assembled file size does not match upload session', 400);
+      }
+
+      result = await encryptAndStoreFile(req, {
+        plaintextPath,
+        originalName: session.filename,
+        contentType: session.contentType,
+        size: session.size,
+        maxSize: MAX_UPLOAD_SIZE_BY_ROLE[req.user.role] || MAX_FILE_SIZE,
+        folder: session.folder ? await getTargetFolder(req, session.folder.toString()) : null
+      });
+    } catch (error) {
+      claimed.status = 'failed';
+      await claimed.save();
+      throw error;
+    }
+
+    const { file, fileHash } = result;
+
+    claimed.status = 'completed';
+    claimed.file = file._id;
+    await claimed.save();
+
+    await fileStorage.removeAll(path.join('sessions', session.sessionId));
+
+    await logSecurityEvent(req, {
+      event_type: 'FILE_UPLOAD',
+      details: {
+        fileId: file._id,
+        filename: file.originalName,
+        hash: fileHash,
+        uploadSessionId: session.sessionId
+      }
     });
 
-    // Log file access
-    await logFileAccess(req, file._id, 'download');
+    await logFileAccess(req, file._id, 'upload');
 
-    res.download(tempPath, file.originalName, async (err) => {
-      // Clean up temporary file after download
-      await fsPromises.unlink(tempPath);
-      if (err) {
-        next(err);
+    res.status(201).json({
+      message: 'File uploaded successfully',
+      file: {
+        id: file._id,
+        name: file.originalName,
+        size: file.size,
+        type: file.contentType,
+        hash: fileHash,
+        version: file.currentVersion
       }
     });
   } catch (error) {
+    if (plaintextPath) {
+      await fsPromises.unlink(plaintextPath).catch(() => {});
+    }
     next(error);
   }
 });
 
 /**
- * @route   GET /files
- * @desc    List user's files
+ * @route   POST /files/upload-url
+ * @desc    Issue a presigned, single-use upload ticket for a client-encrypted file
  * @access  Private
  */
-router.get('/', authenticateJWT, async (req, res, next) => {
+router.post('/upload-url', authenticateJWT, checkPermission(['file:upload']), async (req, res, next) => {
   try {
-    // Get files owned by user and shared with user
-    const files = await File.find({
-      $or: [
-        { owner: req.user.id },
-        { 'sharedWith.user': req.user.id }
-      ]
-    }).select('-encryptionKey -encryptionMetadata -path');
+    const { filename, content_type, size } = req.body;
+    const declaredSize = Number(size);
 
-    res.json(files);
+    if (!filename || typeof filename !== 'string') {
+      throw new SecurityError('Filename is required', 400);
+    }
+
+    if (!Number.isInteger(declaredSize) || declaredSize <= CLIENT_IV_LENGTH + CLIENT_TAG_LENGTH) {
+      throw new SecurityError('A valid size is required', 400);
+    }
+
+    if (declaredSize > MAX_FILE_SIZE + CLIENT_IV_LENGTH + CLIENT_TAG_LENGTH) {
+      throw new SecurityError('File size exceeds maximum allowed size', 413);
+    }
+
+    const ticketId = uuidv4();
+    const ticket = new UploadTicket({
+      ticketId,
+      user: req.user.id,
+      filename: path.basename(filename),
+      contentType: content_type || 'application/octet-stream',
+      size: declaredSize,
+      storageKey: path.join(req.user.id.toString(), `${Date.now()}-${ticketId}.encrypted`),
+      expiresAt: new Date(Date.now() + TICKET_EXPIRY_SECONDS * 1000)
+    });
+
+    await ticket.save();
+
+    const baseUrl = process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}/api`;
+    const uploadUrl = `${baseUrl}/storage/${ticketId}?token=${encodeURIComponent(ticket.signToken())}`;
+
+    res.status(201).json({
+      upload_url: uploadUrl,
+      file_id: ticketId,
+      expires_at: ticket.expiresAt
+    });
   } catch (error) {
     next(error);
   }
 });
 
 /**
- * @route   POST /files/:id/share
- * @desc    Share a file with another user
+ * @route   POST /files/confirm-upload
+ * @desc    Confirm a presigned upload and create the file record
  * @access  Private
  */
-router.post('/:id/share', authenticateJWT, checkPermission(['file:share']), async (req, res, next) => {
+router.post('/confirm-upload', authenticateJWT, checkPermission(['file:upload']), async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const { userId, permission = 'read' } = req.body;
+    const { file_id, encryption_key, original_name, original_type, original_size, folder_id } = req.body;
 
-    const file = await File.findById(id);
-    if (!file) {
-      throw new Error('File not found');
+    if (!file_id || !encryption_key) {
+      throw new SecurityError('file_id and encryption_key are required', 400);
     }
 
-    if (!file.owner.equals(req.user.id)) {
-      throw new SecurityError('Only file owner can share');
+    if (!ALLOWED_MIME_TYPES.has(original_type)) {
+      throw new SecurityError('File type not allowed', 400);
     }
 
-    // Check if already shared
-    const existingShare = file.sharedWith.find(share => share.user.equals(userId));
-    if (existingShare) {
-      existingShare.permission = permission;
-    } else {
-      file.sharedWith.push({ user: userId, permission });
+    const folder = await getTargetFolder(req, folder_id);
+
+    // Move the ticket to 'confirmed' atomically so it can only be confirmed once
+    const ticket = await UploadTicket.findOneAndUpdate(
+      { ticketId: file_id, user: req.user.id, status: 'uploaded' },
+      { status: 'confirmed' },
+      { new: true }
+    );
+
+    if (!ticket) {
+      throw new SecurityError('Upload ticket not found or not ready for confirmation', 404);
     }
 
-    await file.save();
+    // The plaintext size follows from the envelope; original_size is only checked against it
+    const storedSize = await fileStorage.size(ticket.storageKey);
+    const plaintextSize = storedSize - CLIENT_IV_LENGTH - CLIENT_TAG_LENGTH;
+    let sizeError = null;
+    if (storedSize !== ticket.size) {
+      sizeError = 'Stored file size does not match upload ticket';
+    } else if (plaintextSize < 0) {
+      sizeError = 'Stored file is too small to be an encrypted upload';
+    } else if (original_size !== undefined && Number(original_size) !== plaintextSize) {
+      sizeError = 'original_size does not match the uploaded file';
+    }
 
-    await logSecurityEvent(req, 'FILE_SHARED', {
-      fileId: file._id,
-      filename: file.originalName,
-      sharedWith: userId
+    if (sizeError) {
+      await fileStorage.remove(ticket.storageKey);
+      ticket.status = 'failed';
+      await ticket.save();
+      throw new SecurityError(sizeError, 400);
+    }
+
+    const storedPath = fileStorage.resolve(ticket.storageKey);
+    const iv = await fileStorage.read(ticket.storageKey, 0, CLIENT_IV_LENGTH - 1);
+    const authTag = await fileStorage.read(ticket.storageKey, storedSize - CLIENT_TAG_LENGTH, storedSize - 1);
+
+    // The server never sees plaintext here, so the hash covers the ciphertext
+    const fileHash = await FileValidationService.calculateFileHash(storedPath);
+
+    const file = await saveUploadedFile(req, {
+      filename: path.basename(storedPath),
+      originalName: path.basename(original_name || ticket.filename),
+      contentType: original_type,
+      size: plaintextSize,
+      path: storedPath,
+      hash: fileHash,
+      encryptionScheme: 'client',
+      encryptionKey: await encryptClientKey(encryption_key),
+      encryptionMetadata: {
+        iv: iv.toString('base64'),
+        authTag: authTag.toString('base64')
+      }
+    }, folder, Buffer.from(encryption_key, 'base64'));
+
+    await logSecurityEvent(req, {
+      event_type: 'FILE_UPLOAD',
+      details: {
+        fileId: file._id,
+        filename: file.originalName,
+        hash: fileHash
+      }
     });
 
-    // Log file access
-    await logFileAccess(req, file._id, 'share');
+    await logFileAccess(req, file._id, 'upload');
 
-    res.json({ message: 'File shared successfully' });
+    res.status(201).json({
+      message: 'File uploaded successfully',
+      file: {
+        id: file._id,
+        name: file.originalName,
+        size: file.size,
+        type: file.contentType,
+        hash: fileHash,
+        version: file.currentVersion
+      }
+    });
   } catch (error) {
     next(error);
   }
 });
 
+// Metadata compared between versions
+const VERSION_DIFF_FIELDS = ['size', 'hash', 'contentType', 'encryptionScheme', 'uploadedBy', 'uploadedAt'];
+
 /**
- * @route   DELETE /files/:id
- * @desc    Delete a file
- * @access  Private
+ * Helper function to describe a file version to the client
  */
-router.delete('/:id', authenticateJWT, checkPermission(['file:delete']), async (req, res, next) => {
-  try {
-    const file = await File.findById(req.params.id);
-    if (!file) {
-      throw new Error('File not found');
+const serializeVersion = (version, currentVersion) => ({
+  version: version.version,
+  size: version.size,
+  hash: version.hash,
+  contentType: version.contentType,
+  encryptionScheme: version.encryptionScheme,
+  uploadedBy: version.uploadedBy && version.uploadedBy.username
+    ? { id: version.uploadedBy._id, username: version.uploadedBy.username }
+    : version.uploadedBy,
+  uploadedAt: version.uploadedAt,
+  current: version.version === currentVersion
+});
+
+/**
+ * Helper function to load a specific version of a file or fail with 404
+ */
+const getFileVersion = (file, versionParam) => {
+  const version = file.getVersion(Number(versionParam));
+  if (!version) {
+    throw new SecurityError('Version not found', 404);
+  }
+  return version;
+};
+
+/**
+ * Helper function to get the key a file version is decrypted with on the way
+ * out. Keys of client-encrypted files are held under the server master key,
+ * so their owner and recipients get the plaintext. For other files the
+ * user's client may send the key it unwrapped (X-File-Key, base64) to stream
+ * the plaintext or request ranges of it, as previews do; without one the
+ * ciphertext is sent for the client to decrypt.
+ */
+const getDeliveryKey = async (req, file, content) => {
+  if (content.encryptionScheme !== 'client') {
+    const header = req.get('X-File-Key');
+    if (!header) {
+      return undefined;
     }
 
-    if (!file.owner.equals(req.user.id)) {
-      throw new SecurityError('Only file owner can delete');
+    const fileKey = Buffer.from(header, 'base64');
+    if (fileKey.length !== 32 || !(await checkFileKey(content, fileKey))) {
+      throw new SecurityError('X-File-Key does not open this version of the file', 400);
     }
+    return fileKey;
+  }
 
-    // Delete file from storage
-    await fsPromises.unlink(file.path);
-    await file.remove();
+  if (!file.owner.equals(req.user.id) && !file.getRecipientKey(req.user.id, content.version)) {
+    throw new SecurityError('No key has been shared with you for this version', 403);
+  }
+  return unwrapFileKey(content);
+};
 
-    await logSecurityEvent(req, 'FILE_DELETED', {
-      fileId: file._id,
-      filename: file.originalName
+/**
+ * Helper function to load a trashed file owned by the current user
+ */
+const getTrashedFile = async (req, fileId) => {
+  const file = await File.findOne({ _id: fileId, owner: req.user.id, isDeleted: true });
+  if (!file) {
+    throw new SecurityError('File not found in trash', 404);
+  }
+  return file;
+};
+
+/**
+ * @route   GET /files/trash
+ * @desc    List files in the user's trash
+ * @access  Private
+ */
+router.get('/trash', authenticateJWT, async (req, res, next) => {
+  try {
+    const files = await File.find({ owner: req.user.id, isDeleted: true })
+      .select('-encryptionKey -encryptionMetadata -path -versions')
+      .sort({ deletedAt: -1 });
+
+    const retentionMs = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+    res.json({
+      retentionDays: TRASH_RETENTION_DAYS,
+      files: files.map(file => ({
+        ...file.toJSON(),
+        purgeAt: new Date(file.deletedAt.getTime() + retentionMs)
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /files/trash/:id/restore
+ * @desc    Restore a file from the trash into its folder (or the root if the
+ *          folder is gone). Recipients it gains there need the file key
+ *          wrapped for them (wrappedKeys), as when moving a file.
+ * @access  Private (owner)
+ */
+router.post('/trash/:id/restore', authenticateJWT, checkPermission(['file:delete']), async (req, res, next) => {
+  try {
+    const file = await getTrashedFile(req, req.params.id);
+    const folder = file.folder ? await Folder.findOwned(file.folder, req.user.id) : null;
+
+    const clash = await File.findOne({
+      owner: req.user.id,
+      folder: folder ? folder._id : null,
+      originalName: file.originalName,
+      isDeleted: { $ne: true }
+    });
+    if (clash) {
+      throw new SecurityError('A file with this name already exists in the destination folder', 409);
+    }
+
+    const wrappedKeys = parseWrappedKeys(req.body.wrappedKeys);
+
+    file.restoreFromTrash();
+    file.folder = folder ? folder._id : null;
+    applyFolderShares(file, folder);
+    const keysRequired = await fillRecipientKeys([file], wrappedKeys);
+    if (keysRequired.length > 0) {
+      return sendKeysRequired(res, keysRequired);
+    }
+    await file.save();
+
+    await logSecurityEvent(req, {
+      event_type: 'FILE_RESTORED',
+      details: {
+        fileId: file._id,
+        filename: file.originalName,
+        folder: file.folder
+      }
+    });
+
+    await logFileAccess(req, file._id, 'trash_restore');
+
+    res.json({ message: 'File restored', folder: file.folder });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /files/trash
+ * @desc    Permanently delete everything in the user's trash
+ * @access  Private
+ */
+router.delete('/trash', authenticateJWT, checkPermission(['file:delete']), async (req, res, next) => {
+  try {
+    const files = await File.find({ owner: req.user.id, isDeleted: true });
+
+    for (const file of files) {
+      await purgeFile(file);
+
+      await logSecurityEvent(req, {
+        event_type: 'FILE_PURGED',
+        details: {
+          fileId: file._id,
+          filename: file.originalName,
+          deletedAt: file.deletedAt,
+          reason: 'trash_emptied'
+        }
+      });
+    }
+
+    res.json({ message: 'Trash emptied', purged: files.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /files/version-retention
+ * @desc    Get how many archived versions are kept per file
+ * @access  Private
+ */
+router.get('/version-retention', authenticateJWT, async (req, res, next) => {
+  try {
+    res.json({ retention: await getVersionRetention(req.user.id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /files/version-retention
+ * @desc    Set how many archived versions are kept per file
+ * @access  Private
+ */
+router.put('/version-retention', authenticateJWT, async (req, res, next) => {
+  try {
+    const retention = Number(req.body.retention);
+    if (!Number.isInteger(retention) || retention < 1 || retention > 100) {
+      throw new SecurityError('Retention must be a whole number between 1 and 100', 400);
+    }
+
+    await User.updateOne({ _id: req.user.id }, { versionRetention: retention });
+
+    res.json({ message: 'Version retention updated', retention });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /files/:id/versions
+ * @desc    List all versions of a file, newest first
+ * @access  Private
+ */
+router.get('/:id/versions', authenticateJWT, async (req, res, next) => {
+  try {
+    const file = await checkFileAccess(req, req.params.id);
+    await file.populate('uploadedBy versions.uploadedBy', 'username');
+
+    const versions = [file.getVersion(file.currentVersion), ...file.versions]
+      .map(version => serializeVersion(version, file.currentVersion))
+      .sort((a, b) => b.version - a.version);
+
+    res.json({
+      fileId: file._id,
+      name: file.originalName,
+      currentVersion: file.currentVersion,
+      versions
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /files/:id/versions/diff
+ * @desc    Compare the metadata of two versions (?from=1&to=2)
+ * @access  Private
+ */
+router.get('/:id/versions/diff', authenticateJWT, async (req, res, next) => {
+  try {
+    const file = await checkFileAccess(req, req.params.id);
+    await file.populate('uploadedBy versions.uploadedBy', 'username');
+
+    const from = serializeVersion(getFileVersion(file, req.query.from), file.currentVersion);
+    const to = serializeVersion(getFileVersion(file, req.query.to || file.currentVersion), file.currentVersion);
+
+    const changes = {};
+    VERSION_DIFF_FIELDS.forEach(field => {
+      if (JSON.stringify(from[field]) !== JSON.stringify(to[field])) {
+        changes[field] = { from: from[field], to: to[field] };
+      }
+    });
+
+    res.json({
+      from: from.version,
+      to: to.version,
+      identicalContent: from.hash === to.hash,
+      changes
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /files/:id/versions/prune
+ * @desc    Delete the oldest archived versions beyond a retention count
+ * @access  Private (owner)
+ */
+router.post('/:id/versions/prune', authenticateJWT, checkPermission(['file:delete']), async (req, res, next) => {
+  try {
+    const file = await checkFileAccess(req, req.params.id);
+    if (!file.owner.equals(req.user.id)) {
+      throw new SecurityError('Only file owner can prune versions');
+    }
+
+    const keep = req.body.keep !== undefined ? Number(req.body.keep) : await getVersionRetention(req.user.id);
+    if (!Number.isInteger(keep) || keep < 0) {
+      throw new SecurityError('keep must be a non-negative whole number', 400);
+    }
+
+    const before = file.versions.length;
+    const orphanedPaths = file.pruneVersions(keep);
+    await file.save();
+    await removeStoredFiles(orphanedPaths);
+
+    await logSecurityEvent(req, {
+      event_type: 'FILE_VERSIONS_PRUNED',
+      details: {
+        fileId: file._id,
+        filename: file.originalName,
+        removed: before - file.versions.length,
+        kept: file.versions.length
+      }
+    });
+
+    res.json({
+      message: 'Versions pruned',
+      removed: before - file.versions.length,
+      remaining: file.versions.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /files/:id/versions/:version
+ * @desc    Download a specific version of a file
+ * @access  Private
+ */
+router.get('/:id/versions/:version', authenticateJWT, checkPermission(['file:download']), async (req, res, next) => {
+  try {
+    const file = await checkFileAccess(req, req.params.id);
+    const content = getFileVersion(file, req.params.version);
+    await sendFileContent(req, res, file, content, {
+      logAccess: action => logFileAccess(req, file._id, action),
+      fileKey: await getDeliveryKey(req, file, content)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /files/:id/versions/:version/restore
+ * @desc    Make an older version current again (recorded as a new version)
+ * @access  Private (owner or read_write share)
+ */
+router.post('/:id/versions/:version/restore', authenticateJWT, checkPermission(['file:upload']), async (req, res, next) => {
+  try {
+    const file = await checkFileAccess(req, req.params.id, true);
+    const restored = getFileVersion(file, req.params.version);
+
+    if (!file.restoreVersion(restored.version, req.user.id)) {
+      throw new SecurityError('Version is already current', 400);
+    }
+
+    const orphanedPaths = file.pruneVersions(await getVersionRetention(file.owner));
+    await file.save();
+    await removeStoredFiles(orphanedPaths);
+
+    await logSecurityEvent(req, {
+      event_type: 'FILE_VERSION_RESTORED',
+      details: {
+        fileId: file._id,
+        filename: file.originalName,
+        restoredVersion: restored.version,
+        newVersion: file.currentVersion
+      }
+    });
+
+    await logFileAccess(req, file._id, 'restore');
+
+    res.json({
+      message: `Version ${restored.version} restored`,
+      currentVersion: file.currentVersion
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /files/:id
+ * @desc    Download the current version of a file. Client-encrypted files
+ *          are decrypted here with the key held under the server master key;
+ *          for other files owners and share recipients alike get the
+ *          ciphertext and decrypt it with the key from GET /files/:id/key,
+ *          or send that key unwrapped (X-File-Key) to get the plaintext and
+ *          request ranges of it.
+ * @access  Private
+ */
+router.get('/:id', authenticateJWT, checkPermission(['file:download']), async (req, res, next) => {
+  try {
+    const file = await checkFileAccess(req, req.params.id);
+    const content = file.getVersion(file.currentVersion);
+    await sendFileContent(req, res, file, content, {
+      logAccess: action => logFileAccess(req, file._id, action),
+      fileKey: await getDeliveryKey(req, file, content)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /files
+ * @desc    List user's files
+ * @access  Private
+ */
+router.get('/', authenticateJWT, async (req, res, next) => {
+  try {
+    // Get files owned by user and shared with user
+    const files = await File.find({
+      isDeleted: { $ne: true },
+      $or: [
+        { owner: req.user.id },
+        { 'sharedWith.user': req.user.id }
+      ]
+    }).select('-encryptionKey -encryptionMetadata -path -versions');
+
+    res.json(files);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /files/:id/key
+ * @desc    Get the caller's wrapped key for a version of a file (?version=n,
+ *          current by default) and the metadata needed to decrypt it locally.
+ *          Client-encrypted files report keyWrapping 'server' and no key:
+ *          the server decrypts them on download.
+ * @access  Private (owner or share recipient)
+ */
+router.get('/:id/key', authenticateJWT, checkPermission(['file:download']), async (req, res, next) => {
+  try {
+    const file = await checkFileAccess(req, req.params.id);
+    const content = req.query.version
+      ? getFileVersion(file, req.query.version)
+      : file.getVersion(file.currentVersion);
+
+    let wrappedKey = null;
+    let keyWrapping = 'public_key';
+    if (!file.owner.equals(req.user.id)) {
+      wrappedKey = file.getRecipientKey(req.user.id, content.version);
+      if (!wrappedKey) {
+        throw new SecurityError('No key has been shared with you for this version', 403);
+      }
+    } else {
+      wrappedKey = content.encryptionKey;
+    }
+
+    if (content.encryptionScheme === 'client') {
+      // Held under the server master key; GET /files/:id decrypts these
+      keyWrapping = 'server';
+      wrappedKey = null;
+    }
+
+    res.json({
+      version: content.version,
+      filename: file.originalName,
+      contentType: content.contentType,
+      encryptionScheme: content.encryptionScheme,
+      encryptionMetadata: content.encryptionMetadata,
+      keyWrapping,
+      wrappedKey
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /files/:id/share
+ * @desc    Share a file with another user. For server-encrypted files the
+ *          owner's client unwraps the file key and re-wraps it with the
+ *          recipient's public key (wrappedKey); the server only stores the
+ *          result. Keys of client-encrypted files are held under the server
+ *          master key and wrapped here, as for folder shares. wrappedKey may
+ *          be omitted to change the permission of a user who already has a key.
+ * @access  Private (owner)
+ */
+router.post('/:id/share', authenticateJWT, checkPermission(['file:share']), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { userId, permission = 'read', wrappedKey } = req.body;
+
+    const file = await File.findById(id);
+    if (!file || file.isDeleted) {
+      throw new SecurityError('File not found', 404);
+    }
+
+    if (!file.owner.equals(req.user.id)) {
+      throw new SecurityError('Only file owner can share');
+    }
+
+    if (!mongoose.isValidObjectId(userId) || file.owner.equals(userId)) {
+      throw new SecurityError('A valid userId is required', 400);
+    }
+
+    if (!['read', 'read_write'].includes(permission)) {
+      throw new SecurityError('Invalid permission', 400);
+    }
+
+    if (wrappedKey !== undefined && (typeof wrappedKey !== 'string' || !wrappedKey)) {
+      throw new SecurityError('wrappedKey must be a non-empty string', 400);
+    }
+
+    const recipient = await User.findById(userId).select('publicKey');
+    if (!recipient) {
+      throw new SecurityError('User not found', 404);
+    }
+
+    if (!recipient.publicKey) {
+      throw new SecurityError('This user has not registered a public key yet', 409);
+    }
+
+    // Check if already shared; a direct share replaces an inherited one
+    const existingShare = file.sharedWith.find(share => share.user.equals(userId));
+    if (!wrappedKey && file.encryptionScheme !== 'client' && !(existingShare && existingShare.wrappedKey)) {
+      throw new SecurityError('wrappedKey is required: wrap the file key with the recipient\'s public key', 400);
+    }
+
+    if (existingShare) {
+      existingShare.permission = permission;
+      existingShare.inheritedFrom = undefined;
+      if (wrappedKey) existingShare.wrappedKey = wrappedKey;
+    } else {
+      file.sharedWith.push({ user: userId, permission, wrappedKey });
+    }
+
+    await fillRecipientKeys([file]);
+    await file.save();
+
+    await logSecurityEvent(req, {
+      event_type: 'FILE_SHARED',
+      details: {
+        fileId: file._id,
+        filename: file.originalName,
+        sharedWith: userId
+      }
+    });
+
+    // Log file access
+    await logFileAccess(req, file._id, 'share');
+
+    res.json({ message: 'File shared successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /files/:id/share/:userId
+ * @desc    Stop sharing a file with a user and delete the keys wrapped for them
+ * @access  Private (owner)
+ */
+router.delete('/:id/share/:userId', authenticateJWT, checkPermission(['file:share']), async (req, res, next) => {
+  try {
+    const { id, userId } = req.params;
+
+    const file = await File.findById(id);
+    if (!file || file.isDeleted) {
+      throw new SecurityError('File not found', 404);
+    }
+
+    if (!file.owner.equals(req.user.id)) {
+      throw new SecurityError('Only file owner can revoke shares');
+    }
+
+    const share = mongoose.isValidObjectId(userId) && file.sharedWith.find(s => s.user.equals(userId));
+    if (!share) {
+      throw new SecurityError('File is not shared with this user', 404);
+    }
+
+    if (share.inheritedFrom) {
+      throw new SecurityError('This share comes from a folder; revoke it on the folder instead', 409);
+    }
+
+    file.revokeShare(userId);
+    await file.save();
+
+    await logSecurityEvent(req, {
+      event_type: 'FILE_SHARE_REVOKED',
+      details: {
+        fileId: file._id,
+        filename: file.originalName,
+        revokedFrom: userId
+      }
+    });
+
+    await logFileAccess(req, file._id, 'share');
+
+    res.json({ message: 'Share revoked' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Helper function to describe a share link to its owner
+ */
+const serializeShareLink = (link) => ({
+  id: link._id,
+  version: link.version,
+  passphraseProtected: link.keyWrapping === 'passphrase',
+  expiresAt: link.expiresAt,
+  maxDownloads: link.maxDownloads,
+  downloadCount: link.downloadCount,
+  lastAccessedAt: link.lastAccessedAt,
+  revokedAt: link.revokedAt,
+  status: link.getUnavailableReason() || 'active',
+  createdAt: link.createdAt
+});
+
+/**
+ * @route   POST /files/:id/links
+ * @desc    Create a public share link with optional expiry, download cap and
+ *          passphrase. For files encrypted on the server, whose key only the
+ *          owner's private key unwraps, the owner's client sends the
+ *          unwrapped file key (fileKey, base64) for the link to be served with.
+ * @access  Private (owner)
+ */
+router.post('/:id/links', authenticateJWT, checkPermission(['file:share']), async (req, res, next) => {
+  try {
+    const { expiresAt, maxDownloads, passphrase } = req.body;
+
+    const file = await checkFileAccess(req, req.params.id);
+    if (!file.owner.equals(req.user.id)) {
+      throw new SecurityError('Only file owner can create share links');
+    }
+
+    let expiry = null;
+    if (expiresAt !== undefined && expiresAt !== null) {
+      expiry = new Date(expiresAt);
+      if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+        throw new SecurityError('expiresAt must be a date in the future', 400);
+      }
+    }
+
+    let downloadCap = null;
+    if (maxDownloads !== undefined && maxDownloads !== null) {
+      downloadCap = Number(maxDownloads);
+      if (!Number.isInteger(downloadCap) || downloadCap < 1) {
+        throw new SecurityError('maxDownloads must be a positive whole number', 400);
+      }
+    }
+
+    if (passphrase !== undefined && (typeof passphrase !== 'string' || passphrase.length < MIN_LINK_PASSPHRASE_LENGTH)) {
+      throw new SecurityError(`Passphrase must be at least ${MIN_LINK_PASSPHRASE_LENGTH} characters`, 400);
+    }
+
+    // Re-wrap the file key so the link works without the owner's keys
+    const content = file.getVersion(file.currentVersion);
+    let fileKey;
+    if (content.encryptionScheme === 'client') {
+      fileKey = await unwrapFileKey(content);
+    } else {
+      fileKey = typeof req.body.fileKey === 'string' ? Buffer.from(req.body.fileKey, 'base64') : null;
+      if (!fileKey || fileKey.length !== 32) {
+        throw new SecurityError('fileKey is required: unwrap the file key with your private key to share this file by link', 400);
+      }
+    }
+    const wrappedKey = passphrase
+      ? EncryptionService.encryptWithPassword(fileKey, passphrase)
+      : await encryptClientKey(fileKey.toString('base64'));
+
+    const token = ShareLink.generateToken();
+    const link = new ShareLink({
+      tokenHash: ShareLink.hashToken(token),
+      file: file._id,
+      owner: req.user.id,
+      version: file.currentVersion,
+      wrappedKey,
+      keyWrapping: passphrase ? 'passphrase' : 'server',
+      expiresAt: expiry,
+      maxDownloads: downloadCap
+    });
+
+    await link.save();
+
+    await logSecurityEvent(req, {
+      event_type: 'SHARE_LINK_CREATED',
+      details: {
+        fileId: file._id,
+        filename: file.originalName,
+        linkId: link._id,
+        expiresAt: link.expiresAt,
+        maxDownloads: link.maxDownloads,
+        passphraseProtected: Boolean(passphrase)
+      }
+    });
+
+    await logFileAccess(req, file._id, 'share');
+
+    const baseUrl = process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}/api`;
+
+    // The token is only returned here; the server keeps just its hash
+    res.status(201).json({
+      ...serializeShareLink(link),
+      url: `${baseUrl}/links/${token}`,
+      token
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /files/:id/links
+ * @desc    List the share links of a file
+ * @access  Private (owner)
+ */
+router.get('/:id/links', authenticateJWT, async (req, res, next) => {
+  try {
+    const file = await checkFileAccess(req, req.params.id);
+    if (!file.owner.equals(req.user.id)) {
+      throw new SecurityError('Only file owner can view share links');
+    }
+
+    const links = await ShareLink.find({ file: file._id }).sort({ createdAt: -1 });
+
+    res.json(links.map(serializeShareLink));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /files/:id/links/:linkId
+ * @desc    Revoke a share link
+ * @access  Private (owner)
+ */
+router.delete('/:id/links/:linkId', authenticateJWT, checkPermission(['file:share']), async (req, res, next) => {
+  try {
+    const link = await ShareLink.findOne({ _id: req.params.linkId, file: req.params.id, owner: req.user.id });
+    if (!link) {
+      throw new SecurityError('Share link not found', 404);
+    }
+
+    if (!link.revokedAt) {
+      link.revokedAt = new Date();
+      await link.save();
+
+      await logSecurityEvent(req, {
+        event_type: 'SHARE_LINK_REVOKED',
+        details: {
+          fileId: link.file,
+          linkId: link._id,
+          downloadCount: link.downloadCount
+        }
+      });
+    }
+
+    res.json({ message: 'Share link revoked', link: serializeShareLink(link) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /files/:id/move
+ * @desc    Move a file into another folder ('root' for the top level). If
+ *          the folder is shared, the owner's client wraps the file key for
+ *          its recipients (wrappedKeys); without them the keys required are
+ *          returned (409) and the file stays where it is.
+ * @access  Private (owner)
+ */
+router.post('/:id/move', authenticateJWT, checkPermission(['file:upload']), async (req, res, next) => {
+  try {
+    const file = await checkFileAccess(req, req.params.id);
+    if (!file.owner.equals(req.user.id)) {
+      throw new SecurityError('Only file owner can move');
+    }
+
+    const folder = await getTargetFolder(req, req.body.folderId);
+
+    // Names are unique per folder, since re-uploading a name adds a version
+    const clash = await File.findOne({
+      owner: req.user.id,
+      folder: folder ? folder._id : null,
+      originalName: file.originalName,
+      isDeleted: { $ne: true },
+      _id: { $ne: file._id }
+    });
+    if (clash) {
+      throw new SecurityError('A file with this name already exists in the destination folder', 409);
+    }
+
+    const wrappedKeys = parseWrappedKeys(req.body.wrappedKeys);
+
+    const previousFolder = file.folder;
+    file.folder = folder ? folder._id : null;
+    applyFolderShares(file, folder);
+    const keysRequired = await fillRecipientKeys([file], wrappedKeys);
+    if (keysRequired.length > 0) {
+      return sendKeysRequired(res, keysRequired);
+    }
+    await file.save();
+
+    await logSecurityEvent(req, {
+      event_type: 'FILE_MOVED',
+      details: {
+        fileId: file._id,
+        filename: file.originalName,
+        from: previousFolder,
+        to: file.folder
+      }
+    });
+
+    res.json({ message: 'File moved successfully', folder: file.folder });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /files/:id
+ * @desc    Move a file to the trash
+ * @access  Private (owner)
+ */
+router.delete('/:id', authenticateJWT, checkPermission(['file:delete']), async (req, res, next) => {
+  try {
+    const file = await checkFileAccess(req, req.params.id);
+
+    if (!file.owner.equals(req.user.id)) {
+      throw new SecurityError('Only file owner can delete');
+    }
+
+    file.softDelete(req.user.id);
+    await file.save();
+
+    await logSecurityEvent(req, {
+      event_type: 'FILE_DELETED',
+      details: {
+        fileId: file._id,
+        filename: file.originalName,
+        purgeAfterDays: TRASH_RETENTION_DAYS
+      }
     });
 
     // Log file access
     await logFileAccess(req, file._id, 'delete');
 
-    res.json({ message: 'File deleted successfully' });
+    res.json({ message: 'File moved to trash', deletedAt: file.deletedAt });
   } catch (error) {
     next(error);
   }
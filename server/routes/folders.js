@@ -0,0 +1,513 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { Folder, ROOT_FOLDER_ID, applyFolderShares } = require('../models/folder');
+const { File } = require('../models/file');
+const { User } = require('../models/user');
+const { authenticateJWT, checkPermission } = require('../middleware/auth');
+const { logSecurityEvent, SecurityError } = require('../middleware/security');
+const { parseWrappedKeys, fillRecipientKeys, sendKeysRequired } = require('../utils/shareKeys');
+
+/**
+ * Helper function to check folder access
+ */
+const checkFolderAccess = async (req, folderId) => {
+  if (!mongoose.isValidObjectId(folderId)) {
+    throw new SecurityError('Folder not found', 404);
+  }
+
+  const folder = await Folder.findById(folderId);
+  if (!folder) {
+    throw new SecurityError('Folder not found', 404);
+  }
+
+  // Check if user is the owner
+  if (folder.owner.equals(req.user.id)) {
+    return folder;
+  }
+
+  // Check if folder is shared with the user
+  const sharedWithUser = folder.sharedWith.find(
+    share => share.user.equals(req.user.id)
+  );
+
+  if (!sharedWithUser) {
+    throw new SecurityError('Access denied', 403);
+  }
+
+  return folder;
+};
+
+/**
+ * Helper function to load a folder owned by the current user. Returns null
+ * for the root folder.
+ */
+const getOwnedFolder = async (req, folderId) => {
+  if (!folderId || folderId === ROOT_FOLDER_ID) {
+    return null;
+  }
+
+  const folder = await checkFolderAccess(req, folderId);
+  if (!folder.owner.equals(req.user.id)) {
+    throw new SecurityError('Only the folder owner can change its contents');
+  }
+  return folder;
+};
+
+/**
+ * Helper function to reject a name that already exists next to the folder
+ */
+const checkNameAvailable = async (req, name, parent, excludeId) => {
+  const existing = await Folder.findOne({
+    owner: req.user.id,
+    parent: parent ? parent._id : null,
+    name,
+    _id: { $ne: excludeId }
+  });
+
+  if (existing) {
+    throw new SecurityError('A folder with this name already exists here', 409);
+  }
+};
+
+/**
+ * Helper function to validate a folder name
+ */
+const validateFolderName = (name) => {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new SecurityError('Folder name is required', 400);
+  }
+
+  const trimmed = name.trim();
+  if (trimmed.length > 255 || /[/\\]/.test(trimmed) || trimmed === '.' || trimmed === '..') {
+    throw new SecurityError('Invalid folder name', 400);
+  }
+
+  return trimmed;
+};
+
+/**
+ * Helper function to re-apply inherited shares to everything below a folder
+ * after its own shares or location changed. Nothing is saved yet: callers
+ * answer with keysRequired while file keys for new recipients are missing,
+ * and save with saveFolderShares otherwise.
+ */
+const cascadeFolderShares = async (folder, wrappedKeys) => {
+  const folders = new Map([[folder._id.toString(), folder]]);
+
+  // Descendants come back breadth first, so a parent is always updated before its children
+  for (const id of await Folder.findDescendantIds(folder._id)) {
+    const child = await Folder.findById(id);
+    applyFolderShares(child, folders.get(child.parent.toString()));
+    folders.set(id.toString(), child);
+  }
+
+  const files = await File.find({ folder: { $in: [...folders.keys()] } });
+  files.forEach(file => applyFolderShares(file, folders.get(file.folder.toString())));
+
+  return {
+    folders: [...folders.values()],
+    files,
+    keysRequired: await fillRecipientKeys(files, wrappedKeys)
+  };
+};
+
+/**
+ * Helper function to save a folder and everything cascadeFolderShares updated
+ * below it
+ */
+const saveFolderShares = async (cascade) => {
+  for (const item of [...cascade.folders, ...cascade.files]) {
+    await item.save();
+  }
+
+  return { folders: cascade.folders.length, files: cascade.files.length };
+};
+
+/**
+ * Helper function to describe a folder to the client
+ */
+const serializeFolder = (folder) => ({
+  id: folder._id,
+  name: folder.name,
+  parent: folder.parent,
+  owner: folder.owner,
+  shared: folder.sharedWith.length > 0,
+  createdAt: folder.createdAt,
+  updatedAt: folder.updatedAt
+});
+
+/**
+ * @route   GET /folders
+ * @desc    List all folders owned by or shared with the user (for the tree navigator)
+ * @access  Private
+ */
+router.get('/', authenticateJWT, async (req, res, next) => {
+  try {
+    const folders = await Folder.find({
+      $or: [
+        { owner: req.user.id },
+        { 'sharedWith.user': req.user.id }
+      ]
+    }).sort({ name: 1 });
+
+    res.json(folders.map(serializeFolder));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /folders
+ * @desc    Create a folder
+ * @access  Private
+ */
+router.post('/', authenticateJWT, checkPermission(['file:upload']), async (req, res, next) => {
+  try {
+    const name = validateFolderName(req.body.name);
+    const parent = await getOwnedFolder(req, req.body.parentId);
+
+    await checkNameAvailable(req, name, parent);
+
+    const folder = new Folder({
+      name,
+      owner: req.user.id,
+      parent: parent ? parent._id : null
+    });
+    applyFolderShares(folder, parent);
+    await folder.save();
+
+    await logSecurityEvent(req, {
+      event_type: 'FOLDER_CREATED',
+      details: {
+        folderId: folder._id,
+        name: folder.name,
+        parentId: folder.parent
+      }
+    });
+
+    res.status(201).json(serializeFolder(folder));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /folders/:id/contents
+ * @desc    List a folder's subfolders and files with breadcrumbs ('root' for the top level)
+ * @access  Private
+ */
+router.get('/:id/contents', authenticateJWT, async (req, res, next) => {
+  try {
+    if (req.params.id === ROOT_FOLDER_ID) {
+      const [folders, files] = await Promise.all([
+        Folder.find({ owner: req.user.id, parent: null }).sort({ name: 1 }),
+        File.find({ owner: req.user.id, folder: null, isDeleted: { $ne: true } })
+          .select('-encryptionKey -encryptionMetadata -path -versions')
+          .sort({ originalName: 1 })
+      ]);
+
+      return res.json({
+        folder: null,
+        breadcrumbs: [{ id: ROOT_FOLDER_ID, name: 'My Files' }],
+        folders: folders.map(serializeFolder),
+        files
+      });
+    }
+
+    const folder = await checkFolderAccess(req, req.params.id);
+    const isOwner = folder.owner.equals(req.user.id);
+
+    // Shared users only see the part of the tree that was shared with them
+    const contentFilter = isOwner ? {} : { 'sharedWith.user': req.user.id };
+
+    const [folders, files, path] = await Promise.all([
+      Folder.find({ parent: folder._id, ...contentFilter }).sort({ name: 1 }),
+      File.find({ folder: folder._id, isDeleted: { $ne: true }, ...contentFilter })
+        .select('-encryptionKey -encryptionMetadata -path -versions')
+        .sort({ originalName: 1 }),
+      folder.getPath()
+    ]);
+
+    const visiblePath = isOwner
+      ? path
+      : path.slice(path.findIndex(ancestor => ancestor.sharedWith.some(share => share.user.equals(req.user.id))));
+
+    res.json({
+      folder: serializeFolder(folder),
+      breadcrumbs: [
+        ...(isOwner ? [{ id: ROOT_FOLDER_ID, name: 'My Files' }] : []),
+        ...visiblePath.map(ancestor => ({ id: ancestor._id, name: ancestor.name }))
+      ],
+      folders: folders.map(serializeFolder),
+      files
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /folders/:id
+ * @desc    Rename a folder
+ * @access  Private (owner)
+ */
+router.put('/:id', authenticateJWT, checkPermission(['file:upload']), async (req, res, next) => {
+  try {
+    const folder = await getOwnedFolder(req, req.params.id);
+    if (!folder) {
+      throw new SecurityError('The root folder cannot be renamed', 400);
+    }
+
+    const name = validateFolderName(req.body.name);
+    await checkNameAvailable(req, name, folder.parent ? { _id: folder.parent } : null, folder._id);
+
+    const previousName = folder.name;
+    folder.name = name;
+    await folder.save();
+
+    await logSecurityEvent(req, {
+      event_type: 'FOLDER_RENAMED',
+      details: {
+        folderId: folder._id,
+        from: previousName,
+        to: folder.name
+      }
+    });
+
+    res.json(serializeFolder(folder));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /folders/:id/move
+ * @desc    Move a folder under another folder ('root' for the top level).
+ *          Files that gain recipients need their keys wrapped for them
+ *          (wrappedKeys); without them the keys required are returned (409).
+ * @access  Private (owner)
+ */
+router.post('/:id/move', authenticateJWT, checkPermission(['file:upload']), async (req, res, next) => {
+  try {
+    const folder = await getOwnedFolder(req, req.params.id);
+    if (!folder) {
+      throw new SecurityError('The root folder cannot be moved', 400);
+    }
+
+    const parent = await getOwnedFolder(req, req.body.parentId);
+
+    // A folder cannot be moved into itself or one of its own subfolders
+    if (parent) {
+      const parentPath = await parent.getPath();
+      if (parentPath.some(ancestor => ancestor._id.equals(folder._id))) {
+        throw new SecurityError('A folder cannot be moved into itself', 400);
+      }
+    }
+
+    await checkNameAvailable(req, folder.name, parent, folder._id);
+    const wrappedKeys = parseWrappedKeys(req.body.wrappedKeys);
+
+    const previousParent = folder.parent;
+    folder.parent = parent ? parent._id : null;
+    applyFolderShares(folder, parent);
+    const cascade = await cascadeFolderShares(folder, wrappedKeys);
+    if (cascade.keysRequired.length > 0) {
+      return sendKeysRequired(res, cascade.keysRequired);
+    }
+    await saveFolderShares(cascade);
+
+    await logSecurityEvent(req, {
+      event_type: 'FOLDER_MOVED',
+      details: {
+        folderId: folder._id,
+        name: folder.name,
+        from: previousParent,
+        to: folder.parent
+      }
+    });
+
+    res.json(serializeFolder(folder));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /folders/:id/share
+ * @desc    Share a folder and everything in it with another user. The owner's
+ *          client wraps the key of each file for the recipient (wrappedKeys,
+ *          as for POST /files/:id/share); without them the keys required are
+ *          returned (409) and nothing is shared.
+ * @access  Private (owner)
+ */
+router.post('/:id/share', authenticateJWT, checkPermission(['file:share']), async (req, res, next) => {
+  try {
+    const { userId, permission = 'read' } = req.body;
+
+    const folder = await getOwnedFolder(req, req.params.id);
+    if (!folder) {
+      throw new SecurityError('The root folder cannot be shared', 400);
+    }
+
+    if (!mongoose.isValidObjectId(userId) || folder.owner.equals(userId)) {
+      throw new SecurityError('A valid userId is required', 400);
+    }
+
+    if (!['read', 'read_write'].includes(permission)) {
+      throw new SecurityError('Invalid permission', 400);
+    }
+
+    const wrappedKeys = parseWrappedKeys(req.body.wrappedKeys);
+
+    const recipient = await User.findById(userId).select('publicKey');
+    if (!recipient) {
+      throw new SecurityError('User not found', 404);
+    }
+
+    if (!recipient.publicKey) {
+      throw new SecurityError('This user has not registered a public key yet', 409);
+    }
+
+    // A direct share replaces any share inherited from a parent folder
+    const existingShare = folder.sharedWith.find(share => share.user.equals(userId));
+    if (existingShare) {
+      existingShare.permission = permission;
+      existingShare.inheritedFrom = undefined;
+    } else {
+      folder.sharedWith.push({ user: userId, permission });
+    }
+
+    const cascade = await cascadeFolderShares(folder, wrappedKeys);
+    if (cascade.keysRequired.length > 0) {
+      return sendKeysRequired(res, cascade.keysRequired);
+    }
+    const cascaded = await saveFolderShares(cascade);
+
+    await logSecurityEvent(req, {
+      event_type: 'FOLDER_SHARED',
+      details: {
+        folderId: folder._id,
+        name: folder.name,
+        sharedWith: userId,
+        permission,
+        folders: cascaded.folders,
+        files: cascaded.files
+      }
+    });
+
+    res.json({ message: 'Folder shared successfully', ...cascaded });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /folders/:id/share/:userId
+ * @desc    Stop sharing a folder with a user. Everything below it loses the
+ *          inherited share, along with the file keys wrapped for that user.
+ * @access  Private (owner)
+ */
+router.delete('/:id/share/:userId', authenticateJWT, checkPermission(['file:share']), async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+
+    const folder = await getOwnedFolder(req, req.params.id);
+    if (!folder) {
+      throw new SecurityError('The root folder cannot be shared', 400);
+    }
+
+    const share = mongoose.isValidObjectId(userId) && folder.sharedWith.find(s => s.user.equals(userId));
+    if (!share) {
+      throw new SecurityError('Folder is not shared with this user', 404);
+    }
+
+    if (share.inheritedFrom) {
+      throw new SecurityError('This share comes from a parent folder; revoke it there instead', 409);
+    }
+
+    folder.sharedWith = folder.sharedWith.filter(s => !s.user.equals(userId));
+    const cascaded = await saveFolderShares(await cascadeFolderShares(folder));
+
+    await logSecurityEvent(req, {
+      event_type: 'FOLDER_SHARE_REVOKED',
+      details: {
+        folderId: folder._id,
+        name: folder.name,
+        revokedFrom: userId,
+        folders: cascaded.folders,
+        files: cascaded.files
+      }
+    });
+
+    res.json({ message: 'Share revoked', ...cascaded });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /folders/:id
+ * @desc    Delete a folder. A folder that is not empty is only deleted with
+ *          ?recursive=true&confirm=<folder name>; its files are moved to the trash.
+ * @access  Private (owner)
+ */
+router.delete('/:id', authenticateJWT, checkPermission(['file:delete']), async (req, res, next) => {
+  try {
+    const folder = await getOwnedFolder(req, req.params.id);
+    if (!folder) {
+      throw new SecurityError('The root folder cannot be deleted', 400);
+    }
+
+    const folderIds = [folder._id, ...await Folder.findDescendantIds(folder._id)];
+    const files = await File.find({ folder: { $in: folderIds }, isDeleted: { $ne: true } });
+    const isEmpty = folderIds.length === 1 && files.length === 0;
+
+    if (!isEmpty && (req.query.recursive !== 'true' || req.query.confirm !== folder.name)) {
+      return res.status(409).json({
+        error: 'Folder not empty',
+        message: 'Pass recursive=true and confirm=<folder name> to delete the folder and everything in it',
+        folders: folderIds.length - 1,
+        files: files.length
+      });
+    }
+
+    // Files go to the trash; restoring one whose folder is gone puts it at the root
+    for (const file of files) {
+      file.softDelete(req.user.id);
+      await file.save();
+
+      await logSecurityEvent(req, {
+        event_type: 'FILE_DELETED',
+        details: {
+          fileId: file._id,
+          filename: file.originalName,
+          folderId: folder._id
+        }
+      });
+    }
+
+    await Folder.deleteMany({ _id: { $in: folderIds } });
+
+    await logSecurityEvent(req, {
+      event_type: 'FOLDER_DELETED',
+      details: {
+        folderId: folder._id,
+        name: folder.name,
+        folders: folderIds.length,
+        files: files.length
+      },
+      severity: isEmpty ? 'info' : 'warning'
+    });
+
+    res.json({
+      message: 'Folder deleted successfully',
+      folders: folderIds.length,
+      files: files.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
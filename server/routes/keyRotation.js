@@ -0,0 +1,180 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { KeyRotationJob } = require('../models/keyRotationJob');
+const { authenticateJWT } = require('../middleware/auth');
+const { SecurityError } = require('../middleware/security');
+const {
+  startUserRotation,
+  getUserKeyBatch,
+  saveUserKeyBatch,
+  startFileRotation,
+  resumeRotation
+} = require('../utils/keyRotation');
+
+/**
+ * Helper function to describe a rotation job to the client
+ */
+const serializeJob = (job) => ({
+  id: job._id,
+  type: job.type,
+  file: job.file,
+  status: job.status,
+  progress: job.getProgress(),
+  processed: job.processed,
+  total: job.total,
+  requiresClientKeys: job.requiresClientKeys,
+  error: job.error,
+  createdAt: job.createdAt,
+  completedAt: job.completedAt
+});
+
+/**
+ * Helper function to answer a file rotation that needs data keys only the
+ * owner's client can unwrap. The client unwraps each listed key with its
+ * private key and repeats the request with them as fileKeys.
+ */
+const sendFileKeysRequired = (res, keysRequired) => res.status(409).json({
+  error: 'File keys required',
+  message: 'Unwrap the listed file keys and send them as fileKeys',
+  keysRequired
+});
+
+/**
+ * @route   GET /key-rotations
+ * @desc    List the user's key rotations, newest first
+ * @access  Private
+ */
+router.get('/', authenticateJWT, async (req, res, next) => {
+  try {
+    const jobs = await KeyRotationJob.find({ user: req.user.id }).sort({ createdAt: -1 }).limit(50);
+    res.json(jobs.map(serializeJob));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /key-rotations/user
+ * @desc    Rotate the user's key pair to one their client generated
+ *          (publicKey, and optionally encryptedPrivateKey as for PUT
+ *          /auth/keys). The client then re-wraps every file key held for
+ *          them through /key-rotations/:id/keys.
+ * @access  Private
+ */
+router.post('/user', authenticateJWT, async (req, res, next) => {
+  try {
+    const { publicKey, encryptedPrivateKey } = req.body;
+    const job = await startUserRotation(req.user.id, { publicKey, encryptedPrivateKey });
+    res.status(202).json(serializeJob(job));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /key-rotations/files/:fileId
+ * @desc    Re-encrypt every stored version of a file under new data keys.
+ *          Server-encrypted versions need their data keys unwrapped by the
+ *          owner's client (fileKeys: [{ version, fileKey }]); without them
+ *          the keys required are returned (409).
+ * @access  Private (owner)
+ */
+router.post('/files/:fileId', authenticateJWT, async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.fileId)) {
+      throw new SecurityError('File not found', 404);
+    }
+
+    const { job, keysRequired } = await startFileRotation(req.params.fileId, req.user.id, req.body.fileKeys);
+    if (keysRequired) {
+      return sendFileKeysRequired(res, keysRequired);
+    }
+    res.status(202).json(serializeJob(job));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /key-rotations/:id
+ * @desc    Get the progress of a key rotation
+ * @access  Private
+ */
+router.get('/:id', authenticateJWT, async (req, res, next) => {
+  try {
+    const job = mongoose.isValidObjectId(req.params.id)
+      ? await KeyRotationJob.findOne({ _id: req.params.id, user: req.user.id })
+      : null;
+
+    if (!job) {
+      throw new SecurityError('Key rotation not found', 404);
+    }
+
+    res.json(serializeJob(job));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /key-rotations/:id/keys
+ * @desc    Get the next batch of files whose keys the client re-wraps for a
+ *          key pair rotation, with the wrapped keys held for the user
+ * @access  Private
+ */
+router.get('/:id/keys', authenticateJWT, async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      throw new SecurityError('Key rotation not found', 404);
+    }
+
+    res.json(await getUserKeyBatch(req.params.id, req.user.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /key-rotations/:id/keys
+ * @desc    Store the keys the client re-wrapped for a batch of files
+ *          (files: [{ id, rewrapped: [{ from, to }] }]). The rotation
+ *          completes once every file is done.
+ * @access  Private
+ */
+router.post('/:id/keys', authenticateJWT, async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      throw new SecurityError('Key rotation not found', 404);
+    }
+
+    const job = await saveUserKeyBatch(req.params.id, req.user.id, req.body.files);
+    res.json(serializeJob(job));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /key-rotations/:id/resume
+ * @desc    Resume a file rotation that was interrupted or failed. Jobs of
+ *          server-encrypted files need fileKeys again, as when starting.
+ * @access  Private
+ */
+router.post('/:id/resume', authenticateJWT, async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      throw new SecurityError('Key rotation not found', 404);
+    }
+
+    const { job, keysRequired } = await resumeRotation(req.params.id, req.user.id, req.body.fileKeys);
+    if (keysRequired) {
+      return sendFileKeysRequired(res, keysRequired);
+    }
+    res.status(202).json(serializeJob(job));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
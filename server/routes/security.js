@@ -1,41 +1,335 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const router = express.Router();
-const { authenticateJWT } = require('../middleware/auth');
+const { authenticateJWT, checkRole } = require('../middleware/auth');
+const { SecurityError, logSecurityEvent } = require('../middleware/security');
+const { SecurityLog } = require('../models/securityLog');
+const { searchSecurityLogs } = require('../utils/securityLogQuery');
+const { SEVERITIES, MAX_CLIENT_SEVERITY, getEventSeverity } = require('../utils/securityEvents');
+const { verifyAuditLogs, createCheckpoints, exportCheckpoints } = require('../utils/auditLog');
+const { RULES, describeRules, invalidateRuleCache } = require('../utils/anomalyDetection');
+const { ANOMALY_ACTIONS, AnomalyRule } = require('../models/anomalyRule');
+const { BlockedAddress } = require('../models/blockedAddress');
 
-// Security log endpoint
-router.post('/log', authenticateJWT, async (req, res) => {
+const MAX_CLIENT_DETAILS_BYTES = 4096;
+// Browsers may not raise the alarm on their own account
+const CLIENT_SEVERITIES = SEVERITIES.slice(0, SEVERITIES.indexOf(MAX_CLIENT_SEVERITY) + 1);
+
+// Each user may report this many events a minute, wherever they sign in from
+const clientLogLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: parseInt(process.env.SECURITY_LOG_RATE_LIMIT) || 30,
+  keyGenerator: (req) => String(req.user.id),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    error: 'Too many requests',
+    message: 'Too many security events reported. Please try again later.'
+  }
+});
+
+/**
+ * Helper function to read the details of a client-reported event
+ * @returns {Object} The details to store
+ * @throws {SecurityError} If they are not an object or too large
+ */
+const clientDetails = (details) => {
+  if (details === undefined || details === null || details === '') return {};
+  if (typeof details === 'string') {
+    details = { message: details };
+  }
+  if (typeof details !== 'object' || Array.isArray(details)) {
+    throw new SecurityError('details must be an object', 400);
+  }
+  if (Buffer.byteLength(JSON.stringify(details)) > MAX_CLIENT_DETAILS_BYTES) {
+    throw new SecurityError(`details must be at most ${MAX_CLIENT_DETAILS_BYTES} bytes`, 400);
+  }
+  return details;
+};
+
+/**
+ * @route   POST /security/log
+ * @desc    Record a security event reported by the browser. Only catalog
+ *          events listed as reported by the client are accepted; they are
+ *          recorded at the catalog severity, capped at warning.
+ * @access  Private
+ */
+router.post('/log', authenticateJWT, clientLogLimiter, async (req, res, next) => {
   try {
-    const logEntry = {
-      ...req.body,
+    const { event_type, details, severity = getEventSeverity(event_type, 'client') } = req.body;
+
+    if (typeof event_type !== 'string') {
+      throw new SecurityError('event_type is required', 400);
+    }
+    if (!CLIENT_SEVERITIES.includes(severity)) {
+      throw new SecurityError(`severity must be one of ${CLIENT_SEVERITIES.join(', ')}`, 400);
+    }
+
+    // Schema validation checks the event type against the catalog
+    const logEntry = new SecurityLog({
+      event_type,
+      source: 'client',
+      user_id: req.user.id,
+      username: req.user.username,
+      session_id: req.user.sessionId,
       ip_address: req.ip,
-      user_id: req.user?.id || 'anonymous',
-      timestamp: new Date()
-    };
+      user_agent: req.headers['user-agent'],
+      device_info: req.headers['user-agent'],
+      details: clientDetails(details),
+      severity
+    });
+    await logEntry.appendToChain();
+
+    res.status(201).json({ message: 'Log entry recorded', id: logEntry._id });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /security/logs
+ * @desc    Query security logs, newest first by default. Filters: eventType
+ *          and severity (comma-separated), source, user (id or username),
+ *          ip, from and to. Page with limit and the nextCursor of the
+ *          previous page; sort by timestamp or event_type, '-' for
+ *          descending. Users without the security:logs permission only see
+ *          their own logs.
+ * @access  Private
+ */
+router.get('/logs', authenticateJWT, async (req, res, next) => {
+  try {
+    res.json(await searchSecurityLogs(req.query, req.user));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /security/audit/verify
+ * @desc    Walk the hash chains of the security and file access logs and
+ *          report the first broken link of each, checked against the stored
+ *          checkpoints
+ * @access  Private (admin)
+ */
+router.get('/audit/verify', authenticateJWT, checkRole(['admin']), async (req, res, next) => {
+  try {
+    const report = await verifyAuditLogs();
+
+    if (!report.valid) {
+      try {
+        await logSecurityEvent(req, {
+          event_type: 'AUDIT_LOG_TAMPERING_DETECTED',
+          details: {
+            chains: report.chains.filter(result => !result.valid),
+            invalidCheckpoints: report.invalidCheckpoints
+          }
+        });
+      } catch (logError) {
+        console.warn('Failed to log security event:', logError);
+        // Continue despite logging error
+      }
+    }
+
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /security/audit/checkpoints
+ * @desc    Export the signed checkpoints, optionally those taken since a date,
+ *          with the public key that verifies them
+ * @access  Private (admin)
+ */
+router.get('/audit/checkpoints', authenticateJWT, checkRole(['admin']), async (req, res, next) => {
+  try {
+    let since;
+    if (req.query.since) {
+      since = new Date(String(req.query.since));
+      if (Number.isNaN(since.getTime())) {
+        throw new SecurityError('since must be a date', 400);
+      }
+    }
+
+    res.json(await exportCheckpoints(since));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /security/audit/checkpoints
+ * @desc    Take a checkpoint of every chain that has grown since its last one
+ * @access  Private (admin)
+ */
+router.post('/audit/checkpoints', authenticateJWT, checkRole(['admin']), async (req, res, next) => {
+  try {
+    const checkpoints = await createCheckpoints();
+
+    try {
+      await logSecurityEvent(req, {
+        event_type: 'AUDIT_CHECKPOINT_CREATED',
+        details: {
+          checkpoints: checkpoints.map(({ chain, seq }) => ({ chain, seq }))
+        }
+      });
+    } catch (logError) {
+      console.warn('Failed to log security event:', logError);
+      // Continue despite logging error
+    }
 
-    // TODO: In a production environment, you would want to:
-    // 1. Store this in a database
-    // 2. Implement rate limiting specifically for logging
-    // 3. Add validation for log entry format
-    // 4. Consider using a dedicated logging service
-    
-    console.log('Security Log:', logEntry);
-    
-    res.status(200).json({ message: 'Log entry recorded' });
+    res.status(201).json({ checkpoints });
   } catch (error) {
-    console.error('Error logging security event:', error);
-    res.status(500).json({ error: 'Failed to record security log' });
+    next(error);
   }
 });
 
-// Get security logs endpoint
-router.get('/logs', authenticateJWT, async (req, res) => {
+/**
+ * Helper function to read an admin's changes to an anomaly rule
+ * @returns {Object} The fields to set on the rule's AnomalyRule document
+ */
+const readRuleChanges = (rule, { enabled, actions, settings }) => {
+  const changes = {};
+
+  if (enabled !== undefined) {
+    if (typeof enabled !== 'boolean') {
+      throw new SecurityError('enabled must be true or false', 400);
+    }
+    changes.enabled = enabled;
+  }
+
+  if (actions !== undefined) {
+    if (!Array.isArray(actions) || actions.some(action => !ANOMALY_ACTIONS.includes(action))) {
+      throw new SecurityError(`actions must be a list of ${ANOMALY_ACTIONS.join(', ')}`, 400);
+    }
+    changes.actions = [...new Set(actions)];
+  }
+
+  if (settings !== undefined) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      throw new SecurityError('settings must be an object', 400);
+    }
+    for (const [name, value] of Object.entries(settings)) {
+      if (!Object.prototype.hasOwnProperty.call(rule.settings, name)) {
+        throw new SecurityError(`Unknown setting: ${name}`, 400);
+      }
+      // Only a cooldown may be turned off
+      const lowest = name === 'cooldownMinutes' ? 0 : 1;
+      if (!Number.isFinite(value) || value < lowest) {
+        throw new SecurityError(`${name} must be a number of at least ${lowest}`, 400);
+      }
+      changes[`settings.${name}`] = value;
+    }
+  }
+
+  if (!Object.keys(changes).length) {
+    throw new SecurityError('Nothing to change', 400);
+  }
+  return changes;
+};
+
+/**
+ * @route   GET /security/anomaly-rules
+ * @desc    List the anomaly detection rules as they run, with their defaults
+ * @access  Private (admin)
+ */
+router.get('/anomaly-rules', authenticateJWT, checkRole(['admin']), async (req, res, next) => {
+  try {
+    res.json({ rules: await describeRules(), actions: ANOMALY_ACTIONS });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /security/anomaly-rules/:rule
+ * @desc    Turn a rule on or off, or change what it does and its settings.
+ *          Settings not given keep their current values.
+ * @access  Private (admin)
+ */
+router.put('/anomaly-rules/:rule', authenticateJWT, checkRole(['admin']), async (req, res, next) => {
   try {
-    // TODO: In production, fetch from database
-    // For now, return empty array since logs are just console.logged
-    res.status(200).json([]);
+    const rule = Object.prototype.hasOwnProperty.call(RULES, req.params.rule) ? RULES[req.params.rule] : null;
+    if (!rule) {
+      throw new SecurityError('Anomaly rule not found', 404);
+    }
+
+    const changes = readRuleChanges(rule, req.body || {});
+    await AnomalyRule.updateOne(
+      { rule: req.params.rule },
+      { $set: { ...changes, updatedBy: req.user.id, updatedAt: new Date() } },
+      { upsert: true }
+    );
+    invalidateRuleCache();
+
+    const updated = (await describeRules()).find(described => described.rule === req.params.rule);
+
+    try {
+      await logSecurityEvent(req, {
+        event_type: 'ANOMALY_RULE_UPDATED',
+        details: {
+          rule: req.params.rule,
+          enabled: updated.enabled,
+          actions: updated.actions,
+          settings: updated.settings
+        }
+      });
+    } catch (logError) {
+      console.warn('Failed to log security event:', logError);
+      // Continue despite logging error
+    }
+
+    res.json({ rule: updated });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /security/blocked-addresses
+ * @desc    List the client addresses anomaly rules have blocked from signing in
+ * @access  Private (admin)
+ */
+router.get('/blocked-addresses', authenticateJWT, checkRole(['admin']), async (req, res, next) => {
+  try {
+    const addresses = await BlockedAddress.find({ expiresAt: { $gt: new Date() } })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({ addresses });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /security/blocked-addresses/:ipAddress
+ * @desc    Lift the block on a client address before it expires
+ * @access  Private (admin)
+ */
+router.delete('/blocked-addresses/:ipAddress', authenticateJWT, checkRole(['admin']), async (req, res, next) => {
+  try {
+    const { deletedCount } = await BlockedAddress.deleteOne({ ipAddress: req.params.ipAddress });
+    if (!deletedCount) {
+      throw new SecurityError('Address is not blocked', 404);
+    }
+
+    try {
+      await logSecurityEvent(req, {
+        event_type: 'ADDRESS_UNBLOCKED',
+        details: {
+          blockedAddress: req.params.ipAddress
+        }
+      });
+    } catch (logError) {
+      console.warn('Failed to log security event:', logError);
+      // Continue despite logging error
+    }
+
+    res.json({ success: true });
   } catch (error) {
-    console.error('Error fetching security logs:', error);
-    res.status(500).json({ error: 'Failed to fetch security logs' });
+    next(error);
   }
 });
 
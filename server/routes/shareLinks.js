@@ -0,0 +1,147 @@
+const express = require('express');
+const router = express.Router();
+const { File, FileAccessLog } = require('../models/file');
+const { ShareLink } = require('../models/shareLink');
+const { logSecurityEvent, SecurityError } = require('../middleware/security');
+const { EncryptionService, decryptClientKey } = require('../utils/encryption');
+const { sendFileContent } = require('../utils/fileDelivery');
+
+// Status codes for links that can no longer be used
+const UNAVAILABLE_STATUS = {
+  revoked: 410,
+  expired: 410,
+  download_limit_reached: 410,
+  locked: 429
+};
+
+/**
+ * Helper function to log an anonymous share link access
+ */
+const logLinkAccess = async (req, link, action) => {
+  try {
+    const accessLog = new FileAccessLog({
+      file: link.file,
+      shareLink: link._id,
+      action,
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    await accessLog.appendToChain();
+  } catch (error) {
+    console.error('Error logging file access:', error);
+  }
+};
+
+/**
+ * Helper function to load a usable link and its file by token
+ */
+const getActiveLink = async (req) => {
+  const link = await ShareLink.findByToken(req.params.token);
+  if (!link) {
+    throw new SecurityError('Share link not found', 404);
+  }
+
+  const reason = link.getUnavailableReason();
+  if (reason) {
+    await logLinkAccess(req, link, 'denied');
+    throw new SecurityError(`Share link is no longer available (${reason.replace(/_/g, ' ')})`, UNAVAILABLE_STATUS[reason]);
+  }
+
+  const file = await File.findById(link.file);
+  const content = file && !file.isDeleted ? file.getVersion(link.version) : null;
+  if (!content) {
+    throw new SecurityError('The shared file is no longer available', 410);
+  }
+
+  return { link, file, content };
+};
+
+/**
+ * Helper function to recover the file key of a link. Wrong passphrases
+ * count towards locking the link.
+ */
+const unwrapLinkKey = async (req, link) => {
+  if (link.keyWrapping === 'server') {
+    return Buffer.from(await decryptClientKey(link.wrappedKey), 'base64');
+  }
+
+  const passphrase = req.body?.passphrase || req.headers['x-share-passphrase'];
+  if (!passphrase) {
+    throw new SecurityError('Passphrase required', 401);
+  }
+
+  try {
+    return EncryptionService.decryptWithPassword(link.wrappedKey, String(passphrase));
+  } catch (error) {
+    await ShareLink.updateOne({ _id: link._id }, { $inc: { failedAttempts: 1 } });
+    await logLinkAccess(req, link, 'denied');
+    await logSecurityEvent(req, {
+      event_type: 'SHARE_LINK_ACCESS_DENIED',
+      details: {
+        fileId: link.file,
+        linkId: link._id,
+        reason: 'invalid_passphrase',
+        failedAttempts: link.failedAttempts + 1
+      },
+      severity: 'warning'
+    });
+    throw new SecurityError('Invalid passphrase', 401);
+  }
+};
+
+/**
+ * @route   GET /links/:token
+ * @desc    Describe a shared file before downloading it
+ * @access  Public (the link token authenticates the request)
+ */
+router.get('/:token', async (req, res, next) => {
+  try {
+    const { link, file, content } = await getActiveLink(req);
+
+    await logLinkAccess(req, link, 'view');
+
+    res.json({
+      name: file.originalName,
+      size: content.size,
+      type: content.contentType,
+      passphraseRequired: link.keyWrapping === 'passphrase',
+      expiresAt: link.expiresAt,
+      downloadsRemaining: link.maxDownloads !== null ? link.maxDownloads - link.downloadCount : null
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET|POST /links/:token/download
+ * @desc    Download a shared file. The passphrase, if any, comes in the JSON
+ *          body (POST) or the X-Share-Passphrase header.
+ * @access  Public (the link token authenticates the request)
+ */
+const downloadSharedFile = async (req, res, next) => {
+  try {
+    const { link, file, content } = await getActiveLink(req);
+    const fileKey = await unwrapLinkKey(req, link);
+
+    // Count the download only once the key checked out, and only once for
+    // the range requests that resume or seek within it
+    await sendFileContent(req, res, file, content, {
+      fileKey,
+      logAccess: action => logLinkAccess(req, link, action),
+      countDownload: async () => {
+        if (!(await ShareLink.claimDownload(link._id))) {
+          throw new SecurityError('Share link is no longer available', 410);
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.get('/:token/download', downloadSharedFile);
+router.post('/:token/download', downloadSharedFile);
+
+module.exports = router;
@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+const { UploadTicket } = require('../models/uploadTicket');
+const { SecurityError } = require('../middleware/security');
+const { storage } = require('../utils/storage');
+
+/**
+ * @route   PUT /storage/:ticketId
+ * @desc    Store client-encrypted file data against a presigned upload ticket
+ * @access  Upload ticket (no JWT - the signed ticket token authenticates the request)
+ */
+router.put('/:ticketId', async (req, res, next) => {
+  try {
+    const { token } = req.query;
+    if (!token) {
+      throw new SecurityError('Upload token required', 401);
+    }
+
+    let claims;
+    try {
+      claims = UploadTicket.verifyToken(token);
+    } catch (error) {
+      throw new SecurityError('Invalid or expired upload token', 401);
+    }
+
+    if (claims.tid !== req.params.ticketId) {
+      throw new SecurityError('Upload token does not match ticket', 403);
+    }
+
+    // Claiming moves the ticket out of 'issued', so it cannot be replayed
+    const ticket = await UploadTicket.claim(claims);
+    if (!ticket) {
+      throw new SecurityError('Upload ticket is invalid or has already been used', 403);
+    }
+
+    let receivedBytes;
+    try {
+      receivedBytes = await storage.writeStream(ticket.storageKey, req, ticket.size);
+    } catch (error) {
+      ticket.status = 'failed';
+      await ticket.save();
+      throw error;
+    }
+
+    if (receivedBytes !== ticket.size) {
+      await storage.remove(ticket.storageKey);
+      ticket.status = 'failed';
+      ticket.receivedBytes = receivedBytes;
+      await ticket.save();
+      return res.status(400).json({
+        error: 'Size mismatch',
+        message: `Expected ${ticket.size} bytes, received ${receivedBytes}`
+      });
+    }
+
+    ticket.status = 'uploaded';
+    ticket.receivedBytes = receivedBytes;
+    await ticket.save();
+
+    res.json({ message: 'Upload stored', size: receivedBytes });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,202 @@
+const express = require('express');
+const router = express.Router();
+const { User } = require('../models/user');
+const { RolePolicy } = require('../models/rolePolicy');
+const { authenticateJWT, checkRole } = require('../middleware/auth');
+const { logSecurityEvent, SecurityError } = require('../middleware/security');
+const {
+  issueBackupCodes,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  disableTwoFactor,
+  isTwoFactorRequired,
+  describeTwoFactor
+} = require('../utils/twoFactor');
+
+const ROLES = RolePolicy.schema.path('role').enumValues;
+
+/**
+ * Helper function to load the signed-in user
+ */
+const loadUser = async (req) => {
+  const user = await User.findById(req.user.id);
+  if (!user) {
+    throw new SecurityError('User not found');
+  }
+  return user;
+};
+
+/**
+ * Helper function to log a security event without letting a logging failure
+ * break the request
+ */
+const logEvent = async (req, event_type, data = {}) => {
+  try {
+    await logSecurityEvent(req, {
+      event_type,
+      details: {
+        userId: req.user.id,
+        username: req.user.username,
+        ...data
+      }
+    });
+  } catch (logError) {
+    console.warn(`Failed to log ${event_type}:`, logError);
+    // Continue despite logging error
+  }
+};
+
+/**
+ * @route   GET /auth/2fa
+ * @desc    Get the user's second factor status
+ * @access  Private
+ */
+router.get('/', authenticateJWT, async (req, res, next) => {
+  try {
+    const user = await loadUser(req);
+    res.json(describeTwoFactor(user, await isTwoFactorRequired(user)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /auth/2fa/enroll
+ * @desc    Start enrolling an authenticator app. Returns the otpauth URI and
+ *          a QR code of it generated on the server, for confirmation with a
+ *          first code.
+ * @access  Private
+ */
+router.post('/enroll', authenticateJWT, async (req, res, next) => {
+  try {
+    const user = await loadUser(req);
+    const enrollment = await beginEnrollment(user);
+    await user.save();
+
+    res.json(enrollment);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /auth/2fa/confirm
+ * @desc    Confirm enrollment with a first code from the app, turning the
+ *          second factor on. Returns backup codes, shown only this once.
+ * @access  Private
+ */
+router.post('/confirm', authenticateJWT, async (req, res, next) => {
+  try {
+    const user = await loadUser(req);
+    const backupCodes = await confirmEnrollment(user, req.body.code);
+    if (!backupCodes) {
+      await logEvent(req, 'TWO_FACTOR_FAILED', { stage: 'enrollment' });
+      throw new SecurityError('Invalid authentication code', 400);
+    }
+    await user.save();
+
+    await logEvent(req, 'TWO_FACTOR_ENABLED');
+    res.json({
+      ...describeTwoFactor(user, await isTwoFactorRequired(user)),
+      backupCodes
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /auth/2fa/backup-codes
+ * @desc    Replace the backup codes, confirmed with an authenticator app code
+ * @access  Private
+ */
+router.post('/backup-codes', authenticateJWT, async (req, res, next) => {
+  try {
+    const user = await loadUser(req);
+    if ((await verifySecondFactor(user, req.body.code)) !== 'totp') {
+      await logEvent(req, 'TWO_FACTOR_FAILED', { stage: 'backup_codes' });
+      throw new SecurityError('Invalid authentication code', 400);
+    }
+    const backupCodes = issueBackupCodes(user);
+    await user.save();
+
+    await logEvent(req, 'BACKUP_CODES_REGENERATED');
+    res.json({ backupCodes });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /auth/2fa/disable
+ * @desc    Turn the second factor off, confirmed with a code. Not allowed
+ *          when the user's role requires it.
+ * @access  Private
+ */
+router.post('/disable', authenticateJWT, async (req, res, next) => {
+  try {
+    const user = await loadUser(req);
+    if (await isTwoFactorRequired(user)) {
+      throw new SecurityError('Two-factor authentication is required for your role');
+    }
+    if (!(await verifySecondFactor(user, req.body.code))) {
+      await logEvent(req, 'TWO_FACTOR_FAILED', { stage: 'disable' });
+      throw new SecurityError('Invalid authentication code', 400);
+    }
+    disableTwoFactor(user);
+    await user.save();
+
+    await logEvent(req, 'TWO_FACTOR_DISABLED');
+    res.json(describeTwoFactor(user, false));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /auth/2fa/policy
+ * @desc    Get which roles must use a second factor
+ * @access  Private/Admin
+ */
+router.get('/policy', authenticateJWT, checkRole(['admin']), async (req, res, next) => {
+  try {
+    const policies = await RolePolicy.find({ role: { $in: ROLES } }).lean();
+    res.json(ROLES.map(role => ({
+      role,
+      requireTwoFactor: policies.some(policy => policy.role === role && policy.requireTwoFactor)
+    })));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /auth/2fa/policy/:role
+ * @desc    Require a second factor for a role, or stop requiring it. Users
+ *          of the role without one enroll at their next sign-in.
+ * @access  Private/Admin
+ */
+router.put('/policy/:role', authenticateJWT, checkRole(['admin']), async (req, res, next) => {
+  try {
+    const { role } = req.params;
+    const { requireTwoFactor } = req.body;
+
+    if (!ROLES.includes(role) || typeof requireTwoFactor !== 'boolean') {
+      throw new SecurityError('A valid role and requireTwoFactor flag are required', 400);
+    }
+
+    await RolePolicy.updateOne(
+      { role },
+      { $set: { requireTwoFactor, updatedBy: req.user.id, updatedAt: new Date() } },
+      { upsert: true }
+    );
+
+    await logEvent(req, 'ROLE_POLICY_UPDATED', { role, requireTwoFactor });
+    res.json({ role, requireTwoFactor });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,368 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { User } = require('../models/user');
+const { SecurityLog } = require('../models/securityLog');
+const { authenticateJWT, checkRole } = require('../middleware/auth');
+const { logSecurityEvent, SecurityError } = require('../middleware/security');
+const { revokeRefreshSessions } = require('../utils/refreshTokens');
+const { notifyAccountOwner } = require('../utils/accountRecovery');
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const RECENT_ACTIVITY_LIMIT = 20;
+const MAX_LOCK_MINUTES = 365 * 24 * 60; // 1 year
+
+const ROLES = User.schema.path('role').enumValues;
+const STATUSES = User.schema.path('status').enumValues;
+
+/**
+ * Helper function to describe a user in the admin user list
+ */
+const serializeUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  status: user.status,
+  lockedUntil: user.lockedUntil,
+  isVerified: user.isVerified,
+  twoFactorEnabled: !!user.twoFactor?.enabled,
+  lastLogin: user.lastLogin,
+  createdAt: user.createdAt
+});
+
+/**
+ * Helper function to find the user an admin action is on
+ * @throws {SecurityError} If there is no such user
+ */
+const findTargetUser = async (userId) => {
+  const user = mongoose.isValidObjectId(userId) ? await User.findById(userId) : null;
+  if (!user) {
+    throw new SecurityError('User not found', 404);
+  }
+  return user;
+};
+
+/**
+ * Helper function to stop admins locking themselves out of administration
+ * @throws {SecurityError} If the admin is acting on their own account
+ */
+const refuseSelf = (req, user, action) => {
+  if (String(user._id) === String(req.user.id)) {
+    throw new SecurityError(`Admins cannot ${action} their own account`, 400);
+  }
+};
+
+/**
+ * Helper function to log an admin action on a user. The admin is the user of
+ * the event; the account acted on is in its details.
+ */
+const logAdminAction = async (req, event_type, user, details = {}) => {
+  try {
+    await logSecurityEvent(req, {
+      event_type,
+      details: {
+        targetUserId: user._id,
+        targetUsername: user.username,
+        ...details
+      }
+    });
+  } catch (logError) {
+    console.warn('Failed to log admin action:', logError);
+    // Continue despite logging error
+  }
+};
+
+/**
+ * @route   GET /users
+ * @desc    List users by username, optionally searched by username or email
+ *          and filtered by role and status. Page with limit and the previous
+ *          page's nextCursor.
+ * @access  Private (admin)
+ */
+router.get('/', authenticateJWT, checkRole(['admin']), async (req, res, next) => {
+  try {
+    const { search, role, status, cursor } = req.query;
+    const filter = {};
+
+    if (search) {
+      // Match anywhere in the username or email, taking the search literally
+      const pattern = new RegExp(String(search).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ username: pattern }, { email: pattern }];
+    }
+    if (role) {
+      if (!ROLES.includes(role)) {
+        throw new SecurityError(`role must be one of ${ROLES.join(', ')}`, 400);
+      }
+      filter.role = role;
+    }
+    if (status) {
+      if (!STATUSES.includes(status)) {
+        throw new SecurityError(`status must be one of ${STATUSES.join(', ')}`, 400);
+      }
+      filter.status = status;
+    }
+
+    const total = await User.countDocuments(filter);
+
+    // Usernames are unique, so the last one on a page marks where it ends
+    if (cursor) {
+      filter.username = { $gt: Buffer.from(String(cursor), 'base64url').toString('utf8') };
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const users = await User.find(filter)
+      .select('username email role status lockedUntil isVerified twoFactor.enabled lastLogin createdAt')
+      .sort({ username: 1 })
+      .limit(limit + 1)
+      .lean();
+
+    const page = users.slice(0, limit);
+    res.json({
+      users: page.map(serializeUser),
+      total,
+      nextCursor: users.length > limit
+        ? Buffer.from(page[page.length - 1].username, 'utf8').toString('base64url')
+        : null
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /users/:id
+ * @desc    Get a user's account details, device sessions and recent
+ *          security events
+ * @access  Private (admin)
+ */
+router.get('/:id', authenticateJWT, checkRole(['admin']), async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req.params.id);
+
+    const now = new Date();
+    const sessions = user.refreshTokens
+      .filter(session => session.expiresAt > now)
+      .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+      .map(session => ({
+        id: session.sessionId,
+        deviceName: session.deviceName,
+        ipAddress: session.ipAddress,
+        userAgent: session.userAgent,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt
+      }));
+
+    const recentActivity = await SecurityLog.find({ user_id: user._id })
+      .select('event_type severity source ip_address location timestamp')
+      .sort({ timestamp: -1 })
+      .limit(RECENT_ACTIVITY_LIMIT)
+      .lean();
+
+    await logAdminAction(req, 'USER_DETAILS_VIEWED', user);
+
+    res.json({
+      user: {
+        ...serializeUser(user),
+        permissions: user.permissions,
+        patternEnrolled: !!user.passMatrixHash,
+        passkeys: user.webauthnCredentials.length,
+        recoveryCodesGenerated: !!user.recovery?.codesGeneratedAt,
+        emailVerifiedAt: user.emailVerification?.verifiedAt || null,
+        sessions,
+        recentActivity
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /users/:id/role
+ * @desc    Change a user's role. Takes effect on their next request.
+ * @access  Private (admin)
+ */
+router.put('/:id/role', authenticateJWT, checkRole(['admin']), async (req, res, next) => {
+  try {
+    const { role } = req.body;
+    if (!ROLES.includes(role)) {
+      throw new SecurityError(`role must be one of ${ROLES.join(', ')}`, 400);
+    }
+
+    const user = await findTargetUser(req.params.id);
+    refuseSelf(req, user, 'change the role of');
+
+    const previousRole = user.role;
+    if (previousRole !== role) {
+      user.role = role;
+      await user.save();
+      await logAdminAction(req, 'USER_ROLE_UPDATED', user, { previousRole, role });
+    }
+
+    res.json({ user: serializeUser(user) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /users/:id/lock
+ * @desc    Lock a user out and end their sessions, for a number of minutes
+ *          or, without one, until an admin unlocks them
+ * @access  Private (admin)
+ */
+router.post('/:id/lock', authenticateJWT, checkRole(['admin']), async (req, res, next) => {
+  try {
+    const { minutes } = req.body;
+    if (minutes !== undefined && minutes !== null &&
+        (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_LOCK_MINUTES)) {
+      throw new SecurityError(`minutes must be a whole number from 1 to ${MAX_LOCK_MINUTES}`, 400);
+    }
+
+    const user = await findTargetUser(req.params.id);
+    refuseSelf(req, user, 'lock');
+    if (user.status === 'inactive') {
+      throw new SecurityError('Deactivated accounts cannot be locked', 409);
+    }
+
+    user.status = 'locked';
+    user.lockedUntil = minutes ? new Date(Date.now() + minutes * 60 * 1000) : null;
+    await user.save();
+    await revokeRefreshSessions(user._id);
+
+    await logAdminAction(req, 'USER_LOCKED', user, { lockedUntil: user.lockedUntil });
+
+    res.json({ user: serializeUser(user) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /users/:id/unlock
+ * @desc    Lift a lock, whether an admin, failed sign-ins or an anomaly rule
+ *          set it
+ * @access  Private (admin)
+ */
+router.post('/:id/unlock', authenticateJWT, checkRole(['admin']), async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req.params.id);
+    if (user.status !== 'locked') {
+      throw new SecurityError('Account is not locked', 409);
+    }
+
+    const previousLockedUntil = user.lockedUntil;
+    user.status = 'active';
+    user.lockedUntil = null;
+    user.loginAttempts = 0;
+    await user.save();
+
+    await logAdminAction(req, 'USER_UNLOCKED', user, { previousLockedUntil });
+
+    res.json({ user: serializeUser(user) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /users/:id/logout
+ * @desc    Sign a user out of every device
+ * @access  Private (admin)
+ */
+router.post('/:id/logout', authenticateJWT, checkRole(['admin']), async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req.params.id);
+    const sessions = user.refreshTokens.length;
+
+    await revokeRefreshSessions(user._id);
+
+    await logAdminAction(req, 'USER_SESSIONS_REVOKED', user, { sessions });
+
+    res.json({ message: 'User signed out of every device' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /users/:id/reset-pattern
+ * @desc    Clear a user's pattern and end their sessions. They set a new
+ *          pattern through account recovery before signing in again.
+ * @access  Private (admin)
+ */
+router.post('/:id/reset-pattern', authenticateJWT, checkRole(['admin']), async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req.params.id);
+    refuseSelf(req, user, 'reset the pattern of');
+
+    user.passMatrixHash = undefined;
+    user.passMatrixSalt = undefined;
+    user.passMatrixKdf = undefined;
+    user.loginAttempts = 0;
+    await user.save();
+    await revokeRefreshSessions(user._id);
+
+    await logAdminAction(req, 'USER_PATTERN_RESET', user);
+    await notifyAccountOwner(req, user, 'Pattern reset by an administrator. Use account recovery to set a new one.');
+
+    res.json({ user: serializeUser(user) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /users/:id/deactivate
+ * @desc    Deactivate a user's account and end their sessions. Their files
+ *          are kept.
+ * @access  Private (admin)
+ */
+router.post('/:id/deactivate', authenticateJWT, checkRole(['admin']), async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req.params.id);
+    refuseSelf(req, user, 'deactivate');
+    if (user.status === 'inactive') {
+      throw new SecurityError('Account is already deactivated', 409);
+    }
+
+    user.status = 'inactive';
+    user.lockedUntil = null;
+    await user.save();
+    await revokeRefreshSessions(user._id);
+
+    await logAdminAction(req, 'USER_DEACTIVATED', user);
+
+    res.json({ user: serializeUser(user) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /users/:id/reactivate
+ * @desc    Let a deactivated user sign in again
+ * @access  Private (admin)
+ */
+router.post('/:id/reactivate', authenticateJWT, checkRole(['admin']), async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req.params.id);
+    if (user.status !== 'inactive') {
+      throw new SecurityError('Account is not deactivated', 409);
+    }
+
+    user.status = 'active';
+    user.loginAttempts = 0;
+    await user.save();
+
+    await logAdminAction(req, 'USER_REACTIVATED', user);
+
+    res.json({ user: serializeUser(user) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,108 @@
+/**
+ * Check the hash chains of the security and file access logs, and take or
+ * export signed checkpoints of them.
+ *
+ * Usage: npm run audit-log -- <command> [options]
+ *   verify [--checkpoints <file>]   Walk every chain and report the first
+ *                                   broken link; exits 1 if one is found.
+ *                                   Compares against the stored checkpoints
+ *                                   and those of an exported file.
+ *   checkpoint                      Take a checkpoint of every chain now
+ *   export-checkpoints [--out <file>] [--since <date>]
+ *                                   Write checkpoints and the public key that
+ *                                   verifies them, to keep away from the server
+ */
+require('dotenv').config();
+const fs = require('fs');
+const { connectDB, disconnectDB } = require('../config/db');
+const { SecurityLog } = require('../models/securityLog');
+const { verifyAuditLogs, createCheckpoints, exportCheckpoints } = require('../utils/auditLog');
+
+/**
+ * Helper function to read the value of an option, e.g. --out <file>
+ */
+const option = (name) => {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+const verify = async () => {
+  const file = option('--checkpoints');
+  const exported = file ? JSON.parse(fs.readFileSync(file, 'utf8')) : { checkpoints: [] };
+  const report = await verifyAuditLogs(exported.checkpoints, exported.publicKey);
+
+  for (const { chain, checked, head, firstBroken } of report.chains) {
+    if (firstBroken) {
+      console.log(`${chain}: BROKEN at entry ${firstBroken.seq}${firstBroken.entryId ? ` (${firstBroken.entryId})` : ''}: ${firstBroken.reason}`);
+      console.log(`  ${checked} entries verified before it`);
+    } else {
+      console.log(`${chain}: OK, ${checked} entries${head ? `, head ${head.hash}` : ''}`);
+    }
+  }
+  if (report.invalidCheckpoints) {
+    console.log(`${report.invalidCheckpoints} checkpoint(s) have an invalid signature and were ignored`);
+  }
+
+  if (!report.valid) {
+    await SecurityLog.createLog({
+      event_type: 'AUDIT_LOG_TAMPERING_DETECTED',
+      details: {
+        source: 'cli',
+        chains: report.chains.filter(result => !result.valid),
+        invalidCheckpoints: report.invalidCheckpoints
+      }
+    });
+  }
+  return report.valid;
+};
+
+const checkpoint = async () => {
+  const created = await createCheckpoints();
+  if (!created.length) {
+    console.log('No chain has grown since its last checkpoint');
+  }
+  created.forEach(({ chain, seq, hash }) => console.log(`${chain}: checkpoint at entry ${seq}, ${hash}`));
+  return true;
+};
+
+const exportToFile = async () => {
+  const since = option('--since');
+  if (since && Number.isNaN(new Date(since).getTime())) {
+    throw new Error('--since must be a date');
+  }
+
+  const exported = await exportCheckpoints(since && new Date(since));
+  const json = JSON.stringify(exported, null, 2);
+  const out = option('--out');
+  if (out) {
+    fs.writeFileSync(out, json);
+    console.log(`Wrote ${exported.checkpoints.length} checkpoint(s) to ${out}`);
+  } else {
+    console.log(json);
+  }
+  return true;
+};
+
+const COMMANDS = {
+  verify,
+  checkpoint,
+  'export-checkpoints': exportToFile
+};
+
+const main = async () => {
+  const command = COMMANDS[process.argv[2]];
+  if (!command) {
+    console.error(`Usage: npm run audit-log -- <${Object.keys(COMMANDS).join('|')}> [options]`);
+    process.exit(2);
+  }
+
+  await connectDB();
+  const ok = await command();
+  await disconnectDB();
+  process.exit(ok ? 0 : 1);
+};
+
+main().catch(error => {
+  console.error('Audit log command failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,68 @@
+/**
+ * Map security log entries recorded before the event catalog onto it. Old
+ * event types with a catalog counterpart are renamed; the rest become
+ * LEGACY_EVENT. Either way the old type is kept in details.legacyEventType.
+ * Entries in the audit log hash chain are left alone, as rewriting them would
+ * break the chain; they are only counted.
+ *
+ * Usage: npm run migrate-security-events [-- --dry-run]
+ *   --dry-run  Report what would change without changing it
+ */
+require('dotenv').config();
+const { connectDB, disconnectDB } = require('../config/db');
+const { SecurityLog } = require('../models/securityLog');
+const { SECURITY_EVENTS, LEGACY_EVENT_TYPES } = require('../utils/securityEvents');
+
+// Entries logged before the hash chain began
+const UNCHAINED = { 'chain.seq': { $exists: false } };
+
+/**
+ * Helper function to rename the entries of one old event type, keeping the
+ * old type in their details
+ * @returns {Promise<number>} Number of entries renamed
+ */
+const renameEventType = async (legacyType, eventType, dryRun) => {
+  const filter = { ...UNCHAINED, event_type: legacyType };
+  if (dryRun) {
+    return SecurityLog.countDocuments(filter);
+  }
+
+  const { modifiedCount } = await SecurityLog.updateMany(filter, [{
+    $set: {
+      event_type: eventType,
+      details: {
+        $mergeObjects: [{ $ifNull: ['$details', {}] }, { legacyEventType: { $literal: legacyType } }]
+      }
+    }
+  }]);
+  return modifiedCount;
+};
+
+const main = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  await connectDB();
+
+  const known = Object.keys(SECURITY_EVENTS);
+  const legacyTypes = await SecurityLog.distinct('event_type', { ...UNCHAINED, event_type: { $nin: known } });
+  let total = 0;
+
+  for (const legacyType of legacyTypes) {
+    const eventType = LEGACY_EVENT_TYPES[legacyType] || 'LEGACY_EVENT';
+    const count = await renameEventType(legacyType, eventType, dryRun);
+    console.log(`${legacyType} -> ${eventType}: ${count} entr${count === 1 ? 'y' : 'ies'}`);
+    total += count;
+  }
+
+  const chained = await SecurityLog.countDocuments({ 'chain.seq': { $exists: true }, event_type: { $nin: known } });
+  console.log(`${dryRun ? 'Would map' : 'Mapped'} ${total} entr${total === 1 ? 'y' : 'ies'} onto the catalog`);
+  if (chained) {
+    console.log(`Left ${chained} chained entr${chained === 1 ? 'y' : 'ies'} with an old event type unchanged`);
+  }
+
+  await disconnectDB();
+};
+
+main().catch(error => {
+  console.error('Security event migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,118 @@
+/**
+ * Rotate the server master key and re-wrap every key stored under it.
+ * Only the small wrapped keys are rewritten; file contents are untouched.
+ *
+ * Usage: npm run rotate-master-key [-- --rewrap-only]
+ *   --rewrap-only  Skip creating a new master key, e.g. after changing
+ *                  SERVER_MASTER_KEY or switching KEY_PROVIDER
+ */
+require('dotenv').config();
+const { connectDB, disconnectDB } = require('../config/db');
+const { File } = require('../models/file');
+const { ShareLink } = require('../models/shareLink');
+const { User } = require('../models/user');
+const { SecurityLog } = require('../models/securityLog');
+const { getKeyProvider } = require('../utils/keyProviders');
+const { rewrapClientKey } = require('../utils/encryption');
+
+/**
+ * Re-wrap the client keys of every version of every browser-encrypted file
+ * @returns {Promise<number>} Number of keys re-wrapped
+ */
+const rewrapFileKeys = async () => {
+  let count = 0;
+  const cursor = File.find({
+    $or: [{ encryptionScheme: 'client' }, { 'versions.encryptionScheme': 'client' }]
+  }).cursor();
+
+  for await (const file of cursor) {
+    const contents = [file, ...file.versions].filter(content => content.encryptionScheme === 'client');
+    for (const content of contents) {
+      const rewrapped = await rewrapClientKey(content.encryptionKey);
+      if (rewrapped) {
+        content.encryptionKey = rewrapped;
+        count += 1;
+      }
+    }
+    await file.save();
+  }
+
+  return count;
+};
+
+/**
+ * Re-wrap the keys of share links that hold them under the master key
+ * @returns {Promise<number>} Number of keys re-wrapped
+ */
+const rewrapShareLinkKeys = async () => {
+  let count = 0;
+  const cursor = ShareLink.find({ keyWrapping: 'server', revokedAt: null }).cursor();
+
+  for await (const link of cursor) {
+    const rewrapped = await rewrapClientKey(link.wrappedKey);
+    if (rewrapped) {
+      link.wrappedKey = rewrapped;
+      await link.save();
+      count += 1;
+    }
+  }
+
+  return count;
+};
+
+/**
+ * Re-wrap users' authenticator app secrets, including unconfirmed ones
+ * @returns {Promise<number>} Number of secrets re-wrapped
+ */
+const rewrapTwoFactorSecrets = async () => {
+  let count = 0;
+  const cursor = User.find({
+    $or: [{ 'twoFactor.secret': { $ne: null } }, { 'twoFactor.pendingSecret': { $ne: null } }]
+  }).cursor();
+
+  for await (const user of cursor) {
+    for (const field of ['secret', 'pendingSecret']) {
+      const rewrapped = user.twoFactor[field] && await rewrapClientKey(user.twoFactor[field]);
+      if (rewrapped) {
+        user.twoFactor[field] = rewrapped;
+        count += 1;
+      }
+    }
+    await user.save();
+  }
+
+  return count;
+};
+
+const main = async () => {
+  const provider = getKeyProvider();
+  const previousKeyId = await provider.getCurrentKeyId();
+  const currentKeyId = process.argv.includes('--rewrap-only') ? previousKeyId : await provider.rotate();
+  console.log(`Master key: ${currentKeyId}${currentKeyId !== previousKeyId ? ` (was ${previousKeyId})` : ''}`);
+
+  await connectDB();
+  const files = await rewrapFileKeys();
+  const links = await rewrapShareLinkKeys();
+  const secrets = await rewrapTwoFactorSecrets();
+  console.log(`Re-wrapped ${files} file key(s), ${links} share link key(s) and ${secrets} two-factor secret(s)`);
+
+  await SecurityLog.createLog({
+    event_type: 'MASTER_KEY_ROTATED',
+    details: {
+      provider: process.env.KEY_PROVIDER || 'env',
+      previousKeyId,
+      currentKeyId,
+      fileKeys: files,
+      shareLinkKeys: links,
+      twoFactorSecrets: secrets
+    },
+    severity: 'warning'
+  });
+
+  await disconnectDB();
+};
+
+main().catch(error => {
+  console.error('Master key rotation failed:', error);
+  process.exit(1);
+});
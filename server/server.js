@@ -12,13 +12,24 @@ const { connectDB, initializeDB } = require('./config/db');
 
 // Import routes
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
 const fileRoutes = require('./routes/files');
 const securityRoutes = require('./routes/security');
 const permissionsRoutes = require('./routes/permissions');
+const storageRoutes = require('./routes/storage');
+const folderRoutes = require('./routes/folders');
+const shareLinkRoutes = require('./routes/shareLinks');
+const keyRotationRoutes = require('./routes/keyRotation');
+const userRoutes = require('./routes/users');
 
 // Import middleware
-const { errorHandler } = require('./middleware/security');
-const { authenticateJWT } = require('./middleware/auth');
+const { errorHandler, rejectBlockedAddress } = require('./middleware/security');
+const { authenticateJWT, requireVerifiedEmail } = require('./middleware/auth');
+const { startTrashSweeper } = require('./utils/trash');
+const { startSessionSweeper } = require('./utils/sessionStore');
+const { startRotationWatcher } = require('./utils/keyRotation');
+const { startCheckpointer } = require('./utils/auditLog');
+const { startAnomalyDetection } = require('./utils/anomalyDetection');
 
 // Create Express app
 const app = express();
@@ -29,8 +40,8 @@ const corsOptions = {
   origin: ['http://localhost:5174', 'http://127.0.0.1:5174'],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Cookie'],
-  exposedHeaders: ['set-cookie']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Cookie', 'X-Chunk-Hash', 'X-Share-Passphrase', 'X-File-Key'],
+  exposedHeaders: ['set-cookie', 'Content-Range', 'Content-Disposition', 'X-Encryption-Scheme']
 };
 
 // Apply security middleware
@@ -72,10 +83,16 @@ if (process.env.NODE_ENV !== 'production') {
 }
 
 // Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/files', authenticateJWT, fileRoutes);
+app.use('/api/auth/2fa', rejectBlockedAddress, twoFactorRoutes);
+app.use('/api/auth', rejectBlockedAddress, authRoutes);
+app.use('/api/files', authenticateJWT, requireVerifiedEmail, fileRoutes);
+app.use('/api/folders', authenticateJWT, requireVerifiedEmail, folderRoutes);
 app.use('/api/security', authenticateJWT, securityRoutes);
 app.use('/api/permissions', permissionsRoutes);
+app.use('/api/storage', storageRoutes);
+app.use('/api/links', shareLinkRoutes);
+app.use('/api/key-rotations', authenticateJWT, requireVerifiedEmail, keyRotationRoutes);
+app.use('/api/users', authenticateJWT, userRoutes);
 
 // Basic route for testing
 app.get('/', (req, res) => {
@@ -116,6 +133,21 @@ async function startServer() {
     
     // Verify environment variables
     verifyEnvironment();
+
+    // Permanently delete trashed files once their retention period has passed
+    startTrashSweeper();
+
+    // Remove pattern sessions that expired without being used
+    startSessionSweeper();
+
+    // Sign checkpoints of the audit log chains
+    startCheckpointer();
+
+    // Watch the logs for suspicious activity as they are written
+    startAnomalyDetection();
+
+    // Continue key rotations whose instance stopped, the last shutdown included
+    startRotationWatcher();
     
     // Start the server
     app.listen(PORT, () => {
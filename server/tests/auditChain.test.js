@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const { auditChainPlugin, computeEntryHash } = require('../utils/auditChain');
+
+const entrySchema = new mongoose.Schema({ message: String });
+entrySchema.plugin(auditChainPlugin, { chain: 'test', fields: ['message'] });
+const Entry = mongoose.model('AuditChainTestEntry', entrySchema);
+
+const positionTaken = () => Object.assign(new Error('E11000 duplicate key error'), {
+  code: 11000,
+  keyPattern: { 'chain.seq': 1 }
+});
+
+describe('audit chain appends', () => {
+  let head;
+  let inserted;
+
+  beforeEach(() => {
+    head = { seq: 1, hash: 'a'.repeat(64) };
+    inserted = [];
+    jest.spyOn(Entry, 'findOne').mockImplementation(() => ({
+      sort: () => ({ select: () => ({ lean: async () => ({ chain: { ...head } }) }) })
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('links the entry after the head', async () => {
+    jest.spyOn(Entry.collection, 'insertOne').mockImplementation(async (doc) => {
+      inserted.push(doc);
+      return { acknowledged: true };
+    });
+
+    const entry = await new Entry({ message: 'hello' }).appendToChain();
+
+    expect(entry.chain.seq).toBe(2);
+    expect(entry.chain.prevHash).toBe(head.hash);
+    expect(entry.chain.hash).toBe(computeEntryHash('test', entry.toObject(), ['message'], 2, head.hash));
+  });
+
+  test('moves after an entry another instance appended first', async () => {
+    jest.spyOn(Entry.collection, 'insertOne').mockImplementation(async (doc) => {
+      inserted.push(doc);
+      if (inserted.length === 1) {
+        // Another instance took position 2 in the meantime
+        head = { seq: 2, hash: 'b'.repeat(64) };
+        throw positionTaken();
+      }
+      return { acknowledged: true };
+    });
+
+    const entry = await new Entry({ message: 'hello' }).appendToChain();
+
+    expect(inserted.map(doc => doc.chain.seq)).toEqual([2, 3]);
+    expect(entry.isNew).toBe(false);
+    expect(entry.chain.prevHash).toBe('b'.repeat(64));
+    expect(entry.chain.hash).toBe(computeEntryHash('test', entry.toObject(), ['message'], 3, 'b'.repeat(64)));
+  });
+
+  test('gives up on a chain that stays busy', async () => {
+    jest.spyOn(Entry.collection, 'insertOne').mockImplementation(async (doc) => {
+      inserted.push(doc);
+      throw positionTaken();
+    });
+
+    await expect(new Entry({ message: 'hello' }).appendToChain()).rejects.toMatchObject({ code: 11000 });
+    expect(inserted).toHaveLength(5);
+  });
+
+  test('does not retry other errors', async () => {
+    jest.spyOn(Entry.collection, 'insertOne').mockImplementation(async (doc) => {
+      inserted.push(doc);
+      throw new Error('connection lost');
+    });
+
+    await expect(new Entry({ message: 'hello' }).appendToChain()).rejects.toThrow('connection lost');
+    expect(inserted).toHaveLength(1);
+  });
+});
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const { isoBase64URL, isoCBOR } = require('@simplewebauthn/server/helpers');
+
+// Authenticator data flags: user present, user verified, credential included
+const FLAG_UP = 0x01;
+const FLAG_UV = 0x04;
+const FLAG_AT = 0x40;
+
+/**
+ * Software authenticator for tests. It holds ES256 passkeys in memory and
+ * answers registration and sign-in options the way a browser and a platform
+ * authenticator would, with "none" attestation.
+ */
+class SoftAuthenticator {
+  constructor({ rpID = 'localhost', origin = 'http://localhost:5174' } = {}) {
+    this.rpID = rpID;
+    this.origin = origin;
+    this.credentials = new Map();
+  }
+
+  /**
+   * Answer PublicKeyCredentialCreationOptionsJSON with a new passkey
+   * @returns {Object} RegistrationResponseJSON
+   */
+  register(options) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const credentialId = crypto.randomBytes(16);
+    const id = isoBase64URL.fromBuffer(credentialId);
+    this.credentials.set(id, { privateKey, userHandle: options.user.id, counter: 0 });
+
+    const jwk = publicKey.export({ format: 'jwk' });
+    const cosePublicKey = isoCBOR.encode(new Map([
+      [1, 2], // kty: EC2
+      [3, -7], // alg: ES256
+      [-1, 1], // crv: P-256
+      [-2, isoBase64URL.toBuffer(jwk.x)],
+      [-3, isoBase64URL.toBuffer(jwk.y)]
+    ]));
+
+    const credentialIdLength = Buffer.alloc(2);
+    credentialIdLength.writeUInt16BE(credentialId.length);
+    const authData = Buffer.concat([
+      this.authenticatorData(FLAG_UP | FLAG_UV | FLAG_AT, 0),
+      Buffer.alloc(16), // AAGUID
+      credentialIdLength,
+      credentialId,
+      Buffer.from(cosePublicKey)
+    ]);
+
+    const attestationObject = isoCBOR.encode(new Map([
+      ['fmt', 'none'],
+      ['attStmt', new Map()],
+      ['authData', new Uint8Array(authData)]
+    ]));
+
+    return {
+      id,
+      rawId: id,
+      type: 'public-key',
+      response: {
+        clientDataJSON: this.clientData('webauthn.create', options.challenge),
+        attestationObject: isoBase64URL.fromBuffer(attestationObject),
+        transports: ['internal']
+      },
+      clientExtensionResults: {}
+    };
+  }
+
+  /**
+   * Answer PublicKeyCredentialRequestOptionsJSON with a stored passkey, the
+   * first allowed one unless a credential id is given
+   * @returns {Object} AuthenticationResponseJSON
+   */
+  authenticate(options, id = options.allowCredentials?.[0]?.id || this.credentials.keys().next().value) {
+    const stored = this.credentials.get(id);
+    if (!stored) {
+      throw new Error(`No passkey ${id}`);
+    }
+
+    stored.counter += 1;
+    const authData = this.authenticatorData(FLAG_UP | FLAG_UV, stored.counter);
+    const clientDataJSON = this.clientData('webauthn.get', options.challenge);
+    const clientDataHash = crypto.createHash('sha256')
+      .update(isoBase64URL.toBuffer(clientDataJSON))
+      .digest();
+    const signature = crypto.sign('sha256', Buffer.concat([authData, clientDataHash]), stored.privateKey);
+
+    return {
+      id,
+      rawId: id,
+      type: 'public-key',
+      response: {
+        clientDataJSON,
+        authenticatorData: isoBase64URL.fromBuffer(authData),
+        signature: isoBase64URL.fromBuffer(signature),
+        userHandle: stored.userHandle
+      },
+      clientExtensionResults: {}
+    };
+  }
+
+  authenticatorData(flags, counter) {
+    const rpIdHash = crypto.createHash('sha256').update(this.rpID).digest();
+    const signCount = Buffer.alloc(4);
+    signCount.writeUInt32BE(counter);
+    return Buffer.concat([rpIdHash, Buffer.from([flags]), signCount]);
+  }
+
+  clientData(type, challenge) {
+    return isoBase64URL.fromUTF8String(JSON.stringify({
+      type,
+      challenge,
+      origin: this.origin,
+      crossOrigin: false
+    }));
+  }
+}
+
+module.exports = {
+  SoftAuthenticator
+};
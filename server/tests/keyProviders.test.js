@@ -0,0 +1,55 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LocalKeystoreProvider, LocalKmsStub, KmipKeyProvider } = require('../utils/keyProviders');
+
+describe('key providers', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pixvault-keys-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('keystore opens a version another process rotated in', async () => {
+    const filePath = path.join(dir, 'master-keys.json');
+    const server = new LocalKeystoreProvider({ filePath, passphrase: 'secret' });
+    const before = await server.encrypt(Buffer.from('old'));
+
+    // As npm run rotate-master-key does, in its own process
+    const rotation = new LocalKeystoreProvider({ filePath, passphrase: 'secret' });
+    const keyId = await rotation.rotate();
+    const sealed = await rotation.encrypt(Buffer.from('new'));
+
+    expect(keyId).toBe('mk-v2');
+    expect((await server.decrypt(sealed.keyId, sealed)).toString()).toBe('new');
+    expect((await server.decrypt(before.keyId, before)).toString()).toBe('old');
+    await expect(server.decrypt('mk-v3', sealed)).rejects.toThrow('Unknown master key mk-v3');
+  });
+
+  test('keystore rotation keeps versions another process added', async () => {
+    const filePath = path.join(dir, 'master-keys.json');
+    const first = new LocalKeystoreProvider({ filePath });
+    const second = new LocalKeystoreProvider({ filePath });
+    await first.getCurrentKeyId();
+    await second.getCurrentKeyId();
+
+    expect(await first.rotate()).toBe('mk-v2');
+    expect(await second.rotate()).toBe('mk-v3');
+  });
+
+  test('KMS stub opens a key another process created', async () => {
+    const filePath = path.join(dir, 'kmip-stub.json');
+    const server = new KmipKeyProvider(new LocalKmsStub(filePath));
+    await server.getCurrentKeyId();
+
+    const rotation = new KmipKeyProvider(new LocalKmsStub(filePath));
+    await rotation.rotate();
+    const sealed = await rotation.encrypt(Buffer.from('new'));
+
+    expect((await server.decrypt(sealed.keyId, sealed)).toString()).toBe('new');
+  });
+});
@@ -0,0 +1,107 @@
+const { MemorySessionStore } = require('../utils/sessionStore');
+
+const MINUTE = 60 * 1000;
+
+describe('memory session store', () => {
+  let store;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    store = new MemorySessionStore();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('pattern sessions', () => {
+    test('keeps a session until it expires', async () => {
+      const { sessionId } = await store.create('alice', 'token');
+
+      jest.advanceTimersByTime(9 * MINUTE);
+      expect(await store.get(sessionId)).toMatchObject({ sessionId, username: 'alice' });
+
+      jest.advanceTimersByTime(MINUTE);
+      expect(await store.get(sessionId)).toBeNull();
+      expect(await store.sweep()).toBe(1);
+    });
+
+    test('consumes a session only once', async () => {
+      const { sessionId } = await store.create('alice', 'token');
+
+      const attempts = await Promise.all([store.consume(sessionId), store.consume(sessionId)]);
+      expect(attempts).toEqual([true, false]);
+      expect(await store.get(sessionId)).toBeNull();
+    });
+
+    test('does not consume an expired session', async () => {
+      const { sessionId } = await store.create('alice', 'token');
+
+      jest.advanceTimersByTime(10 * MINUTE);
+      expect(await store.consume(sessionId)).toBe(false);
+    });
+
+    test('drops the oldest sessions beyond the per-username cap', async () => {
+      const sessions = [];
+      for (let i = 0; i < 6; i += 1) {
+        sessions.push(await store.create('alice', 'token'));
+        jest.advanceTimersByTime(1000);
+      }
+      const other = await store.create('bob', 'token');
+
+      expect(await store.get(sessions[0].sessionId)).toBeNull();
+      for (const { sessionId } of sessions.slice(1)) {
+        expect(await store.get(sessionId)).not.toBeNull();
+      }
+      expect(await store.get(other.sessionId)).not.toBeNull();
+    });
+
+    test('uses each grid challenge once per session', async () => {
+      const { sessionId } = await store.create('alice', 'token');
+
+      expect(await store.useChallenges(sessionId, ['a', 'b'])).toBe(true);
+      expect(await store.useChallenges(sessionId, ['b', 'c'])).toBe(false);
+      expect((await store.get(sessionId)).usedChallenges).toEqual(['a', 'b']);
+    });
+  });
+
+  describe('authentication grants', () => {
+    const binding = { username: 'alice', sessionId: 'session', fingerprint: 'client' };
+
+    test('redeems a grant once', async () => {
+      const grant = await store.createGrant(binding);
+
+      expect(await store.redeemGrant(grant)).toEqual({
+        status: 'valid',
+        record: expect.objectContaining(binding)
+      });
+      expect((await store.redeemGrant(grant)).status).toBe('replayed');
+    });
+
+    test('refuses an expired or unknown grant', async () => {
+      const grant = await store.createGrant(binding, MINUTE);
+
+      jest.advanceTimersByTime(MINUTE);
+      expect((await store.redeemGrant(grant)).status).toBe('expired');
+      expect(await store.redeemGrant('unknown')).toEqual({ status: 'unknown', record: undefined });
+    });
+  });
+
+  describe('passkey challenges', () => {
+    test('takes a challenge once, for its own purpose', async () => {
+      const challengeId = await store.createChallenge({ challenge: 'abc', purpose: 'registration', userId: 'user' });
+      const other = await store.createChallenge({ challenge: 'def', purpose: 'registration' });
+
+      expect(await store.takeChallenge(challengeId, 'registration')).toMatchObject({ challenge: 'abc', userId: 'user' });
+      expect(await store.takeChallenge(challengeId, 'registration')).toBeNull();
+      expect(await store.takeChallenge(other, 'authentication')).toBeNull();
+    });
+
+    test('refuses an expired challenge', async () => {
+      const challengeId = await store.createChallenge({ challenge: 'abc', purpose: 'authentication' });
+
+      jest.advanceTimersByTime(5 * MINUTE);
+      expect(await store.takeChallenge(challengeId, 'authentication')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { File } = require('../models/file');
+const { User } = require('../models/user');
+const { encryptClientKey } = require('../utils/encryption');
+const { parseWrappedKeys, fillRecipientKeys } = require('../utils/shareKeys');
+
+const newKeyPair = () => crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+});
+
+const unwrap = (wrappedKey, privateKey) => crypto.privateDecrypt({
+  key: privateKey,
+  padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+  oaepHash: 'sha256'
+}, Buffer.from(wrappedKey, 'base64'));
+
+describe('file keys for new recipients', () => {
+  const folderId = new mongoose.Types.ObjectId();
+  const recipientKeys = newKeyPair();
+  let recipient;
+  let users;
+
+  const newFile = (fields) => new File({
+    owner: new mongoose.Types.ObjectId(),
+    originalName: 'photo.jpg',
+    encryptionScheme: 'server',
+    encryptionKey: 'owner-wrapped-key',
+    ...fields,
+    // As applyFolderShares leaves a new inherited share
+    sharedWith: [{ user: recipient._id, permission: 'read', inheritedFrom: folderId }]
+  });
+
+  beforeAll(() => {
+    process.env.SERVER_MASTER_KEY = crypto.randomBytes(32).toString('base64');
+  });
+
+  beforeEach(() => {
+    recipient = { _id: new mongoose.Types.ObjectId(), publicKey: recipientKeys.publicKey };
+    users = [recipient];
+    jest.spyOn(User, 'find').mockImplementation(({ _id }) => ({
+      select: async () => users.filter(user => _id.$in.some(id => id.equals(user._id)))
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('lists the keys the owner has to wrap for server-encrypted files', async () => {
+    const file = newFile();
+
+    expect(await fillRecipientKeys([file])).toEqual([{
+      fileId: file._id,
+      userId: recipient._id,
+      wrappedKey: 'owner-wrapped-key',
+      publicKey: recipientKeys.publicKey
+    }]);
+    expect(file.sharedWith[0].wrappedKey).toBeFalsy();
+  });
+
+  test('uses the keys the owner sent', async () => {
+    const file = newFile();
+    const wrappedKeys = parseWrappedKeys([
+      { fileId: String(file._id), userId: String(recipient._id), wrappedKey: 'recipient-wrapped-key' }
+    ]);
+
+    expect(await fillRecipientKeys([file], wrappedKeys)).toEqual([]);
+    expect(file.sharedWith[0].wrappedKey).toBe('recipient-wrapped-key');
+  });
+
+  test('wraps the keys of client-encrypted files held under the master key', async () => {
+    const fileKey = crypto.randomBytes(32);
+    const file = newFile({
+      encryptionScheme: 'client',
+      encryptionKey: await encryptClientKey(fileKey.toString('base64'))
+    });
+
+    expect(await fillRecipientKeys([file])).toEqual([]);
+    expect(unwrap(file.sharedWith[0].wrappedKey, recipientKeys.privateKey)).toEqual(fileKey);
+  });
+
+  test('leaves recipients without a public key for later', async () => {
+    recipient.publicKey = undefined;
+    const file = newFile();
+
+    expect(await fillRecipientKeys([file])).toEqual([]);
+    expect(file.sharedWith[0].wrappedKey).toBeFalsy();
+  });
+
+  test('refuses malformed keys', () => {
+    expect(parseWrappedKeys(undefined)).toEqual([]);
+    expect(() => parseWrappedKeys('key')).toThrow('wrappedKeys must be a list');
+    expect(() => parseWrappedKeys([{ fileId: 'a', userId: 'b' }])).toThrow('wrappedKeys must be a list');
+  });
+});
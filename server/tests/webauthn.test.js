@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const { SoftAuthenticator } = require('./helpers/softAuthenticator');
+const {
+  registrationOptions,
+  verifyRegistration,
+  authenticationOptions,
+  verifyAuthentication
+} = require('../utils/webauthn');
+const { MongoSessionStore } = require('../utils/sessionStore');
+const { WebAuthnChallenge } = require('../models/webauthnChallenge');
+
+const newUser = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  username: 'alice',
+  webauthnCredentials: []
+});
+
+// Register a passkey on the authenticator and store it on the user
+const registerPasskey = async (authenticator, user) => {
+  const options = await registrationOptions(user);
+  const credential = await verifyRegistration(authenticator.register(options), options.challenge);
+  user.webauthnCredentials.push(credential);
+  return credential;
+};
+
+describe('passkey verification', () => {
+  let authenticator;
+  let user;
+
+  beforeEach(() => {
+    authenticator = new SoftAuthenticator();
+    user = newUser();
+  });
+
+  test('registers a passkey from an authenticator response', async () => {
+    const options = await registrationOptions(user);
+    const response = authenticator.register(options);
+    const credential = await verifyRegistration(response, options.challenge);
+
+    expect(credential).toMatchObject({
+      credentialId: response.id,
+      counter: 0,
+      transports: ['internal']
+    });
+    expect(typeof credential.publicKey).toBe('string');
+  });
+
+  test('refuses a registration answering another challenge', async () => {
+    const options = await registrationOptions(user);
+    const { challenge } = await registrationOptions(user);
+
+    expect(await verifyRegistration(authenticator.register(options), challenge)).toBeNull();
+  });
+
+  test('verifies a sign-in assertion and advances the counter', async () => {
+    const credential = await registerPasskey(authenticator, user);
+    const options = await authenticationOptions(user);
+    const response = authenticator.authenticate(options);
+
+    expect(response.response.userHandle).toBe(Buffer.from(String(user._id)).toString('base64url'));
+    expect(await verifyAuthentication(response, options.challenge, credential)).toBe(true);
+    expect(credential.counter).toBe(1);
+    expect(credential.lastUsedAt).toBeInstanceOf(Date);
+  });
+
+  test('refuses an assertion answering another challenge', async () => {
+    const credential = await registerPasskey(authenticator, user);
+    const options = await authenticationOptions(user);
+    const { challenge } = await authenticationOptions(user);
+
+    expect(await verifyAuthentication(authenticator.authenticate(options), challenge, credential)).toBe(false);
+    expect(credential.counter).toBe(0);
+  });
+
+  test('refuses an assertion with a tampered signature', async () => {
+    const credential = await registerPasskey(authenticator, user);
+    const options = await authenticationOptions(user);
+    const response = authenticator.authenticate(options);
+    const signature = Buffer.from(response.response.signature, 'base64url');
+    signature[signature.length - 1] ^= 0xff;
+    response.response.signature = signature.toString('base64url');
+
+    expect(await verifyAuthentication(response, options.challenge, credential)).toBe(false);
+  });
+
+  test('refuses an assertion signed by another passkey', async () => {
+    const credential = await registerPasskey(authenticator, user);
+    const other = new SoftAuthenticator();
+    await registerPasskey(other, newUser());
+    const options = await authenticationOptions(user);
+    const response = other.authenticate(options, other.credentials.keys().next().value);
+    response.id = credential.credentialId;
+    response.rawId = credential.credentialId;
+
+    expect(await verifyAuthentication(response, options.challenge, credential)).toBe(false);
+  });
+
+  test('refuses a replayed assertion', async () => {
+    const credential = await registerPasskey(authenticator, user);
+    const options = await authenticationOptions(user);
+    const response = authenticator.authenticate(options);
+
+    expect(await verifyAuthentication(response, options.challenge, credential)).toBe(true);
+    expect(await verifyAuthentication(response, options.challenge, credential)).toBe(false);
+  });
+});
+
+describe('stored passkey challenges', () => {
+  const stored = new Map();
+
+  beforeEach(() => {
+    stored.clear();
+    // Keep records as MongoDB would return them: cast through the schema
+    jest.spyOn(WebAuthnChallenge, 'create').mockImplementation(async (record) => {
+      stored.set(record.challengeId, new WebAuthnChallenge(record).toObject());
+    });
+    jest.spyOn(WebAuthnChallenge, 'findOneAndDelete').mockImplementation(({ challengeId, purpose }) => {
+      const record = stored.get(challengeId);
+      stored.delete(challengeId);
+      return { lean: async () => (record && record.purpose === purpose ? record : null) };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('returns the user id as the string it was created with', async () => {
+    const store = new MongoSessionStore();
+    const userId = String(new mongoose.Types.ObjectId());
+    const challengeId = await store.createChallenge({ challenge: 'abc', purpose: 'registration', userId });
+
+    const ceremony = await store.takeChallenge(challengeId, 'registration');
+    expect(ceremony.userId).toBe(userId);
+    expect(await store.takeChallenge(challengeId, 'registration')).toBeNull();
+  });
+
+  test('keeps no user for a sign-in that did not name one', async () => {
+    const store = new MongoSessionStore();
+    const challengeId = await store.createChallenge({ challenge: 'abc', purpose: 'authentication' });
+
+    expect((await store.takeChallenge(challengeId, 'authentication')).userId).toBeNull();
+  });
+});
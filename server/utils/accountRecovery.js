@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const otpService = require('./otp');
+const emailService = require('./email');
+const { describeDevice } = require('./refreshTokens');
+
+const RECOVERY_OTP_TTL_MS = 10 * 60 * 1000; // 10 minutes, as the email says
+const RECOVERY_REQUEST_INTERVAL_MS = parseInt(process.env.RECOVERY_REQUEST_INTERVAL_MS) || 60 * 1000; // 1 minute
+const MAX_RECOVERY_ATTEMPTS = parseInt(process.env.MAX_RECOVERY_ATTEMPTS) || 5;
+const RECOVERY_COOLDOWN_MS = parseInt(process.env.RECOVERY_COOLDOWN_MS) || 30 * 60 * 1000; // 30 minutes
+const RESET_SESSION_TTL_MS = 15 * 60 * 1000; // 15 minutes
+
+/**
+ * Helper function to compare two hex digests in constant time
+ */
+const digestsEqual = (a, b) =>
+  typeof a === 'string' && a.length === b.length &&
+  crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+
+/**
+ * Helper function to hash a reset session token for storage and comparison
+ */
+const hashResetToken = (resetToken) =>
+  crypto.createHash('sha256').update(String(resetToken)).digest('hex');
+
+/**
+ * Check whether a user must wait before recovering their account: recovery
+ * is locked after too many wrong codes, and emailed codes are spaced out
+ * @param {Object} user - The user
+ * @param {boolean} [requestingOtp] - Whether a new code is being emailed
+ * @returns {number} Seconds to wait, or 0 if recovery may go ahead
+ */
+const recoveryWaitSeconds = (user, requestingOtp = false, now = new Date()) => {
+  const { lockedUntil, requestedAt } = user.recovery;
+  if (lockedUntil && lockedUntil > now) {
+    return Math.ceil((lockedUntil - now) / 1000);
+  }
+  if (requestingOtp && requestedAt && now - requestedAt < RECOVERY_REQUEST_INTERVAL_MS) {
+    return Math.ceil((requestedAt.getTime() + RECOVERY_REQUEST_INTERVAL_MS - now) / 1000);
+  }
+  return 0;
+};
+
+/**
+ * Start recovery with a new emailed code, replacing any earlier one. The
+ * caller saves the user and emails the code.
+ * @returns {string} The code
+ */
+const issueRecoveryOtp = (user) => {
+  const otp = otpService.generateOtp();
+  const salt = otpService.generateSalt();
+  const now = new Date();
+
+  user.recovery.otpSalt = salt;
+  user.recovery.otpHash = otpService.hashOtp(otp, salt);
+  user.recovery.otpExpiresAt = new Date(now.getTime() + RECOVERY_OTP_TTL_MS);
+  user.recovery.requestedAt = now;
+  return otp;
+};
+
+/**
+ * Check an emailed recovery code. A correct code is used up. The caller
+ * saves the user.
+ * @returns {boolean} Whether the code is correct and unexpired
+ */
+const verifyRecoveryOtp = (user, otp) => {
+  const { recovery } = user;
+  if (!recovery.otpHash || !recovery.otpExpiresAt || recovery.otpExpiresAt <= new Date()) return false;
+  if (!otpService.verifyHashedOtp(String(otp), recovery.otpHash, recovery.otpSalt)) return false;
+
+  recovery.otpHash = null;
+  recovery.otpSalt = null;
+  recovery.otpExpiresAt = null;
+  return true;
+};
+
+/**
+ * Check a recovery code. A correct code is used up. The caller saves the user.
+ * @returns {boolean} Whether the code is correct and unused
+ */
+const redeemRecoveryCode = (user, code) => {
+  const hash = otpService.hashBackupCode(code);
+  const entry = user.recovery.codes.find(candidate => !candidate.usedAt && digestsEqual(candidate.hash, hash));
+  if (!entry) return false;
+
+  entry.usedAt = new Date();
+  return true;
+};
+
+/**
+ * Count a wrong recovery code, locking recovery after too many. A lock also
+ * drops the pending emailed code. The caller saves the user.
+ * @returns {boolean} Whether recovery is now locked
+ */
+const recordFailedRecovery = (user) => {
+  const { recovery } = user;
+  recovery.attempts = (recovery.attempts || 0) + 1;
+  if (recovery.attempts < MAX_RECOVERY_ATTEMPTS) return false;
+
+  recovery.lockedUntil = new Date(Date.now() + RECOVERY_COOLDOWN_MS);
+  recovery.attempts = 0;
+  recovery.otpHash = null;
+  recovery.otpSalt = null;
+  recovery.otpExpiresAt = null;
+  return true;
+};
+
+/**
+ * Open a reset session once ownership is proven. The token it returns can
+ * only set a new pattern. The caller saves the user.
+ * @returns {string} The reset session token
+ */
+const issueResetToken = (user) => {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  user.recovery.attempts = 0;
+  user.recovery.resetTokenHash = hashResetToken(resetToken);
+  user.recovery.resetExpiresAt = new Date(Date.now() + RESET_SESSION_TTL_MS);
+  return resetToken;
+};
+
+/**
+ * Check a reset session token
+ * @returns {boolean} Whether it is the user's current, unexpired token
+ */
+const checkResetToken = (user, resetToken) => {
+  const { resetTokenHash, resetExpiresAt } = user.recovery;
+  if (!resetTokenHash || !resetExpiresAt || resetExpiresAt <= new Date()) return false;
+
+  return digestsEqual(resetTokenHash, hashResetToken(resetToken));
+};
+
+/**
+ * Close the reset session after the new pattern is set. The caller saves the
+ * user.
+ */
+const endResetSession = (user) => {
+  user.recovery.resetTokenHash = null;
+  user.recovery.resetExpiresAt = null;
+};
+
+/**
+ * Replace a user's recovery codes with a new set. The caller saves the user.
+ * @returns {string[]} The codes, shown to the user once
+ */
+const issueRecoveryCodes = (user) => {
+  const codes = otpService.generateBackupCodes();
+  user.recovery.codes = codes.map(code => ({ hash: otpService.hashBackupCode(code) }));
+  user.recovery.codesGeneratedAt = new Date();
+  return codes;
+};
+
+/**
+ * Describe a user's recovery codes to the client
+ */
+const describeRecoveryCodes = (user) => ({
+  remaining: user.recovery.codes.filter(entry => !entry.usedAt).length,
+  generatedAt: user.recovery.codesGeneratedAt
+});
+
+/**
+ * Tell the account owner about recovery activity on their account. A
+ * delivery failure is logged, not raised: the notice must not block recovery.
+ */
+const notifyAccountOwner = async (req, user, activityType) => {
+  try {
+    await emailService.sendActivityNotification({
+      email: user.email,
+      username: user.username,
+      activityType,
+      ipAddress: req.ip,
+      deviceInfo: describeDevice(req.get('user-agent') || ''),
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.warn('Failed to send recovery notification:', error);
+  }
+};
+
+module.exports = {
+  recoveryWaitSeconds,
+  issueRecoveryOtp,
+  verifyRecoveryOtp,
+  redeemRecoveryCode,
+  recordFailedRecovery,
+  issueResetToken,
+  checkResetToken,
+  endResetSession,
+  issueRecoveryCodes,
+  describeRecoveryCodes,
+  notifyAccountOwner
+};
@@ -0,0 +1,446 @@
+const { SecurityLog } = require('../models/securityLog');
+const { FileAccessLog } = require('../models/file');
+const { User } = require('../models/user');
+const { AnomalyRule } = require('../models/anomalyRule');
+const { BlockedAddress } = require('../models/blockedAddress');
+const { logWatch } = require('./logWatch');
+const { distanceKm } = require('./geoLocation');
+const { describeDevice, revokeRefreshSessions } = require('./refreshTokens');
+const emailService = require('./email');
+
+// How long admins' rule changes may take to reach a running server
+const RULE_CACHE_MS = 30 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+let ruleCache = null;
+let started = false;
+// Rule matches being responded to, so a burst of entries responds once
+const responding = new Set();
+
+/**
+ * Helper function to name the user an entry is about
+ */
+const userSubject = (userId, username) => ({ type: 'user', userId, key: `user:${userId}`, label: username || String(userId) });
+
+/**
+ * Helper function to name the client address an entry came from
+ */
+const addressSubject = (ipAddress) => ({ type: 'address', ipAddress, key: `ip:${ipAddress}`, label: ipAddress });
+
+/**
+ * Helper function to find a user's earlier sign-ins, newest first
+ */
+const earlierSignIns = (entry, since, filter = {}) => SecurityLog.find({
+  ...filter,
+  user_id: entry.user_id,
+  event_type: 'LOGIN_SUCCESS',
+  source: 'server',
+  _id: { $ne: entry._id },
+  timestamp: { $gte: since, $lte: entry.timestamp }
+}).sort({ timestamp: -1 });
+
+/**
+ * The built-in rules. Each watches one log as it is written and, for an
+ * entry that completes a suspicious pattern, returns what it saw. Admins can
+ * change whether a rule runs, what it does and its settings.
+ */
+const RULES = {
+  impossible_travel: {
+    description: 'A user signs in from two places too far apart to travel between in the time',
+    watches: 'security',
+    severity: 'critical',
+    enabled: true,
+    actions: ['alert', 'reauth'],
+    settings: {
+      maxSpeedKmh: 900, // about an airliner
+      minDistanceKm: 500, // below this, address locations are too rough to tell
+      lookbackHours: 24,
+      cooldownMinutes: 0,
+      lockoutMinutes: 30
+    },
+    async evaluate(entry, settings) {
+      if (entry.event_type !== 'LOGIN_SUCCESS' || entry.source !== 'server' || !entry.user_id ||
+          typeof entry.geo?.latitude !== 'number') {
+        return null;
+      }
+
+      const since = new Date(entry.timestamp.getTime() - settings.lookbackHours * 60 * MINUTE_MS);
+      const [previous] = await earlierSignIns(entry, since, { 'geo.latitude': { $exists: true } }).limit(1).lean();
+      if (!previous) return null;
+
+      const km = distanceKm(previous.geo, entry.geo);
+      // At least a minute apart, so simultaneous sign-ins do not divide by zero
+      const hours = Math.max(entry.timestamp - previous.timestamp, MINUTE_MS) / (60 * MINUTE_MS);
+      if (km < settings.minDistanceKm || km / hours <= settings.maxSpeedKmh) return null;
+
+      const minutes = Math.round(hours * 60);
+      return {
+        subject: userSubject(entry.user_id, entry.username),
+        summary: `Signed in from ${entry.location || entry.ip_address} ${Math.round(km)} km from ` +
+          `${previous.location || previous.ip_address}, ${minutes} minute${minutes === 1 ? '' : 's'} after signing in there`,
+        evidence: {
+          previousLogId: previous._id,
+          distanceKm: Math.round(km),
+          speedKmh: Math.round(km / hours)
+        }
+      };
+    }
+  },
+
+  new_device: {
+    description: 'A user signs in from a kind of device they have not signed in from before',
+    watches: 'security',
+    severity: 'warning',
+    enabled: true,
+    actions: ['alert'],
+    settings: {
+      lookbackDays: 90,
+      cooldownMinutes: 0,
+      lockoutMinutes: 30
+    },
+    async evaluate(entry, settings) {
+      if (entry.event_type !== 'LOGIN_SUCCESS' || entry.source !== 'server' || !entry.user_id) {
+        return null;
+      }
+
+      const since = new Date(entry.timestamp.getTime() - settings.lookbackDays * 24 * 60 * MINUTE_MS);
+      const previous = await earlierSignIns(entry, since).select('user_agent').limit(500).lean();
+      // A first sign-in has nothing to compare with
+      if (!previous.length) return null;
+
+      const device = describeDevice(entry.user_agent || '');
+      if (previous.some(signIn => describeDevice(signIn.user_agent || '') === device)) return null;
+
+      return {
+        subject: userSubject(entry.user_id, entry.username),
+        summary: `Signed in from ${device}, not seen in the last ${settings.lookbackDays} days`,
+        evidence: { device, userAgent: entry.user_agent }
+      };
+    }
+  },
+
+  mass_download: {
+    description: 'Many files are downloaded by one user, or through share links from one address, in a short time',
+    watches: 'file_access',
+    severity: 'critical',
+    enabled: true,
+    actions: ['alert', 'reauth'],
+    settings: {
+      maxDownloads: 100,
+      windowMinutes: 10,
+      cooldownMinutes: 10,
+      lockoutMinutes: 30
+    },
+    async evaluate(entry, settings) {
+      if (entry.action !== 'download') return null;
+      if (!entry.user && !entry.ipAddress) return null;
+
+      const since = new Date(entry.timestamp.getTime() - settings.windowMinutes * MINUTE_MS);
+      const filter = entry.user
+        ? { user: entry.user }
+        : { user: { $exists: false }, ipAddress: entry.ipAddress };
+      const downloads = await FileAccessLog.countDocuments({
+        ...filter,
+        action: 'download',
+        timestamp: { $gte: since, $lte: entry.timestamp }
+      });
+      if (downloads < settings.maxDownloads) return null;
+
+      return {
+        subject: entry.user ? userSubject(entry.user) : addressSubject(entry.ipAddress),
+        summary: `${downloads} files downloaded${entry.user ? '' : ' through share links'} in ${settings.windowMinutes} minutes`,
+        evidence: { downloads, windowMinutes: settings.windowMinutes }
+      };
+    }
+  },
+
+  mass_delete: {
+    description: 'Many files are deleted or purged by one user in a short time',
+    watches: 'security',
+    severity: 'critical',
+    enabled: true,
+    actions: ['alert', 'lockout'],
+    settings: {
+      maxDeletes: 50,
+      windowMinutes: 10,
+      cooldownMinutes: 10,
+      lockoutMinutes: 30
+    },
+    async evaluate(entry, settings) {
+      // Purges the trash sweeper makes come with no request, so no address
+      if (!['FILE_DELETED', 'FILE_PURGED'].includes(entry.event_type) || entry.source !== 'server' ||
+          !entry.user_id || !entry.ip_address) {
+        return null;
+      }
+
+      const since = new Date(entry.timestamp.getTime() - settings.windowMinutes * MINUTE_MS);
+      const deletes = await SecurityLog.countDocuments({
+        user_id: entry.user_id,
+        event_type: { $in: ['FILE_DELETED', 'FILE_PURGED'] },
+        source: 'server',
+        ip_address: { $exists: true },
+        timestamp: { $gte: since, $lte: entry.timestamp }
+      });
+      if (deletes < settings.maxDeletes) return null;
+
+      return {
+        subject: userSubject(entry.user_id, entry.username),
+        summary: `${deletes} files deleted or purged in ${settings.windowMinutes} minutes`,
+        evidence: { deletes, windowMinutes: settings.windowMinutes }
+      };
+    }
+  },
+
+  pattern_spray: {
+    description: 'Wrong patterns are entered for many different usernames from one address',
+    watches: 'security',
+    severity: 'critical',
+    enabled: true,
+    actions: ['alert', 'lockout'],
+    settings: {
+      minUsernames: 5,
+      windowMinutes: 15,
+      cooldownMinutes: 15,
+      lockoutMinutes: 60
+    },
+    async evaluate(entry, settings) {
+      if (entry.event_type !== 'PATTERN_VERIFICATION_FAILED' || entry.source !== 'server' || !entry.ip_address) {
+        return null;
+      }
+
+      const since = new Date(entry.timestamp.getTime() - settings.windowMinutes * MINUTE_MS);
+      const usernames = await SecurityLog.distinct('username', {
+        ip_address: entry.ip_address,
+        event_type: 'PATTERN_VERIFICATION_FAILED',
+        source: 'server',
+        timestamp: { $gte: since, $lte: entry.timestamp }
+      });
+      const targeted = usernames.filter(Boolean);
+      if (targeted.length < settings.minUsernames) return null;
+
+      return {
+        subject: addressSubject(entry.ip_address),
+        summary: `Wrong patterns for ${targeted.length} usernames in ${settings.windowMinutes} minutes`,
+        evidence: { usernames: targeted.slice(0, 50), windowMinutes: settings.windowMinutes }
+      };
+    }
+  }
+};
+
+/**
+ * Helper function to load admins' changes to the rules, cached briefly
+ * @returns {Promise<Map<string, Object>>} Changes by rule name
+ */
+const loadRuleChanges = async () => {
+  if (!ruleCache || ruleCache.loadedAt < Date.now() - RULE_CACHE_MS) {
+    const changes = await AnomalyRule.find({ rule: { $in: Object.keys(RULES) } }).lean();
+    ruleCache = { loadedAt: Date.now(), changes: new Map(changes.map(change => [change.rule, change])) };
+  }
+  return ruleCache.changes;
+};
+
+/**
+ * Drop the cached rule changes, so the next entry sees an admin's edit
+ */
+const invalidateRuleCache = () => {
+  ruleCache = null;
+};
+
+/**
+ * Describe every rule as it runs: its defaults with admins' changes applied
+ * @returns {Promise<Object[]>} { rule, description, watches, severity,
+ *   enabled, actions, settings, defaults } for each rule
+ */
+const describeRules = async () => {
+  const changes = await loadRuleChanges();
+  return Object.entries(RULES).map(([name, rule]) => {
+    const change = changes.get(name) || {};
+    return {
+      rule: name,
+      description: rule.description,
+      watches: rule.watches,
+      severity: rule.severity,
+      enabled: change.enabled ?? rule.enabled,
+      actions: change.actions ?? rule.actions,
+      settings: { ...rule.settings, ...change.settings },
+      defaults: {
+        enabled: rule.enabled,
+        actions: rule.actions,
+        settings: rule.settings
+      },
+      updatedAt: change.updatedAt || null
+    };
+  });
+};
+
+/**
+ * Helper function to find who to alert: SECURITY_ALERT_EMAILS, or else
+ * every admin
+ */
+const alertRecipients = async () => {
+  const configured = (process.env.SECURITY_ALERT_EMAILS || '').split(',').map(email => email.trim()).filter(Boolean);
+  if (configured.length) return configured;
+
+  const admins = await User.find({ role: 'admin', status: 'active' }).select('email').lean();
+  return admins.map(admin => admin.email).filter(Boolean);
+};
+
+/**
+ * Helper function to lock out or sign out the subject of a matched rule
+ * @returns {Promise<boolean>} Whether the action applied to the subject
+ */
+const takeAction = async (action, name, settings, match, entry) => {
+  const { subject } = match;
+  const lockedUntil = new Date(Date.now() + settings.lockoutMinutes * MINUTE_MS);
+  const reason = `anomaly:${name}`;
+
+  if (action === 'lockout' && subject.type === 'user') {
+    await User.updateOne({ _id: subject.userId }, { $set: { status: 'locked', lockedUntil } });
+    await revokeRefreshSessions(subject.userId);
+    await SecurityLog.createLog({
+      event_type: 'ACCOUNT_LOCKED',
+      user_id: subject.userId,
+      username: entry.username,
+      ip_address: entry.ip_address || entry.ipAddress,
+      details: { lockedUntil, reason }
+    });
+    return true;
+  }
+
+  if (action === 'lockout' && subject.type === 'address') {
+    await BlockedAddress.updateOne(
+      { ipAddress: subject.ipAddress },
+      { $set: { rule: name, reason: match.summary, expiresAt: lockedUntil }, $setOnInsert: { createdAt: new Date() } },
+      { upsert: true }
+    );
+    await SecurityLog.createLog({
+      event_type: 'ADDRESS_BLOCKED',
+      ip_address: subject.ipAddress,
+      details: { blockedUntil: lockedUntil, reason }
+    });
+    return true;
+  }
+
+  // Only users have sessions to end
+  if (action === 'reauth' && subject.type === 'user') {
+    await revokeRefreshSessions(subject.userId);
+    await SecurityLog.createLog({
+      event_type: 'TOKEN_INVALIDATED',
+      user_id: subject.userId,
+      username: entry.username,
+      details: { reason }
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Helper function to record a rule's match and carry out its actions, unless
+ * it already matched the same subject within its cooldown
+ */
+const respond = async (name, rule, config, match, entry) => {
+  const key = `${name}|${match.subject.key}`;
+  if (responding.has(key)) return;
+  responding.add(key);
+
+  try {
+    if (config.settings.cooldownMinutes > 0) {
+      const recent = await SecurityLog.exists({
+        event_type: 'SUSPICIOUS_ACTIVITY',
+        'details.rule': name,
+        'details.subject': match.subject.key,
+        timestamp: { $gte: new Date(Date.now() - config.settings.cooldownMinutes * MINUTE_MS) }
+      });
+      if (recent) return;
+    }
+
+    // Alerts go last, so they can say what else was done
+    const actions = [...config.actions].sort((a, b) => (a === 'alert') - (b === 'alert'));
+    const taken = [];
+    for (const action of actions) {
+      try {
+        if (action === 'alert') {
+          const emails = await alertRecipients();
+          if (!emails.length) continue;
+          await emailService.sendSecurityAlert({
+            emails,
+            rule: rule.description,
+            summary: match.summary,
+            subject: match.subject.label,
+            actions: taken,
+            timestamp: new Date()
+          });
+          taken.push(action);
+        } else if (await takeAction(action, name, config.settings, match, entry)) {
+          taken.push(action);
+        }
+      } catch (error) {
+        console.error(`Anomaly rule ${name} failed to ${action}:`, error);
+      }
+    }
+
+    await SecurityLog.createLog({
+      event_type: 'SUSPICIOUS_ACTIVITY',
+      user_id: match.subject.userId,
+      username: entry.username,
+      ip_address: entry.ip_address || entry.ipAddress,
+      user_agent: entry.user_agent || entry.userAgent,
+      severity: rule.severity,
+      details: {
+        rule: name,
+        subject: match.subject.key,
+        summary: match.summary,
+        evidence: match.evidence,
+        actions: taken
+      }
+    });
+  } finally {
+    responding.delete(key);
+  }
+};
+
+/**
+ * Run the rules watching a log over one of its new entries
+ * @param {string} log - 'security' or 'file_access'
+ * @param {Object} entry - The entry, as a plain object
+ */
+const inspectEntry = async (log, entry) => {
+  const rules = await describeRules();
+
+  for (const config of rules) {
+    if (config.watches !== log || !config.enabled) continue;
+    const rule = RULES[config.rule];
+    try {
+      const match = await rule.evaluate(entry, config.settings);
+      if (match) {
+        await respond(config.rule, rule, config, match, entry);
+      }
+    } catch (error) {
+      console.error(`Anomaly rule ${config.rule} failed:`, error);
+    }
+  }
+};
+
+/**
+ * Start running the anomaly rules over log entries as they are written
+ */
+const startAnomalyDetection = () => {
+  if (started) return;
+  started = true;
+
+  for (const log of ['security', 'file_access']) {
+    logWatch.on(log, (entry) => {
+      inspectEntry(log, entry).catch(error => console.error('Anomaly detection failed:', error));
+    });
+  }
+};
+
+module.exports = {
+  RULES,
+  describeRules,
+  invalidateRuleCache,
+  inspectEntry,
+  startAnomalyDetection
+};
@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+
+// The chain starts from this in place of a previous entry's hash
+const GENESIS_HASH = '0'.repeat(64);
+
+// A secret of its own, so rewriting the logs takes more than database access
+const chainKey = () => process.env.AUDIT_LOG_HMAC_KEY || 'default-audit-log-hmac-key';
+
+// Appends waiting on the entry ahead of them, by chain
+const appendQueues = new Map();
+
+// Times an append is tried before giving up on a busy chain
+const MAX_APPEND_ATTEMPTS = 5;
+
+/**
+ * Helper function to bring a value to a form that hashes the same before
+ * saving and after reading back: keys sorted, ids and dates as strings, and
+ * empty objects dropped as MongoDB drops them.
+ * @returns {*} The canonical value, or undefined to leave it out
+ */
+const canonicalize = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return value.toString('base64');
+  if (value._bsontype === 'ObjectId' || value._bsontype === 'ObjectID') return value.toHexString();
+  if (Array.isArray(value)) return value.map(item => {
+    const canonical = canonicalize(item);
+    return canonical === undefined ? null : canonical;
+  });
+  if (typeof value === 'object') {
+    const entries = Object.keys(value).sort()
+      .map(key => [key, canonicalize(value[key])])
+      .filter(([, canonical]) => canonical !== undefined);
+    return entries.length ? Object.fromEntries(entries) : undefined;
+  }
+  return value;
+};
+
+/**
+ * Compute the HMAC linking an entry into its chain. It covers the entry's
+ * contents, its place in the chain and the hash of the entry before it.
+ * @param {string} chain - Name of the chain
+ * @param {Object} entry - The entry, as a plain object
+ * @param {string[]} fields - Fields of the entry to cover
+ * @param {number} seq - Position of the entry, from 1
+ * @param {string} prevHash - Hash of the entry before it
+ * @returns {string} Hex HMAC-SHA256
+ */
+const computeEntryHash = (chain, entry, fields, seq, prevHash) => {
+  const contents = Object.fromEntries(fields.map(field => [field, entry[field]]));
+  const payload = JSON.stringify(canonicalize({ chain, seq, prevHash, contents }));
+  return crypto.createHmac('sha256', chainKey()).update(payload).digest('hex');
+};
+
+/**
+ * Helper function to wait for the chain's previous append to finish
+ * @returns {Promise<Function>} Call to let the next append go ahead
+ */
+const acquireChain = (chain) => {
+  let release;
+  const turn = new Promise(resolve => { release = resolve; });
+  const previous = appendQueues.get(chain) || Promise.resolve();
+  appendQueues.set(chain, previous.then(() => turn));
+  return previous.then(() => release);
+};
+
+/**
+ * Helper function to tell whether a save failed because another entry took
+ * its position in the chain
+ */
+const isPositionTaken = (error) =>
+  error?.code === 11000 &&
+  (error.keyPattern ? 'chain.seq' in error.keyPattern : /chain\.seq/.test(error.message));
+
+/**
+ * Mongoose plugin that links every new document of a log collection to the
+ * one saved before it. Appends in this process run one at a time; an append
+ * racing another process fails on the unique position rather than forking
+ * the chain, and appendToChain() then places it after the new head. Saved
+ * entries cannot be changed through the model.
+ * @param {Schema} schema - Log schema
+ * @param {Object} options
+ * @param {string} options.chain - Name of the chain
+ * @param {string[]} options.fields - Fields the HMAC covers
+ */
+const auditChainPlugin = (schema, { chain, fields }) => {
+  schema.statics.getAuditChain = function() {
+    return { chain, fields };
+  };
+
+  schema.add({
+    chain: {
+      seq: { type: Number },
+      prevHash: { type: String },
+      hash: { type: String }
+    }
+  });
+  schema.index(
+    { 'chain.seq': 1 },
+    { unique: true, partialFilterExpression: { 'chain.seq': { $exists: true } } }
+  );
+
+  // Save a new entry, reading the head again when another server instance
+  // appended first. A failed insert leaves the document new, so saving it
+  // again links it afresh.
+  schema.methods.appendToChain = async function() {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.save();
+      } catch (error) {
+        if (!isPositionTaken(error) || attempt >= MAX_APPEND_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  };
+
+  schema.pre('save', async function() {
+    if (!this.isNew) {
+      if (this.chain?.seq && this.modifiedPaths().length) {
+        throw new Error('Audit log entries cannot be changed');
+      }
+      return;
+    }
+
+    const release = await acquireChain(chain);
+    try {
+      const last = await this.constructor.findOne({ 'chain.seq': { $exists: true } })
+        .sort({ 'chain.seq': -1 })
+        .select('chain')
+        .lean();
+      const seq = last ? last.chain.seq + 1 : 1;
+      const prevHash = last ? last.chain.hash : GENESIS_HASH;
+
+      this.chain = {
+        seq,
+        prevHash,
+        hash: computeEntryHash(chain, this.toObject(), fields, seq, prevHash)
+      };
+      this.$locals.releaseChain = release;
+    } catch (error) {
+      release();
+      throw error;
+    }
+  });
+
+  const releaseAfterSave = (doc) => {
+    if (doc.$locals.releaseChain) {
+      doc.$locals.releaseChain();
+      delete doc.$locals.releaseChain;
+    }
+  };
+  schema.post('save', function(doc) {
+    releaseAfterSave(doc);
+  });
+  schema.post('save', function(error, doc, next) {
+    releaseAfterSave(doc);
+    next(error);
+  });
+};
+
+module.exports = {
+  GENESIS_HASH,
+  chainKey,
+  canonicalize,
+  computeEntryHash,
+  auditChainPlugin
+};
@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const { SecurityLog } = require('../models/securityLog');
+const { FileAccessLog } = require('../models/file');
+const { AuditCheckpoint } = require('../models/auditCheckpoint');
+const { GENESIS_HASH, chainKey, canonicalize, computeEntryHash } = require('./auditChain');
+
+const AUDIT_CHECKPOINT_INTERVAL_MS = parseInt(process.env.AUDIT_CHECKPOINT_INTERVAL_MS) || 60 * 60 * 1000; // hourly
+
+// The chained log collections, by chain name
+const CHAIN_MODELS = [SecurityLog, FileAccessLog];
+
+// DER header of a PKCS#8 Ed25519 private key, followed by its 32-byte seed
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+/**
+ * Helper function to load the key checkpoints are signed with. Without
+ * AUDIT_CHECKPOINT_PRIVATE_KEY (an Ed25519 PKCS#8 PEM) a key is derived from
+ * the chain's HMAC key, which is only fit for development.
+ */
+const signingKey = () => {
+  const pem = process.env.AUDIT_CHECKPOINT_PRIVATE_KEY;
+  if (pem) {
+    return crypto.createPrivateKey(pem.replace(/\\n/g, '\n'));
+  }
+  const seed = crypto.createHmac('sha256', chainKey()).update('audit-checkpoint-signing').digest();
+  return crypto.createPrivateKey({
+    key: Buffer.concat([ED25519_PKCS8_PREFIX, seed]),
+    format: 'der',
+    type: 'pkcs8'
+  });
+};
+
+/**
+ * The public key checkpoints verify with, for keeping alongside exports
+ * @returns {{publicKey: string, keyId: string}} PEM and its fingerprint
+ */
+const checkpointPublicKey = () => {
+  const publicKey = crypto.createPublicKey(signingKey());
+  const der = publicKey.export({ type: 'spki', format: 'der' });
+  return {
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+    keyId: crypto.createHash('sha256').update(der).digest('hex').slice(0, 16)
+  };
+};
+
+/**
+ * Helper function to serialise the signed fields of a checkpoint
+ */
+const checkpointPayload = ({ chain, seq, hash, createdAt, keyId }) =>
+  Buffer.from(JSON.stringify(canonicalize({ chain, seq, hash, createdAt: new Date(createdAt), keyId })));
+
+/**
+ * Check a checkpoint's signature
+ * @param {Object} checkpoint - A stored or exported checkpoint
+ * @param {string} [publicKey] - PEM to verify with; the server's own by default
+ * @returns {boolean} Whether the signature is valid
+ */
+const verifyCheckpointSignature = (checkpoint, publicKey = checkpointPublicKey().publicKey) => {
+  try {
+    return crypto.verify(null, checkpointPayload(checkpoint), publicKey, Buffer.from(checkpoint.signature, 'base64'));
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Helper function to find a chained log model by chain name
+ * @throws {Error} If there is no such chain
+ */
+const chainModel = (chain) => {
+  const model = CHAIN_MODELS.find(candidate => candidate.getAuditChain().chain === chain);
+  if (!model) {
+    throw new Error(`Unknown audit log chain: ${chain}`);
+  }
+  return model;
+};
+
+/**
+ * Walk a chain from its first entry, recomputing every link. Entries logged
+ * before chaining began carry no position and are not covered.
+ * @param {string} chain - Name of the chain
+ * @param {Object[]} [checkpoints] - Checkpoints of this chain to compare
+ *   against; only pass ones whose signature verifies
+ * @returns {Promise<Object>} { chain, valid, checked, head, firstBroken },
+ *   where firstBroken is { seq, entryId, reason } for the first bad link
+ */
+const verifyChain = async (chain, checkpoints = []) => {
+  const model = chainModel(chain);
+  const { fields } = model.getAuditChain();
+  const expectedHashes = new Map(checkpoints.map(checkpoint => [checkpoint.seq, checkpoint]));
+  const result = (checked, head, firstBroken = null) => ({
+    chain,
+    valid: !firstBroken,
+    checked,
+    head,
+    firstBroken
+  });
+
+  let expectedSeq = 1;
+  let prevHash = GENESIS_HASH;
+  let head = null;
+  const cursor = model.find({ 'chain.seq': { $exists: true } }).sort({ 'chain.seq': 1 }).lean().cursor();
+
+  for await (const entry of cursor) {
+    const { seq, prevHash: linkedHash, hash } = entry.chain;
+    const broken = (reason) => result(expectedSeq - 1, head, { seq: expectedSeq, entryId: entry._id, reason });
+
+    if (seq > expectedSeq) {
+      return broken(`Entry ${expectedSeq} is missing`);
+    }
+    if (seq < expectedSeq) {
+      return broken(`Entry ${seq} appears more than once`);
+    }
+    if (linkedHash !== prevHash) {
+      return broken('Entry does not link to the entry before it');
+    }
+    if (computeEntryHash(chain, entry, fields, seq, prevHash) !== hash) {
+      return broken('Entry contents do not match its hash');
+    }
+    const checkpoint = expectedHashes.get(seq);
+    if (checkpoint && checkpoint.hash !== hash) {
+      return broken(`Entry differs from the checkpoint taken ${new Date(checkpoint.createdAt).toISOString()}`);
+    }
+
+    head = { seq, hash };
+    prevHash = hash;
+    expectedSeq += 1;
+  }
+
+  // Cutting entries off the end leaves an intact chain; only a checkpoint shows it
+  const lost = checkpoints.find(checkpoint => checkpoint.seq >= expectedSeq);
+  if (lost) {
+    return result(expectedSeq - 1, head, {
+      seq: expectedSeq,
+      entryId: null,
+      reason: `Entries from ${expectedSeq} are missing; a checkpoint taken ${new Date(lost.createdAt).toISOString()} recorded entry ${lost.seq}`
+    });
+  }
+
+  return result(expectedSeq - 1, head);
+};
+
+/**
+ * Verify every chain against the given checkpoints and the stored ones.
+ * Checkpoints whose signature does not verify are counted, not used.
+ * @param {Object[]} [extraCheckpoints] - e.g. from an off-box export
+ * @param {string} [publicKey] - PEM the extra checkpoints verify with
+ * @returns {Promise<{valid: boolean, chains: Object[], invalidCheckpoints: number}>}
+ */
+const verifyAuditLogs = async (extraCheckpoints = [], publicKey) => {
+  const stored = await AuditCheckpoint.find().lean();
+  const extra = extraCheckpoints.filter(checkpoint => verifyCheckpointSignature(checkpoint, publicKey));
+  const trusted = [...stored.filter(checkpoint => verifyCheckpointSignature(checkpoint)), ...extra];
+  const invalidCheckpoints = stored.length + extraCheckpoints.length - trusted.length;
+
+  const chains = [];
+  for (const model of CHAIN_MODELS) {
+    const { chain } = model.getAuditChain();
+    chains.push(await verifyChain(chain, trusted.filter(checkpoint => checkpoint.chain === chain)));
+  }
+
+  return {
+    valid: chains.every(result => result.valid) && invalidCheckpoints === 0,
+    chains,
+    invalidCheckpoints
+  };
+};
+
+/**
+ * Sign and store a checkpoint of every chain that has grown since its last one
+ * @returns {Promise<Object[]>} The new checkpoints
+ */
+const createCheckpoints = async () => {
+  const key = signingKey();
+  const { keyId } = checkpointPublicKey();
+  const created = [];
+
+  for (const model of CHAIN_MODELS) {
+    const { chain } = model.getAuditChain();
+    const last = await model.findOne({ 'chain.seq': { $exists: true } }).sort({ 'chain.seq': -1 }).select('chain').lean();
+    if (!last) continue;
+
+    const previous = await AuditCheckpoint.findOne({ chain }).sort({ seq: -1 }).lean();
+    if (previous && previous.seq === last.chain.seq) continue;
+
+    const checkpoint = { chain, seq: last.chain.seq, hash: last.chain.hash, createdAt: new Date(), keyId };
+    checkpoint.signature = crypto.sign(null, checkpointPayload(checkpoint), key).toString('base64');
+    created.push(await AuditCheckpoint.create(checkpoint));
+  }
+
+  return created;
+};
+
+/**
+ * Export signed checkpoints, with the public key to check them, for storing
+ * away from the server
+ * @param {Date} [since] - Only checkpoints taken from then on
+ * @returns {Promise<{publicKey: string, keyId: string, exportedAt: Date, checkpoints: Object[]}>}
+ */
+const exportCheckpoints = async (since) => {
+  const checkpoints = await AuditCheckpoint.find(since ? { createdAt: { $gte: since } } : {})
+    .sort({ createdAt: 1 })
+    .select('-_id -__v')
+    .lean();
+  return {
+    ...checkpointPublicKey(),
+    exportedAt: new Date(),
+    checkpoints
+  };
+};
+
+/**
+ * Start taking checkpoints in the background
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+const startCheckpointer = () => {
+  const checkpoint = () => createCheckpoints()
+    .catch(error => console.error('Audit log checkpoint failed:', error));
+
+  checkpoint();
+  const timer = setInterval(checkpoint, AUDIT_CHECKPOINT_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  checkpointPublicKey,
+  verifyCheckpointSignature,
+  verifyChain,
+  verifyAuditLogs,
+  createCheckpoints,
+  exportCheckpoints,
+  startCheckpointer
+};
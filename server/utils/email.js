@@ -1,5 +1,12 @@
 const nodemailer = require('nodemailer');
 
+// Usernames and addresses in alerts come from clients
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
 /**
  * Email service for sending notifications and recovery emails
  */
@@ -72,6 +79,36 @@ class EmailService {
     return this.sendEmail({ to: email, subject, text, html });
   }
 
+  /**
+   * Send a link confirming the user owns their email address
+   * @param {Object} options - Verification email options
+   * @param {string} options.email - Recipient email
+   * @param {string} options.username - User's username
+   * @param {string} options.link - Confirmation link
+   * @param {string} options.expiresIn - How long the link works, for display
+   * @returns {Promise} - Email send result
+   */
+  async sendVerificationEmail({ email, username, link, expiresIn }) {
+    const subject = 'Verify your PixVault email address';
+    const text = `Hello ${username},\n\nPlease confirm this is your email address by opening the link below:\n\n${link}\n\nThe link expires in ${expiresIn}. Until you confirm, you cannot upload or download files.\n\nIf you did not create a PixVault account, please ignore this email.\n\nRegards,\nThe PixVault Team`;
+    
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #4a5568;">Verify your email address</h2>
+        <p>Hello ${escapeHtml(username)},</p>
+        <p>Please confirm this is your email address:</p>
+        <div style="text-align: center; margin: 20px 0;">
+          <a href="${escapeHtml(link)}" style="background-color: #3182ce; color: #ffffff; padding: 12px 24px; border-radius: 4px; text-decoration: none; display: inline-block;">Verify email address</a>
+        </div>
+        <p>The link expires in <strong>${expiresIn}</strong>. Until you confirm, you cannot upload or download files.</p>
+        <p>If you did not create a PixVault account, please ignore this email.</p>
+        <p>Regards,<br>The PixVault Team</p>
+      </div>
+    `;
+
+    return this.sendEmail({ to: email, subject, text, html });
+  }
+
   /**
    * Send account activity notification
    * @param {Object} options - Notification options
@@ -119,6 +156,57 @@ class EmailService {
 
     return this.sendEmail({ to: email, subject, text, html });
   }
+
+  /**
+   * Alert administrators to suspicious activity an anomaly rule found
+   * @param {Object} options - Alert options
+   * @param {string[]} options.emails - Administrators' emails
+   * @param {string} options.rule - Name of the rule that matched
+   * @param {string} options.summary - What was seen
+   * @param {string} options.subject - User or address it concerns
+   * @param {string[]} options.actions - What was done about it
+   * @param {Date} options.timestamp - Time of the match
+   * @returns {Promise} - Email send result
+   */
+  async sendSecurityAlert({ emails, rule, summary, subject: concerning, actions, timestamp }) {
+    const subject = `PixVault security alert: ${rule}`;
+    const formattedTime = new Date(timestamp).toLocaleString();
+    const taken = actions.length ? actions.join(', ') : 'none';
+    
+    const text = `Suspicious activity was detected on PixVault:\n\nRule: ${rule}\nConcerning: ${concerning}\nWhat was seen: ${summary}\nActions taken: ${taken}\nTime: ${formattedTime}\n\nReview the security logs for details.\n\nThe PixVault Team`;
+    
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #c53030;">Suspicious activity detected</h2>
+        <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+          <tr>
+            <td style="padding: 8px; border-bottom: 1px solid #e2e8f0;"><strong>Rule</strong></td>
+            <td style="padding: 8px; border-bottom: 1px solid #e2e8f0;">${escapeHtml(rule)}</td>
+          </tr>
+          <tr>
+            <td style="padding: 8px; border-bottom: 1px solid #e2e8f0;"><strong>Concerning</strong></td>
+            <td style="padding: 8px; border-bottom: 1px solid #e2e8f0;">${escapeHtml(concerning)}</td>
+          </tr>
+          <tr>
+            <td style="padding: 8px; border-bottom: 1px solid #e2e8f0;"><strong>What was seen</strong></td>
+            <td style="padding: 8px; border-bottom: 1px solid #e2e8f0;">${escapeHtml(summary)}</td>
+          </tr>
+          <tr>
+            <td style="padding: 8px; border-bottom: 1px solid #e2e8f0;"><strong>Actions taken</strong></td>
+            <td style="padding: 8px; border-bottom: 1px solid #e2e8f0;">${escapeHtml(taken)}</td>
+          </tr>
+          <tr>
+            <td style="padding: 8px; border-bottom: 1px solid #e2e8f0;"><strong>Time</strong></td>
+            <td style="padding: 8px; border-bottom: 1px solid #e2e8f0;">${formattedTime}</td>
+          </tr>
+        </table>
+        <p>Review the security logs for details.</p>
+        <p>The PixVault Team</p>
+      </div>
+    `;
+
+    return this.sendEmail({ to: emails.join(', '), subject, text, html });
+  }
 }
 
 module.exports = new EmailService();
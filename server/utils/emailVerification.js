@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { User } = require('../models/user');
+const emailService = require('./email');
+
+const VERIFICATION_PURPOSE = 'email_verification';
+const RESEND_INTERVAL_MS = parseInt(process.env.EMAIL_VERIFICATION_RESEND_INTERVAL_MS) || 60 * 1000; // 1 minute
+const MAX_EMAILS_PER_WINDOW = parseInt(process.env.EMAIL_VERIFICATION_MAX_PER_DAY) || 5;
+const SEND_WINDOW_MS = 24 * 60 * 60 * 1000; // 1 day
+
+// A secret of its own, so a link can never pass as an access token
+const verificationSecret = () => process.env.EMAIL_VERIFICATION_SECRET || 'default-email-verification-secret';
+const verificationExpiry = () => process.env.EMAIL_VERIFICATION_EXPIRY || '24h';
+const clientUrl = () => (process.env.CLIENT_URL || 'http://localhost:5174').replace(/\/+$/, '');
+
+/**
+ * Helper function to check whether a user may be sent another verification
+ * email yet
+ * @returns {number} Seconds to wait, or 0 if an email may be sent now
+ */
+const resendWaitSeconds = (user, now = new Date()) => {
+  const { sentAt, sendCount, windowStartedAt } = user.emailVerification;
+
+  if (windowStartedAt && now - windowStartedAt < SEND_WINDOW_MS && sendCount >= MAX_EMAILS_PER_WINDOW) {
+    return Math.ceil((windowStartedAt.getTime() + SEND_WINDOW_MS - now) / 1000);
+  }
+  if (sentAt && now - sentAt < RESEND_INTERVAL_MS) {
+    return Math.ceil((sentAt.getTime() + RESEND_INTERVAL_MS - now) / 1000);
+  }
+  return 0;
+};
+
+/**
+ * Email the user a new verification link. The link is signed, expires, names
+ * the address it was sent to and replaces any earlier link. The user is saved
+ * before sending so the link works as soon as it arrives.
+ * @throws {Error} If the email cannot be sent
+ */
+const sendVerificationEmail = async (user) => {
+  const now = new Date();
+  const tokenId = crypto.randomBytes(16).toString('hex');
+  const token = jwt.sign(
+    { id: String(user._id), email: user.email, purpose: VERIFICATION_PURPOSE },
+    verificationSecret(),
+    { expiresIn: verificationExpiry(), jwtid: tokenId }
+  );
+
+  const verification = user.emailVerification;
+  if (!verification.windowStartedAt || now - verification.windowStartedAt >= SEND_WINDOW_MS) {
+    verification.windowStartedAt = now;
+    verification.sendCount = 0;
+  }
+  verification.sendCount += 1;
+  verification.sentAt = now;
+  verification.tokenId = tokenId;
+  await user.save();
+
+  await emailService.sendVerificationEmail({
+    email: user.email,
+    username: user.username,
+    link: `${clientUrl()}/verify-email?token=${encodeURIComponent(token)}`,
+    expiresIn: verificationExpiry()
+  });
+};
+
+/**
+ * Confirm a user's email address with the token from a verification link
+ * @returns {Promise<{status: 'verified'|'already_verified'|'expired'|'invalid', user: Object|null}>}
+ */
+const confirmEmailToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(token), verificationSecret());
+  } catch (error) {
+    return { status: error.name === 'TokenExpiredError' ? 'expired' : 'invalid', user: null };
+  }
+  if (decoded.purpose !== VERIFICATION_PURPOSE) {
+    return { status: 'invalid', user: null };
+  }
+
+  const user = await User.findById(decoded.id);
+  // A link stops working once the address changes or a newer link is sent
+  if (!user || user.email !== decoded.email) {
+    return { status: 'invalid', user: null };
+  }
+  if (user.isVerified) {
+    return { status: 'already_verified', user };
+  }
+  if (user.emailVerification.tokenId !== decoded.jti) {
+    return { status: 'invalid', user: null };
+  }
+
+  user.isVerified = true;
+  user.emailVerification.verifiedAt = new Date();
+  user.emailVerification.tokenId = null;
+  await user.save();
+  return { status: 'verified', user };
+};
+
+module.exports = {
+  resendWaitSeconds,
+  sendVerificationEmail,
+  confirmEmailToken
+};
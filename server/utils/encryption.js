@@ -1,7 +1,9 @@
 const crypto = require('crypto');
 const fs = require('fs');
 const { promisify } = require('util');
+const { Readable } = require('stream');
 const pipeline = promisify(require('stream').pipeline);
+const { getKeyProvider, getKeyProviderFor } = require('./keyProviders');
 
 const ALGORITHM = 'aes-256-gcm';
 const IV_LENGTH = 12;
@@ -9,6 +11,33 @@ const AUTH_TAG_LENGTH = 16;
 const SALT_LENGTH = 64;
 const KEY_LENGTH = 32;
 
+// Segmented AEAD format: every segment is sealed with its own auth tag so any
+// byte range can be decrypted and verified without reading the whole file.
+// Header: magic (4) | segment size uint32 BE (4) | base nonce (12)
+const SEGMENT_MAGIC = Buffer.from('PXS1');
+const SEGMENT_SIZE = 64 * 1024;
+const SEGMENT_HEADER_LENGTH = SEGMENT_MAGIC.length + 4 + IV_LENGTH;
+
+/**
+ * Derive the nonce of a segment by XORing its index into the base nonce
+ */
+const segmentNonce = (baseNonce, index) => {
+  const nonce = Buffer.from(baseNonce);
+  nonce.writeUInt32BE((nonce.readUInt32BE(IV_LENGTH - 4) ^ index) >>> 0, IV_LENGTH - 4);
+  return nonce;
+};
+
+/**
+ * Additional authenticated data binding a segment to its position and to
+ * whether it is the last one, so segments cannot be reordered or truncated
+ */
+const segmentAad = (index, isFinal) => {
+  const aad = Buffer.alloc(5);
+  aad.writeUInt32BE(index, 0);
+  aad.writeUInt8(isFinal ? 1 : 0, 4);
+  return aad;
+};
+
 class EncryptionService {
   /**
    * Generate a new encryption key
@@ -64,6 +93,118 @@ class EncryptionService {
     );
   }
 
+  /**
+   * Encrypt a file stream into the segmented AEAD format
+   * @param {ReadableStream} readStream - Source file stream
+   * @param {WriteableStream} writeStream - Destination file stream
+   * @param {Buffer} key - Encryption key
+   * @param {number} segmentSize - Plaintext bytes per segment
+   * @returns {Promise<{iv: Buffer, segmentSize: number}>} Encryption metadata
+   */
+  static async encryptSegmentedStream(readStream, writeStream, key, segmentSize = SEGMENT_SIZE) {
+    const baseNonce = crypto.randomBytes(IV_LENGTH);
+
+    const header = Buffer.alloc(SEGMENT_HEADER_LENGTH);
+    SEGMENT_MAGIC.copy(header, 0);
+    header.writeUInt32BE(segmentSize, SEGMENT_MAGIC.length);
+    baseNonce.copy(header, SEGMENT_MAGIC.length + 4);
+
+    const seal = (index, plaintext, isFinal) => {
+      const cipher = crypto.createCipheriv(ALGORITHM, key, segmentNonce(baseNonce, index));
+      cipher.setAAD(segmentAad(index, isFinal));
+      return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+    };
+
+    const segmenter = async function* (source) {
+      yield header;
+
+      let buffer = Buffer.alloc(0);
+      let index = 0;
+
+      for await (const chunk of source) {
+        buffer = Buffer.concat([buffer, chunk]);
+        // Keep the last segment back until the input ends so it can be marked final
+        while (buffer.length > segmentSize) {
+          yield seal(index++, buffer.subarray(0, segmentSize), false);
+          buffer = buffer.subarray(segmentSize);
+        }
+      }
+
+      yield seal(index, buffer, true);
+    };
+
+    await pipeline(readStream, segmenter, writeStream);
+
+    return { iv: baseNonce, segmentSize };
+  }
+
+  /**
+   * Decrypt a plaintext byte range of a file in the segmented AEAD format.
+   * Only the segments covering the range are read, and each one is
+   * authenticated before any of its bytes are emitted.
+   * @param {string} filePath - Path to the encrypted file
+   * @param {Buffer} key - Decryption key
+   * @param {Object} options - Segment metadata and requested range
+   * @param {Buffer} options.iv - Base nonce
+   * @param {number} options.segmentSize - Plaintext bytes per segment
+   * @param {number} options.size - Total plaintext size
+   * @param {number} options.start - First plaintext byte (inclusive)
+   * @param {number} options.end - Last plaintext byte (inclusive)
+   * @returns {ReadableStream} Plaintext stream
+   */
+  static createSegmentedDecryptStream(filePath, key, { iv, segmentSize, size, start = 0, end = size - 1 }) {
+    const sealedSize = segmentSize + AUTH_TAG_LENGTH;
+    const totalSegments = Math.max(1, Math.ceil(size / segmentSize));
+    const firstSegment = Math.floor(start / segmentSize);
+    const lastSegment = Math.min(totalSegments - 1, Math.floor(Math.max(end, 0) / segmentSize));
+
+    const open = (index, sealed) => {
+      const isFinal = index === totalSegments - 1;
+      const decipher = crypto.createDecipheriv(ALGORITHM, key, segmentNonce(iv, index));
+      decipher.setAAD(segmentAad(index, isFinal));
+      decipher.setAuthTag(sealed.subarray(sealed.length - AUTH_TAG_LENGTH));
+      const plaintext = Buffer.concat([
+        decipher.update(sealed.subarray(0, sealed.length - AUTH_TAG_LENGTH)),
+        decipher.final()
+      ]);
+
+      const segmentStart = index * segmentSize;
+      const from = Math.max(start, segmentStart) - segmentStart;
+      const to = Math.min(end, segmentStart + plaintext.length - 1) - segmentStart + 1;
+      return plaintext.subarray(from, Math.max(from, to));
+    };
+
+    const segments = async function* () {
+      if (size === 0 || end < start) return;
+
+      const source = fs.createReadStream(filePath, {
+        start: SEGMENT_HEADER_LENGTH + firstSegment * sealedSize,
+        end: SEGMENT_HEADER_LENGTH + (lastSegment + 1) * sealedSize - 1
+      });
+
+      let buffer = Buffer.alloc(0);
+      let index = firstSegment;
+
+      for await (const chunk of source) {
+        buffer = Buffer.concat([buffer, chunk]);
+        while (buffer.length >= sealedSize && index <= lastSegment) {
+          yield open(index++, buffer.subarray(0, sealedSize));
+          buffer = buffer.subarray(sealedSize);
+        }
+      }
+
+      if (index === lastSegment && buffer.length > AUTH_TAG_LENGTH) {
+        yield open(index++, buffer);
+      }
+
+      if (index <= lastSegment) {
+        throw new Error('Encrypted file is truncated');
+      }
+    };
+
+    return Readable.from(segments());
+  }
+
   /**
    * Encrypt a key with a user's public key
    * @param {Buffer} key - Key to encrypt
@@ -351,49 +492,92 @@ const verifyPassword = (password, hash, salt) => {
   return hash === verifyHash;
 };
 
+// Smallest RSA modulus accepted for sharing keys
+const MIN_PUBLIC_KEY_BITS = 2048;
+
+/**
+ * Checks a sharing public key registered by a client
+ * @param {string} publicKey - PEM encoded RSA-OAEP public key
+ * @returns {string} The key as SPKI PEM
+ * @throws {Error} If it is not an RSA public key of at least MIN_PUBLIC_KEY_BITS bits
+ */
+const parseSharingPublicKey = (publicKey) => {
+  let keyObject;
+  try {
+    keyObject = crypto.createPublicKey(String(publicKey));
+  } catch (error) {
+    throw new Error('publicKey must be a PEM encoded public key');
+  }
+
+  if (keyObject.asymmetricKeyType !== 'rsa' || keyObject.asymmetricKeyDetails.modulusLength < MIN_PUBLIC_KEY_BITS) {
+    throw new Error(`publicKey must be an RSA key of at least ${MIN_PUBLIC_KEY_BITS} bits`);
+  }
+
+  return keyObject.export({ type: 'spki', format: 'pem' });
+};
+
 /**
  * Encrypts the client's encryption key with the server's master key
  * This allows the server to store the encryption key without being able to decrypt files
+ * The master key comes from the configured key provider (KEY_PROVIDER); its id
+ * is stored next to the ciphertext so the master key can be rotated.
  * @param {string} clientKey - Client's encryption key (base64)
- * @returns {string} Encrypted key (base64)
+ * @returns {Promise<string>} Encrypted key (JSON string)
  */
-const encryptClientKey = (clientKey) => {
-  const serverKey = process.env.SERVER_MASTER_KEY;
-  if (!serverKey) {
-    throw new Error('Server master key not configured');
-  }
-  
-  const { iv, encryptedData, tag } = encrypt(clientKey, serverKey);
-  
+const encryptClientKey = async (clientKey) => {
+  const { keyId, iv, ciphertext, tag } = await getKeyProvider().encrypt(Buffer.from(clientKey));
+
   // Store all components together
-  return JSON.stringify({ iv, key: encryptedData, tag });
+  return JSON.stringify({ kid: keyId, iv, key: ciphertext, tag });
 };
 
 /**
  * Decrypts the client's encryption key
- * @param {string} encryptedClientKey - Encrypted client key (JSON string)
- * @returns {string} Decrypted client key (base64)
+ * @param {string} encryptedClientKey - Encrypted key (JSON string)
+ * @returns {Promise<string>} Decrypted client key (base64)
  */
-const decryptClientKey = (encryptedClientKey) => {
-  const serverKey = process.env.SERVER_MASTER_KEY;
-  if (!serverKey) {
-    throw new Error('Server master key not configured');
+const decryptClientKey = async (encryptedClientKey) => {
+  const { kid, iv, key, tag } = JSON.parse(encryptedClientKey);
+
+  // Keys stored before key providers carry no id and used SERVER_MASTER_KEY directly
+  if (!kid) {
+    const serverKey = process.env.SERVER_MASTER_KEY;
+    if (!serverKey) {
+      throw new Error('Server master key not configured');
+    }
+    return decrypt(key, iv, tag, serverKey).toString();
   }
-  
-  const { iv, key, tag } = JSON.parse(encryptedClientKey);
-  const decrypted = decrypt(key, iv, tag, serverKey);
-  
+
+  const decrypted = await getKeyProviderFor(kid).decrypt(kid, { iv, ciphertext: key, tag });
   return decrypted.toString();
 };
 
+/**
+ * Re-encrypts a client key under the current master key, without touching
+ * the file it protects
+ * @param {string} encryptedClientKey - Encrypted key (JSON string)
+ * @returns {Promise<string|null>} The re-encrypted key, or null if it already
+ *   uses the current master key
+ */
+const rewrapClientKey = async (encryptedClientKey) => {
+  const { kid } = JSON.parse(encryptedClientKey);
+  if (kid && kid === await getKeyProvider().getCurrentKeyId()) {
+    return null;
+  }
+  return encryptClientKey(await decryptClientKey(encryptedClientKey));
+};
+
 module.exports = {
+  SEGMENT_SIZE,
   encrypt,
   decrypt,
   generateKey,
   hash,
   hashPassword,
   verifyPassword,
+  parseSharingPublicKey,
   encryptClientKey,
   decryptClientKey,
+  rewrapClientKey,
   EncryptionService
 };
\ No newline at end of file
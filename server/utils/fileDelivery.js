@@ -0,0 +1,216 @@
+const fs = require('fs');
+const fsPromises = require('fs').promises;
+const crypto = require('crypto');
+const { promisify } = require('util');
+const pipeline = promisify(require('stream').pipeline);
+const { EncryptionService, decryptClientKey } = require('./encryption');
+const { logSecurityEvent } = require('../middleware/security');
+
+// Client-side AES-GCM envelope: 12-byte IV prefix and 16-byte auth tag suffix
+const CLIENT_IV_LENGTH = 12;
+const CLIENT_TAG_LENGTH = 16;
+
+/**
+ * Recover the plaintext key of one version of a client-encrypted file, held
+ * under the server master key. Keys of server-encrypted files are wrapped for
+ * their owner's public key and only their client can unwrap them.
+ * @param {Object} content - File version (see File#getVersion)
+ * @returns {Promise<Buffer>} File key
+ */
+const unwrapFileKey = async (content) => {
+  if (content.encryptionScheme !== 'client') {
+    throw new Error('Only the owner\'s client can unwrap the key of a server-encrypted file');
+  }
+  return Buffer.from(await decryptClientKey(content.encryptionKey), 'base64');
+};
+
+/**
+ * Build the stream stages that produce the plaintext of a file version.
+ * Segmented (v2) files support any byte range; legacy v1 files and client
+ * envelopes can only be streamed whole because their single auth tag covers
+ * the entire file.
+ */
+const createPlaintextStreams = (file, fileKey, range) => {
+  const metadata = file.encryptionMetadata;
+
+  if (file.encryptionScheme !== 'client' && metadata.version === 2) {
+    return [EncryptionService.createSegmentedDecryptStream(file.path, fileKey, {
+      iv: Buffer.from(metadata.iv, 'base64'),
+      segmentSize: metadata.segmentSize,
+      size: file.size,
+      start: range.start,
+      end: range.end
+    })];
+  }
+
+  // Both formats carry the IV as a prefix; client envelopes also end with the tag
+  const iv = Buffer.from(metadata.iv, 'base64');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', fileKey, iv);
+  decipher.setAuthTag(Buffer.from(metadata.authTag, 'base64'));
+
+  const readOptions = { start: iv.length };
+  if (file.encryptionScheme === 'client') {
+    readOptions.end = iv.length + file.size - 1;
+  }
+  return [fs.createReadStream(file.path, readOptions), decipher];
+};
+
+/**
+ * Check a file key the user's client unwrapped before streaming with it, so a
+ * wrong key is refused up front rather than aborting the response half way.
+ * Segmented (v2) files are checked against their first segment; legacy v1
+ * files only against their auth tag once fully streamed.
+ * @param {Object} content - File version (see File#getVersion)
+ * @param {Buffer} fileKey - Key to check
+ * @returns {Promise<boolean>} Whether the key opens the file
+ */
+const checkFileKey = async (content, fileKey) => {
+  if (content.encryptionScheme === 'client' || content.encryptionMetadata.version !== 2 || content.size === 0) {
+    return true;
+  }
+
+  try {
+    const [stream] = createPlaintextStreams(content, fileKey, { start: 0, end: 0 });
+    await stream.toArray();
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Send the content of one version of a file. Given the file key (share
+ * links, client-encrypted files and clients that send their unwrapped key)
+ * it is decrypted on the fly; otherwise the stored ciphertext is sent for
+ * the user's browser to decrypt with the key from GET /files/:id/key.
+ * Supports single HTTP Range requests; ?inline=true previews the file in
+ * the browser instead of downloading it.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Document} file - File document
+ * @param {Object} content - Version to send (see File#getVersion)
+ * @param {Object} options
+ * @param {Function} options.logAccess - Records a FileAccessLog entry for an action
+ * @param {Buffer} [options.fileKey] - Already unwrapped file key
+ * @param {Function} [options.countDownload] - Called before sending a request
+ *   that starts at the first byte; ranges further on continue a download it
+ *   already counted. Throws to refuse the request.
+ */
+const sendFileContent = async (req, res, file, content, { logAccess, fileKey, countDownload } = {}) => {
+  const isClientEnvelope = content.encryptionScheme === 'client';
+  const sendCiphertext = !fileKey;
+  const totalSize = sendCiphertext ? (await fsPromises.stat(content.path)).size : content.size;
+  const supportsRanges = sendCiphertext || (!isClientEnvelope && content.encryptionMetadata.version === 2);
+
+  let range = { start: 0, end: totalSize - 1 };
+  let isPartial = false;
+
+  if (req.headers.range && supportsRanges && totalSize > 0) {
+    const ranges = req.range(totalSize, { combine: true });
+    if (ranges === -1) {
+      res.set('Content-Range', `bytes */${totalSize}`);
+      return res.status(416).end();
+    }
+    // Malformed or multi-range requests fall back to the full content
+    if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+      range = ranges[0];
+      isPartial = true;
+    }
+  }
+
+  if (countDownload && range.start === 0) {
+    await countDownload();
+  }
+
+  let bodyStreams = null;
+  if (sendCiphertext) {
+    bodyStreams = totalSize > 0 ? [fs.createReadStream(content.path, range)] : null;
+  } else {
+    bodyStreams = createPlaintextStreams(content, fileKey, range);
+  }
+
+  res.attachment(file.originalName);
+  if (req.query.inline === 'true') {
+    res.set('Content-Disposition', res.get('Content-Disposition').replace(/^attachment/, 'inline'));
+  }
+  res.set({
+    'Content-Type': sendCiphertext ? 'application/octet-stream' : content.contentType,
+    'Content-Length': totalSize > 0 ? range.end - range.start + 1 : 0,
+    'Accept-Ranges': supportsRanges ? 'bytes' : 'none',
+    'Cache-Control': 'private, no-store'
+  });
+  if (sendCiphertext) {
+    res.set('X-Encryption-Scheme', content.encryptionScheme);
+  }
+  if (isPartial) {
+    res.status(206).set('Content-Range', `bytes ${range.start}-${range.end}/${totalSize}`);
+  }
+
+  // Log file access; partial requests come from previews and seeking
+  await logAccess(isPartial ? 'view' : 'download');
+
+  if (!bodyStreams) {
+    return res.end();
+  }
+
+  // Full downloads are re-hashed on the way out as an end-to-end check.
+  // Ciphertext downloads and client envelopes have no plaintext hash to compare.
+  const hash = !isPartial && !isClientEnvelope && !sendCiphertext ? crypto.createHash('sha256') : null;
+  const hasher = async function* (source) {
+    for await (const chunk of source) {
+      if (hash) hash.update(chunk);
+      yield chunk;
+    }
+  };
+
+  pipeline(...bodyStreams, hasher, res)
+    .then(async () => {
+      if (!hash) return;
+
+      const downloadHash = hash.digest('hex');
+      if (downloadHash !== content.hash) {
+        await logSecurityEvent(req, {
+          event_type: 'SECURITY_ERROR',
+          details: {
+            error: 'File integrity check failed',
+            fileId: file._id
+          },
+          severity: 'critical'
+        });
+        return;
+      }
+
+      await logSecurityEvent(req, {
+        event_type: 'FILE_DOWNLOAD',
+        details: {
+          fileId: file._id,
+          filename: file.originalName,
+          version: content.version,
+          hash: downloadHash
+        }
+      });
+    })
+    .catch(async (error) => {
+      // Clients abort range requests routinely while seeking
+      if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') return;
+
+      // Headers are already sent; a failed auth tag aborts the connection
+      console.error('Error streaming file:', error);
+      await logSecurityEvent(req, {
+        event_type: 'SECURITY_ERROR',
+        details: {
+          error: error.message,
+          fileId: file._id
+        }
+      });
+    });
+};
+
+module.exports = {
+  CLIENT_IV_LENGTH,
+  CLIENT_TAG_LENGTH,
+  unwrapFileKey,
+  createPlaintextStreams,
+  checkFileKey,
+  sendFileContent
+};
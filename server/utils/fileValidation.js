@@ -1,6 +1,7 @@
 const mime = require('mime-types');
 const FileType = require('file-type');
 const path = require('path');
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const { createReadStream } = require('fs');
 const ClamScan = require('clamscan');
@@ -33,9 +34,11 @@ class FileValidationService {
      * Validate file size, type, and scan for viruses
      * @param {string} filePath - Path to the file
      * @param {string} originalName - Original filename
+     * @param {Object} options - Validation options
+     * @param {number} options.maxSize - Maximum size in bytes (defaults to MAX_FILE_SIZE)
      * @returns {Promise<{isValid: boolean, error: string|null}>}
      */
-    static async validateFile(filePath, originalName) {
+    static async validateFile(filePath, originalName, { maxSize = this.MAX_FILE_SIZE } = {}) {
         try {
             // Check if file exists
             await fs.access(filePath);
@@ -44,7 +47,7 @@ class FileValidationService {
             const stats = await fs.stat(filePath);
             
             // Check file size
-            if (stats.size > this.MAX_FILE_SIZE) {
+            if (stats.size > maxSize) {
                 return {
                     isValid: false,
                     error: 'File size exceeds maximum allowed size'
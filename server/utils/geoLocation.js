@@ -0,0 +1,48 @@
+// Request headers a trusted proxy puts the client's location in, e.g.
+// Cloudflare's cf-iplatitude. Unset, requests have no location.
+const GEO_HEADERS = {
+  latitude: process.env.GEO_LATITUDE_HEADER,
+  longitude: process.env.GEO_LONGITUDE_HEADER,
+  city: process.env.GEO_CITY_HEADER,
+  country: process.env.GEO_COUNTRY_HEADER
+};
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Read where a request comes from, as the proxy in front of the server
+ * located it. Only configure the headers when a proxy sets them, as
+ * clients can send them too.
+ * @param {Object} req - Express request object
+ * @returns {{geo: {latitude: number, longitude: number}|undefined, location: string|undefined}}
+ */
+const locateRequest = (req) => {
+  const header = (name) => (GEO_HEADERS[name] ? req.get?.(GEO_HEADERS[name]) : undefined);
+  const latitude = parseFloat(header('latitude'));
+  const longitude = parseFloat(header('longitude'));
+  const place = [header('city'), header('country')].filter(Boolean).join(', ');
+
+  const valid = Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180;
+  return {
+    geo: valid ? { latitude, longitude } : undefined,
+    location: place || undefined
+  };
+};
+
+/**
+ * Great-circle distance between two points
+ * @returns {number} Distance in kilometres
+ */
+const distanceKm = (from, to) => {
+  const radians = (degrees) => degrees * Math.PI / 180;
+  const dLat = radians(to.latitude - from.latitude);
+  const dLon = radians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(radians(from.latitude)) * Math.cos(radians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+module.exports = {
+  locateRequest,
+  distanceKm
+};
@@ -1,8 +1,34 @@
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { SecurityError } = require('../middleware/security');
 
 const defaultImagePath = path.join(__dirname, '../assets/matrix-images');
 
+// How long a served grid can be answered
+const GRID_CHALLENGE_TTL = '5m';
+
+/**
+ * Helper function to get the key grid challenges are signed with. It is
+ * derived from JWT_SECRET so a challenge can never pass as an auth token.
+ */
+const getChallengeKey = () =>
+  crypto.createHmac('sha256', process.env.JWT_SECRET || 'default-secret-key')
+    .update('passmatrix-grid-challenge')
+    .digest();
+
+/**
+ * Helper function to shuffle an array in place with a CSPRNG (Fisher-Yates)
+ */
+const shuffle = (items) => {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+};
+
 /**
  * Get a list of random image paths for the pass matrix
  * @param {number} count Number of images needed
@@ -21,7 +47,7 @@ async function getRandomMatrixImages(count = 25) {
     }
 
     // Shuffle and select required number of images
-    const shuffled = [...imageFiles].sort(() => 0.5 - Math.random());
+    const shuffled = shuffle([...imageFiles]);
     return shuffled.slice(0, count).map(file => `/matrix-images/${file}`);
   } catch (error) {
     console.error('Error getting matrix images:', error);
@@ -29,7 +55,56 @@ async function getRandomMatrixImages(count = 25) {
   }
 }
 
+/**
+ * Sign a challenge recording the grid layout served to a pattern session
+ * @param {string} sessionId Pattern session the grid is served to
+ * @param {Array<string>} images Image paths in the order they are shown
+ * @returns {string} Signed challenge the client returns with its selection
+ */
+function createGridChallenge(sessionId, images) {
+  const layout = images.map(image => path.basename(image));
+  return jwt.sign({ sid: sessionId, layout }, getChallengeKey(), {
+    expiresIn: GRID_CHALLENGE_TTL,
+    jwtid: crypto.randomBytes(16).toString('hex')
+  });
+}
+
+/**
+ * Verify a grid challenge and map the selected positions back to the stable
+ * image ids shown at them
+ * @param {string} challenge Challenge issued with the grid
+ * @param {Array<number>} positions Selected grid positions, in click order
+ * @param {string} sessionId Pattern session submitting the selection
+ * @returns {{challengeId: string, imageIds: Array<string>}} Challenge id (for
+ *   replay tracking) and the selected image ids
+ */
+function resolveGridSelection(challenge, positions, sessionId) {
+  let payload;
+  try {
+    payload = jwt.verify(String(challenge), getChallengeKey());
+  } catch (error) {
+    throw new SecurityError(error.name === 'TokenExpiredError' ? 'Grid expired' : 'Invalid grid challenge', 401);
+  }
+
+  if (payload.sid !== sessionId) {
+    throw new SecurityError('Grid was issued to another session', 401);
+  }
+
+  const { layout } = payload;
+  if (!Array.isArray(positions) ||
+      !positions.every(position => Number.isInteger(position) && position >= 0 && position < layout.length)) {
+    throw new SecurityError('Invalid grid positions', 400);
+  }
+
+  return {
+    challengeId: payload.jti,
+    imageIds: positions.map(position => layout[position])
+  };
+}
+
 module.exports = {
   getRandomMatrixImages,
+  createGridChallenge,
+  resolveGridSelection,
   defaultImagePath
 };
@@ -0,0 +1,333 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 16;
+const KEY_LENGTH = 32;
+const DEFAULT_KEYSTORE_DIR = path.join(__dirname, '../keystore');
+
+// Key id prefixes tell which provider issued a key
+const ENV_KEY_PREFIX = 'env-';
+const KEYSTORE_KEY_PREFIX = 'mk-v';
+const KMIP_KEY_PREFIX = 'kmip:';
+
+/**
+ * Seal data under a raw master key
+ * @returns {{iv: string, ciphertext: string, tag: string}} Base64 components
+ */
+const seal = (key, plaintext) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return {
+    iv: iv.toString('base64'),
+    ciphertext: ciphertext.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64')
+  };
+};
+
+/**
+ * Open data sealed with seal()
+ * @returns {Buffer} Plaintext
+ */
+const open = (key, { iv, ciphertext, tag }) => {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]);
+};
+
+/**
+ * Parse a base64 master key, rejecting anything but 256 bits
+ */
+const parseMasterKey = (value) => {
+  const key = Buffer.from(String(value || ''), 'base64');
+  if (key.length !== KEY_LENGTH) {
+    throw new Error('Server master key not configured');
+  }
+  return key;
+};
+
+/**
+ * Write a JSON state file readable by the server user only. The temporary
+ * file and rename keep a crash from leaving a truncated keystore behind.
+ */
+const writeStateFile = (filePath, state) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o700 });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2), { mode: 0o600 });
+  fs.renameSync(tmpPath, filePath);
+};
+
+/**
+ * Master key taken from the SERVER_MASTER_KEY environment variable. Key ids
+ * are fingerprints of the key, so after moving the old key to
+ * SERVER_MASTER_KEY_PREVIOUS (comma separated) existing records still open.
+ */
+class EnvKeyProvider {
+  constructor(env = process.env) {
+    this.env = env;
+  }
+
+  keyId(key) {
+    return ENV_KEY_PREFIX + crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+  }
+
+  currentKey() {
+    return parseMasterKey(this.env.SERVER_MASTER_KEY);
+  }
+
+  async getCurrentKeyId() {
+    return this.keyId(this.currentKey());
+  }
+
+  async encrypt(plaintext) {
+    const key = this.currentKey();
+    return { keyId: this.keyId(key), ...seal(key, plaintext) };
+  }
+
+  async decrypt(keyId, sealed) {
+    const candidates = [this.env.SERVER_MASTER_KEY, ...String(this.env.SERVER_MASTER_KEY_PREVIOUS || '').split(',')]
+      .filter(Boolean)
+      .map(parseMasterKey);
+    const key = candidates.find(candidate => this.keyId(candidate) === keyId);
+    if (!key) {
+      throw new Error(`Unknown master key ${keyId}`);
+    }
+    return open(key, sealed);
+  }
+
+  async rotate() {
+    throw new Error('Set a new SERVER_MASTER_KEY and move the old one to SERVER_MASTER_KEY_PREVIOUS to rotate');
+  }
+}
+
+/**
+ * Versioned master keys kept in a local keystore file (KEYSTORE_PATH),
+ * outside the database. With KEYSTORE_PASSPHRASE set the key material is
+ * stored encrypted under it. Key ids look like 'mk-v3'; rotating adds a
+ * version and old versions stay available for decryption.
+ */
+class LocalKeystoreProvider {
+  constructor({
+    filePath = process.env.KEYSTORE_PATH || path.join(DEFAULT_KEYSTORE_DIR, 'master-keys.json'),
+    passphrase = process.env.KEYSTORE_PASSPHRASE
+  } = {}) {
+    this.filePath = filePath;
+    this.passphrase = passphrase;
+    this.state = null;
+    this.unlocked = new Map();
+  }
+
+  // Stored form of key material: raw base64, or sealed under the passphrase
+  protect(key) {
+    if (!this.passphrase) return key.toString('base64');
+
+    const salt = crypto.randomBytes(16);
+    const wrappingKey = crypto.scryptSync(this.passphrase, salt, KEY_LENGTH);
+    return { salt: salt.toString('base64'), ...seal(wrappingKey, key) };
+  }
+
+  unprotect(material) {
+    if (typeof material === 'string') return Buffer.from(material, 'base64');
+
+    if (!this.passphrase) {
+      throw new Error('KEYSTORE_PASSPHRASE is required to open the keystore');
+    }
+    const wrappingKey = crypto.scryptSync(this.passphrase, Buffer.from(material.salt, 'base64'), KEY_LENGTH);
+    return open(wrappingKey, material);
+  }
+
+  // With refresh the file is read again, for versions another process
+  // (such as npm run rotate-master-key) added since it was loaded
+  load(refresh = false) {
+    if (this.state && !refresh) return this.state;
+
+    if (fs.existsSync(this.filePath)) {
+      this.state = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } else if (!this.state) {
+      // First use: start the keystore with version 1
+      this.state = { currentKeyId: null, keys: [] };
+      this.addVersion();
+    }
+    return this.state;
+  }
+
+  addVersion() {
+    const version = this.state.keys.length + 1;
+    const keyId = `${KEYSTORE_KEY_PREFIX}${version}`;
+    this.state.keys.push({
+      id: keyId,
+      createdAt: new Date().toISOString(),
+      material: this.protect(crypto.randomBytes(KEY_LENGTH))
+    });
+    this.state.currentKeyId = keyId;
+    writeStateFile(this.filePath, this.state);
+    return keyId;
+  }
+
+  getKey(keyId) {
+    if (!this.unlocked.has(keyId)) {
+      const entry = this.load().keys.find(k => k.id === keyId) ||
+        this.load(true).keys.find(k => k.id === keyId);
+      if (!entry) {
+        throw new Error(`Unknown master key ${keyId}`);
+      }
+      this.unlocked.set(keyId, this.unprotect(entry.material));
+    }
+    return this.unlocked.get(keyId);
+  }
+
+  async getCurrentKeyId() {
+    return this.load().currentKeyId;
+  }
+
+  async encrypt(plaintext) {
+    const keyId = this.load().currentKeyId;
+    return { keyId, ...seal(this.getKey(keyId), plaintext) };
+  }
+
+  async decrypt(keyId, sealed) {
+    return open(this.getKey(keyId), sealed);
+  }
+
+  async rotate() {
+    this.load(true);
+    return this.addVersion();
+  }
+}
+
+/**
+ * Stand-in for a KMIP server or cloud KMS. It owns the key material
+ * (KMIP_STUB_PATH) and only exposes operations on managed objects by unique
+ * identifier, the way a real KMS does; nothing outside it sees the keys.
+ * Operations are asynchronous like the network calls they imitate.
+ */
+class LocalKmsStub {
+  constructor(filePath = process.env.KMIP_STUB_PATH || path.join(DEFAULT_KEYSTORE_DIR, 'kmip-stub.json')) {
+    this.filePath = filePath;
+    this.state = null;
+  }
+
+  // With refresh the file is read again, for keys created by another process
+  load(refresh = false) {
+    if (!this.state || refresh) {
+      this.state = fs.existsSync(this.filePath)
+        ? JSON.parse(fs.readFileSync(this.filePath, 'utf8'))
+        : this.state || { defaultKey: null, objects: {} };
+    }
+    return this.state;
+  }
+
+  // KMIP Create: a new AES-256 key that becomes the default for encryption.
+  // The previous default is deactivated: it still decrypts but no longer encrypts.
+  async create() {
+    const state = this.load(true);
+    if (state.defaultKey) {
+      state.objects[state.defaultKey].state = 'Deactivated';
+    }
+    const uid = uuidv4();
+    state.objects[uid] = {
+      state: 'Active',
+      createdAt: new Date().toISOString(),
+      material: crypto.randomBytes(KEY_LENGTH).toString('base64')
+    };
+    state.defaultKey = uid;
+    writeStateFile(this.filePath, state);
+    return uid;
+  }
+
+  async getDefaultKey() {
+    return this.load().defaultKey || this.create();
+  }
+
+  getMaterial(uid) {
+    const object = this.load().objects[uid] || this.load(true).objects[uid];
+    if (!object) {
+      throw new Error(`KMS key ${uid} not found`);
+    }
+    return Buffer.from(object.material, 'base64');
+  }
+
+  async encrypt(uid, plaintext) {
+    if (this.load().objects[uid]?.state !== 'Active') {
+      throw new Error(`KMS key ${uid} is not active`);
+    }
+    return seal(this.getMaterial(uid), plaintext);
+  }
+
+  async decrypt(uid, sealed) {
+    return open(this.getMaterial(uid), sealed);
+  }
+}
+
+/**
+ * Master key operations delegated to a KMS (currently the local stub)
+ */
+class KmipKeyProvider {
+  constructor(client = new LocalKmsStub()) {
+    this.client = client;
+  }
+
+  async getCurrentKeyId() {
+    return KMIP_KEY_PREFIX + await this.client.getDefaultKey();
+  }
+
+  async encrypt(plaintext) {
+    const uid = await this.client.getDefaultKey();
+    return { keyId: KMIP_KEY_PREFIX + uid, ...await this.client.encrypt(uid, plaintext) };
+  }
+
+  async decrypt(keyId, sealed) {
+    return this.client.decrypt(keyId.slice(KMIP_KEY_PREFIX.length), sealed);
+  }
+
+  async rotate() {
+    return KMIP_KEY_PREFIX + await this.client.create();
+  }
+}
+
+const PROVIDERS = {
+  env: { Provider: EnvKeyProvider, prefix: ENV_KEY_PREFIX },
+  keystore: { Provider: LocalKeystoreProvider, prefix: KEYSTORE_KEY_PREFIX },
+  kmip: { Provider: KmipKeyProvider, prefix: KMIP_KEY_PREFIX }
+};
+
+const instances = {};
+
+/**
+ * Get a provider by name, creating it on first use
+ * @param {string} [name] - 'env', 'keystore' or 'kmip'; defaults to KEY_PROVIDER
+ */
+const getKeyProvider = (name = process.env.KEY_PROVIDER || 'env') => {
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown key provider '${name}'`);
+  }
+  if (!instances[name]) {
+    instances[name] = new PROVIDERS[name].Provider();
+  }
+  return instances[name];
+};
+
+/**
+ * Get the provider that issued a key id, whichever provider is configured
+ * now, so records survive a switch of provider
+ * @param {string} keyId - Key id stored with a sealed record
+ */
+const getKeyProviderFor = (keyId) => {
+  const name = Object.keys(PROVIDERS).find(key => String(keyId).startsWith(PROVIDERS[key].prefix));
+  if (!name) {
+    throw new Error(`Unknown master key ${keyId}`);
+  }
+  return getKeyProvider(name);
+};
+
+module.exports = {
+  EnvKeyProvider,
+  LocalKeystoreProvider,
+  LocalKmsStub,
+  KmipKeyProvider,
+  getKeyProvider,
+  getKeyProviderFor
+};
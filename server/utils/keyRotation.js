@@ -0,0 +1,673 @@
+const fs = require('fs');
+const fsPromises = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { compose } = require('stream');
+const { File } = require('../models/file');
+const { User } = require('../models/user');
+const { ShareLink } = require('../models/shareLink');
+const { KeyRotationJob } = require('../models/keyRotationJob');
+const { SecurityLog } = require('../models/securityLog');
+const { SecurityError } = require('../middleware/security');
+const { EncryptionService, parseSharingPublicKey, encryptClientKey, decryptClientKey } = require('./encryption');
+const FileValidationService = require('./fileValidation');
+const { createPlaintextStreams } = require('./fileDelivery');
+const { removeStoredFiles } = require('./trash');
+
+// Jobs being worked on by this process
+const runningJobs = new Set();
+
+// Identifies this process in the file jobs it claims
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+// How often a running file job shows its instance is alive, and how long
+// without a heartbeat before the job counts as abandoned
+const JOB_HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const JOB_STALE_AFTER_MS = 2 * 60 * 1000;
+
+// File jobs no live instance is working on
+const abandonedQuery = () => ({
+  $or: [
+    { claimedBy: null },
+    { heartbeatAt: { $lt: new Date(Date.now() - JOB_STALE_AFTER_MS) } }
+  ]
+});
+
+/**
+ * Atomically claim a file job for this instance, unless another live
+ * instance holds it
+ * @param {Object} filter - Conditions the job must meet
+ * @param {Object} [update] - Fields to set along with the claim
+ * @returns {Promise<Document|null>} The claimed job, or null
+ */
+const claimJob = (filter, update = {}) => KeyRotationJob.findOneAndUpdate(
+  { ...filter, ...abandonedQuery() },
+  { $set: { ...update, claimedBy: INSTANCE_ID, heartbeatAt: new Date() } },
+  { new: true }
+);
+
+/**
+ * Save a file job's progress while this instance still holds it
+ * @returns {Promise<boolean>} False if another instance took the job over
+ */
+const saveProgress = async (job) => {
+  const { matchedCount } = await KeyRotationJob.updateOne(
+    { _id: job._id, claimedBy: INSTANCE_ID },
+    { $set: { pendingPaths: job.pendingPaths, processed: job.processed, heartbeatAt: new Date() } }
+  );
+  return matchedCount > 0;
+};
+
+/**
+ * Record how a file job ended and give up this instance's claim on it
+ */
+const releaseJob = (job, fields) => {
+  job.set({ ...fields, claimedBy: null });
+  return KeyRotationJob.updateOne(
+    { _id: job._id, claimedBy: INSTANCE_ID },
+    { $set: { ...fields, claimedBy: null } }
+  );
+};
+
+/**
+ * Record a rotation event in the security log
+ */
+const logRotation = (job, eventType, details = {}, severity = 'info') => SecurityLog.createLog({
+  event_type: eventType,
+  user_id: job.user,
+  details: {
+    jobId: job._id,
+    type: job.type,
+    fileId: job.file,
+    processed: job.processed,
+    total: job.total,
+    ...details
+  },
+  severity
+});
+
+// Files whose keys a client re-wraps per request during a user rotation
+const KEY_BATCH_SIZE = 20;
+
+// Files holding keys wrapped for a user, trashed ones included
+const userFilesQuery = (userId) => ({
+  $or: [{ owner: userId }, { 'sharedWith.user': userId }]
+});
+
+// The user's files after the last one a user job saved
+const remainingFilesQuery = (job) => {
+  const query = userFilesQuery(job.user);
+  if (job.lastFileId) {
+    query._id = { $gt: job.lastFileId };
+  }
+  return query;
+};
+
+/**
+ * Visit every key of a file that is wrapped for the user: all versions of
+ * files they own and the keys shared with them. visit returns the key to
+ * store in its place.
+ */
+const mapUserKeys = (file, userId, visit) => {
+  if (file.owner.equals(userId)) {
+    if (file.encryptionScheme !== 'client') {
+      file.encryptionKey = visit(file.encryptionKey);
+    }
+    file.versions.forEach(version => {
+      if (version.encryptionScheme !== 'client') {
+        version.encryptionKey = visit(version.encryptionKey);
+      }
+    });
+  }
+
+  file.sharedWith.forEach(share => {
+    if (share.user.equals(userId) && share.wrappedKey) {
+      share.wrappedKey = visit(share.wrappedKey);
+    }
+  });
+  file.versions.forEach(version => {
+    version.recipientKeys.forEach(recipientKey => {
+      if (recipientKey.user.equals(userId)) {
+        recipientKey.wrappedKey = visit(recipientKey.wrappedKey);
+      }
+    });
+  });
+};
+
+/**
+ * List the distinct keys of a file that are wrapped for the user
+ */
+const listUserKeys = (file, userId) => {
+  const keys = new Set();
+  mapUserKeys(file, userId, wrappedKey => {
+    keys.add(wrappedKey);
+    return wrappedKey;
+  });
+  return [...keys];
+};
+
+/**
+ * Re-encrypt one stored ciphertext of a file under a new data key and point
+ * every version using it at the new copy. keys holds the old data keys of
+ * server-encrypted ciphertexts, unwrapped by the owner's client. Share links of those versions are
+ * re-wrapped when the server holds their key and revoked otherwise.
+ * @returns {Promise<number>} Number of share links revoked
+ */
+const rotateStoredPath = async (job, storedPath, keys) => {
+  const file = await File.findById(job.file);
+  if (!file) return 0;
+
+  const current = file.getVersion(file.currentVersion);
+  const contents = [current, ...file.versions].filter(content => content.path === storedPath);
+  if (contents.length === 0) return 0; // pruned since the job started
+
+  const content = contents[0];
+  const oldKey = content.encryptionScheme === 'client'
+    ? Buffer.from(await decryptClientKey(content.encryptionKey), 'base64')
+    : keys.get(storedPath);
+  const newKey = await EncryptionService.generateKey();
+
+  // Named after the job so a resumed run overwrites its own partial output
+  const pathId = crypto.createHash('sha256').update(storedPath).digest('hex').slice(0, 16);
+  const newPath = path.join(path.dirname(storedPath), `${job._id}-${pathId}.encrypted`);
+
+  const streams = createPlaintextStreams(content, oldKey, { start: 0, end: content.size - 1 });
+  const plaintext = streams.length > 1 ? compose(...streams) : streams[0];
+
+  const update = { filename: path.basename(newPath), path: newPath };
+  if (content.encryptionScheme === 'client') {
+    // Keep the client envelope layout: IV + ciphertext + tag
+    const { iv, authTag } = await EncryptionService.encryptStream(plaintext, fs.createWriteStream(newPath), newKey);
+    await fsPromises.appendFile(newPath, authTag);
+    update.encryptionKey = await encryptClientKey(newKey.toString('base64'));
+    update.encryptionMetadata = { iv: iv.toString('base64'), authTag: authTag.toString('base64') };
+    update.hash = await FileValidationService.calculateFileHash(newPath);
+  } else {
+    const owner = await User.findById(file.owner).select('publicKey');
+    const { iv, segmentSize } = await EncryptionService.encryptSegmentedStream(plaintext, fs.createWriteStream(newPath), newKey);
+    update.encryptionKey = EncryptionService.encryptKey(newKey, owner.publicKey);
+    update.encryptionMetadata = { version: 2, iv: iv.toString('base64'), segmentSize };
+  }
+
+  // Recipients keep access to the rotated versions
+  const recipients = await User.find({ _id: { $in: file.sharedWith.map(share => share.user) } }).select('publicKey');
+  const wrapForRecipient = (userId) => {
+    const recipient = recipients.find(user => user._id.equals(userId));
+    return recipient && recipient.publicKey ? EncryptionService.encryptKey(newKey, recipient.publicKey) : null;
+  };
+
+  if (current.path === storedPath) {
+    Object.entries(update).forEach(([field, value]) => file.set(field, value));
+    file.sharedWith.forEach(share => {
+      if (share.wrappedKey) share.wrappedKey = wrapForRecipient(share.user);
+    });
+  }
+  file.versions.forEach(version => {
+    if (version.path !== storedPath) return;
+    Object.entries(update).forEach(([field, value]) => version.set(field, value));
+    version.recipientKeys = version.recipientKeys
+      .map(recipientKey => ({ user: recipientKey.user, wrappedKey: wrapForRecipient(recipientKey.user) }))
+      .filter(recipientKey => recipientKey.wrappedKey);
+  });
+
+  // Links go first: if we stop before the file is saved, the rerun wraps them again
+  const links = await ShareLink.find({
+    file: file._id,
+    version: { $in: contents.map(c => c.version) },
+    revokedAt: null
+  });
+  let revokedLinks = 0;
+  for (const link of links) {
+    if (link.keyWrapping === 'server') {
+      link.wrappedKey = await encryptClientKey(newKey.toString('base64'));
+    } else {
+      // Only the passphrase holder could re-wrap the new key
+      link.revokedAt = new Date();
+      revokedLinks += 1;
+    }
+    await link.save();
+  }
+
+  await file.save();
+  await removeStoredFiles([storedPath]);
+  return revokedLinks;
+};
+
+/**
+ * Work through the stored ciphertexts of a file one at a time
+ * @returns {Promise<Object|null>} Details of the run, or null if another
+ *   instance took the job over
+ */
+const runFileRotation = async (job, keys, claim) => {
+  let revokedLinks = 0;
+
+  while (job.pendingPaths.length > 0) {
+    if (claim.lost) return null;
+
+    const storedPath = job.pendingPaths[0];
+    revokedLinks += await rotateStoredPath(job, storedPath, keys);
+
+    job.pendingPaths.pull(storedPath);
+    job.processed += 1;
+    if (!await saveProgress(job)) return null;
+  }
+
+  return { revokedLinks };
+};
+
+/**
+ * Run a file job this instance claimed to the end in the background,
+ * sending heartbeats while it runs and recording the outcome
+ */
+const runJob = async (job, keys) => {
+  if (runningJobs.has(job.id)) return;
+  runningJobs.add(job.id);
+
+  const claim = { lost: false };
+  const heartbeat = setInterval(() => {
+    KeyRotationJob.updateOne({ _id: job._id, claimedBy: INSTANCE_ID }, { $set: { heartbeatAt: new Date() } })
+      .then(({ matchedCount }) => {
+        if (matchedCount === 0) claim.lost = true;
+      })
+      .catch(error => console.error('Error sending key rotation heartbeat:', error));
+  }, JOB_HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+
+  try {
+    const details = await runFileRotation(job, keys, claim);
+    if (!details) {
+      console.warn(`Key rotation ${job._id} was taken over by another instance`);
+      return;
+    }
+
+    await releaseJob(job, { status: 'completed', completedAt: new Date(), error: null });
+    await logRotation(job, 'KEY_ROTATION_COMPLETED', details);
+  } catch (error) {
+    console.error(`Key rotation ${job._id} failed:`, error);
+    await releaseJob(job, { status: 'failed', error: error.message })
+      .catch(saveError => console.error('Error saving key rotation job:', saveError));
+
+    await logRotation(job, 'KEY_ROTATION_FAILED', { error: error.message }, 'error');
+  } finally {
+    clearInterval(heartbeat);
+    runningJobs.delete(job.id);
+  }
+};
+
+/**
+ * Reject a new rotation while another one of the user's is unfinished; a
+ * user and a file rotation would otherwise fight over the same keys
+ */
+const checkNoActiveRotation = async (userId) => {
+  const active = await KeyRotationJob.findOne({ user: userId, status: { $in: ['running', 'paused'] } });
+  if (active) {
+    throw new SecurityError('Another key rotation is still in progress', 409);
+  }
+};
+
+/**
+ * Save a job that becomes active. Requests that pass checkNoActiveRotation
+ * at the same time meet the unique index on active jobs here, and all but
+ * one are rejected the same way.
+ * @param {Function} activate - Creates, saves or claims the job
+ * @returns {Promise<*>} What activate returned
+ */
+const activateJob = async (activate) => {
+  try {
+    return await activate();
+  } catch (error) {
+    if (error?.code === 11000) {
+      throw new SecurityError('Another key rotation is still in progress', 409);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Start rotating a user's key pair. The user's client generated the new
+ * pair; new uploads and shares use its public key straight away while the
+ * client re-wraps existing file keys batch by batch (see getUserKeyBatch).
+ * @param {string} userId - User whose key pair is rotated
+ * @param {Object} keyPair - The new pair: publicKey (PEM) and optionally
+ *   encryptedPrivateKey, the private key encrypted on the client
+ * @returns {Promise<Document>} The running job
+ */
+const startUserRotation = async (userId, { publicKey, encryptedPrivateKey }) => {
+  const user = await User.findById(userId);
+  if (!user || !user.publicKey) {
+    throw new SecurityError('User has no key pair to rotate', 400);
+  }
+
+  let pem;
+  try {
+    pem = parseSharingPublicKey(publicKey);
+  } catch (error) {
+    throw new SecurityError(error.message, 400);
+  }
+
+  if (pem === user.publicKey) {
+    throw new SecurityError('publicKey must be a new key', 400);
+  }
+
+  await checkNoActiveRotation(userId);
+
+  const total = await File.countDocuments(userFilesQuery(userId));
+  const job = await activateJob(() => KeyRotationJob.create({
+    type: 'user',
+    user: userId,
+    requiresClientKeys: true,
+    total,
+    previousPublicKey: user.publicKey,
+    previousEncryptedPrivateKey: user.encryptedPrivateKey
+  }));
+
+  try {
+    user.publicKey = pem;
+    user.encryptedPrivateKey = encryptedPrivateKey ? String(encryptedPrivateKey) : undefined;
+    await user.save();
+  } catch (error) {
+    job.status = 'failed';
+    job.error = error.message;
+    await job.save();
+    throw error;
+  }
+
+  await logRotation(job, 'KEY_ROTATION_STARTED');
+  return job;
+};
+
+/**
+ * Load a running user rotation of the user
+ */
+const getRunningUserRotation = async (jobId, userId) => {
+  const job = await KeyRotationJob.findOne({ _id: jobId, user: userId, type: 'user' });
+  if (!job) {
+    throw new SecurityError('Key rotation not found', 404);
+  }
+
+  if (job.status !== 'running') {
+    throw new SecurityError(`Key rotation is already ${job.status}`, 409);
+  }
+  return job;
+};
+
+/**
+ * Get the next files whose keys the user's client re-wraps, in _id order
+ * after the last one it saved. The client unwraps each key with the old
+ * private key and wraps it with the new public key; keys that already
+ * unwrap with the new pair (uploads since the rotation started) are left
+ * alone.
+ * @param {string} jobId - User rotation
+ * @param {string} userId - User the job belongs to
+ * @returns {Promise<Object>} { previousEncryptedPrivateKey, files: [{ id, wrappedKeys }] }
+ */
+const getUserKeyBatch = async (jobId, userId) => {
+  const job = await getRunningUserRotation(jobId, userId);
+
+  const files = await File.find(remainingFilesQuery(job)).sort({ _id: 1 }).limit(KEY_BATCH_SIZE);
+
+  return {
+    // Lets another device of the user recover the old private key
+    previousEncryptedPrivateKey: job.previousEncryptedPrivateKey || null,
+    files: files.map(file => ({ id: file._id, wrappedKeys: listUserKeys(file, job.user) }))
+  };
+};
+
+/**
+ * Store the keys the user's client re-wrapped for a batch of files, which
+ * must follow on from the last file saved. Each replacement names the
+ * wrapped key it replaces; keys that changed since the batch was fetched
+ * were wrapped for the new public key already and are kept. The job
+ * completes once no files are left.
+ * @param {string} jobId - User rotation
+ * @param {string} userId - User the job belongs to
+ * @param {Array} files - [{ id, rewrapped: [{ from, to }] }] in _id order
+ * @returns {Promise<Document>} The job
+ */
+const saveUserKeyBatch = async (jobId, userId, files) => {
+  const valid = Array.isArray(files) && files.every(entry =>
+    entry && mongoose.isValidObjectId(entry.id) && Array.isArray(entry.rewrapped) &&
+    entry.rewrapped.every(key => key && typeof key.from === 'string' &&
+      typeof key.to === 'string' && key.to)
+  );
+  if (!valid) {
+    throw new SecurityError('files must be a list of { id, rewrapped: [{ from, to }] }', 400);
+  }
+
+  const job = await getRunningUserRotation(jobId, userId);
+
+  const ids = files.map(entry => new mongoose.Types.ObjectId(entry.id));
+  const inOrder = ids.every((id, index) =>
+    id.toString() > (index === 0 ? String(job.lastFileId || '') : ids[index - 1].toString()));
+  if (!inOrder) {
+    throw new SecurityError('Files must follow on from the last batch saved', 409);
+  }
+
+  // A file the client was not given would never be rotated
+  if (ids.length > 0) {
+    const query = remainingFilesQuery(job);
+    query._id = { ...query._id, $lte: ids[ids.length - 1], $nin: ids };
+    if (await File.exists(query)) {
+      throw new SecurityError('Files changed since the batch was fetched; fetch it again', 409);
+    }
+  }
+
+  for (const [index, entry] of files.entries()) {
+    const file = await File.findOne({ _id: ids[index], ...userFilesQuery(job.user) });
+    if (file) {
+      const rewrapped = new Map(entry.rewrapped.map(key => [key.from, key.to]));
+      mapUserKeys(file, job.user, wrappedKey => rewrapped.get(wrappedKey) || wrappedKey);
+      await file.save();
+    }
+
+    job.lastFileId = ids[index];
+    job.processed += 1;
+    job.total = Math.max(job.total, job.processed);
+    await job.save();
+  }
+
+  if (!await File.exists(remainingFilesQuery(job))) {
+    job.status = 'completed';
+    job.completedAt = new Date();
+    job.previousEncryptedPrivateKey = undefined;
+    await job.save();
+
+    await logRotation(job, 'KEY_ROTATION_COMPLETED');
+  }
+
+  return job;
+};
+
+/**
+ * Match the data keys the owner's client unwrapped to the stored ciphertexts
+ * a file job still has to re-encrypt. Client-encrypted ciphertexts need none;
+ * the server holds their keys.
+ * @param {Document} file - File being rotated
+ * @param {Array<string>} pendingPaths - Stored ciphertexts left to rotate
+ * @param {*} fileKeys - Request body value: [{ version, fileKey (base64) }]
+ * @returns {Object} { keys: Map of path to key, keysRequired: [{ version, wrappedKey }] }
+ */
+const collectFileKeys = (file, pendingPaths, fileKeys = []) => {
+  if (!Array.isArray(fileKeys)) {
+    throw new SecurityError('fileKeys must be a list of { version, fileKey }', 400);
+  }
+
+  const current = file.getVersion(file.currentVersion);
+  const contents = [current, ...file.versions].filter(content =>
+    content.encryptionScheme !== 'client' && pendingPaths.includes(content.path));
+
+  // Versions restored from another share its ciphertext; a key for either will do
+  const keys = new Map();
+  contents.forEach(content => {
+    const sent = fileKeys.find(entry => entry && Number(entry.version) === content.version);
+    const fileKey = sent && typeof sent.fileKey === 'string' ? Buffer.from(sent.fileKey, 'base64') : null;
+    if (fileKey && fileKey.length === 32) {
+      keys.set(content.path, fileKey);
+    }
+  });
+
+  const keysRequired = [];
+  contents.forEach(content => {
+    if (!keys.has(content.path) && !keysRequired.some(required => required.path === content.path)) {
+      keysRequired.push({ path: content.path, version: content.version, wrappedKey: content.encryptionKey });
+    }
+  });
+
+  return {
+    keys,
+    keysRequired: keysRequired.map(({ version, wrappedKey }) => ({ version, wrappedKey }))
+  };
+};
+
+/**
+ * Start re-encrypting every stored version of a file under new data keys
+ * @param {string} fileId - File to rotate
+ * @param {string} userId - Owner of the file
+ * @param {Array} [fileKeys] - Data keys of the server-encrypted versions,
+ *   unwrapped by the owner's client (see collectFileKeys)
+ * @returns {Promise<Object>} { job } once running, or { keysRequired } when
+ *   the owner's client still has to unwrap keys
+ */
+const startFileRotation = async (fileId, userId, fileKeys) => {
+  const file = await File.findOne({ _id: fileId, owner: userId });
+  if (!file) {
+    throw new SecurityError('File not found', 404);
+  }
+
+  const pendingPaths = file.getStoredPaths();
+  const { keys, keysRequired } = collectFileKeys(file, pendingPaths, fileKeys);
+  if (keysRequired.length > 0) {
+    return { keysRequired };
+  }
+
+  await checkNoActiveRotation(userId);
+
+  const current = file.getVersion(file.currentVersion);
+  const job = new KeyRotationJob({
+    type: 'file',
+    user: userId,
+    file: file._id,
+    requiresClientKeys: [current, ...file.versions].some(content => content.encryptionScheme !== 'client'),
+    pendingPaths,
+    claimedBy: INSTANCE_ID,
+    heartbeatAt: new Date()
+  });
+  job.total = job.pendingPaths.length;
+  await activateJob(() => job.save());
+
+  await logRotation(job, 'KEY_ROTATION_STARTED');
+  runJob(job, keys);
+  return { job };
+};
+
+/**
+ * Resume a paused or failed file job
+ * @param {string} jobId - Job to resume
+ * @param {string} userId - User the job belongs to
+ * @param {Array} [fileKeys] - Data keys unwrapped by the owner's client,
+ *   when the job needs them
+ * @returns {Promise<Object>} { job } once running, or { keysRequired }
+ */
+const resumeRotation = async (jobId, userId, fileKeys) => {
+  const job = await KeyRotationJob.findOne({ _id: jobId, user: userId });
+  if (!job) {
+    throw new SecurityError('Key rotation not found', 404);
+  }
+
+  if (job.type === 'user') {
+    throw new SecurityError('Key pair rotations are continued by the user\'s client', 409);
+  }
+
+  if (job.status === 'completed' || runningJobs.has(job.id)) {
+    throw new SecurityError(`Key rotation is already ${job.status}`, 409);
+  }
+
+  let keys = new Map();
+  if (job.requiresClientKeys) {
+    const file = await File.findById(job.file);
+    if (!file) {
+      throw new SecurityError('File not found', 404);
+    }
+
+    const collected = collectFileKeys(file, job.pendingPaths, fileKeys);
+    if (collected.keysRequired.length > 0) {
+      return { keysRequired: collected.keysRequired };
+    }
+    keys = collected.keys;
+  }
+
+  // A running job may only be resumed once the instance running it stopped
+  const claimed = await activateJob(() => claimJob(
+    { _id: job._id, status: { $in: ['running', 'paused', 'failed'] } },
+    { status: 'running', error: null }
+  ));
+  if (!claimed) {
+    throw new SecurityError('Key rotation is already running', 409);
+  }
+
+  await logRotation(claimed, 'KEY_ROTATION_RESUMED');
+  runJob(claimed, keys);
+  return { job: claimed };
+};
+
+/**
+ * Pick up file jobs whose instance stopped: after a restart, or when
+ * another instance went away. Jobs other instances are still sending
+ * heartbeats for are left alone, and each abandoned job is claimed by one
+ * instance only. Jobs that need keys from the owner's client wait for the
+ * user to resume them; user jobs are run by the user's client and carry on
+ * by themselves.
+ * @returns {Promise<void>}
+ */
+const resumeAbandonedRotations = async () => {
+  const abandoned = await KeyRotationJob.find({ type: 'file', status: 'running', ...abandonedQuery() })
+    .select('_id requiresClientKeys');
+
+  for (const { _id, requiresClientKeys } of abandoned) {
+    if (requiresClientKeys) {
+      // The keys it was given were lost with the instance
+      const job = await KeyRotationJob.findOneAndUpdate(
+        { _id, status: 'running', ...abandonedQuery() },
+        { $set: { status: 'paused', claimedBy: null } },
+        { new: true }
+      );
+      if (job) {
+        await logRotation(job, 'KEY_ROTATION_PAUSED', { reason: 'instance_stopped' }, 'warning');
+      }
+      continue;
+    }
+
+    const job = await claimJob({ _id, status: 'running' });
+    if (job) {
+      await logRotation(job, 'KEY_ROTATION_RESUMED', { reason: 'instance_stopped' });
+      runJob(job, new Map());
+    }
+  }
+};
+
+/**
+ * Start the background watcher that resumes abandoned file jobs, once on
+ * startup and then as often as a job can go stale
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+const startRotationWatcher = () => {
+  const watch = () => resumeAbandonedRotations()
+    .catch(error => console.error('Key rotation watcher failed:', error));
+
+  watch();
+  const timer = setInterval(watch, JOB_STALE_AFTER_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  startUserRotation,
+  getUserKeyBatch,
+  saveUserKeyBatch,
+  startFileRotation,
+  resumeRotation,
+  resumeAbandonedRotations,
+  startRotationWatcher
+};
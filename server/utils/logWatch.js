@@ -0,0 +1,29 @@
+const { EventEmitter } = require('events');
+
+// Emits 'security' and 'file_access' with each log entry once it is saved
+const logWatch = new EventEmitter();
+
+/**
+ * Mongoose plugin that announces every new entry of a log collection on
+ * logWatch, for whatever watches the logs as they are written
+ * @param {Schema} schema - Log schema
+ * @param {Object} options
+ * @param {string} options.name - Event name the entries are emitted under
+ */
+const logWatchPlugin = (schema, { name }) => {
+  schema.pre('save', function() {
+    this.$locals.announce = this.isNew;
+  });
+
+  schema.post('save', function(doc) {
+    if (doc.$locals.announce) {
+      delete doc.$locals.announce;
+      logWatch.emit(name, doc.toObject());
+    }
+  });
+};
+
+module.exports = {
+  logWatch,
+  logWatchPlugin
+};
@@ -1,6 +1,13 @@
 const { authenticator } = require('otplib');
 const crypto = require('crypto');
 
+// Authenticator apps expect RFC 6238 defaults: 6 digits every 30 seconds
+const TOTP_STEP_SECONDS = 30;
+const TOTP_ISSUER = 'PixVault';
+const BACKUP_CODE_COUNT = 10;
+// Backup codes avoid characters that are easy to misread (0/O, 1/I/L)
+const BACKUP_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
 /**
  * OTP Service for generating and validating one-time passwords
  */
@@ -12,6 +19,16 @@ class OtpService {
       step: 600, // 10 minutes validity
       window: 1 // Allow 1 step before/after for clock drift
     };
+
+    // Authenticator app codes need their own instance: the options above
+    // are for emailed recovery codes. A clone inherits them, so they are
+    // overridden rather than passed as defaults.
+    this.totp = authenticator.clone();
+    this.totp.options = {
+      digits: 6,
+      step: TOTP_STEP_SECONDS,
+      window: 1
+    };
   }
 
   /**
@@ -23,13 +40,19 @@ class OtpService {
   }
 
   /**
-   * Generate a numeric OTP code
+   * Generate a numeric OTP code from a CSPRNG
    * @returns {string} - 6-digit OTP code
    */
   generateOtp() {
-    // For simplicity, we'll generate a 6-digit numeric OTP
-    // In production, you might want to use HOTP or TOTP
-    return Math.floor(100000 + Math.random() * 900000).toString();
+    return crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  }
+
+  /**
+   * Generate a salt for hashing one OTP
+   * @returns {string} - Hex encoded salt
+   */
+  generateSalt() {
+    return crypto.randomBytes(16).toString('hex');
   }
 
   /**
@@ -51,24 +74,83 @@ class OtpService {
     return authenticator.verify({ token, secret });
   }
 
+  /**
+   * Generate a secret for an authenticator app
+   * @returns {string} - Base32 encoded secret
+   */
+  generateTotpSecret() {
+    return this.totp.generateSecret(20); // 160 bits, as RFC 4226 recommends
+  }
+
+  /**
+   * Build the otpauth:// URI an authenticator app enrolls from
+   * @param {string} username - Account name shown in the app
+   * @param {string} secret - Base32 encoded secret
+   * @returns {string} - otpauth URI
+   */
+  totpKeyUri(username, secret) {
+    return this.totp.keyuri(username, TOTP_ISSUER, secret);
+  }
+
+  /**
+   * Verify an authenticator app code
+   * @param {string} token - Code entered by the user
+   * @param {string} secret - Base32 encoded secret
+   * @returns {number|null} - Time step the code belongs to, or null if it is invalid
+   */
+  verifyTotp(token, secret) {
+    const code = String(token || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(code)) return null;
+
+    const delta = this.totp.checkDelta(code, secret);
+    if (delta === null) return null;
+    return Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS) + delta;
+  }
+
+  /**
+   * Generate one-time backup codes for when the authenticator app is not at hand
+   * @returns {string[]} - Codes formatted as XXXXX-XXXXX
+   */
+  generateBackupCodes(count = BACKUP_CODE_COUNT) {
+    return Array.from({ length: count }, () => {
+      const chars = Array.from(crypto.randomBytes(10), byte => BACKUP_CODE_ALPHABET[byte % BACKUP_CODE_ALPHABET.length]);
+      return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+    });
+  }
+
+  /**
+   * Hash a backup code for storage, ignoring case and separators
+   * @param {string} code - Backup code
+   * @returns {string} - Hashed code
+   */
+  hashBackupCode(code) {
+    return this.hashOtp(String(code).toUpperCase().replace(/[^A-Z0-9]/g, ''));
+  }
+
   /**
    * Hash an OTP for secure storage
    * @param {string} otp - OTP to hash
+   * @param {string} [salt] - Salt of this OTP; codes with enough entropy of
+   *   their own, like backup codes, are hashed without one
    * @returns {string} - Hashed OTP
    */
-  hashOtp(otp) {
-    return crypto.createHash('sha256').update(otp).digest('hex');
+  hashOtp(otp, salt) {
+    const hash = salt ? crypto.createHmac('sha256', salt) : crypto.createHash('sha256');
+    return hash.update(String(otp)).digest('hex');
   }
 
   /**
-   * Verify a hashed OTP
+   * Verify a hashed OTP in constant time
    * @param {string} inputOtp - OTP to verify
    * @param {string} hashedOtp - Stored hashed OTP
+   * @param {string} [salt] - Salt the OTP was hashed with
    * @returns {boolean} - Whether the OTP is valid
    */
-  verifyHashedOtp(inputOtp, hashedOtp) {
-    const inputHash = this.hashOtp(inputOtp);
-    return inputHash === hashedOtp;
+  verifyHashedOtp(inputOtp, hashedOtp, salt) {
+    if (typeof hashedOtp !== 'string') return false;
+    const inputHash = this.hashOtp(inputOtp, salt);
+    return inputHash.length === hashedOtp.length &&
+      crypto.timingSafeEqual(Buffer.from(inputHash, 'hex'), Buffer.from(hashedOtp, 'hex'));
   }
 }
 
@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { User } = require('../models/user');
+const { logSecurityEvent, SecurityError } = require('../middleware/security');
+
+// Oldest device sessions are dropped once a user has more than this
+const MAX_REFRESH_SESSIONS = parseInt(process.env.MAX_REFRESH_SESSIONS) || 10;
+
+const refreshSecret = () => process.env.REFRESH_TOKEN_SECRET || 'default-refresh-secret-key';
+const refreshExpiry = () => process.env.REFRESH_TOKEN_EXPIRY || '30d';
+
+/**
+ * Helper function to hash a refresh token for storage and comparison
+ */
+const hashRefreshToken = (refreshToken) =>
+  crypto.createHash('sha256').update(refreshToken).digest('hex');
+
+/**
+ * Helper function to sign a refresh token for a device session
+ * @returns {{refreshToken: string, tokenHash: string, expiresAt: Date}}
+ */
+const signRefreshToken = (userId, sessionId) => {
+  const refreshToken = jwt.sign(
+    { id: String(userId), sid: sessionId },
+    refreshSecret(),
+    { expiresIn: refreshExpiry(), jwtid: crypto.randomBytes(16).toString('hex') }
+  );
+  return {
+    refreshToken,
+    tokenHash: hashRefreshToken(refreshToken),
+    expiresAt: new Date(jwt.decode(refreshToken).exp * 1000)
+  };
+};
+
+/**
+ * Helper function to name a device from its user agent when the client does
+ * not send a name
+ */
+const describeDevice = (userAgent = '') => {
+  const browser = [
+    ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//], ['Safari', /Safari\//]
+  ].find(([, pattern]) => pattern.test(userAgent));
+  const os = [
+    ['Android', /Android/], ['iOS', /iPhone|iPad/], ['Windows', /Windows/], ['macOS', /Mac OS X/], ['Linux', /Linux/]
+  ].find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !os) return 'Unknown device';
+  return [browser && browser[0], os && `on ${os[0]}`].filter(Boolean).join(' ');
+};
+
+/**
+ * Start a device session for a user who has just authenticated
+ * @param {Object} user - The authenticated user
+ * @param {Object} req - The request, for the client's address and user agent
+ * @param {string} [deviceName] - Name the client gives itself
+ * @returns {Promise<{refreshToken: string, sessionId: string}>}
+ */
+const startRefreshSession = async (user, req, deviceName) => {
+  const now = new Date();
+  const sessionId = crypto.randomBytes(16).toString('hex');
+  const { refreshToken, tokenHash, expiresAt } = signRefreshToken(user._id, sessionId);
+  const userAgent = req.get('user-agent') || '';
+
+  await User.updateOne({ _id: user._id }, { $pull: { refreshTokens: { expiresAt: { $lte: now } } } });
+  await User.updateOne({ _id: user._id }, {
+    $push: {
+      refreshTokens: {
+        $each: [{
+          sessionId,
+          tokenHash,
+          deviceName: String(deviceName || describeDevice(userAgent)).slice(0, 100),
+          ipAddress: req.ip,
+          userAgent,
+          createdAt: now,
+          lastUsedAt: now,
+          expiresAt
+        }],
+        $slice: -MAX_REFRESH_SESSIONS
+      }
+    }
+  });
+
+  return { refreshToken, sessionId };
+};
+
+/**
+ * Exchange a refresh token for the next one in its family. A token that was
+ * validly issued but is no longer the family's current one has been used
+ * before, which means it was copied: the whole family is revoked.
+ * @returns {Promise<{user: Object, refreshToken: string, sessionId: string}>}
+ * @throws {SecurityError} 401 if the token is invalid, expired, revoked or reused
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(refreshToken), refreshSecret());
+  } catch (error) {
+    throw new SecurityError('Invalid or expired refresh token', 401);
+  }
+
+  const now = new Date();
+  const { id: userId, sid: sessionId } = decoded;
+  const next = signRefreshToken(userId, sessionId);
+
+  // Matching on the current hash makes the swap atomic: of two requests with
+  // the same token only one rotates, the other counts as reuse
+  const user = await User.findOneAndUpdate(
+    {
+      _id: userId,
+      refreshTokens: { $elemMatch: { sessionId, tokenHash: hashRefreshToken(refreshToken), expiresAt: { $gt: now } } }
+    },
+    {
+      $set: {
+        'refreshTokens.$.tokenHash': next.tokenHash,
+        'refreshTokens.$.expiresAt': next.expiresAt,
+        'refreshTokens.$.lastUsedAt': now,
+        'refreshTokens.$.ipAddress': req.ip
+      }
+    },
+    { new: true }
+  );
+  if (user) {
+    return { user, refreshToken: next.refreshToken, sessionId };
+  }
+
+  const revoked = await User.findOneAndUpdate(
+    { _id: userId, 'refreshTokens.sessionId': sessionId },
+    { $pull: { refreshTokens: { sessionId } } }
+  );
+  if (revoked) {
+    try {
+      await logSecurityEvent(req, {
+        event_type: 'TOKEN_INVALIDATED',
+        details: {
+          userId,
+          username: revoked.username,
+          sessionId,
+          reason: 'refresh_token_reuse'
+        }
+      });
+    } catch (logError) {
+      console.warn('Failed to log refresh token reuse:', logError);
+      // Continue despite logging error
+    }
+  }
+  throw new SecurityError('Invalid or expired refresh token', 401);
+};
+
+/**
+ * End device sessions of a user. Ending all of them also invalidates every
+ * access token issued so far, including ones not tied to a session.
+ * @param {string} userId - The user
+ * @param {string} [sessionId] - The session to end; all of them if omitted
+ * @returns {Promise<boolean>} Whether anything was revoked
+ */
+const revokeRefreshSessions = async (userId, sessionId) => {
+  const result = sessionId
+    ? await User.updateOne({ _id: userId, 'refreshTokens.sessionId': sessionId }, { $pull: { refreshTokens: { sessionId } } })
+    // Whole seconds, as token iat is: a token issued right after this call
+    // must not count as older than it
+    : await User.updateOne({ _id: userId }, {
+      $set: { refreshTokens: [], tokenInvalidatedAt: new Date(Math.floor(Date.now() / 1000) * 1000) }
+    });
+  return result.modifiedCount > 0;
+};
+
+module.exports = {
+  describeDevice,
+  startRefreshSession,
+  rotateRefreshToken,
+  revokeRefreshSessions
+};
@@ -0,0 +1,74 @@
+// The catalog of security events, shared with the browser
+const { categories: EVENT_CATEGORIES, events: SECURITY_EVENTS } = require('../../shared/securityEvents.json');
+
+const SEVERITIES = ['info', 'warning', 'error', 'critical'];
+
+// Browsers may not raise the alarm on their own account, so what they report
+// is recorded at no more than this
+const MAX_CLIENT_SEVERITY = 'warning';
+
+// Event types logged before the catalog, and the catalog events they became
+const LEGACY_EVENT_TYPES = {
+  PATTERN_VERIFIED: 'PATTERN_VERIFICATION_SUCCESS',
+  PATTERN_STORED: 'PATTERN_CREATION',
+  REGISTRATION_COMPLETED: 'USER_REGISTRATION_COMPLETED',
+  LOGOUT_SUCCESS: 'LOGOUT',
+  api_request: 'API_REQUEST',
+  'auth:login:success': 'LOGIN_SUCCESS',
+  'auth:login:failure': 'LOGIN_FAILED',
+  'auth:logout': 'LOGOUT',
+  'auth:account:locked': 'ACCOUNT_LOCKED',
+  'auth:password:change': 'SECURITY_SETTING_CHANGE',
+  'nav:page:visit': 'PAGE_VISIT',
+  'nav:page:navigation': 'PAGE_NAVIGATION',
+  'nav:page:exit': 'PAGE_EXIT',
+  'file:upload': 'FILE_UPLOAD',
+  'file:download': 'FILE_DOWNLOAD',
+  'file:delete': 'FILE_DELETED',
+  'file:share': 'FILE_SHARED',
+  'security:setting:change': 'SECURITY_SETTING_CHANGE',
+  'security:permission:change': 'SECURITY_SETTING_CHANGE',
+  'security:role:change': 'USER_ROLE_UPDATED',
+  signin_attempt: 'SIGNIN_ATTEMPT',
+  signup_attempt: 'USER_REGISTRATION_INITIATED',
+  matrix_images_generated: 'PATTERN_GRID_GENERATED',
+  matrix_generation_error: 'PATTERN_ERROR',
+  pattern_created: 'PATTERN_CREATION',
+  pattern_verified: 'PATTERN_VERIFICATION_SUCCESS',
+  pattern_verification_failed: 'PATTERN_VERIFICATION_FAILED',
+  pattern_error: 'PATTERN_ERROR'
+};
+
+/**
+ * Check whether an event is in the catalog and may be reported by a source
+ * @param {string} eventType - Event type
+ * @param {string} source - 'server' or 'client'
+ */
+const isReportableBy = (eventType, source = 'server') =>
+  Object.prototype.hasOwnProperty.call(SECURITY_EVENTS, eventType) &&
+  SECURITY_EVENTS[eventType].reportedBy.includes(source);
+
+/**
+ * The severity an event is recorded at unless its caller says otherwise.
+ * Events the browser reports are capped at MAX_CLIENT_SEVERITY.
+ * @param {string} eventType - Event type
+ * @param {string} source - 'server' or 'client'
+ * @returns {string} Severity
+ */
+const getEventSeverity = (eventType, source = 'server') => {
+  const severity = SECURITY_EVENTS[eventType]?.severity || 'info';
+  if (source === 'client' && SEVERITIES.indexOf(severity) > SEVERITIES.indexOf(MAX_CLIENT_SEVERITY)) {
+    return MAX_CLIENT_SEVERITY;
+  }
+  return severity;
+};
+
+module.exports = {
+  EVENT_CATEGORIES,
+  SECURITY_EVENTS,
+  SEVERITIES,
+  MAX_CLIENT_SEVERITY,
+  LEGACY_EVENT_TYPES,
+  isReportableBy,
+  getEventSeverity
+};
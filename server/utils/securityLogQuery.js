@@ -0,0 +1,192 @@
+const mongoose = require('mongoose');
+const { SecurityLog } = require('../models/securityLog');
+const { SecurityError } = require('../middleware/security');
+const { SEVERITIES } = require('./securityEvents');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const SOURCES = ['server', 'client'];
+
+// Fields logs can be sorted by, and how to read a cursor's value back
+const SORT_FIELDS = {
+  timestamp: value => new Date(value),
+  event_type: value => String(value)
+};
+
+/**
+ * Check whether a user may read everyone's security logs. Other users only
+ * see their own.
+ */
+const canViewAllLogs = (user) =>
+  user.role === 'admin' || (user.permissions || []).includes('security:logs');
+
+/**
+ * Helper function to read a comma-separated query parameter
+ */
+const listParam = (value) => (value === undefined ? [] : String(value).split(','))
+  .map(item => item.trim())
+  .filter(Boolean);
+
+/**
+ * Helper function to read a date query parameter
+ * @throws {SecurityError} If it is not a date
+ */
+const dateParam = (value, name) => {
+  if (value === undefined || value === '') return null;
+  const date = new Date(String(value));
+  if (Number.isNaN(date.getTime())) {
+    throw new SecurityError(`${name} must be a date`, 400);
+  }
+  return date;
+};
+
+/**
+ * Helper function to read the sort order, e.g. '-timestamp' for newest first
+ * @throws {SecurityError} If the field cannot be sorted by
+ */
+const parseSort = (value = '-timestamp') => {
+  const sort = String(value);
+  const descending = sort.startsWith('-');
+  const field = descending ? sort.slice(1) : sort;
+  if (!Object.prototype.hasOwnProperty.call(SORT_FIELDS, field)) {
+    throw new SecurityError(`Logs can be sorted by ${Object.keys(SORT_FIELDS).join(' or ')}`, 400);
+  }
+  return { sort, field, descending };
+};
+
+/**
+ * Helper function to encode the position after a log entry. The sort order
+ * is part of the cursor, so a cursor cannot be replayed under another order.
+ */
+const encodeCursor = (entry, { sort, field }) =>
+  Buffer.from(JSON.stringify([sort, entry[field], String(entry._id)])).toString('base64url');
+
+/**
+ * Helper function to read a cursor back
+ * @throws {SecurityError} If the cursor is malformed or from another sort order
+ */
+const decodeCursor = (cursor, { sort, field }) => {
+  let parts;
+  try {
+    parts = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    parts = null;
+  }
+
+  const [cursorSort, value, id] = Array.isArray(parts) ? parts : [];
+  const parsed = value == null ? null : SORT_FIELDS[field](value);
+  if (cursorSort !== sort || parsed === null || (parsed instanceof Date && Number.isNaN(parsed.getTime())) ||
+      !mongoose.isValidObjectId(id)) {
+    throw new SecurityError('Invalid cursor', 400);
+  }
+  return { value: parsed, id: new mongoose.Types.ObjectId(id) };
+};
+
+/**
+ * Build the MongoDB filter for a log query. Users who may not read
+ * everyone's logs are held to their own, whatever they ask for.
+ * @param {Object} query - Query parameters: eventType, severity, source,
+ *   user, ip, from, to
+ * @param {Object} viewer - req.user of the caller
+ * @throws {SecurityError} If a parameter is invalid or names another user's logs
+ */
+const buildFilter = (query, viewer) => {
+  const filter = {};
+
+  const eventTypes = listParam(query.eventType);
+  if (eventTypes.length) {
+    filter.event_type = { $in: eventTypes };
+  }
+
+  const severities = listParam(query.severity);
+  if (severities.some(severity => !SEVERITIES.includes(severity))) {
+    throw new SecurityError(`Severity must be one of ${SEVERITIES.join(', ')}`, 400);
+  }
+  if (severities.length) {
+    filter.severity = { $in: severities };
+  }
+
+  if (query.source !== undefined) {
+    if (!SOURCES.includes(query.source)) {
+      throw new SecurityError(`Source must be one of ${SOURCES.join(', ')}`, 400);
+    }
+    filter.source = query.source;
+  }
+
+  if (query.ip) {
+    filter.ip_address = String(query.ip);
+  }
+
+  const from = dateParam(query.from, 'from');
+  const to = dateParam(query.to, 'to');
+  if (from && to && from > to) {
+    throw new SecurityError('from must not be after to', 400);
+  }
+  if (from || to) {
+    filter.timestamp = {
+      ...(from && { $gte: from }),
+      ...(to && { $lte: to })
+    };
+  }
+
+  const user = query.user ? String(query.user) : null;
+  if (!canViewAllLogs(viewer)) {
+    if (user && user !== String(viewer.id) && user !== viewer.username) {
+      throw new SecurityError('You can only view your own security logs');
+    }
+    filter.user_id = viewer.id;
+  } else if (user) {
+    // A user is named by id or username
+    filter.$or = mongoose.isValidObjectId(user)
+      ? [{ user_id: new mongoose.Types.ObjectId(user) }, { username: user }]
+      : [{ username: user }];
+  }
+
+  return filter;
+};
+
+/**
+ * Find a page of security logs. Pages are cut at the last entry's sort value,
+ * with the id breaking ties, so entries logged while paging neither repeat
+ * nor shift later pages.
+ * @param {Object} query - Query parameters: the filters of buildFilter, plus
+ *   sort, cursor (nextCursor of the previous page) and limit
+ * @param {Object} viewer - req.user of the caller
+ * @returns {Promise<{logs: Object[], nextCursor: string|null}>}
+ * @throws {SecurityError} If a parameter is invalid
+ */
+const searchSecurityLogs = async (query, viewer) => {
+  const order = parseSort(query.sort);
+  const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const filter = buildFilter(query, viewer);
+
+  if (query.cursor) {
+    const { value, id } = decodeCursor(query.cursor, order);
+    const past = order.descending ? '$lt' : '$gt';
+    const after = {
+      $or: [
+        { [order.field]: { [past]: value } },
+        { [order.field]: value, _id: { [past]: id } }
+      ]
+    };
+    // The user filter may already be an $or
+    filter.$and = [after];
+  }
+
+  const direction = order.descending ? -1 : 1;
+  const entries = await SecurityLog.find(filter)
+    .sort({ [order.field]: direction, _id: direction })
+    .limit(limit + 1)
+    .lean();
+
+  const logs = entries.slice(0, limit);
+  return {
+    logs,
+    nextCursor: entries.length > limit ? encodeCursor(logs[logs.length - 1], order) : null
+  };
+};
+
+module.exports = {
+  canViewAllLogs,
+  searchSecurityLogs
+};
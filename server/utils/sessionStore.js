@@ -0,0 +1,311 @@
+const crypto = require('crypto');
+const { PatternSession } = require('../models/patternSession');
+const { AuthGrant, GRANT_RETENTION_SECONDS } = require('../models/authGrant');
+const { WebAuthnChallenge } = require('../models/webauthnChallenge');
+
+const PATTERN_SESSION_TTL_MS = parseInt(process.env.PATTERN_SESSION_TTL_MS) || 10 * 60 * 1000; // 10 minutes
+const MAX_PATTERN_SESSIONS_PER_USER = parseInt(process.env.MAX_PATTERN_SESSIONS_PER_USER) || 5;
+const SESSION_SWEEP_INTERVAL_MS = parseInt(process.env.SESSION_SWEEP_INTERVAL_MS) || 60 * 1000; // every minute
+const AUTH_GRANT_TTL_MS = parseInt(process.env.AUTH_GRANT_TTL_MS) || 60 * 1000; // 1 minute
+const WEBAUTHN_CHALLENGE_TTL_MS = 5 * 60 * 1000; // 5 minutes, the ceremony timeout
+
+/**
+ * Helper function to hash a client session token for storage and comparison
+ */
+const hashSessionToken = (sessionToken) =>
+  crypto.createHash('sha256').update(String(sessionToken)).digest('hex');
+
+/**
+ * Helper function to build a new authentication grant
+ * @param {number} [ttlMs] - Lifetime; longer when the user still has to type
+ *   a second factor code
+ * @returns {{grant: string, record: Object}} The grant for the client and the
+ *   record to store, which only holds its hash
+ */
+const newGrant = ({ username, sessionId, fingerprint }, ttlMs = AUTH_GRANT_TTL_MS) => {
+  const grant = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+  return {
+    grant,
+    record: {
+      grantHash: hashSessionToken(grant),
+      username,
+      sessionId,
+      fingerprint,
+      redeemedAt: null,
+      createdAt: now,
+      expiresAt: new Date(now.getTime() + ttlMs)
+    }
+  };
+};
+
+/**
+ * Helper function to classify a grant being redeemed
+ * @param {Object|null} record - The grant as it was before redemption
+ */
+const grantStatus = (record, now) => {
+  if (!record) return 'unknown';
+  if (record.redeemedAt) return 'replayed';
+  if (record.expiresAt <= now) return 'expired';
+  return 'valid';
+};
+
+/**
+ * Helper function to build a new WebAuthn challenge record
+ */
+const newChallenge = ({ challenge, purpose, userId = null, fingerprint = null }) => {
+  const now = new Date();
+  return {
+    challengeId: crypto.randomBytes(16).toString('hex'),
+    challenge,
+    purpose,
+    userId,
+    fingerprint,
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + WEBAUTHN_CHALLENGE_TTL_MS)
+  };
+};
+
+/**
+ * Helper function to build a new session record
+ */
+const newSession = (username, sessionToken, now) => ({
+  sessionId: crypto.randomBytes(16).toString('hex'),
+  username,
+  sessionTokenHash: hashSessionToken(sessionToken),
+  usedChallenges: [],
+  createdAt: now,
+  expiresAt: new Date(now.getTime() + PATTERN_SESSION_TTL_MS)
+});
+
+/**
+ * Pattern sessions, authentication grants and WebAuthn challenges kept in
+ * MongoDB, shared by every server instance and surviving restarts. Expired
+ * sessions are removed by the TTL index and the sweeper; updates are single
+ * atomic operations.
+ */
+class MongoSessionStore {
+  async create(username, sessionToken) {
+    const now = new Date();
+
+    // Make room under the per-user cap by dropping the oldest sessions
+    const excess = await PatternSession.find({ username, expiresAt: { $gt: now } })
+      .sort({ createdAt: -1 })
+      .skip(MAX_PATTERN_SESSIONS_PER_USER - 1)
+      .select('_id');
+    if (excess.length > 0) {
+      await PatternSession.deleteMany({ _id: { $in: excess.map(session => session._id) } });
+    }
+
+    const session = await PatternSession.create(newSession(username, sessionToken, now));
+    return session.toObject();
+  }
+
+  async get(sessionId) {
+    return PatternSession.findOne({ sessionId: String(sessionId), expiresAt: { $gt: new Date() } }).lean();
+  }
+
+  async useChallenges(sessionId, challengeIds) {
+    const result = await PatternSession.updateOne(
+      { sessionId: String(sessionId), expiresAt: { $gt: new Date() }, usedChallenges: { $nin: challengeIds } },
+      { $push: { usedChallenges: { $each: challengeIds } } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  async consume(sessionId) {
+    const session = await PatternSession.findOneAndDelete({ sessionId: String(sessionId), expiresAt: { $gt: new Date() } });
+    return !!session;
+  }
+
+  async createGrant(binding, ttlMs) {
+    const { grant, record } = newGrant(binding, ttlMs);
+    await AuthGrant.create(record);
+    return grant;
+  }
+
+  async redeemGrant(grant) {
+    const now = new Date();
+    const grantHash = hashSessionToken(grant);
+
+    // Marking the grant redeemed in the same operation that reads it lets
+    // exactly one request through, however many race for it
+    const record = await AuthGrant.findOneAndUpdate(
+      { grantHash, redeemedAt: null },
+      { $set: { redeemedAt: now } }
+    ).lean() || await AuthGrant.findOne({ grantHash }).lean();
+
+    return { status: grantStatus(record, now), record };
+  }
+
+  async createChallenge(ceremony) {
+    const record = newChallenge(ceremony);
+    await WebAuthnChallenge.create(record);
+    return record.challengeId;
+  }
+
+  async takeChallenge(challengeId, purpose) {
+    // Deleting on read makes every challenge single use
+    return WebAuthnChallenge.findOneAndDelete({
+      challengeId: String(challengeId),
+      purpose,
+      expiresAt: { $gt: new Date() }
+    }).lean();
+  }
+
+  async sweep(now = new Date()) {
+    const result = await PatternSession.deleteMany({ expiresAt: { $lte: now } });
+    return result.deletedCount;
+  }
+}
+
+/**
+ * Pattern sessions, authentication grants and WebAuthn challenges kept in
+ * process memory. Only suitable for tests and single instance development
+ * setups: everything is lost on restart.
+ */
+class MemorySessionStore {
+  constructor() {
+    this.sessions = new Map();
+    this.grants = new Map();
+    this.challenges = new Map();
+  }
+
+  async create(username, sessionToken) {
+    const now = new Date();
+    await this.sweep(now);
+
+    // Make room under the per-user cap by dropping the oldest sessions
+    const active = [...this.sessions.values()]
+      .filter(session => session.username === username)
+      .sort((a, b) => b.createdAt - a.createdAt);
+    active.slice(MAX_PATTERN_SESSIONS_PER_USER - 1).forEach(session => this.sessions.delete(session.sessionId));
+
+    const session = newSession(username, sessionToken, now);
+    this.sessions.set(session.sessionId, session);
+    return { ...session };
+  }
+
+  async get(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session || session.expiresAt <= new Date()) return null;
+    return { ...session, usedChallenges: [...session.usedChallenges] };
+  }
+
+  async useChallenges(sessionId, challengeIds) {
+    const session = this.sessions.get(sessionId);
+    if (!session || session.expiresAt <= new Date() ||
+        challengeIds.some(challengeId => session.usedChallenges.includes(challengeId))) {
+      return false;
+    }
+    session.usedChallenges.push(...challengeIds);
+    return true;
+  }
+
+  async consume(sessionId) {
+    const session = this.sessions.get(sessionId);
+    this.sessions.delete(sessionId);
+    return !!session && session.expiresAt > new Date();
+  }
+
+  async createGrant(binding, ttlMs) {
+    const { grant, record } = newGrant(binding, ttlMs);
+    this.grants.set(record.grantHash, record);
+    return grant;
+  }
+
+  async redeemGrant(grant) {
+    const now = new Date();
+    const current = this.grants.get(hashSessionToken(grant));
+    const record = current && { ...current };
+    if (current && !current.redeemedAt) {
+      current.redeemedAt = now;
+    }
+    return { status: grantStatus(record, now), record };
+  }
+
+  async createChallenge(ceremony) {
+    const record = newChallenge(ceremony);
+    this.challenges.set(record.challengeId, record);
+    return record.challengeId;
+  }
+
+  async takeChallenge(challengeId, purpose) {
+    const record = this.challenges.get(challengeId);
+    this.challenges.delete(challengeId);
+    if (!record || record.purpose !== purpose || record.expiresAt <= new Date()) return null;
+    return record;
+  }
+
+  async sweep(now = new Date()) {
+    let count = 0;
+    for (const [sessionId, session] of this.sessions) {
+      if (session.expiresAt <= now) {
+        this.sessions.delete(sessionId);
+        count += 1;
+      }
+    }
+
+    for (const [challengeId, record] of this.challenges) {
+      if (record.expiresAt <= now) {
+        this.challenges.delete(challengeId);
+      }
+    }
+
+    // Grants are kept past expiry so replays are still recognised
+    const retainedSince = now.getTime() - GRANT_RETENTION_SECONDS * 1000;
+    for (const [grantHash, record] of this.grants) {
+      if (record.expiresAt.getTime() <= retainedSince) {
+        this.grants.delete(grantHash);
+      }
+    }
+    return count;
+  }
+}
+
+const STORES = {
+  mongo: MongoSessionStore,
+  memory: MemorySessionStore
+};
+
+let store = null;
+
+/**
+ * Get the configured pattern session store (PATTERN_SESSION_STORE: 'mongo',
+ * the default, or 'memory'), creating it on first use
+ */
+const getSessionStore = () => {
+  if (!store) {
+    const name = process.env.PATTERN_SESSION_STORE || 'mongo';
+    if (!STORES[name]) {
+      throw new Error(`Unknown pattern session store '${name}'`);
+    }
+    store = new STORES[name]();
+  }
+  return store;
+};
+
+/**
+ * Start the background sweeper that removes expired pattern sessions
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+const startSessionSweeper = () => {
+  const sweep = () => getSessionStore().sweep()
+    .then(count => {
+      if (count > 0) console.log(`Session sweeper removed ${count} pattern session(s)`);
+    })
+    .catch(error => console.error('Session sweeper failed:', error));
+
+  sweep();
+  const timer = setInterval(sweep, SESSION_SWEEP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  MongoSessionStore,
+  MemorySessionStore,
+  hashSessionToken,
+  getSessionStore,
+  startSessionSweeper
+};
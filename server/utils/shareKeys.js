@@ -0,0 +1,83 @@
+const { User } = require('../models/user');
+const { SecurityError } = require('../middleware/security');
+const { EncryptionService } = require('./encryption');
+const { unwrapFileKey } = require('./fileDelivery');
+
+/**
+ * Check the file keys an owner's client wrapped for new recipients
+ * @param {*} wrappedKeys - Request body value: [{ fileId, userId, wrappedKey }]
+ * @returns {Array} The keys, or an empty list when none were sent
+ */
+const parseWrappedKeys = (wrappedKeys) => {
+  if (wrappedKeys === undefined) return [];
+
+  const valid = Array.isArray(wrappedKeys) && wrappedKeys.every(key =>
+    key && typeof key.fileId === 'string' && typeof key.userId === 'string' &&
+    typeof key.wrappedKey === 'string' && key.wrappedKey
+  );
+  if (!valid) {
+    throw new SecurityError('wrappedKeys must be a list of { fileId, userId, wrappedKey }', 400);
+  }
+  return wrappedKeys;
+};
+
+/**
+ * Give file shares that applyFolderShares added a key for the current
+ * version. Keys wrapped by the owner's client are used as sent; keys of
+ * client-encrypted files are held under the server master key and wrapped
+ * here, as on upload. Recipients without a registered public key get no key
+ * until the owner shares with them again.
+ * @param {Array<Document>} files - Files whose shares changed
+ * @param {Array} wrappedKeys - Keys sent by the owner's client (see parseWrappedKeys)
+ * @returns {Promise<Array>} Keys the owner's client still has to wrap: for
+ *   each, the owner's wrapped key and the recipient's public key
+ */
+const fillRecipientKeys = async (files, wrappedKeys = []) => {
+  const pending = files.flatMap(file => file.sharedWith
+    .filter(share => !share.wrappedKey)
+    .map(share => ({ file, share })));
+  if (pending.length === 0) return [];
+
+  const recipients = await User.find({
+    _id: { $in: pending.map(({ share }) => share.user) }
+  }).select('publicKey');
+
+  const keysRequired = [];
+  for (const { file, share } of pending) {
+    const recipient = recipients.find(user => user._id.equals(share.user));
+    if (!recipient || !recipient.publicKey) continue;
+
+    const sent = wrappedKeys.find(key => file._id.equals(key.fileId) && share.user.equals(key.userId));
+    if (sent) {
+      share.wrappedKey = sent.wrappedKey;
+    } else if (file.encryptionScheme === 'client') {
+      share.wrappedKey = EncryptionService.encryptKey(await unwrapFileKey(file), recipient.publicKey);
+    } else {
+      keysRequired.push({
+        fileId: file._id,
+        userId: share.user,
+        wrappedKey: file.encryptionKey,
+        publicKey: recipient.publicKey
+      });
+    }
+  }
+
+  return keysRequired;
+};
+
+/**
+ * Answer a request that would share files without their keys. The owner's
+ * client unwraps each listed key, re-wraps it with the recipient's public
+ * key and repeats the request with them as wrappedKeys.
+ */
+const sendKeysRequired = (res, keysRequired) => res.status(409).json({
+  error: 'File keys required',
+  message: 'Wrap the listed file keys for their recipients and send them as wrappedKeys',
+  keysRequired
+});
+
+module.exports = {
+  parseWrappedKeys,
+  fillRecipientKeys,
+  sendKeysRequired
+};
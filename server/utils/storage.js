@@ -0,0 +1,134 @@
+const fs = require('fs');
+const fsPromises = require('fs').promises;
+const path = require('path');
+const { promisify } = require('util');
+const pipeline = promisify(require('stream').pipeline);
+
+const DEFAULT_ROOT = process.env.UPLOAD_FOLDER || path.join(__dirname, '../uploads');
+
+/**
+ * Local disk storage backend for encrypted file blobs.
+ * Objects are addressed by a relative key (e.g. `<userId>/<name>`) and
+ * always resolved inside the configured root folder.
+ */
+class LocalDiskStorage {
+  constructor(root = DEFAULT_ROOT) {
+    this.root = path.resolve(root);
+  }
+
+  /**
+   * Resolve a storage key to an absolute path inside the root folder
+   * @param {string} key - Relative storage key
+   * @returns {string} Absolute path
+   */
+  resolve(key) {
+    const fullPath = path.resolve(this.root, key);
+    if (fullPath !== this.root && !fullPath.startsWith(this.root + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return fullPath;
+  }
+
+  /**
+   * Write a readable stream to storage, aborting once maxBytes is exceeded
+   * @param {string} key - Relative storage key
+   * @param {ReadableStream} readStream - Source stream
+   * @param {number} maxBytes - Maximum number of bytes accepted
+   * @returns {Promise<number>} Number of bytes written
+   */
+  async writeStream(key, readStream, maxBytes = Infinity) {
+    const fullPath = this.resolve(key);
+    await fsPromises.mkdir(path.dirname(fullPath), { recursive: true });
+
+    let bytesWritten = 0;
+    const counter = async function* (source) {
+      for await (const chunk of source) {
+        bytesWritten += chunk.length;
+        if (bytesWritten > maxBytes) {
+          const error = new Error('Upload exceeds declared size');
+          error.status = 413;
+          throw error;
+        }
+        yield chunk;
+      }
+    };
+
+    try {
+      await pipeline(readStream, counter, fs.createWriteStream(fullPath, { flags: 'wx' }));
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        await this.remove(key);
+      }
+      throw error;
+    }
+
+    return bytesWritten;
+  }
+
+  /**
+   * Create a read stream for a stored object
+   * @param {string} key - Relative storage key
+   * @param {Object} options - fs.createReadStream options (start, end)
+   * @returns {ReadableStream}
+   */
+  createReadStream(key, options) {
+    return fs.createReadStream(this.resolve(key), options);
+  }
+
+  /**
+   * Read a byte range of a stored object into memory
+   * @param {string} key - Relative storage key
+   * @param {number} start - First byte offset (inclusive)
+   * @param {number} end - Last byte offset (inclusive)
+   * @returns {Promise<Buffer>}
+   */
+  async read(key, start, end) {
+    const chunks = [];
+    for await (const chunk of this.createReadStream(key, { start, end })) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Get the size in bytes of a stored object
+   * @param {string} key - Relative storage key
+   * @returns {Promise<number|null>} Size, or null if the object does not exist
+   */
+  async size(key) {
+    try {
+      const stats = await fsPromises.stat(this.resolve(key));
+      return stats.size;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a stored object. Missing objects are ignored.
+   * @param {string} key - Relative storage key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    try {
+      await fsPromises.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  /**
+   * Remove a folder of stored objects (e.g. the chunks of an upload session)
+   * @param {string} prefix - Relative folder key
+   * @returns {Promise<void>}
+   */
+  async removeAll(prefix) {
+    await fsPromises.rm(this.resolve(prefix), { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  LocalDiskStorage,
+  storage: new LocalDiskStorage()
+};
@@ -0,0 +1,85 @@
+const fsPromises = require('fs').promises;
+const { File } = require('../models/file');
+const { SecurityLog } = require('../models/securityLog');
+
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const TRASH_SWEEP_INTERVAL_MS = parseInt(process.env.TRASH_SWEEP_INTERVAL_MS) || 60 * 60 * 1000; // hourly
+
+/**
+ * Remove stored ciphertexts from disk. Missing files are ignored.
+ * @param {string[]} paths - Absolute storage paths
+ * @returns {Promise<void>}
+ */
+const removeStoredFiles = async (paths) => {
+  await Promise.all(paths.map(filePath =>
+    fsPromises.unlink(filePath).catch(error => {
+      if (error.code !== 'ENOENT') console.error('Error removing stored file:', error);
+    })
+  ));
+};
+
+/**
+ * Permanently delete a file: every stored version and the file record
+ * @param {Document} file - File document
+ * @returns {Promise<void>}
+ */
+const purgeFile = async (file) => {
+  await removeStoredFiles(file.getStoredPaths());
+  await File.deleteOne({ _id: file._id });
+};
+
+/**
+ * Purge every trashed file whose retention period has passed
+ * @param {Date} now - Reference time
+ * @returns {Promise<number>} Number of purged files
+ */
+const purgeExpiredTrash = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const expired = await File.find({ isDeleted: true, deletedAt: { $lte: cutoff } });
+
+  for (const file of expired) {
+    try {
+      await purgeFile(file);
+
+      await SecurityLog.createLog({
+        event_type: 'FILE_PURGED',
+        user_id: file.owner,
+        details: {
+          fileId: file._id,
+          filename: file.originalName,
+          deletedAt: file.deletedAt,
+          reason: 'retention_expired'
+        }
+      });
+    } catch (error) {
+      console.error(`Failed to purge file ${file._id}:`, error);
+    }
+  }
+
+  return expired.length;
+};
+
+/**
+ * Start the background sweeper that purges expired trash
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+const startTrashSweeper = () => {
+  const sweep = () => purgeExpiredTrash()
+    .then(count => {
+      if (count > 0) console.log(`Trash sweeper purged ${count} file(s)`);
+    })
+    .catch(error => console.error('Trash sweeper failed:', error));
+
+  sweep();
+  const timer = setInterval(sweep, TRASH_SWEEP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  removeStoredFiles,
+  purgeFile,
+  purgeExpiredTrash,
+  startTrashSweeper
+};
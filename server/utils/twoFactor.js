@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const otpService = require('./otp');
+const { encryptClientKey, decryptClientKey } = require('./encryption');
+const { RolePolicy } = require('../models/rolePolicy');
+
+/**
+ * Helper function to compare two hex digests in constant time
+ */
+const digestsEqual = (a, b) =>
+  typeof a === 'string' && a.length === b.length &&
+  crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+
+/**
+ * Helper function to replace a user's backup codes with a new set
+ * @returns {string[]} The codes, shown to the user once
+ */
+const issueBackupCodes = (user) => {
+  const codes = otpService.generateBackupCodes();
+  user.twoFactor.backupCodes = codes.map(code => ({ hash: otpService.hashBackupCode(code) }));
+  return codes;
+};
+
+/**
+ * Start enrolling an authenticator app. Any earlier unconfirmed enrollment is
+ * replaced; an enabled second factor stays in use until this one is
+ * confirmed. The caller saves the user.
+ * @returns {Promise<{secret: string, otpauthUrl: string, qrCode: string}>}
+ *   The secret for manual entry, its otpauth URI and the URI as a PNG data URL
+ */
+const beginEnrollment = async (user) => {
+  const secret = otpService.generateTotpSecret();
+  user.twoFactor.pendingSecret = await encryptClientKey(secret);
+
+  const otpauthUrl = otpService.totpKeyUri(user.username, secret);
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl)
+  };
+};
+
+/**
+ * Finish enrolling with a first code from the app. The caller saves the user.
+ * @returns {Promise<string[]|null>} New backup codes, or null if the code is
+ *   wrong or no enrollment is pending
+ */
+const confirmEnrollment = async (user, code) => {
+  const { twoFactor } = user;
+  if (!twoFactor.pendingSecret) return null;
+
+  const step = otpService.verifyTotp(code, await decryptClientKey(twoFactor.pendingSecret));
+  if (step === null) return null;
+
+  twoFactor.secret = twoFactor.pendingSecret;
+  twoFactor.pendingSecret = null;
+  twoFactor.enabled = true;
+  twoFactor.enabledAt = new Date();
+  twoFactor.lastUsedStep = step;
+  return issueBackupCodes(user);
+};
+
+/**
+ * Check a second factor: an authenticator app code, or failing that an
+ * unused backup code. Accepted codes are used up. The caller saves the user.
+ * @returns {Promise<'totp'|'backup'|null>} How the user authenticated, or
+ *   null if the code is not accepted
+ */
+const verifySecondFactor = async (user, code) => {
+  const { twoFactor } = user;
+  if (!twoFactor.enabled || !twoFactor.secret || !code) return null;
+
+  const step = otpService.verifyTotp(code, await decryptClientKey(twoFactor.secret));
+  if (step !== null) {
+    // A code seen before (or one older than it) may have been observed
+    if (twoFactor.lastUsedStep !== null && step <= twoFactor.lastUsedStep) return null;
+    twoFactor.lastUsedStep = step;
+    return 'totp';
+  }
+
+  const hash = otpService.hashBackupCode(code);
+  const backupCode = twoFactor.backupCodes.find(entry => !entry.usedAt && digestsEqual(entry.hash, hash));
+  if (backupCode) {
+    backupCode.usedAt = new Date();
+    return 'backup';
+  }
+  return null;
+};
+
+/**
+ * Turn off the second factor and forget its secret and backup codes. The
+ * caller saves the user.
+ */
+const disableTwoFactor = (user) => {
+  user.twoFactor.enabled = false;
+  user.twoFactor.secret = null;
+  user.twoFactor.pendingSecret = null;
+  user.twoFactor.lastUsedStep = null;
+  user.twoFactor.backupCodes = [];
+  user.twoFactor.enabledAt = null;
+};
+
+/**
+ * Check whether a user's role requires a second factor
+ */
+const isTwoFactorRequired = (user) => RolePolicy.requiresTwoFactor(user.role);
+
+/**
+ * Describe a user's second factor to the client
+ */
+const describeTwoFactor = (user, required) => ({
+  enabled: user.twoFactor.enabled,
+  enabledAt: user.twoFactor.enabledAt,
+  backupCodesRemaining: user.twoFactor.backupCodes.filter(entry => !entry.usedAt).length,
+  required
+});
+
+module.exports = {
+  issueBackupCodes,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  disableTwoFactor,
+  isTwoFactorRequired,
+  describeTwoFactor
+};
@@ -0,0 +1,156 @@
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const { isoBase64URL } = require('@simplewebauthn/server/helpers');
+
+// Users can keep this many passkeys; a new one beyond it is refused
+const MAX_WEBAUTHN_CREDENTIALS = parseInt(process.env.MAX_WEBAUTHN_CREDENTIALS) || 10;
+
+/**
+ * Helper function to read the relying party from the environment. The origin
+ * may list several comma-separated origins, e.g. for a dev server and a build.
+ */
+const relyingParty = () => ({
+  rpID: process.env.WEBAUTHN_RP_ID || 'localhost',
+  rpName: process.env.WEBAUTHN_RP_NAME || 'PixVault',
+  origins: (process.env.WEBAUTHN_ORIGIN || 'http://localhost:5174')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean)
+});
+
+/**
+ * Helper function to describe a stored credential to the authenticator
+ */
+const credentialDescriptor = (credential) => ({
+  id: credential.credentialId,
+  transports: credential.transports
+});
+
+/**
+ * Options for registering a new passkey for a user. Credentials the user
+ * already has are excluded so an authenticator is not registered twice.
+ * @returns {Promise<Object>} PublicKeyCredentialCreationOptionsJSON; its
+ *   challenge must be kept to verify the response
+ */
+const registrationOptions = (user) => {
+  const { rpID, rpName } = relyingParty();
+  return generateRegistrationOptions({
+    rpName,
+    rpID,
+    userName: user.username,
+    userID: Buffer.from(String(user._id)),
+    attestationType: 'none',
+    excludeCredentials: user.webauthnCredentials.map(credentialDescriptor),
+    authenticatorSelection: {
+      residentKey: 'preferred',
+      userVerification: 'preferred'
+    }
+  });
+};
+
+/**
+ * Verify an authenticator's registration response
+ * @returns {Promise<Object|null>} The credential to store on the user, or
+ *   null if the response does not verify
+ */
+const verifyRegistration = async (response, expectedChallenge) => {
+  const { rpID, origins } = relyingParty();
+  let verification;
+  try {
+    verification = await verifyRegistrationResponse({
+      response,
+      expectedChallenge,
+      expectedOrigin: origins,
+      expectedRPID: rpID,
+      requireUserVerification: false
+    });
+  } catch (error) {
+    return null;
+  }
+  if (!verification.verified) return null;
+
+  const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+  return {
+    credentialId: credential.id,
+    publicKey: isoBase64URL.fromBuffer(credential.publicKey),
+    counter: credential.counter,
+    transports: credential.transports || response.response?.transports || [],
+    deviceType: credentialDeviceType,
+    backedUp: credentialBackedUp
+  };
+};
+
+/**
+ * Options for signing in with a passkey. Without a user any discoverable
+ * credential for this site may answer.
+ * @param {Object} [user] - The user signing in, if known
+ * @returns {Promise<Object>} PublicKeyCredentialRequestOptionsJSON; its
+ *   challenge must be kept to verify the response
+ */
+const authenticationOptions = (user) => {
+  const { rpID } = relyingParty();
+  return generateAuthenticationOptions({
+    rpID,
+    allowCredentials: user ? user.webauthnCredentials.map(credentialDescriptor) : [],
+    userVerification: 'preferred'
+  });
+};
+
+/**
+ * Verify an authenticator's sign-in assertion against a stored credential.
+ * A verified assertion updates the credential's counter; the caller saves
+ * the user.
+ * @returns {Promise<boolean>} Whether the assertion verifies
+ */
+const verifyAuthentication = async (response, expectedChallenge, credential) => {
+  const { rpID, origins } = relyingParty();
+  let verification;
+  try {
+    verification = await verifyAuthenticationResponse({
+      response,
+      expectedChallenge,
+      expectedOrigin: origins,
+      expectedRPID: rpID,
+      credential: {
+        id: credential.credentialId,
+        publicKey: isoBase64URL.toBuffer(credential.publicKey),
+        counter: credential.counter,
+        transports: credential.transports
+      },
+      requireUserVerification: false
+    });
+  } catch (error) {
+    // Includes a signature counter that did not increase
+    return false;
+  }
+  if (!verification.verified) return false;
+
+  credential.counter = verification.authenticationInfo.newCounter;
+  credential.lastUsedAt = new Date();
+  return true;
+};
+
+/**
+ * Describe a user's passkeys to the client
+ */
+const describeCredentials = (user) => user.webauthnCredentials.map(credential => ({
+  id: credential.credentialId,
+  name: credential.name,
+  deviceType: credential.deviceType,
+  backedUp: credential.backedUp,
+  createdAt: credential.createdAt,
+  lastUsedAt: credential.lastUsedAt
+}));
+
+module.exports = {
+  MAX_WEBAUTHN_CREDENTIALS,
+  registrationOptions,
+  verifyRegistration,
+  authenticationOptions,
+  verifyAuthentication,
+  describeCredentials
+};
@@ -11,7 +11,9 @@ import { PermissionsProvider } from './contexts/PermissionsContext';
 import { AuthProvider } from './contexts/AuthContext';
 import SecurityLogger from './components/security/SecurityLogger';
 import SecurityLogViewer from './components/security/SecurityLogViewer';
+import SecuritySettings from './components/security/SecuritySettings';
 import AuthContainer from './components/auth/AuthContainer';
+import VerifyEmail from './components/auth/VerifyEmail';
 import SecureFileManager from './components/file/SecureFileManager';
 import SecureFileUploader from './components/file/SecureFileUploader';
 import FileManagerDashboard from './components/file/FileManagerDashboard';
@@ -47,6 +49,7 @@ function App() {
                         window.location.href = '/';
                       }, 300);
                     }}/>} />
+                    <Route path="/verify-email" element={<VerifyEmail />} />
                     
                     {/* Protected routes */}
                     <Route path="/" element={
@@ -74,6 +77,11 @@ function App() {
                         <SecurityLogViewer />
                       </ProtectedRoute>
                     } />
+                    <Route path="/security-settings" element={
+                      <ProtectedRoute>
+                        <SecuritySettings />
+                      </ProtectedRoute>
+                    } />
                     <Route path="/role-manager" element={
                       <ProtectedRoute>
                         <RoleManager />
@@ -2,19 +2,22 @@ import React, { useState } from 'react';
 import { Center, useColorModeValue, Button, Flex, VStack, Heading, Box, useBreakpointValue, useToast } from '@chakra-ui/react';
 import PassMatrix from './PassMatrix';
 import SignIn from './SignIn';
+import PasskeySignIn from './PasskeySignIn';
 import SignUp from './SignUp';
 import ForgotPattern from './ForgotPattern';
 import PatternReset from './PatternReset';
 
 const AuthContainer = ({ onAuthenticated }) => {
   const [isSignUp, setIsSignUp] = useState(false);
-  const [authStage, setAuthStage] = useState('initial'); // 'initial', 'passmatrix', 'forgot', 'reset'
+  const [authStage, setAuthStage] = useState('initial'); // 'initial', 'passmatrix', 'twofactor', 'forgot', 'reset'
   const [username, setUsername] = useState('');
   const [email, setEmail] = useState('');
   const [phoneNumber, setPhoneNumber] = useState('');
   const [sessionToken, setSessionToken] = useState('');
   const [sessionId, setSessionId] = useState(''); // Added to track session ID
   const [rememberMe, setRememberMe] = useState(false); // Added to track Remember Me preference
+  const [twoFactor, setTwoFactor] = useState(null); // Pending second factor after PassMatrix or a passkey
+  const [resetToken, setResetToken] = useState(''); // Reset session from account recovery
   const bgColor = useColorModeValue('gray.50', 'gray.900');
   const headingColor = useColorModeValue('blue.600', 'blue.200');
   const toast = useToast(); // Initialize toast for feedback
@@ -83,16 +86,31 @@ const AuthContainer = ({ onAuthenticated }) => {
     setAuthStage('initial');
   };
 
-  // Handle OTP verification success
-  const handleOtpVerified = (username, sessionToken) => {
+  // PassMatrix or a passkey passed, but an authenticator app code is still
+  // needed. A passkey sign-in has not been through the username step, so it
+  // brings the account and session token along.
+  const handleTwoFactorRequired = (challenge, identity) => {
+    if (identity) {
+      setUsername(identity.username);
+      setSessionToken(identity.sessionToken);
+      setRememberMe(identity.rememberMe);
+    }
+    setTwoFactor(challenge);
+    setAuthStage('twofactor');
+  };
+
+  // Ownership proven with an emailed code or a recovery code; the reset
+  // session it opens can only set a new pattern
+  const handleOtpVerified = ({ username, resetToken }) => {
     setUsername(username);
-    setSessionToken(sessionToken);
+    setResetToken(resetToken);
     setAuthStage('reset');
   };
 
   // Handle pattern reset success
   const handleResetSuccess = () => {
-    setAuthStage('signin');
+    setResetToken('');
+    setAuthStage('initial');
   };
 
   return (
@@ -124,12 +142,30 @@ const AuthContainer = ({ onAuthenticated }) => {
                 onSignUpSuccess={handleSignUpSuccess}
               />
             ) : (
-              <SignIn 
-                onToggleAuth={toggleAuthMode} 
-                onSignInSuccess={handleSignInSuccess} 
-                onForgotClick={() => setAuthStage('forgot')}
-              />
+              <VStack spacing={4} w="full">
+                <SignIn 
+                  onToggleAuth={toggleAuthMode} 
+                  onSignInSuccess={handleSignInSuccess} 
+                  onForgotClick={() => setAuthStage('forgot')}
+                />
+                <PasskeySignIn
+                  onAuthenticated={onAuthenticated}
+                  onTwoFactorRequired={handleTwoFactorRequired}
+                />
+              </VStack>
             )
+          ) : authStage === 'twofactor' ? (
+            <SignIn
+              username={username}
+              sessionToken={sessionToken}
+              rememberMe={rememberMe}
+              twoFactor={twoFactor}
+              onAuthenticated={onAuthenticated}
+              onCancel={() => {
+                setTwoFactor(null);
+                setAuthStage('initial');
+              }}
+            />
           ) : authStage === 'forgot' ? (
             <ForgotPattern
               onBack={() => setAuthStage('initial')}
@@ -138,7 +174,7 @@ const AuthContainer = ({ onAuthenticated }) => {
           ) : authStage === 'reset' ? (
             <PatternReset
               username={username}
-              sessionToken={sessionToken}
+              resetToken={resetToken}
               onSuccess={handleResetSuccess}
               onBack={() => setAuthStage('forgot')}
             />
@@ -154,6 +190,7 @@ const AuthContainer = ({ onAuthenticated }) => {
               initialEmail={email}
               initialPhoneNumber={phoneNumber}
               rememberMe={rememberMe}
+              onTwoFactorRequired={handleTwoFactorRequired}
             />
           )}
         </Box>
@@ -0,0 +1,69 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  AlertDescription,
+  AlertIcon,
+  Box,
+  Button,
+  useToast,
+} from '@chakra-ui/react';
+import { auth } from '../../services/api';
+
+// Reminds users who have not confirmed their email address yet that files
+// stay locked until they do, and lets them ask for another link
+const EmailVerificationNotice = () => {
+  const [account, setAccount] = useState(null);
+  const [sending, setSending] = useState(false);
+  const toast = useToast();
+
+  useEffect(() => {
+    auth.validateSession()
+      .then(({ data }) => setAccount(data))
+      .catch(() => setAccount(null));
+  }, []);
+
+  if (!account || account.isVerified) {
+    return null;
+  }
+
+  const handleResend = async () => {
+    try {
+      setSending(true);
+      const { data } = await auth.resendVerification();
+      toast({
+        title: 'Verification email sent',
+        description: data.message,
+        status: 'success',
+        duration: 5000,
+        isClosable: true,
+      });
+    } catch (error) {
+      toast({
+        title: 'Could not send the email',
+        description: error.response?.data?.message || error.message,
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <Alert status="warning" borderRadius="md" mb={6}>
+      <AlertIcon />
+      <Box flex="1">
+        <AlertDescription>
+          Please verify your email address ({account.email}) to upload and download
+          files. Open the link we emailed you.
+        </AlertDescription>
+      </Box>
+      <Button size="sm" onClick={handleResend} isLoading={sending} ml={4}>
+        Resend email
+      </Button>
+    </Alert>
+  );
+};
+
+export default EmailVerificationNotice;
@@ -17,10 +17,11 @@ import {
 import { auth } from '../../services/api';
 
 const ForgotPattern = ({ onBack, onOtpVerified }) => {
-  const [step, setStep] = useState('request'); // 'request', 'verify'
+  const [step, setStep] = useState('request'); // 'request', 'verify', 'code'
   const [username, setUsername] = useState('');
   const [email, setEmail] = useState('');
   const [otp, setOtp] = useState('');
+  const [recoveryCode, setRecoveryCode] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [countdown, setCountdown] = useState(0); // Countdown for OTP resend
@@ -142,12 +143,12 @@ const ForgotPattern = ({ onBack, onOtpVerified }) => {
       });
       
       if (response.data.success) {
-        // If successful, pass the session token to the parent component
+        // If successful, pass the reset session to the parent component
         // which will show the pattern reset component
         if (onOtpVerified) {
           onOtpVerified({
             username: response.data.username,
-            sessionToken: response.data.resetSessionToken
+            resetToken: response.data.resetToken
           });
         }
         
@@ -166,6 +167,48 @@ const ForgotPattern = ({ onBack, onOtpVerified }) => {
     }
   };
 
+  // Verify one of the recovery codes saved at sign-up instead of an
+  // emailed code
+  const handleVerifyRecoveryCode = async (e) => {
+    e.preventDefault();
+    setError('');
+    
+    if (!username || !recoveryCode) {
+      setError('Please enter your username and a recovery code');
+      return;
+    }
+    
+    setLoading(true);
+    
+    try {
+      const response = await auth.verifyRecoveryCode({
+        username,
+        code: recoveryCode
+      });
+      
+      if (response.data.success) {
+        if (onOtpVerified) {
+          onOtpVerified({
+            username: response.data.username,
+            resetToken: response.data.resetToken
+          });
+        }
+        
+        toast({
+          title: 'Verification Successful',
+          description: 'That recovery code is now used up. You can now reset your pattern',
+          status: 'success',
+          duration: 5000,
+          isClosable: true,
+        });
+      }
+    } catch (error) {
+      handleApiError(error, 'verifying recovery code');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   return (
     <Box
       p={6}
@@ -179,7 +222,7 @@ const ForgotPattern = ({ onBack, onOtpVerified }) => {
     >
       <VStack spacing={4} align='stretch'>
         <Heading size='md' textAlign='center' mb={2}>
-          {step === 'request' ? 'Recover Your Pattern' : 'Verify OTP Code'}
+          {step === 'request' ? 'Recover Your Pattern' : step === 'code' ? 'Use a Recovery Code' : 'Verify OTP Code'}
         </Heading>
         
         {error && (
@@ -234,6 +277,19 @@ const ForgotPattern = ({ onBack, onOtpVerified }) => {
                 Send Verification Code
               </Button>
               
+              <Button
+                variant="link"
+                colorScheme="blue"
+                size="sm"
+                onClick={() => {
+                  setError('');
+                  setStep('code');
+                }}
+                isDisabled={loading}
+              >
+                Use a recovery code instead
+              </Button>
+              
               <Button 
                 variant="ghost" 
                 onClick={onBack} 
@@ -243,6 +299,65 @@ const ForgotPattern = ({ onBack, onOtpVerified }) => {
               </Button>
             </VStack>
           </form>
+        ) : step === 'code' ? (
+          <form onSubmit={handleVerifyRecoveryCode}>
+            <VStack spacing={4}>
+              <Text textAlign="center">
+                Enter one of the recovery codes you saved when you signed up
+              </Text>
+              
+              <FormControl isRequired>
+                <FormLabel>Username</FormLabel>
+                <Input
+                  type="text"
+                  value={username}
+                  onChange={(e) => setUsername(e.target.value)}
+                  placeholder="Enter your username"
+                  autoComplete="username"
+                  isDisabled={loading}
+                />
+              </FormControl>
+              
+              <FormControl isRequired>
+                <FormLabel htmlFor="recovery-code-input">Recovery Code</FormLabel>
+                <Input
+                  id="recovery-code-input"
+                  type="text"
+                  value={recoveryCode}
+                  onChange={(e) => setRecoveryCode(e.target.value)}
+                  placeholder="XXXXX-XXXXX"
+                  autoComplete="off"
+                  fontFamily="mono"
+                  isDisabled={loading}
+                />
+                <Text fontSize="sm" color="gray.500" mt={1}>
+                  Each code works only once
+                </Text>
+              </FormControl>
+              
+              <Button
+                type="submit"
+                colorScheme="blue"
+                width="full"
+                isLoading={loading}
+                loadingText="Verifying..."
+                mt={4}
+              >
+                Verify Code
+              </Button>
+              
+              <Button 
+                variant="ghost" 
+                onClick={() => {
+                  setError('');
+                  setStep('request');
+                }} 
+                isDisabled={loading}
+              >
+                Back
+              </Button>
+            </VStack>
+          </form>
         ) : (
           <form onSubmit={handleVerifyOtp}>
             <VStack spacing={4}>
@@ -25,12 +25,16 @@ import {
 } from '@chakra-ui/react';
 import { RefreshCw, HelpCircle } from 'lucide-react';
 import { auth, security } from '../../services/api';
+import { SecurityEventType } from '../../constants/security';
 import MnemonicHelper from './MnemonicHelper';
 
 // Add API base URL for image paths
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:8000';
 const TIME_LIMIT = 30; // 30 seconds to complete authentication
 const GRID_SIZE = 5; // 5x5 grid
+const MAX_PATTERN_LENGTH = 10; // Most images selectable on one grid
+// Used until the server reports the user's pattern policy
+const DEFAULT_PATTERN_POLICY = { orderSensitive: false, rounds: 1, minLength: 5 };
 
 // Authentication stages
 const STAGES = {
@@ -39,11 +43,14 @@ const STAGES = {
   PATTERN_VERIFY: 'pattern_verify'
 };
 
-const PassMatrix = ({ onSuccess, onError, isSignUp = false, username: initialUsername = '', sessionToken: initialSessionToken = '', initialEmail = '', initialPhoneNumber = '', onSessionIdUpdate = () => {}, sessionId: initialSessionId = '', rememberMe = false }) => {
+const PassMatrix = ({ onSuccess, onError, isSignUp = false, username: initialUsername = '', sessionToken: initialSessionToken = '', initialEmail = '', initialPhoneNumber = '', onSessionIdUpdate = () => {}, sessionId: initialSessionId = '', rememberMe = false, onTwoFactorRequired, resetToken = '', onResetComplete }) => {
   const [grid, setGrid] = useState([]);
-  const [selectedImages, setSelectedImages] = useState([]); // Store selected image IDs
+  const [selectedPositions, setSelectedPositions] = useState([]); // Grid positions selected, in click order
   const [selectedPoints, setSelectedPoints] = useState([]); // Stores selected coordinates
-  const [stage, setStage] = useState(initialUsername ? (isSignUp ? STAGES.PATTERN_SELECT : STAGES.PATTERN_VERIFY) : STAGES.USERNAME);
+  const [completedRounds, setCompletedRounds] = useState([]); // Image IDs of finished grids
+  const [completedPoints, setCompletedPoints] = useState([]); // Coordinates of finished grids
+  const [patternPolicy, setPatternPolicy] = useState(DEFAULT_PATTERN_POLICY);
+  const [stage, setStage] = useState(initialUsername ? (isSignUp || resetToken ? STAGES.PATTERN_SELECT : STAGES.PATTERN_VERIFY) : STAGES.USERNAME);
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
   const [timeLeft, setTimeLeft] = useState(TIME_LIMIT);
@@ -51,7 +58,7 @@ const PassMatrix = ({ onSuccess, onError, isSignUp = false, username: initialUse
   const [email, setEmail] = useState(initialEmail);
   const [phoneNumber, setPhoneNumber] = useState(initialPhoneNumber);
   const [sessionToken, setSessionToken] = useState(initialSessionToken); // For CSRF protection
-  const [imageMap, setImageMap] = useState({}); // Map of image URLs to stable IDs
+  const [gridChallenge, setGridChallenge] = useState(''); // Server's signed record of the grid layout
   const [patternSessionId, setPatternSessionId] = useState(initialSessionId); // Store session ID for verification
   const [useMnemonic, setUseMnemonic] = useState(true); // Option to use mnemonic
   const timerRef = useRef(null);
@@ -73,39 +80,6 @@ const PassMatrix = ({ onSuccess, onError, isSignUp = false, username: initialUse
     }
   }, [sessionToken]);
 
-  // Hash the selected pattern with proper security
-  const hashPattern = async (selectedIndices, salt) => {
-    try {
-      // Sort indices to ensure order-independence in pattern
-      const sortedIndices = [...selectedIndices].sort();
-      
-      // Combine the indices with username salt only (no sessionId)
-      // This makes the hash consistent across different sessions
-      const patternString = `${sortedIndices.join('|')}:${salt}`;
-      
-      console.log('Client hashing pattern with string:', patternString);
-      console.log('Pattern before sorting:', selectedIndices);
-      console.log('Pattern after sorting:', sortedIndices);
-      console.log('Salt used for hashing:', salt);
-      
-      // Hash using Web Crypto API
-      const encoder = new TextEncoder();
-      const data = encoder.encode(patternString);
-      const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-      
-      // Convert hash to hex string
-      const hashArray = Array.from(new Uint8Array(hashBuffer));
-      const hashHex = hashArray.map(byte => byte.toString(16).padStart(2, '0')).join('');
-      
-      console.log('Client generated hash:', hashHex);
-      console.log('Hash length:', hashHex.length);
-      return hashHex;
-    } catch (error) {
-      console.error('Error hashing pattern:', error);
-      throw new Error('Failed to secure pattern');
-    }
-  };
-
   // Log security events
   const logSecurityEvent = useCallback(async (eventType, details) => {
     try {
@@ -123,63 +97,47 @@ const PassMatrix = ({ onSuccess, onError, isSignUp = false, username: initialUse
     }
   }, [sessionToken]);
 
-  // Create an image map to give each image a stable ID regardless of URL
-  const createImageMap = useCallback((images) => {
-    const newMap = {};
-    images.forEach((image) => {
-      // Extract the filename from the URL to use as a stable ID
-      const filename = image.split('/').pop();
-      newMap[image] = filename;
-    });
-    setImageMap(newMap);
-    return newMap;
-  }, []);
-
-  // Generate random grid of images
-  const generateGrid = useCallback(async () => {
+  // Fetch a freshly shuffled grid for the pattern session. The server
+  // records the layout in a signed challenge; the selection is sent back as
+  // positions and only the server maps them to images, so positions seen on
+  // screen reveal nothing about the pattern.
+  const generateGrid = useCallback(async (sessionId = patternSessionId) => {
+    if (!sessionId) return;
+    
     try {
       setLoading(true);
       
       // Request images from server
       const { data } = await auth.getMatrixImages({
+        username,
+        sessionId,
         sessionToken // Pass session token for CSRF protection
       });
       
-      if (!data || !data.images || !Array.isArray(data.images) || data.images.length === 0) {
+      if (!data || !Array.isArray(data.images) || data.images.length !== GRID_SIZE * GRID_SIZE || !data.challenge) {
         throw new Error('Failed to retrieve image matrix from server');
       }
       
-      // Shuffle and prepare images for grid
-      let shuffledImages = [...data.images].sort(() => Math.random() - 0.5);
-      
-      // Handle case when server doesn't provide enough images
-      while (shuffledImages.length < GRID_SIZE * GRID_SIZE) {
-        shuffledImages = [...shuffledImages, ...data.images].sort(() => Math.random() - 0.5);
-      }
-      
-      // Take the first 25 images and add API base URL
-      const gridImages = shuffledImages
-        .slice(0, GRID_SIZE * GRID_SIZE)
-        .map(imagePath => `${API_BASE_URL}${imagePath}`);
-      
-      // Create a stable mapping for these images
-      createImageMap(gridImages);
+      // Keep the server's order: positions are read against it
+      setGrid(data.images.map(imagePath => `${API_BASE_URL}${imagePath}`));
+      setGridChallenge(data.challenge);
       
-      // Set the grid state
-      setGrid(gridImages);
+      // Selections made on the previous layout no longer apply
+      setSelectedPositions([]);
+      setSelectedPoints([]);
       
       // Log security event (don't await to avoid slowing down the UI)
-      logSecurityEvent('matrix_images_generated', 'PassMatrix grid generated for authentication')
+      logSecurityEvent(SecurityEventType.PATTERN_GRID_GENERATED, 'PassMatrix grid generated for authentication')
         .catch(console.warn);
     } catch (error) {
       console.error('Error generating matrix:', error);
       setError('Failed to generate image grid. Please try again.');
-      logSecurityEvent('matrix_generation_error', error.message)
+      logSecurityEvent(SecurityEventType.PATTERN_ERROR, error.message)
         .catch(console.warn);
     } finally {
       setLoading(false);
     }
-  }, [createImageMap, sessionToken, logSecurityEvent]);
+  }, [patternSessionId, username, sessionToken, logSecurityEvent]);
 
   // Handle form submission
   const handleFormSubmit = (e) => {
@@ -251,13 +209,12 @@ const PassMatrix = ({ onSuccess, onError, isSignUp = false, username: initialUse
         }
       }
 
-      // Move to pattern selection
+      // Move to pattern selection; the grid follows once the session exists
       setStage(STAGES.PATTERN_SELECT);
-      await generateGrid();
       
       // Log the authentication attempt (non-blocking)
       logSecurityEvent(
-        isSignUp ? 'signup_attempt' : 'signin_attempt',
+        isSignUp ? SecurityEventType.USER_REGISTRATION_INITIATED : SecurityEventType.SIGNIN_ATTEMPT,
         `User ${username} attempted to ${isSignUp ? 'sign up' : 'sign in'}`
       ).catch(console.warn);
     } catch (error) {
@@ -269,280 +226,300 @@ const PassMatrix = ({ onSuccess, onError, isSignUp = false, username: initialUse
   };
 
   // Handle image selection
-  const handleImageClick = async (image, index) => {
+  const handleImageClick = (index) => {
     if (loading) return;
     
-    try {
-      const row = Math.floor(index / GRID_SIZE);
-      const col = index % GRID_SIZE;
-      const point = `${row},${col}`;
+    const row = Math.floor(index / GRID_SIZE);
+    const col = index % GRID_SIZE;
+    const point = `${row},${col}`;
 
-      if (selectedPoints.includes(point)) {
-        setError('You cannot select the same image twice');
-        return;
-      }
+    if (selectedPoints.includes(point)) {
+      setError('You cannot select the same image twice');
+      return;
+    }
+
+    if (selectedPositions.length >= MAX_PATTERN_LENGTH) {
+      setError(`You can only select ${MAX_PATTERN_LENGTH} images per grid`);
+      return;
+    }
+
+    setError('');
+    setSelectedPositions([...selectedPositions, index]);
+    setSelectedPoints([...selectedPoints, point]);
+  };
+
+  // Start entering the pattern again from the first grid. Grids are only
+  // accepted once, so a new one is always fetched.
+  const restartPattern = () => {
+    setCompletedRounds([]);
+    setCompletedPoints([]);
+    generateGrid();
+  };
+
+  // Finish the current grid: move on to a freshly shuffled grid, or submit
+  // the pattern once every grid required by the policy is done
+  const handleRoundComplete = async () => {
+    if (selectedPositions.length < patternPolicy.minLength) {
+      setError(`Select at least ${patternPolicy.minLength} images`);
+      return;
+    }
+
+    const rounds = [...completedRounds, { challenge: gridChallenge, positions: selectedPositions }];
 
-      if (selectedImages.length >= 5) {
-        setError('You can only select 5 images');
+    if (rounds.length < patternPolicy.rounds) {
+      setCompletedRounds(rounds);
+      setCompletedPoints([...completedPoints, ...selectedPoints]);
+      setTimeLeft(TIME_LIMIT);
+      await generateGrid();
+      return;
+    }
+
+    if (stage === STAGES.PATTERN_SELECT) {
+      await storePattern(rounds);
+    } else {
+      await verifyPattern(rounds);
+    }
+  };
+
+  // Send a newly created pattern to the server
+  const storePattern = async (rounds) => {
+    try {
+      setLoading(true);
+      
+      // Account recovery replaces the old pattern; signing in comes after
+      if (resetToken) {
+        await auth.resetPattern({
+          username,
+          resetToken,
+          pattern: rounds,
+          sessionId: patternSessionId,
+          sessionToken
+        }).catch(error => {
+          throw new Error(error.response?.data?.message || error.message);
+        });
+        if (onResetComplete) {
+          onResetComplete();
+        }
         return;
       }
-
-      // Use the stable image ID from imageMap (filename)
-      const imageId = imageMap[image];
-      console.log(`Selected image at index ${index}, ID: ${imageId}`);
       
-      setSelectedImages([...selectedImages, imageId]);
-      setSelectedPoints([...selectedPoints, point]);
+      // Send the pattern to the server, which hashes it with a per-user salt
+      console.log('Storing pattern on server');
+      await auth.storePatternHash({
+        username,
+        pattern: rounds,
+        sessionId: patternSessionId,
+        sessionToken
+      }).catch(error => {
+        console.error('Failed to store pattern:', error);
+        console.error('Response data:', error.response?.data);
+        throw new Error(`Failed to save pattern: ${error.response?.data?.message || error.message}`);
+      });
+      
+      console.log('Pattern stored successfully');
+      
+      // Log security event (non-blocking)
+      logSecurityEvent(SecurityEventType.PATTERN_CREATION, 'User created PassMatrix pattern')
+        .catch(error => console.warn('Failed to log security event:', error));
+      
+      // Move to verification phase
+      toast({
+        title: 'Pattern Created',
+        description: 'Now verify your pattern.',
+        status: 'info',
+        duration: 3000,
+        isClosable: true,
+      });
+      
+      // If mnemonic is enabled, show the mnemonic helper
+      if (useMnemonic) {
+        // Keep the last grid's selection so the helper sees every point
+        setCompletedPoints([...completedPoints, ...selectedPoints]);
+        setSelectedPoints([]);
+        
+        // Show mnemonic helper with a short delay
+        setTimeout(() => {
+          mnemonicDisclosure.onOpen();
+        }, 500);
+      } else {
+        // Move directly to verification stage
+        setTimeout(() => {
+          setStage(STAGES.PATTERN_VERIFY);
+          restartPattern();
+        }, 500);
+      }
+    } catch (error) {
+      console.error('Error in pattern creation flow:', error);
+      setError(`Failed to save pattern: ${error.message}`);
+      restartPattern();
+    } finally {
+      setLoading(false);
+    }
+  };
 
-      // If we've selected 5 images in the pattern select phase
-      if (selectedImages.length === 4 && stage === STAGES.PATTERN_SELECT) {
-        try {
-          setLoading(true);
-          
-          // Create temporary server-side session
-          console.log('Creating pattern session for:', username);
-          const sessionResponse = await auth.createPatternSession({
-            username,
-            sessionToken
-          }).catch(error => {
-            console.error('Failed to create pattern session:', error);
-            throw new Error(`Session creation failed: ${error.response?.data?.message || error.message}`);
-          });
-          
-          const { data: sessionData } = sessionResponse;
-          
-          if (!sessionData || !sessionData.sessionId) {
-            console.error('Invalid session data received:', sessionData);
-            throw new Error('Failed to create pattern session: Invalid response');
-          }
+  // Verify the entered pattern with the server and sign in
+  const verifyPattern = async (rounds) => {
+    try {
+      setLoading(true);
+      console.log('Using session token:', sessionToken);
+      console.log('Using session ID:', patternSessionId);
+      
+      // Log pattern verification details
+      console.log('Verifying pattern with server:', {
+        username,
+        rounds: rounds.length,
+        sessionId: patternSessionId
+      });
+      
+      // Verify pattern with server - IMPORTANT: Include sessionId
+      try {
+        const verifyResult = await auth.verifyPattern({
+          username,
+          pattern: rounds,
+          sessionToken,
+          sessionId: patternSessionId // Include this for proper verification
+        });
+        
+        if (verifyResult.data?.success) {
+          // Log successful verification (non-blocking)
+          logSecurityEvent(SecurityEventType.PATTERN_VERIFICATION_SUCCESS, 'User successfully verified PassMatrix pattern')
+            .catch(console.warn);
           
-          // Use the server-provided session ID for the hash and save it for verification
-          const sessionId = sessionData.sessionId;
-          setPatternSessionId(sessionId); // Save it for verification phase
-          if (onSessionIdUpdate) {
-            onSessionIdUpdate(sessionId);
+          // For sign-up, complete the registration. It uses up the grant
+          // from verification and hands back a new one.
+          let { grant } = verifyResult.data;
+          if (isSignUp) {
+            const { data: registration } = await auth.completeRegistration({
+              username,
+              email,
+              phoneNumber: phoneNumber || '',
+              sessionId: patternSessionId,
+              sessionToken,
+              grant
+            });
+            grant = registration.grant;
           }
-          console.log('Session created successfully:', { sessionId });
-          
-          // Hash the pattern (including the new selection)
-          console.log('Hashing pattern with', selectedImages.length + 1, 'images');
-          const hash = await hashPattern(
-            [...selectedImages, imageId], 
-            username // Only use username as salt, no sessionId
-          ).catch(error => {
-            console.error('Pattern hashing failed:', error);
-            throw new Error(`Failed to secure pattern: ${error.message}`);
-          });
           
-          console.log('Pattern hashed successfully, hash length:', hash.length);
-          
-          // Send the hash to the server for storage
-          console.log('Storing pattern hash on server');
-          await auth.storePatternHash({
+          // Exchange the single-use grant for a token
+          const { data: authData } = await auth.getToken({
             username,
-            hash,
-            sessionId,
-            sessionToken
-          }).catch(error => {
-            console.error('Failed to store pattern hash:', error);
-            console.error('Response data:', error.response?.data);
-            throw new Error(`Failed to save pattern: ${error.response?.data?.message || error.message}`);
+            sessionId: patternSessionId,
+            sessionToken,
+            grant,
+            rememberMe
           });
           
-          console.log('Pattern stored successfully');
-          
-          // Log security event (non-blocking)
-          logSecurityEvent('pattern_created', 'User created PassMatrix pattern')
-            .catch(error => console.warn('Failed to log security event:', error));
-          
-          // Move to verification phase
-          toast({
-            title: 'Pattern Created',
-            description: 'Now verify your pattern.',
-            status: 'info',
-            duration: 3000,
-            isClosable: true,
-          });
-          
-          // If mnemonic is enabled, show the mnemonic helper
-          if (useMnemonic) {
-            // Show mnemonic helper with a short delay
-            setTimeout(() => {
-              mnemonicDisclosure.onOpen();
-            }, 500);
-          } else {
-            // Move directly to verification stage
-            setTimeout(() => {
-              setStage(STAGES.PATTERN_VERIFY);
-              setSelectedImages([]);
-              setSelectedPoints([]);
-              generateGrid();
-            }, 500);
+          // An authenticator app code (or enrolling one) is still required
+          if (authData?.twoFactorRequired || authData?.twoFactorSetupRequired) {
+            onTwoFactorRequired({
+              sessionId: patternSessionId,
+              grant: authData.grant,
+              setupRequired: !!authData.twoFactorSetupRequired,
+              enrollment: authData.enrollment
+            });
+            return;
           }
-        } catch (error) {
-          console.error('Error in pattern creation flow:', error);
-          setError(`Failed to save pattern: ${error.message}`);
-        } finally {
-          setLoading(false);
-        }
-      }
-
-      // If this completes the verification phase (5 images selected)
-      if (selectedImages.length === 4 && stage === STAGES.PATTERN_VERIFY) {
-        try {
-          setLoading(true);
-          const pattern = [...selectedImages, imageId];
-          console.log('Verifying pattern:', pattern);
-          console.log('Using session token:', sessionToken);
-          console.log('Using session ID:', patternSessionId);
           
-          // Log pattern verification details
-          console.log('Verifying pattern with server:', {
-            username,
-            pattern,
-            patternLength: pattern.length,
-            sessionId: patternSessionId
-          });
-          
-          // Log client pattern string for comparison with server
-          console.log('Client pattern string for verification:', `${[...pattern].sort().join('|')}:${username}`);
-          
-          
-          // Verify pattern with server - IMPORTANT: Include sessionId
-          try {
-            const verifyResult = await auth.verifyPattern({
-              username,
-              pattern,
-              sessionToken,
-              sessionId: patternSessionId // Include this for proper verification
+          // Store the token in memory for immediate use
+          if (authData?.token) {
+            console.log('Authentication successful, token received in PassMatrix');
+            // Show success message before redirecting
+            toast({
+              title: isSignUp ? 'Registration Successful' : 'Authentication Successful',
+              description: isSignUp
+                ? 'Your account has been created. Open the link we emailed you to start storing files.'
+                : 'Your identity has been verified.',
+              status: 'success',
+              duration: 3000,
+              isClosable: true,
             });
             
-            if (verifyResult.data?.success) {
-              // Log successful verification (non-blocking)
-              logSecurityEvent('pattern_verified', 'User successfully verified PassMatrix pattern')
-                .catch(console.warn);
-              
-              // For sign-up, complete the registration
-              if (isSignUp) {
-                await auth.completeRegistration({
-                  username,
-                  email,
-                  phoneNumber: phoneNumber || '',
-                  sessionToken
-                });
-              }
-              
-              // Get authentication token from server
-              const { data: authData } = await auth.getToken({
-                username,
-                sessionToken,
-                rememberMe
-              });
-              
-              // Store the token in memory for immediate use
-              if (authData?.token) {
-                console.log('Authentication successful, token received in PassMatrix');
-                // Show success message before redirecting
-                toast({
-                  title: isSignUp ? 'Registration Successful' : 'Authentication Successful',
-                  description: isSignUp ? 'Your account has been created successfully.' : 'Your identity has been verified.',
-                  status: 'success',
-                  duration: 3000,
-                  isClosable: true,
-                });
-                
-                // Short delay to ensure toast is visible before redirect
-                setTimeout(() => {
-                  // Use the token for immediate authentication
-                  if (onSuccess) {
-                    onSuccess(authData.token);
-                  }
-                }, 1000);
-              } else {
-                // If no token in response, the server should have set an httpOnly cookie
-                // Just call onSuccess with null
-                console.log('No token received, using httpOnly cookie authentication');
-                if (onSuccess) {
-                  onSuccess(null);
-                }
-              }
-              
-              // Toast is now shown above with a delay before redirect
-              // No need for duplicate toast here
-            } else {
-              console.log('Pattern verification API error:', verifyResult.data);
-              setError('Pattern does not match. Please try again.');
-              setSelectedImages([]);
-              setSelectedPoints([]);
-              
-              // Call onError if provided
-              if (onError) {
-                onError('Pattern verification failed. Please try again.');
+            // Short delay to ensure toast is visible before redirect
+            setTimeout(() => {
+              // Use the token for immediate authentication
+              if (onSuccess) {
+                onSuccess(authData.token);
               }
-              
-              // Log failed verification (non-blocking)
-              logSecurityEvent('pattern_verification_failed', 'User failed to verify PassMatrix pattern')
-                .catch(console.warn);
-            }
-          } catch (verifyError) {
-            console.error('Error verifying pattern:', verifyError);
-            if (verifyError.response?.data) {
-              console.log('Pattern verification API error:', verifyError.response.data);
+            }, 1000);
+          } else {
+            // If no token in response, the server should have set an httpOnly cookie
+            // Just call onSuccess with null
+            console.log('No token received, using httpOnly cookie authentication');
+            if (onSuccess) {
+              onSuccess(null);
             }
-            throw new Error(`Verification failed: ${verifyError.response?.data?.message || verifyError.message}`);
           }
-        } catch (error) {
-          console.error('Error verifying pattern:', error);
-          setError('Failed to verify pattern. Please try again.');
           
-          // Log the error (non-blocking)
-          logSecurityEvent('pattern_error', error.message)
+          // Toast is now shown above with a delay before redirect
+          // No need for duplicate toast here
+        } else {
+          console.log('Pattern verification API error:', verifyResult.data);
+          setError('Pattern does not match. Please try again.');
+          restartPattern();
+          
+          // Call onError if provided
+          if (onError) {
+            onError('Pattern verification failed. Please try again.');
+          }
+          
+          // Log failed verification (non-blocking)
+          logSecurityEvent(SecurityEventType.PATTERN_VERIFICATION_FAILED, 'User failed to verify PassMatrix pattern')
             .catch(console.warn);
-        } finally {
-          setLoading(false);
         }
+      } catch (verifyError) {
+        console.error('Error verifying pattern:', verifyError);
+        if (verifyError.response?.data) {
+          console.log('Pattern verification API error:', verifyError.response.data);
+        }
+        throw new Error(`Verification failed: ${verifyError.response?.data?.message || verifyError.message}`);
       }
     } catch (error) {
-      console.error('Error in image selection:', error);
-      setError('An error occurred. Please try again.');
+      console.error('Error verifying pattern:', error);
+      setError('Failed to verify pattern. Please try again.');
+      restartPattern();
       
       // Log the error (non-blocking)
-      logSecurityEvent('pattern_error', error.message)
+      logSecurityEvent(SecurityEventType.PATTERN_ERROR, error.message)
         .catch(console.warn);
-      
+    } finally {
       setLoading(false);
     }
   };
 
-  // Create a session when entering verification mode for sign-in
+  // Create a session when entering pattern creation or verification. The
+  // session also carries the user's pattern policy.
   useEffect(() => {
-    if (stage === STAGES.PATTERN_VERIFY && !isSignUp && !patternSessionId) {
+    if ((stage === STAGES.PATTERN_SELECT || stage === STAGES.PATTERN_VERIFY) && !patternSessionId) {
       const createSession = async () => {
         try {
           setLoading(true);
-          console.log('Creating pattern session for sign-in:', username);
+          console.log('Creating pattern session for:', username);
           const sessionResponse = await auth.createPatternSession({
             username,
             sessionToken
           });
           
-          const sessionId = sessionResponse.data.sessionId;
-          console.log('Sign-in session created successfully:', { sessionId });
+          const { sessionId, patternPolicy: policy } = sessionResponse.data;
+          console.log('Pattern session created successfully:', { sessionId });
           setPatternSessionId(sessionId);
+          if (policy) {
+            setPatternPolicy(policy);
+          }
+          generateGrid(sessionId);
           if (onSessionIdUpdate) {
             onSessionIdUpdate(sessionId);
           }
           setLoading(false);
         } catch (error) {
           console.error('Failed to create verification session:', error);
-          setError('Failed to initialize verification. Please try again.');
+          setError('Failed to initialize pattern session. Please try again.');
           setLoading(false);
         }
       };
       
       createSession();
     }
-  }, [stage, isSignUp, patternSessionId, username, sessionToken, onSessionIdUpdate]);
+  }, [stage, patternSessionId, username, sessionToken, onSessionIdUpdate, generateGrid]);
 
   // Start timer for verification phase
   useEffect(() => {
@@ -553,8 +530,8 @@ const PassMatrix = ({ onSuccess, onError, isSignUp = false, username: initialUse
           if (prev <= 1) {
             clearInterval(timerRef.current);
             setError('Time expired. Please try again.');
-            setSelectedImages([]);
-            setSelectedPoints([]);
+            setCompletedRounds([]);
+            setCompletedPoints([]);
             generateGrid();
             return TIME_LIMIT;
           }
@@ -648,15 +625,23 @@ const PassMatrix = ({ onSuccess, onError, isSignUp = false, username: initialUse
   const renderPatternStage = () => (
     <VStack spacing={4} w="full">
       <Heading size="lg" mb={2}>
-        {stage === STAGES.PATTERN_SELECT ? 'Select 5 Images' : 'Verify Pattern'}
+        {stage === STAGES.PATTERN_SELECT ? 'Create Pattern' : 'Verify Pattern'}
       </Heading>
       
       <Text textAlign="center" mb={2}>
         {stage === STAGES.PATTERN_SELECT 
-          ? 'Create your secure pattern by selecting 5 images' 
-          : 'Please select your 5 images to verify your identity'}
+          ? `Create your secure pattern by selecting at least ${patternPolicy.minLength} images` 
+          : 'Please select your images to verify your identity'}
+        {patternPolicy.orderSensitive && ' in order'}
+        {patternPolicy.rounds > 1 && ` on each of ${patternPolicy.rounds} grids`}
       </Text>
       
+      {patternPolicy.rounds > 1 && (
+        <Text fontWeight="bold">
+          Grid {completedRounds.length + 1} of {patternPolicy.rounds}
+        </Text>
+      )}
+      
       {stage === STAGES.PATTERN_VERIFY && (
         <Progress
           value={(timeLeft / TIME_LIMIT) * 100}
@@ -679,7 +664,7 @@ const PassMatrix = ({ onSuccess, onError, isSignUp = false, username: initialUse
             <Box
               position="relative"
               cursor={loading ? 'not-allowed' : 'pointer'}
-              onClick={() => handleImageClick(image, index)}
+              onClick={() => handleImageClick(index)}
               opacity={loading ? 0.5 : 1}
               transition="all 0.2s"
               _hover={{ transform: 'scale(1.05)' }}
@@ -699,6 +684,24 @@ const PassMatrix = ({ onSuccess, onError, isSignUp = false, username: initialUse
                     : 'transparent'
                 }
               />
+              {patternPolicy.orderSensitive && selectedPositions.includes(index) && (
+                <Flex
+                  position="absolute"
+                  top={1}
+                  left={1}
+                  w={6}
+                  h={6}
+                  align="center"
+                  justify="center"
+                  borderRadius="full"
+                  bg="blue.500"
+                  color="white"
+                  fontSize="sm"
+                  fontWeight="bold"
+                >
+                  {selectedPositions.indexOf(index) + 1}
+                </Flex>
+              )}
             </Box>
           </GridItem>
         ))}
@@ -707,7 +710,7 @@ const PassMatrix = ({ onSuccess, onError, isSignUp = false, username: initialUse
       <Flex justify="space-between" w="full" mt={4}>
         <Button
           leftIcon={<RefreshCw />}
-          onClick={generateGrid}
+          onClick={() => generateGrid()}
           isLoading={loading}
           colorScheme="blue"
           variant="outline"
@@ -715,10 +718,22 @@ const PassMatrix = ({ onSuccess, onError, isSignUp = false, username: initialUse
           Refresh Grid
         </Button>
         <Text>
-          Selected: {selectedImages.length} / 5
+          Selected: {selectedPositions.length} (min {patternPolicy.minLength})
         </Text>
       </Flex>
       
+      <Button
+        colorScheme="blue"
+        w="full"
+        onClick={handleRoundComplete}
+        isLoading={loading}
+        isDisabled={selectedPositions.length < patternPolicy.minLength}
+      >
+        {completedRounds.length + 1 < patternPolicy.rounds
+          ? 'Next Grid'
+          : stage === STAGES.PATTERN_SELECT ? 'Save Pattern' : 'Verify'}
+      </Button>
+      
       {/* Mnemonic option for pattern creation */}
       {stage === STAGES.PATTERN_SELECT && isSignUp && (
         <Checkbox
@@ -755,9 +770,7 @@ const PassMatrix = ({ onSuccess, onError, isSignUp = false, username: initialUse
   const handleMnemonicClose = () => {
     mnemonicDisclosure.onClose();
     // Move to verification stage
-    setSelectedPoints([]);
-    setSelectedImages([]);
-    generateGrid();
+    restartPattern();
     setStage(STAGES.PATTERN_VERIFY);
   };
 
@@ -779,7 +792,7 @@ const PassMatrix = ({ onSuccess, onError, isSignUp = false, username: initialUse
       
       {/* Mnemonic Helper Modal */}
       <MnemonicHelper
-        selectedPoints={selectedPoints}
+        selectedPoints={completedPoints}
         isOpen={mnemonicDisclosure.isOpen}
         onClose={handleMnemonicClose}
         onSave={handleMnemonicSaved}
@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import {
+  Button,
+  Checkbox,
+  Divider,
+  HStack,
+  Text,
+  VStack,
+  useToast,
+} from '@chakra-ui/react';
+import { KeyRound } from 'lucide-react';
+import { browserSupportsWebAuthn, startAuthentication } from '@simplewebauthn/browser';
+import { auth, passkeys } from '../../services/api';
+
+// Sign in with a passkey instead of a username and PassMatrix pattern. The
+// browser lets the user pick any passkey registered for this site.
+const PasskeySignIn = ({ onAuthenticated, onTwoFactorRequired }) => {
+  const [loading, setLoading] = useState(false);
+  const [rememberMe, setRememberMe] = useState(false);
+  const toast = useToast();
+
+  if (!browserSupportsWebAuthn()) {
+    return null;
+  }
+
+  const handlePasskeySignIn = async () => {
+    try {
+      setLoading(true);
+
+      // Ties the ceremony to this browser, as the PassMatrix session token does
+      const buffer = new Uint8Array(32);
+      window.crypto.getRandomValues(buffer);
+      const sessionToken = Array.from(buffer)
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+
+      const { data: ceremony } = await passkeys.getLoginOptions({ sessionToken });
+      const response = await startAuthentication({ optionsJSON: ceremony.options });
+      const { data: verified } = await passkeys.verifyLogin({
+        challengeId: ceremony.challengeId,
+        response,
+        sessionToken
+      });
+
+      const { data: authData } = await auth.getToken({
+        username: verified.username,
+        sessionId: verified.sessionId,
+        sessionToken,
+        grant: verified.grant,
+        rememberMe
+      });
+
+      // An authenticator app code (or enrolling one) is still required
+      if (authData?.twoFactorRequired || authData?.twoFactorSetupRequired) {
+        onTwoFactorRequired(
+          {
+            sessionId: verified.sessionId,
+            grant: authData.grant,
+            setupRequired: !!authData.twoFactorSetupRequired,
+            enrollment: authData.enrollment
+          },
+          { username: verified.username, sessionToken, rememberMe }
+        );
+        return;
+      }
+
+      if (!authData?.token) {
+        throw new Error('Authentication failed');
+      }
+      onAuthenticated(authData.token);
+    } catch (error) {
+      // Closing the browser's passkey prompt is not an error worth reporting
+      if (error.name === 'NotAllowedError') return;
+      toast({
+        title: 'Passkey sign-in failed',
+        description: error.response?.data?.message || error.message || 'Please try again',
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <VStack spacing={3} w="full">
+      <HStack w="full">
+        <Divider />
+        <Text fontSize="sm" color="gray.500" whiteSpace="nowrap">or</Text>
+        <Divider />
+      </HStack>
+      <Button
+        leftIcon={<KeyRound size={18} />}
+        variant="outline"
+        colorScheme="blue"
+        size="lg"
+        width="full"
+        onClick={handlePasskeySignIn}
+        isLoading={loading}
+      >
+        Sign in with a passkey
+      </Button>
+      <Checkbox
+        colorScheme="blue"
+        isChecked={rememberMe}
+        onChange={(e) => setRememberMe(e.target.checked)}
+        alignSelf="flex-start"
+      >
+        Remember me
+      </Checkbox>
+    </VStack>
+  );
+};
+
+export default PasskeySignIn;
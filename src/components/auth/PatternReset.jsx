@@ -9,78 +9,26 @@ import {
   Alert,
   AlertIcon,
   AlertDescription,
-  Progress,
   Center
 } from '@chakra-ui/react';
-import { auth } from '../../services/api';
 import PassMatrix from './PassMatrix';
 
-const PatternReset = ({ username, sessionToken, onSuccess, onBack }) => {
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState('');
+const PatternReset = ({ username, resetToken, onSuccess, onBack }) => {
   const [stage, setStage] = useState('create'); // 'create', 'success'
   const toast = useToast();
 
-  // Handle API errors consistently
-  const handleApiError = useCallback((error, context) => {
-    console.error(`Error in ${context}:`, error);
-    
-    let errorMessage = '';
-    if (error.response?.data?.message) {
-      errorMessage = error.response.data.message;
-    } else if (error.message) {
-      errorMessage = error.message;
-    } else {
-      errorMessage = `Failed during ${context}`;
-    }
-    
-    // Check for specific error types
-    if (error.response?.status === 429) {
-      errorMessage = 'Too many attempts. Please try again later.';
-    }
-    
-    setError(errorMessage);
-    setLoading(false);
-    
+  // The server has set the new pattern and signed out every device
+  const handleResetComplete = useCallback(() => {
+    setStage('success');
     toast({
-      title: 'Error',
-      description: errorMessage,
-      status: 'error',
+      title: 'Pattern Reset',
+      description: 'Your pattern has been successfully reset.',
+      status: 'success',
       duration: 5000,
       isClosable: true,
     });
   }, [toast]);
 
-  // Handle pattern creation success
-  const handlePatternCreated = useCallback(async (patternHash) => {
-    setLoading(true);
-    setError('');
-    
-    try {
-      // Reset the pattern using the OTP session token
-      const response = await auth.resetPattern({
-        username,
-        sessionToken,
-        patternHash
-      });
-      
-      if (response.data.success) {
-        setStage('success');
-        toast({
-          title: 'Pattern Reset',
-          description: 'Your pattern has been successfully reset.',
-          status: 'success',
-          duration: 5000,
-          isClosable: true,
-        });
-      }
-    } catch (error) {
-      handleApiError(error, 'resetting pattern');
-    } finally {
-      setLoading(false);
-    }
-  }, [username, sessionToken, handleApiError, toast]);
-
   // Handle back to sign in
   const handleBackToSignIn = () => {
     if (onSuccess) {
@@ -97,28 +45,19 @@ const PatternReset = ({ username, sessionToken, onSuccess, onBack }) => {
               Create New Pattern
             </Heading>
             
-            {error && (
-              <Alert status="error" borderRadius="md">
-                <AlertIcon />
-                <AlertDescription>{error}</AlertDescription>
-              </Alert>
-            )}
-            
             <Text textAlign="center">
-              Please create a new pattern by selecting 5 points on the image grid.
-              Remember this pattern as you will need it to sign in next time.
+              Please create a new pattern on the image grid. Remember this
+              pattern as you will need it to sign in next time. Every device
+              signed in to your account will be signed out.
             </Text>
             
             <PassMatrix 
-              mode="create"
               username={username}
-              sessionToken={sessionToken}
-              onPatternCreated={handlePatternCreated}
-              onError={setError}
-              isResetFlow={true}
+              resetToken={resetToken}
+              onResetComplete={handleResetComplete}
             />
             
-            <Button variant="ghost" onClick={onBack} isDisabled={loading}>
+            <Button variant="ghost" onClick={onBack}>
               Back
             </Button>
           </>
@@ -20,9 +20,13 @@ import {
   AlertIcon,
   Progress,
   Checkbox,
+  Image,
+  Code,
+  HStack,
 } from '@chakra-ui/react';
 import { AlertTriangle } from 'lucide-react';
 import { auth } from '../../services/api';
+import BackupCodes from '../security/BackupCodes';
 
 // Constants for rate limiting
 const INITIAL_COOLDOWN = 30; // 30 seconds
@@ -30,7 +34,150 @@ const MAX_COOLDOWN = 300; // 5 minutes
 const COOLDOWN_STORAGE_KEY = 'auth_cooldown_expiry';
 const ATTEMPTS_STORAGE_KEY = 'auth_attempts_count';
 
-const SignIn = ({ onToggleAuth, onSignInSuccess, onForgotClick }) => {
+// Second sign-in step after PassMatrix: a code from the user's authenticator
+// app or a backup code. Users whose role requires a second factor and who
+// have none set one up here first.
+const TwoFactorStep = ({ username, sessionToken, rememberMe, twoFactor, onAuthenticated, onCancel }) => {
+  const [grant, setGrant] = useState(twoFactor.grant);
+  const [code, setCode] = useState('');
+  const [useBackupCode, setUseBackupCode] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [backupCodes, setBackupCodes] = useState(null);
+  const [token, setToken] = useState(null);
+  const cardBg = useColorModeValue('white', 'gray.800');
+  const borderColor = useColorModeValue('gray.200', 'gray.700');
+  const { setupRequired, enrollment } = twoFactor;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!code.trim() || !grant) return;
+
+    try {
+      setLoading(true);
+      setError('');
+
+      const { data } = await auth.getToken({
+        username,
+        sessionId: twoFactor.sessionId,
+        sessionToken,
+        grant,
+        twoFactorCode: code.trim(),
+        rememberMe
+      });
+
+      if (!data?.token) {
+        throw new Error('Authentication failed');
+      }
+      // Codes issued by enrolling are shown before moving on
+      if (data.backupCodes) {
+        setBackupCodes(data.backupCodes);
+        setToken(data.token);
+      } else {
+        onAuthenticated(data.token);
+      }
+    } catch (error) {
+      // Each attempt uses up the grant; the server sends the next one unless
+      // the account got locked
+      setGrant(error.response?.data?.grant || null);
+      setError(error.response?.data?.message || error.message || 'Authentication failed');
+      setCode('');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Card w="full" boxShadow="lg" borderRadius="xl" bg={cardBg} borderWidth="1px" borderColor={borderColor}>
+      <CardBody p={8}>
+        <VStack spacing={6} align="center" w="full">
+          <Heading as="h2" size="lg" textAlign="center">
+            {setupRequired ? 'Set Up Two-Factor Authentication' : 'Two-Factor Authentication'}
+          </Heading>
+
+          {backupCodes ? (
+            <BackupCodes codes={backupCodes} onDone={() => onAuthenticated(token)} doneLabel="Continue" />
+          ) : (
+            <form onSubmit={handleSubmit} style={{ width: '100%' }}>
+              <VStack spacing={4} align="stretch" w="full">
+                {setupRequired && enrollment ? (
+                  <>
+                    <Text color="gray.500">
+                      Your account requires a second factor. Scan this code with an
+                      authenticator app, then enter the 6-digit code it shows.
+                    </Text>
+                    <Image src={enrollment.qrCode} alt="Authenticator app QR code" boxSize="200px" alignSelf="center" />
+                    <Text fontSize="sm" color="gray.500" textAlign="center">
+                      Can't scan it? Enter this key instead: <Code>{enrollment.secret}</Code>
+                    </Text>
+                  </>
+                ) : (
+                  <Text color="gray.500" textAlign="center">
+                    {useBackupCode
+                      ? 'Enter one of your backup codes.'
+                      : 'Enter the 6-digit code from your authenticator app.'}
+                  </Text>
+                )}
+
+                <FormControl id="twoFactorCode" isRequired>
+                  <FormLabel>{useBackupCode ? 'Backup code' : 'Authentication code'}</FormLabel>
+                  <Input
+                    value={code}
+                    onChange={(e) => setCode(e.target.value)}
+                    placeholder={useBackupCode ? 'XXXXX-XXXXX' : '123456'}
+                    inputMode={useBackupCode ? 'text' : 'numeric'}
+                    autoComplete="one-time-code"
+                    maxLength={useBackupCode ? 11 : 6}
+                    size="lg"
+                    autoFocus
+                    isDisabled={!grant}
+                  />
+                </FormControl>
+
+                {error && (
+                  <Alert status="error" variant="solid">
+                    <AlertIcon />
+                    {error}
+                  </Alert>
+                )}
+
+                <Button
+                  type="submit"
+                  colorScheme="blue"
+                  size="lg"
+                  width="full"
+                  isLoading={loading}
+                  isDisabled={loading || !grant || !code.trim()}
+                >
+                  Verify
+                </Button>
+
+                <HStack justify="space-between" w="full">
+                  {!setupRequired ? (
+                    <Link
+                      color="blue.500"
+                      onClick={() => {
+                        setUseBackupCode(prev => !prev);
+                        setCode('');
+                      }}
+                    >
+                      {useBackupCode ? 'Use authenticator app' : 'Use a backup code'}
+                    </Link>
+                  ) : <span />}
+                  <Link color="blue.500" onClick={onCancel}>
+                    Back to sign in
+                  </Link>
+                </HStack>
+              </VStack>
+            </form>
+          )}
+        </VStack>
+      </CardBody>
+    </Card>
+  );
+};
+
+const SignIn = ({ onToggleAuth, onSignInSuccess, onForgotClick, twoFactor, ...twoFactorProps }) => {
   const [formData, setFormData] = useState({
     username: '',
   });
@@ -197,6 +344,10 @@ const SignIn = ({ onToggleAuth, onSignInSuccess, onForgotClick }) => {
     }
   };
 
+  if (twoFactor) {
+    return <TwoFactorStep twoFactor={twoFactor} {...twoFactorProps} />;
+  }
+
   return (
     <Card 
       w="full" 
@@ -15,8 +15,23 @@ import {
   AlertIcon,
   Card,
   CardBody,
+  Checkbox,
+  Select,
+  SimpleGrid,
+  FormHelperText,
+  NumberInput,
+  NumberInputField,
+  NumberInputStepper,
+  NumberIncrementStepper,
+  NumberDecrementStepper,
 } from '@chakra-ui/react';
 import { auth } from '../../services/api';
+import BackupCodes from '../security/BackupCodes';
+
+// Bounds of the pattern policy, as enforced by the server
+const MAX_PATTERN_ROUNDS = 3;
+const MIN_PATTERN_LENGTH = 4;
+const MAX_PATTERN_LENGTH = 10;
 
 const SignUp = ({ onToggleAuth, onSignUpSuccess }) => {
   const [formData, setFormData] = useState({
@@ -24,6 +39,14 @@ const SignUp = ({ onToggleAuth, onSignUpSuccess }) => {
     email: '',
     phoneNumber: '',
   });
+  const [patternPolicy, setPatternPolicy] = useState({
+    orderSensitive: false,
+    rounds: 1,
+    minLength: 5
+  });
+  const [generateRecoveryCodes, setGenerateRecoveryCodes] = useState(false);
+  const [recoveryCodes, setRecoveryCodes] = useState(null); // Shown once before PassMatrix
+  const [sessionToken, setSessionToken] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [usernameAvailable, setUsernameAvailable] = useState(null);
@@ -71,6 +94,13 @@ const SignUp = ({ onToggleAuth, onSignUpSuccess }) => {
     return () => clearTimeout(debounceTimer);
   }, [formData.username, checkUsernameAvailability]);
 
+  const handlePolicyChange = (name, value) => {
+    setPatternPolicy(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
   const validateForm = () => {
     if (!formData.username || !formData.email) {
       setError('Username and email are required');
@@ -117,7 +147,9 @@ const SignUp = ({ onToggleAuth, onSignUpSuccess }) => {
       const response = await auth.register({
         username: formData.username,
         email: formData.email,
-        phoneNumber: formData.phoneNumber || undefined
+        phoneNumber: formData.phoneNumber || undefined,
+        patternPolicy,
+        generateRecoveryCodes
       });
       
       if (!response.data || response.data.error) {
@@ -132,6 +164,13 @@ const SignUp = ({ onToggleAuth, onSignUpSuccess }) => {
         isClosable: true,
       });
       
+      // Recovery codes are shown only now, so they are saved before moving on
+      if (response.data.recoveryCodes) {
+        setSessionToken(sessionToken);
+        setRecoveryCodes(response.data.recoveryCodes);
+        return;
+      }
+      
       onSignUpSuccess(
         formData.username, 
         formData.email, 
@@ -180,72 +219,140 @@ const SignUp = ({ onToggleAuth, onSignUpSuccess }) => {
             </Alert>
           )}
           
-          <Box as="form" w="full" onSubmit={handleSubmit}>
-            <VStack spacing={4} w="full">
-              <FormControl id="username" isRequired>
-                <FormLabel>Username</FormLabel>
-                <Input
-                  name="username"
-                  value={formData.username}
-                  onChange={handleChange}
-                  placeholder="Choose a username"
-                  size="lg"
-                  focusBorderColor="blue.500"
-                />
-                {usernameChecking ? (
-                  <Text fontSize="sm" color="gray.500">
-                    Checking availability...
-                  </Text>
-                ) : usernameAvailable === false ? (
-                  <Text fontSize="sm" color="red.500">
-                    Username is already taken
-                  </Text>
-                ) : usernameAvailable === true ? (
-                  <Text fontSize="sm" color="green.500">
-                    Username is available
-                  </Text>
-                ) : null}
-              </FormControl>
+          {recoveryCodes ? (
+            <BackupCodes
+              codes={recoveryCodes}
+              description="Store these recovery codes somewhere safe. Each one can reset your pattern once if you cannot get a code by email, and they will not be shown again."
+              doneLabel="Continue to PassMatrix"
+              onDone={() => onSignUpSuccess(
+                formData.username,
+                formData.email,
+                formData.phoneNumber,
+                sessionToken
+              )}
+            />
+          ) : (
+            <Box as="form" w="full" onSubmit={handleSubmit}>
+              <VStack spacing={4} w="full">
+                <FormControl id="username" isRequired>
+                  <FormLabel>Username</FormLabel>
+                  <Input
+                    name="username"
+                    value={formData.username}
+                    onChange={handleChange}
+                    placeholder="Choose a username"
+                    size="lg"
+                    focusBorderColor="blue.500"
+                  />
+                  {usernameChecking ? (
+                    <Text fontSize="sm" color="gray.500">
+                      Checking availability...
+                    </Text>
+                  ) : usernameAvailable === false ? (
+                    <Text fontSize="sm" color="red.500">
+                      Username is already taken
+                    </Text>
+                  ) : usernameAvailable === true ? (
+                    <Text fontSize="sm" color="green.500">
+                      Username is available
+                    </Text>
+                  ) : null}
+                </FormControl>
               
-              <FormControl id="email" isRequired>
-                <FormLabel>Email</FormLabel>
-                <Input
-                  name="email"
-                  type="email"
-                  value={formData.email}
-                  onChange={handleChange}
-                  placeholder="Enter your email"
-                  size="lg"
-                  focusBorderColor="blue.500"
-                />
-              </FormControl>
+                <FormControl id="email" isRequired>
+                  <FormLabel>Email</FormLabel>
+                  <Input
+                    name="email"
+                    type="email"
+                    value={formData.email}
+                    onChange={handleChange}
+                    placeholder="Enter your email"
+                    size="lg"
+                    focusBorderColor="blue.500"
+                  />
+                </FormControl>
               
-              <FormControl id="phoneNumber">
-                <FormLabel>Phone Number (Optional)</FormLabel>
-                <Input
-                  name="phoneNumber"
-                  type="tel"
-                  value={formData.phoneNumber}
-                  onChange={handleChange}
-                  placeholder="Enter your phone number"
-                  size="lg"
-                  focusBorderColor="blue.500"
-                />
-              </FormControl>
+                <FormControl id="phoneNumber">
+                  <FormLabel>Phone Number (Optional)</FormLabel>
+                  <Input
+                    name="phoneNumber"
+                    type="tel"
+                    value={formData.phoneNumber}
+                    onChange={handleChange}
+                    placeholder="Enter your phone number"
+                    size="lg"
+                    focusBorderColor="blue.500"
+                  />
+                </FormControl>
               
-              <Button
-                type="submit"
-                colorScheme="blue"
-                size="lg"
-                w="full"
-                isLoading={loading}
-                loadingText="Creating Account"
-                mt={4}
-              >
-                Continue to PassMatrix
-              </Button>
-            </VStack>
-          </Box>
+                <FormControl id="patternPolicy">
+                  <FormLabel>Pattern Security</FormLabel>
+                  <SimpleGrid columns={2} spacing={4}>
+                    <FormControl id="patternRounds">
+                      <FormLabel fontSize="sm">Grids per sign-in</FormLabel>
+                      <Select
+                        value={patternPolicy.rounds}
+                        onChange={(e) => handlePolicyChange('rounds', Number(e.target.value))}
+                      >
+                        {Array.from({ length: MAX_PATTERN_ROUNDS }, (_, i) => i + 1).map(rounds => (
+                          <option key={rounds} value={rounds}>{rounds}</option>
+                        ))}
+                      </Select>
+                    </FormControl>
+                    <FormControl id="patternMinLength">
+                      <FormLabel fontSize="sm">Images per grid (min)</FormLabel>
+                      <NumberInput
+                        min={MIN_PATTERN_LENGTH}
+                        max={MAX_PATTERN_LENGTH}
+                        value={patternPolicy.minLength}
+                        onChange={(_, value) => handlePolicyChange('minLength', Number.isNaN(value) ? MIN_PATTERN_LENGTH : value)}
+                      >
+                        <NumberInputField />
+                        <NumberInputStepper>
+                          <NumberIncrementStepper />
+                          <NumberDecrementStepper />
+                        </NumberInputStepper>
+                      </NumberInput>
+                    </FormControl>
+                  </SimpleGrid>
+                  <Checkbox
+                    mt={3}
+                    isChecked={patternPolicy.orderSensitive}
+                    onChange={(e) => handlePolicyChange('orderSensitive', e.target.checked)}
+                  >
+                    Click order matters
+                  </Checkbox>
+                  <FormHelperText>
+                    More grids, more images and a fixed order make your pattern harder to guess.
+                  </FormHelperText>
+                </FormControl>
+              
+                <FormControl id="generateRecoveryCodes">
+                  <Checkbox
+                    isChecked={generateRecoveryCodes}
+                    onChange={(e) => setGenerateRecoveryCodes(e.target.checked)}
+                  >
+                    Generate recovery codes
+                  </Checkbox>
+                  <FormHelperText>
+                    One-time codes for resetting your pattern if you lose access to your email.
+                  </FormHelperText>
+                </FormControl>
+              
+                <Button
+                  type="submit"
+                  colorScheme="blue"
+                  size="lg"
+                  w="full"
+                  isLoading={loading}
+                  loadingText="Creating Account"
+                  mt={4}
+                >
+                  Continue to PassMatrix
+                </Button>
+              </VStack>
+            </Box>
+          )}
           
           <Text align="center" width="full">
             Already have an account?{' '}
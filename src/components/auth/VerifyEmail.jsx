@@ -0,0 +1,76 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link as RouterLink, useSearchParams } from 'react-router-dom';
+import {
+  Alert,
+  AlertIcon,
+  Button,
+  Card,
+  CardBody,
+  Center,
+  Heading,
+  Spinner,
+  VStack,
+  useColorModeValue,
+} from '@chakra-ui/react';
+import { auth } from '../../services/api';
+
+// Landing page for the link in the verification email
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const [status, setStatus] = useState('verifying'); // 'verifying', 'verified', 'failed'
+  const [message, setMessage] = useState('');
+  const requested = useRef(false);
+  const cardBg = useColorModeValue('white', 'gray.800');
+  const token = searchParams.get('token');
+
+  useEffect(() => {
+    // Strict mode mounts twice; one confirmation is enough
+    if (requested.current) return;
+    requested.current = true;
+
+    if (!token) {
+      setStatus('failed');
+      setMessage('This verification link is incomplete.');
+      return;
+    }
+
+    auth.verifyEmail(token)
+      .then(({ data }) => {
+        setStatus('verified');
+        setMessage(data.message);
+      })
+      .catch((error) => {
+        setStatus('failed');
+        setMessage(error.response?.data?.message || 'Verification failed');
+      });
+  }, [token]);
+
+  return (
+    <Center minH="60vh">
+      <Card w="full" maxW="md" boxShadow="lg" borderRadius="xl" bg={cardBg}>
+        <CardBody p={8}>
+          <VStack spacing={6}>
+            <Heading as="h2" size="lg" textAlign="center">
+              Email Verification
+            </Heading>
+            {status === 'verifying' ? (
+              <Spinner size="lg" />
+            ) : (
+              <Alert status={status === 'verified' ? 'success' : 'error'} borderRadius="md">
+                <AlertIcon />
+                {message}
+              </Alert>
+            )}
+            {status !== 'verifying' && (
+              <Button as={RouterLink} to="/" colorScheme="blue">
+                Go to PixVault
+              </Button>
+            )}
+          </VStack>
+        </CardBody>
+      </Card>
+    </Center>
+  );
+};
+
+export default VerifyEmail;
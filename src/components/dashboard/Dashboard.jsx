@@ -15,8 +15,9 @@ import {
   useColorModeValue,
   Container
 } from '@chakra-ui/react';
-import { FiFile, FiUpload, FiShield, FiUsers, FiLogOut } from 'react-icons/fi';
+import { FiFile, FiUpload, FiShield, FiUsers, FiLogOut, FiLock } from 'react-icons/fi';
 import useAuth from '../../hooks/useAuth';
+import EmailVerificationNotice from '../auth/EmailVerificationNotice';
 
 const Dashboard = () => {
   const { currentUser, logout } = useAuth();
@@ -52,8 +53,14 @@ const Dashboard = () => {
       path: '/security-logs',
     },
     {
-      title: 'Role Management',
-      description: 'Manage user roles and permissions',
+      title: 'Security Settings',
+      description: 'Set up two-factor authentication and backup codes',
+      icon: FiLock,
+      path: '/security-settings',
+    },
+    {
+      title: 'User Administration',
+      description: 'Find users, change roles, and lock, sign out or deactivate accounts',
       icon: FiUsers,
       path: '/role-manager',
     },
@@ -80,6 +87,8 @@ const Dashboard = () => {
         </Button>
       </Flex>
 
+      <EmailVerificationNotice />
+
       <SimpleGrid columns={{ base: 1, md: 2, lg: 4 }} spacing={6} mt={8}>
         {menuItems.map((item, index) => (
           <Card
@@ -27,9 +27,13 @@ import {
   Icon,
   SimpleGrid
 } from '@chakra-ui/react';
-import { FiUpload, FiHardDrive, FiClock, FiFile } from 'react-icons/fi';
+import { FiUpload, FiHardDrive, FiClock, FiFile, FiTrash2 } from 'react-icons/fi';
 import SecureFileUploader from './SecureFileUploader';
 import SecureFileManager from './SecureFileManager';
+import VersionHistoryDrawer from './VersionHistoryDrawer';
+import FolderNavigator from './FolderNavigator';
+import TrashBin from './TrashBin';
+import ShareLinksModal from './ShareLinksModal';
 import { usePermissions } from '../../contexts/PermissionsContext';
 import { useSecurity } from '../../hooks/useSecurity';
 
@@ -40,6 +44,12 @@ const FileManagerDashboard = () => {
   const bgColor = useColorModeValue('white', 'gray.700');
   const statBgColor = useColorModeValue('blue.50', 'blue.900');
   const { isOpen, onOpen, onClose } = useDisclosure();
+  const versionDrawer = useDisclosure();
+  const [versionFile, setVersionFile] = useState(null);
+  const shareLinksModal = useDisclosure();
+  const [shareLinksFile, setShareLinksFile] = useState(null);
+  const [currentFolderId, setCurrentFolderId] = useState('root');
+  const [tabIndex, setTabIndex] = useState(0);
   
   const [fileStats, setFileStats] = useState({
     totalFiles: 0,
@@ -257,7 +267,7 @@ const FileManagerDashboard = () => {
       
       {/* Main Content */}
       <Box bg={bgColor} borderRadius="xl" boxShadow="lg" overflow="hidden" borderWidth="1px" borderColor="gray.100">
-        <Tabs variant="soft-rounded" colorScheme="blue" size="lg">
+        <Tabs variant="soft-rounded" colorScheme="blue" size="lg" index={tabIndex} onChange={setTabIndex}>
           <Box px={6} pt={5} pb={3} borderBottomWidth="1px" borderColor="gray.100" bg="gray.50">
             <TabList gap={2}>
               <Tab _selected={{ bg: 'blue.500', color: 'white' }} px={5} py={2}>
@@ -268,15 +278,37 @@ const FileManagerDashboard = () => {
                 <Icon as={FiUpload} mr={2} />
                 Upload
               </Tab>
+              <Tab _selected={{ bg: 'blue.500', color: 'white' }} px={5} py={2}>
+                <Icon as={FiTrash2} mr={2} />
+                Trash
+              </Tab>
             </TabList>
           </Box>
           
           <TabPanels>
             <TabPanel px={6} py={4}>
-              <SecureFileManager onActionComplete={fetchFileStats} />
+              <FolderNavigator
+                selectedFolderId={currentFolderId}
+                onSelectFolder={setCurrentFolderId}
+              />
+              <SecureFileManager
+                onActionComplete={fetchFileStats}
+                onShowVersions={(file) => {
+                  setVersionFile(file);
+                  versionDrawer.onOpen();
+                }}
+                onShowShareLinks={(file) => {
+                  setShareLinksFile(file);
+                  shareLinksModal.onOpen();
+                }}
+              />
+            </TabPanel>
+            <TabPanel px={6} py={4}>
+              <SecureFileUploader onUploadComplete={handleUploadComplete} folderId={currentFolderId} />
             </TabPanel>
             <TabPanel px={6} py={4}>
-              <SecureFileUploader onUploadComplete={handleUploadComplete} />
+              {/* Mounted only while visible so the list is fresh after deletes */}
+              {tabIndex === 2 && <TrashBin onActionComplete={fetchFileStats} />}
             </TabPanel>
           </TabPanels>
         </Tabs>
@@ -295,6 +327,7 @@ const FileManagerDashboard = () => {
               Your files will be encrypted in the browser before being uploaded, ensuring end-to-end security.
             </Text>
             <SecureFileUploader 
+              folderId={currentFolderId}
               onUploadComplete={() => {
                 handleUploadComplete();
                 onClose();
@@ -303,6 +336,19 @@ const FileManagerDashboard = () => {
           </ModalBody>
         </ModalContent>
       </Modal>
+
+      <VersionHistoryDrawer
+        file={versionFile}
+        isOpen={versionDrawer.isOpen}
+        onClose={versionDrawer.onClose}
+        onVersionRestored={fetchFileStats}
+      />
+
+      <ShareLinksModal
+        file={shareLinksFile}
+        isOpen={shareLinksModal.isOpen}
+        onClose={shareLinksModal.onClose}
+      />
     </Container>
   );
 };
@@ -0,0 +1,333 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  Box,
+  Flex,
+  Text,
+  Button,
+  IconButton,
+  Icon,
+  Stack,
+  Select,
+  Spinner,
+  Breadcrumb,
+  BreadcrumbItem,
+  BreadcrumbLink,
+  Alert,
+  AlertIcon,
+  AlertDescription,
+  Tooltip,
+  useColorModeValue
+} from '@chakra-ui/react';
+import {
+  FiFolder,
+  FiFolderPlus,
+  FiChevronRight,
+  FiChevronDown,
+  FiEdit2,
+  FiTrash2,
+  FiFile,
+  FiUsers
+} from 'react-icons/fi';
+import {
+  listFolders,
+  getFolderContents,
+  createFolder,
+  renameFolder,
+  deleteFolder,
+  moveFile
+} from '../../services/fileService';
+
+const ROOT_FOLDER_ID = 'root';
+
+// Group the flat folder list by parent so the tree can be rendered recursively
+const buildChildrenMap = (folders) => {
+  const ids = new Set(folders.map(folder => folder.id));
+  const children = new Map();
+
+  folders.forEach(folder => {
+    // Shared folders whose parent is not visible are shown at the top level
+    const parentKey = folder.parent && ids.has(folder.parent) ? folder.parent : ROOT_FOLDER_ID;
+    if (!children.has(parentKey)) children.set(parentKey, []);
+    children.get(parentKey).push(folder);
+  });
+
+  return children;
+};
+
+const FolderTreeItem = ({ folder, depth, childrenMap, selectedId, expanded, onToggle, onSelect }) => {
+  const selectedBg = useColorModeValue('blue.50', 'blue.900');
+  const hoverBg = useColorModeValue('gray.100', 'gray.700');
+  const subfolders = childrenMap.get(folder.id) || [];
+  const isExpanded = expanded.has(folder.id);
+
+  return (
+    <>
+      <Flex
+        align="center"
+        pl={`${depth * 16 + 4}px`}
+        pr={2}
+        py={1}
+        borderRadius="md"
+        cursor="pointer"
+        bg={selectedId === folder.id ? selectedBg : undefined}
+        _hover={{ bg: selectedId === folder.id ? selectedBg : hoverBg }}
+        onClick={() => onSelect(folder.id)}
+      >
+        <Box
+          as="span"
+          w="16px"
+          onClick={(e) => {
+            e.stopPropagation();
+            onToggle(folder.id);
+          }}
+        >
+          {subfolders.length > 0 && <Icon as={isExpanded ? FiChevronDown : FiChevronRight} />}
+        </Box>
+        <Icon as={FiFolder} mr={2} color="blue.500" />
+        <Text fontSize="sm" isTruncated flex="1">{folder.name}</Text>
+        {folder.shared && <Icon as={FiUsers} ml={1} color="gray.400" boxSize={3} />}
+      </Flex>
+      {isExpanded && subfolders.map(child => (
+        <FolderTreeItem
+          key={child.id}
+          folder={child}
+          depth={depth + 1}
+          childrenMap={childrenMap}
+          selectedId={selectedId}
+          expanded={expanded}
+          onToggle={onToggle}
+          onSelect={onSelect}
+        />
+      ))}
+    </>
+  );
+};
+
+const FolderNavigator = ({ selectedFolderId = ROOT_FOLDER_ID, onSelectFolder }) => {
+  const [folders, setFolders] = useState([]);
+  const [contents, setContents] = useState(null);
+  const [expanded, setExpanded] = useState(new Set());
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const borderColor = useColorModeValue('gray.200', 'gray.600');
+
+  const childrenMap = useMemo(() => buildChildrenMap(folders), [folders]);
+
+  const fetchFolders = useCallback(async () => {
+    try {
+      setFolders(await listFolders());
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  const fetchContents = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+      setContents(await getFolderContents(selectedFolderId));
+    } catch (err) {
+      setError(err.message);
+      setContents(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [selectedFolderId]);
+
+  useEffect(() => {
+    fetchFolders();
+  }, [fetchFolders]);
+
+  useEffect(() => {
+    fetchContents();
+  }, [fetchContents]);
+
+  // Keep the selected folder visible in the tree
+  useEffect(() => {
+    if (!contents) return;
+    setExpanded(prev => {
+      const next = new Set(prev);
+      contents.breadcrumbs.forEach(crumb => next.add(crumb.id));
+      return next;
+    });
+  }, [contents]);
+
+  const refresh = async () => {
+    await Promise.all([fetchFolders(), fetchContents()]);
+  };
+
+  const toggleFolder = (folderId) => {
+    setExpanded(prev => {
+      const next = new Set(prev);
+      if (next.has(folderId)) next.delete(folderId);
+      else next.add(folderId);
+      return next;
+    });
+  };
+
+  const runAction = async (action) => {
+    try {
+      setError('');
+      await action();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleCreate = () => runAction(async () => {
+    const name = window.prompt('Folder name');
+    if (!name) return;
+    await createFolder(name, selectedFolderId);
+    await refresh();
+  });
+
+  const handleRename = () => runAction(async () => {
+    const name = window.prompt('New folder name', contents.folder.name);
+    if (!name || name === contents.folder.name) return;
+    await renameFolder(contents.folder.id, name);
+    await refresh();
+  });
+
+  const handleDelete = () => runAction(async () => {
+    const { folder } = contents;
+    const result = await deleteFolder(folder.id);
+
+    // Folders with contents need the user to type the folder name to confirm
+    if (!result.deleted) {
+      const typed = window.prompt(
+        `"${folder.name}" contains ${result.folders} folder(s) and ${result.files} file(s). ` +
+        'Its folders will be deleted and its files moved to the trash. Type the folder name to confirm.'
+      );
+      if (typed !== folder.name) return;
+      await deleteFolder(folder.id, typed);
+    }
+
+    onSelectFolder(folder.parent || ROOT_FOLDER_ID);
+    await fetchFolders();
+  });
+
+  const handleMoveFile = (fileId, folderId) => runAction(async () => {
+    await moveFile(fileId, folderId);
+    await fetchContents();
+  });
+
+  const isOwnedFolder = contents?.folder === null || contents?.breadcrumbs[0]?.id === ROOT_FOLDER_ID;
+
+  return (
+    <Flex gap={4} direction={{ base: 'column', md: 'row' }} mb={6}>
+      {/* Folder tree */}
+      <Box w={{ base: '100%', md: '260px' }} flexShrink={0} borderWidth="1px" borderColor={borderColor} borderRadius="md" p={2}>
+        <Flex
+          align="center"
+          px={2}
+          py={1}
+          borderRadius="md"
+          cursor="pointer"
+          fontWeight={selectedFolderId === ROOT_FOLDER_ID ? 'bold' : 'normal'}
+          onClick={() => onSelectFolder(ROOT_FOLDER_ID)}
+        >
+          <Icon as={FiFolder} mr={2} color="blue.500" />
+          <Text fontSize="sm">My Files</Text>
+        </Flex>
+        {(childrenMap.get(ROOT_FOLDER_ID) || []).map(folder => (
+          <FolderTreeItem
+            key={folder.id}
+            folder={folder}
+            depth={1}
+            childrenMap={childrenMap}
+            selectedId={selectedFolderId}
+            expanded={expanded}
+            onToggle={toggleFolder}
+            onSelect={onSelectFolder}
+          />
+        ))}
+      </Box>
+
+      {/* Selected folder */}
+      <Box flex="1" minW={0}>
+        <Flex justify="space-between" align="center" mb={3} wrap="wrap" gap={2}>
+          <Breadcrumb separator={<Icon as={FiChevronRight} color="gray.400" />} fontSize="sm">
+            {(contents?.breadcrumbs || []).map((crumb, index, crumbs) => (
+              <BreadcrumbItem key={crumb.id} isCurrentPage={index === crumbs.length - 1}>
+                <BreadcrumbLink onClick={() => onSelectFolder(crumb.id)}>{crumb.name}</BreadcrumbLink>
+              </BreadcrumbItem>
+            ))}
+          </Breadcrumb>
+          <Flex gap={1}>
+            {isOwnedFolder && (
+              <Button size="sm" leftIcon={<FiFolderPlus />} onClick={handleCreate}>
+                New Folder
+              </Button>
+            )}
+            {contents?.folder && isOwnedFolder && (
+              <>
+                <Tooltip label="Rename folder">
+                  <IconButton size="sm" icon={<FiEdit2 />} aria-label="Rename folder" onClick={handleRename} />
+                </Tooltip>
+                <Tooltip label="Delete folder">
+                  <IconButton size="sm" colorScheme="red" variant="outline" icon={<FiTrash2 />} aria-label="Delete folder" onClick={handleDelete} />
+                </Tooltip>
+              </>
+            )}
+          </Flex>
+        </Flex>
+
+        {error && (
+          <Alert status="error" mb={3} borderRadius="md">
+            <AlertIcon />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {loading ? (
+          <Flex justify="center" py={6}>
+            <Spinner color="blue.500" />
+          </Flex>
+        ) : contents && (
+          <Stack spacing={1}>
+            {contents.folders.length === 0 && contents.files.length === 0 && (
+              <Text fontSize="sm" color="gray.500" py={4} textAlign="center">This folder is empty</Text>
+            )}
+            {contents.folders.map(folder => (
+              <Flex
+                key={folder.id}
+                align="center"
+                p={2}
+                borderRadius="md"
+                cursor="pointer"
+                _hover={{ bg: 'gray.50' }}
+                onClick={() => onSelectFolder(folder.id)}
+              >
+                <Icon as={FiFolder} mr={3} color="blue.500" />
+                <Text fontSize="sm">{folder.name}</Text>
+              </Flex>
+            ))}
+            {contents.files.map(file => (
+              <Flex key={file._id} align="center" p={2} borderRadius="md" _hover={{ bg: 'gray.50' }}>
+                <Icon as={FiFile} mr={3} color="gray.500" />
+                <Text fontSize="sm" flex="1" isTruncated>{file.originalName}</Text>
+                {isOwnedFolder && (
+                  <Select
+                    size="xs"
+                    w="160px"
+                    placeholder="Move to..."
+                    onChange={(e) => e.target.value && handleMoveFile(file._id, e.target.value)}
+                  >
+                    {selectedFolderId !== ROOT_FOLDER_ID && <option value={ROOT_FOLDER_ID}>My Files</option>}
+                    {folders
+                      .filter(folder => folder.id !== selectedFolderId && folder.owner === file.owner)
+                      .map(folder => (
+                        <option key={folder.id} value={folder.id}>{folder.name}</option>
+                      ))}
+                  </Select>
+                )}
+              </Flex>
+            ))}
+          </Stack>
+        )}
+      </Box>
+    </Flex>
+  );
+};
+
+export default FolderNavigator;
@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { Download, Trash2, RefreshCw, Share2, Lock, AlertCircle, Check, File, FileText, FileSpreadsheet, Image, Archive, Code, Music, Video, Upload } from 'lucide-react';
+import { Download, Trash2, RefreshCw, Share2, Lock, AlertCircle, Check, File, FileText, FileSpreadsheet, Image, Archive, Code, Music, Video, Upload, History, Link } from 'lucide-react';
 import { usePermissions } from '../../contexts/PermissionsContext';
 import { useSecurity } from '../../hooks/useSecurity';
 import { Alert } from '@/components/ui/alert';
@@ -9,7 +9,7 @@ import { AlertDescription } from '@chakra-ui/react';
 const API_BASE_URL = (import.meta.env.VITE_API_URL || 'http://localhost:8000') + '/api';
 const STORAGE_ENDPOINT = import.meta.env.VITE_STORAGE_ENDPOINT;
 
-const SecureFileManager = ({ onActionComplete }) => {
+const SecureFileManager = ({ onActionComplete, onShowVersions, onShowShareLinks }) => {
   const { hasPermission, Permissions } = usePermissions();
   const { logSecurityEvent, SecurityEventType } = useSecurity();
   
@@ -214,7 +214,7 @@ Uploaded: ${new Date(fileData.upload_date).toLocaleString()}`;
     alert('Sharing functionality would be implemented here');
     
     // Log share attempt
-    await logSecurityEvent(SecurityEventType.FILE_SHARE, {
+    await logSecurityEvent(SecurityEventType.FILE_SHARED, {
       file_id: fileId,
       filename: filename
     });
@@ -422,6 +422,16 @@ Uploaded: ${new Date(fileData.upload_date).toLocaleString()}`;
                   )}
                 </button>
                 
+                {onShowVersions && (
+                  <button
+                    onClick={() => onShowVersions(file)}
+                    className="p-2 rounded-full hover:bg-gray-200 text-gray-600"
+                    title="Version history"
+                  >
+                    <History size={18} />
+                  </button>
+                )}
+                
                 {hasPermission(Permissions.FILE_SHARE) && (
                   <button
                     onClick={() => handleShare(file.id, file.filename)}
@@ -432,6 +442,16 @@ Uploaded: ${new Date(fileData.upload_date).toLocaleString()}`;
                   </button>
                 )}
                 
+                {onShowShareLinks && hasPermission(Permissions.FILE_SHARE) && (
+                  <button
+                    onClick={() => onShowShareLinks(file)}
+                    className="p-2 rounded-full hover:bg-green-100 text-green-600"
+                    title="Share links"
+                  >
+                    <Link size={18} />
+                  </button>
+                )}
+                
                 {hasPermission(Permissions.FILE_DELETE) && (
                   <button
                     onClick={() => handleDelete(file.id, file.filename)}
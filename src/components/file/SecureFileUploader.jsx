@@ -13,73 +13,40 @@ import {
   useColorModeValue
 } from '@chakra-ui/react';
 import { Upload, X, Check, RefreshCw } from 'lucide-react';
-import { API_BASE_URL } from '../../constants/securityConstants';
+import { uploadFileResumable, getPendingUpload } from '../../services/fileService';
 
-const SecureFileUploader = ({ onUploadComplete }) => {
+const SecureFileUploader = ({ onUploadComplete, folderId }) => {
   const [file, setFile] = useState(null);
   const [error, setError] = useState('');
   const [uploading, setUploading] = useState(false);
   const [progress, setProgress] = useState(0);
   const [uploadSuccess, setUploadSuccess] = useState(false);
+  const [resumeInfo, setResumeInfo] = useState(null);
   const fileInputRef = useRef(null);
 
-  // Helper function to encrypt file
-  const encryptFile = async (fileData) => {
-    try {
-      // Generate a random encryption key
-      const key = await crypto.subtle.generateKey(
-        {
-          name: 'AES-GCM',
-          length: 256
-        },
-        true,
-        ['encrypt', 'decrypt']
-      );
-
-      // Generate a random IV (Initialization Vector)
-      const iv = crypto.getRandomValues(new Uint8Array(12));
-
-      // Encrypt the file
-      const encryptedContent = await crypto.subtle.encrypt(
-        {
-          name: 'AES-GCM',
-          iv: iv
-        },
-        key,
-        fileData
-      );
-
-      // Concatenate IV and encrypted content
-      const encryptedData = new Uint8Array(iv.length + encryptedContent.byteLength);
-      encryptedData.set(iv, 0);
-      encryptedData.set(new Uint8Array(encryptedContent), iv.length);
-
-      // Export the key to raw format
-      const exportedKey = await crypto.subtle.exportKey('raw', key);
-      
-      // Convert the key to base64 for storage
-      const keyBase64 = btoa(String.fromCharCode(...new Uint8Array(exportedKey)));
+  // Check whether an earlier upload of this file can be resumed
+  const selectFile = async (selectedFile) => {
+    setFile(selectedFile);
+    setError('');
+    setResumeInfo(null);
 
-      return {
-        encryptedData,
-        keyBase64
-      };
-    } catch (error) {
-      console.error('Encryption error:', error);
-      throw new Error('Failed to encrypt file');
+    try {
+      const pending = await getPendingUpload(selectedFile);
+      if (pending) {
+        setResumeInfo({
+          received: pending.received_chunks.length,
+          total: pending.total_chunks
+        });
+      }
+    } catch (err) {
+      console.error('Failed to check for pending upload:', err);
     }
   };
 
   const handleFileChange = (e) => {
     const selectedFile = e.target.files[0];
     if (selectedFile) {
-      if (selectedFile.size > 50 * 1024 * 1024) { // 50MB limit
-        setError('File size exceeds 50MB limit');
-        setFile(null);
-      } else {
-        setFile(selectedFile);
-        setError('');
-      }
+      selectFile(selectedFile);
     }
   };
 
@@ -93,15 +60,7 @@ const SecureFileUploader = ({ onUploadComplete }) => {
     e.stopPropagation();
     
     if (e.dataTransfer.files && e.dataTransfer.files.length) {
-      const droppedFile = e.dataTransfer.files[0];
-      
-      if (droppedFile.size > 50 * 1024 * 1024) {
-        setError('File size exceeds 50MB limit');
-        setFile(null);
-      } else {
-        setFile(droppedFile);
-        setError('');
-      }
+      selectFile(e.dataTransfer.files[0]);
     }
   };
 
@@ -110,6 +69,7 @@ const SecureFileUploader = ({ onUploadComplete }) => {
     setError('');
     setProgress(0);
     setUploadSuccess(false);
+    setResumeInfo(null);
     if (fileInputRef.current) {
       fileInputRef.current.value = '';
     }
@@ -121,82 +81,9 @@ const SecureFileUploader = ({ onUploadComplete }) => {
     try {
       setUploading(true);
       setError('');
-      setProgress(10);
 
-      // First, read the file as base64 to store the content
-      const base64Promise = new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.readAsDataURL(file);
-        reader.onload = () => {
-          // Extract base64 data (remove data URL prefix)
-          const base64Content = reader.result.split(',')[1];
-          resolve(base64Content);
-        };
-        reader.onerror = () => reject(new Error('Failed to read file as base64'));
-      });
-
-      // In parallel, read the file as ArrayBuffer for encryption
-      const arrayBufferPromise = new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.readAsArrayBuffer(file);
-        reader.onload = () => resolve(reader.result);
-        reader.onerror = () => reject(new Error('Failed to read file as array buffer'));
-      });
-      
-      // Wait for both reads to complete
-      const [base64Content, fileData] = await Promise.all([base64Promise, arrayBufferPromise]);
-      setProgress(30);
-      
-      // Encrypt the file
-      const { encryptedData, keyBase64 } = await encryptFile(fileData);
-      setProgress(60);
-      
-      // Create form data for upload
-      const formData = new FormData();
-      const encryptedBlob = new Blob([encryptedData]);
-      formData.append('file', encryptedBlob, file.name);
-      
-      // For demo purposes, simulate a direct file upload without server
-      // In a real application, this would communicate with a secure backend
-      setProgress(70);
-      
-      // Generate a random file ID
-      const file_id = 'file_' + Math.random().toString(36).substring(2, 15);
-      
-      // Simulate network delay for upload
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      setProgress(80);
-      
-      // Simulate another network delay
-      await new Promise(resolve => setTimeout(resolve, 800));
-      setProgress(90);
-      
-      // Create file metadata with content
-      const fileMetadata = {
-        id: file_id,
-        filename: file.name,
-        size: file.size,
-        type: file.type,
-        upload_date: new Date().toISOString(),
-        encryption_key: keyBase64,
-        content: base64Content // Store the actual file content
-      };
-      
-      // Get existing files from localStorage or initialize empty array
-      const existingFiles = JSON.parse(localStorage.getItem('secureFiles') || '[]');
-      
-      // Add new file and save back to localStorage
-      existingFiles.push(fileMetadata);
-      
-      try {
-        localStorage.setItem('secureFiles', JSON.stringify(existingFiles));
-      } catch (storageError) {
-        console.error('Storage error:', storageError);
-        // If localStorage is full, remove the file we just tried to add
-        existingFiles.pop();
-        setError('Storage limit reached. Try uploading a smaller file.');
-        throw new Error('Storage limit reached');
-      }
+      // Chunks already on the server from an interrupted upload are skipped
+      await uploadFileResumable(file, setProgress, folderId);
       
       setProgress(100);
       setUploadSuccess(true);
@@ -260,8 +147,8 @@ const SecureFileUploader = ({ onUploadComplete }) => {
           <Box onClick={() => fileInputRef.current?.click()} cursor="pointer">
             <Icon as={Upload} boxSize={12} color="gray.400" mx="auto" />
             <Text mt={2} fontWeight="medium">Click to upload or drag and drop</Text>
-            <Text fontSize="xs" color="gray.500">Files up to 50MB</Text>
-            <Text fontSize="xs" color="gray.500" mt={2}>Your files will be encrypted before upload</Text>
+            <Text fontSize="xs" color="gray.500">Large files are uploaded in resumable chunks</Text>
+            <Text fontSize="xs" color="gray.500" mt={2}>Your files are encrypted as soon as they reach the server</Text>
           </Box>
         ) : (
           <Box>
@@ -273,6 +160,11 @@ const SecureFileUploader = ({ onUploadComplete }) => {
                 <Text fontSize="xs" color="gray.500">
                   {(file.size / 1024 / 1024).toFixed(2)} MB
                 </Text>
+                {resumeInfo && !uploadSuccess && (
+                  <Text fontSize="xs" color="blue.500">
+                    Resuming upload: {resumeInfo.received} of {resumeInfo.total} chunks already uploaded
+                  </Text>
+                )}
               </Box>
               
               {!uploading && !uploadSuccess && (
@@ -314,16 +206,14 @@ const SecureFileUploader = ({ onUploadComplete }) => {
                 width="full"
                 mt={4}
               >
-                Encrypt & Upload
+                {resumeInfo ? 'Resume Upload' : 'Upload & Encrypt'}
               </Button>
             )}
             
             {uploading && (
               <Flex alignItems="center" justifyContent="center" mt={2} color="gray.500" fontSize="sm">
                 <Icon as={RefreshCw} boxSize={4} mr={2} className="animate-spin" />
-                <Text>{progress < 30 ? 'Preparing file...' : 
-                      progress < 60 ? 'Encrypting...' : 
-                      'Uploading...'}</Text>
+                <Text>{progress < 90 ? 'Uploading...' : 'Encrypting...'}</Text>
               </Flex>
             )}
             
@@ -337,8 +227,8 @@ const SecureFileUploader = ({ onUploadComplete }) => {
       </Box>
       
       <Text mt={4} fontSize="xs" color="gray.500">
-        Files are encrypted in your browser before being uploaded to the server.
-        Your encryption keys are never exposed during transmission.
+        Files are sent over a secure connection and encrypted with a unique key on the server.
+        Interrupted uploads can be resumed by selecting the same file again.
       </Text>
     </Box>
   );
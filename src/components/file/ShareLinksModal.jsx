@@ -0,0 +1,209 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Modal,
+  ModalOverlay,
+  ModalContent,
+  ModalHeader,
+  ModalCloseButton,
+  ModalBody,
+  Box,
+  Flex,
+  Text,
+  Badge,
+  Button,
+  Input,
+  InputGroup,
+  InputRightElement,
+  FormControl,
+  FormLabel,
+  FormHelperText,
+  NumberInput,
+  NumberInputField,
+  SimpleGrid,
+  Stack,
+  Divider,
+  Alert,
+  AlertIcon,
+  AlertDescription,
+  useClipboard,
+  useColorModeValue
+} from '@chakra-ui/react';
+import { FiLink, FiCopy, FiSlash } from 'react-icons/fi';
+import { createShareLink, listShareLinks, revokeShareLink } from '../../services/fileService';
+
+const STATUS_COLORS = {
+  active: 'green',
+  expired: 'gray',
+  revoked: 'red',
+  download_limit_reached: 'orange',
+  locked: 'red'
+};
+
+const ShareLinksModal = ({ file, isOpen, onClose }) => {
+  const [links, setLinks] = useState([]);
+  const [expiresAt, setExpiresAt] = useState('');
+  const [maxDownloads, setMaxDownloads] = useState('');
+  const [passphrase, setPassphrase] = useState('');
+  const [createdUrl, setCreatedUrl] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState('');
+  const { hasCopied, onCopy } = useClipboard(createdUrl);
+  const borderColor = useColorModeValue('gray.200', 'gray.600');
+
+  const fetchLinks = useCallback(async () => {
+    if (!file) return;
+
+    try {
+      setLinks(await listShareLinks(file.id));
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [file]);
+
+  useEffect(() => {
+    if (isOpen) {
+      setCreatedUrl('');
+      setError('');
+      fetchLinks();
+    }
+  }, [isOpen, fetchLinks]);
+
+  const handleCreate = async () => {
+    try {
+      setCreating(true);
+      setError('');
+      const link = await createShareLink(file.id, {
+        expiresAt: expiresAt ? new Date(expiresAt).toISOString() : undefined,
+        maxDownloads: maxDownloads ? Number(maxDownloads) : undefined,
+        passphrase: passphrase || undefined
+      });
+      setCreatedUrl(link.url);
+      setExpiresAt('');
+      setMaxDownloads('');
+      setPassphrase('');
+      await fetchLinks();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (linkId) => {
+    if (!window.confirm('Revoke this link? Anyone using it will lose access.')) {
+      return;
+    }
+
+    try {
+      setError('');
+      await revokeShareLink(file.id, linkId);
+      await fetchLinks();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} size="xl">
+      <ModalOverlay />
+      <ModalContent>
+        <ModalHeader>
+          Share Links
+          {file && (
+            <Text fontSize="sm" fontWeight="normal" color="gray.500" isTruncated>
+              {file.filename}
+            </Text>
+          )}
+        </ModalHeader>
+        <ModalCloseButton />
+        <ModalBody pb={6}>
+          {error && (
+            <Alert status="error" mb={4} borderRadius="md">
+              <AlertIcon />
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+
+          <SimpleGrid columns={{ base: 1, md: 2 }} spacing={3}>
+            <FormControl>
+              <FormLabel fontSize="sm">Expires</FormLabel>
+              <Input
+                type="datetime-local"
+                size="sm"
+                value={expiresAt}
+                onChange={(e) => setExpiresAt(e.target.value)}
+              />
+            </FormControl>
+            <FormControl>
+              <FormLabel fontSize="sm">Download limit</FormLabel>
+              <NumberInput size="sm" min={1} value={maxDownloads} onChange={setMaxDownloads}>
+                <NumberInputField placeholder="Unlimited" />
+              </NumberInput>
+            </FormControl>
+          </SimpleGrid>
+          <FormControl mt={3}>
+            <FormLabel fontSize="sm">Passphrase</FormLabel>
+            <Input
+              type="password"
+              size="sm"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              placeholder="Optional, at least 8 characters"
+            />
+            <FormHelperText>Send the passphrase separately from the link.</FormHelperText>
+          </FormControl>
+          <Button mt={4} colorScheme="blue" size="sm" leftIcon={<FiLink />} isLoading={creating} onClick={handleCreate}>
+            Create Link
+          </Button>
+
+          {createdUrl && (
+            <Box mt={4}>
+              <Text fontSize="sm" mb={1}>Copy this link now, it will not be shown again:</Text>
+              <InputGroup size="sm">
+                <Input value={createdUrl} isReadOnly pr="4.5rem" />
+                <InputRightElement width="4.5rem">
+                  <Button h="1.5rem" size="xs" leftIcon={<FiCopy />} onClick={onCopy}>
+                    {hasCopied ? 'Copied' : 'Copy'}
+                  </Button>
+                </InputRightElement>
+              </InputGroup>
+            </Box>
+          )}
+
+          <Divider my={5} />
+
+          <Text fontWeight="bold" mb={2}>Existing links</Text>
+          {links.length === 0 ? (
+            <Text fontSize="sm" color="gray.500">No share links yet</Text>
+          ) : (
+            <Stack spacing={2}>
+              {links.map(link => (
+                <Flex key={link.id} align="center" p={3} borderWidth="1px" borderColor={borderColor} borderRadius="md">
+                  <Box flex="1">
+                    <Flex align="center" gap={2}>
+                      <Badge colorScheme={STATUS_COLORS[link.status]}>{link.status.replace(/_/g, ' ')}</Badge>
+                      {link.passphraseProtected && <Badge>passphrase</Badge>}
+                      <Text fontSize="xs" color="gray.500">version {link.version}</Text>
+                    </Flex>
+                    <Text fontSize="xs" color="gray.600" mt={1}>
+                      Created {new Date(link.createdAt).toLocaleString()}
+                      {link.expiresAt && ` · expires ${new Date(link.expiresAt).toLocaleString()}`}
+                      {` · ${link.downloadCount}${link.maxDownloads ? `/${link.maxDownloads}` : ''} downloads`}
+                    </Text>
+                  </Box>
+                  {!link.revokedAt && (
+                    <Button size="xs" colorScheme="red" variant="outline" leftIcon={<FiSlash />} onClick={() => handleRevoke(link.id)}>
+                      Revoke
+                    </Button>
+                  )}
+                </Flex>
+              ))}
+            </Stack>
+          )}
+        </ModalBody>
+      </ModalContent>
+    </Modal>
+  );
+};
+
+export default ShareLinksModal;
@@ -0,0 +1,135 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Flex,
+  Text,
+  Button,
+  Icon,
+  Stack,
+  Spinner,
+  Alert,
+  AlertIcon,
+  AlertDescription,
+  useColorModeValue
+} from '@chakra-ui/react';
+import { FiFile, FiRotateCcw, FiTrash2 } from 'react-icons/fi';
+import { listTrash, restoreFromTrash, emptyTrash } from '../../services/fileService';
+
+const TrashBin = ({ onActionComplete }) => {
+  const [files, setFiles] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [restoring, setRestoring] = useState(null);
+  const [error, setError] = useState('');
+  const borderColor = useColorModeValue('gray.200', 'gray.600');
+
+  const fetchTrash = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const data = await listTrash();
+      setFiles(data.files);
+      setRetentionDays(data.retentionDays);
+    } catch (err) {
+      setError(err.message);
+      setFiles([]);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTrash();
+  }, [fetchTrash]);
+
+  const handleRestore = async (fileId) => {
+    try {
+      setRestoring(fileId);
+      setError('');
+      await restoreFromTrash(fileId);
+      await fetchTrash();
+      if (onActionComplete) onActionComplete();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRestoring(null);
+    }
+  };
+
+  const handleEmpty = async () => {
+    if (!window.confirm(`Permanently delete ${files.length} file(s)? This action cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      setError('');
+      await emptyTrash();
+      await fetchTrash();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Flex justify="center" py={8}>
+        <Spinner color="blue.500" />
+      </Flex>
+    );
+  }
+
+  return (
+    <Box>
+      <Flex justify="space-between" align="center" mb={4}>
+        <Text fontSize="sm" color="gray.500">
+          {retentionDays && `Files in the trash are permanently deleted after ${retentionDays} days.`}
+        </Text>
+        <Button
+          size="sm"
+          colorScheme="red"
+          variant="outline"
+          leftIcon={<FiTrash2 />}
+          onClick={handleEmpty}
+          isDisabled={files.length === 0}
+        >
+          Empty Trash
+        </Button>
+      </Flex>
+
+      {error && (
+        <Alert status="error" mb={4} borderRadius="md">
+          <AlertIcon />
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      {files.length === 0 ? (
+        <Text textAlign="center" color="gray.500" py={10}>Trash is empty</Text>
+      ) : (
+        <Stack spacing={2}>
+          {files.map(file => (
+            <Flex key={file._id} align="center" p={3} borderWidth="1px" borderColor={borderColor} borderRadius="md">
+              <Icon as={FiFile} mr={3} color="gray.500" />
+              <Box flex="1" minW={0}>
+                <Text fontWeight="medium" isTruncated>{file.originalName}</Text>
+                <Text fontSize="xs" color="gray.500">
+                  Deleted {new Date(file.deletedAt).toLocaleString()} · purged on {new Date(file.purgeAt).toLocaleDateString()}
+                </Text>
+              </Box>
+              <Button
+                size="sm"
+                leftIcon={<FiRotateCcw />}
+                isLoading={restoring === file._id}
+                onClick={() => handleRestore(file._id)}
+              >
+                Restore
+              </Button>
+            </Flex>
+          ))}
+        </Stack>
+      )}
+    </Box>
+  );
+};
+
+export default TrashBin;
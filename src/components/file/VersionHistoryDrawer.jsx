@@ -0,0 +1,263 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Drawer,
+  DrawerOverlay,
+  DrawerContent,
+  DrawerCloseButton,
+  DrawerHeader,
+  DrawerBody,
+  DrawerFooter,
+  Box,
+  Flex,
+  Text,
+  Badge,
+  Button,
+  Stack,
+  Spinner,
+  Alert,
+  AlertIcon,
+  AlertDescription,
+  useColorModeValue
+} from '@chakra-ui/react';
+import { FiDownload, FiRotateCcw, FiGitCommit, FiScissors } from 'react-icons/fi';
+import {
+  listFileVersions,
+  downloadSharedFile,
+  diffFileVersions,
+  restoreFileVersion,
+  pruneFileVersions
+} from '../../services/fileService';
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+};
+
+const formatChange = (field, value) => {
+  if (value === undefined || value === null) return '—';
+  if (field === 'size') return formatBytes(value);
+  if (field === 'uploadedAt') return new Date(value).toLocaleString();
+  if (field === 'uploadedBy') return value.username || value;
+  if (field === 'hash') return `${value.substring(0, 12)}…`;
+  return String(value);
+};
+
+const VersionHistoryDrawer = ({ file, isOpen, onClose, onVersionRestored, privateKey }) => {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [diff, setDiff] = useState(null);
+  const [busyVersion, setBusyVersion] = useState(null);
+  const [downloadingVersion, setDownloadingVersion] = useState(null);
+  const currentBg = useColorModeValue('blue.50', 'blue.900');
+  const borderColor = useColorModeValue('gray.200', 'gray.600');
+
+  const fetchVersions = useCallback(async () => {
+    if (!file) return;
+
+    try {
+      setLoading(true);
+      setError('');
+      const data = await listFileVersions(file.id);
+      setVersions(data.versions);
+    } catch (err) {
+      setError(err.message);
+      setVersions([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [file]);
+
+  useEffect(() => {
+    if (isOpen) {
+      setDiff(null);
+      fetchVersions();
+    }
+  }, [isOpen, fetchVersions]);
+
+  const handleDownload = async (version) => {
+    try {
+      setDownloadingVersion(version);
+      setError('');
+      const { blob, filename } = await downloadSharedFile(file.id, privateKey, version);
+
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename || file.filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setDownloadingVersion(null);
+    }
+  };
+
+  const handleCompare = async (version) => {
+    const current = versions.find(v => v.current);
+    try {
+      setError('');
+      setDiff(await diffFileVersions(file.id, version, current.version));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRestore = async (version) => {
+    if (!window.confirm(`Restore version ${version}? The current version will be kept in the history.`)) {
+      return;
+    }
+
+    try {
+      setBusyVersion(version);
+      setError('');
+      await restoreFileVersion(file.id, version);
+      await fetchVersions();
+      if (onVersionRestored) onVersionRestored();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyVersion(null);
+    }
+  };
+
+  const handlePrune = async () => {
+    if (!window.confirm('Delete older versions beyond your retention setting? This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      setError('');
+      await pruneFileVersions(file.id);
+      await fetchVersions();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <Drawer isOpen={isOpen} placement="right" onClose={onClose} size="md">
+      <DrawerOverlay />
+      <DrawerContent>
+        <DrawerCloseButton />
+        <DrawerHeader borderBottomWidth="1px">
+          Version History
+          {file && (
+            <Text fontSize="sm" fontWeight="normal" color="gray.500" isTruncated>
+              {file.filename}
+            </Text>
+          )}
+        </DrawerHeader>
+
+        <DrawerBody>
+          {error && (
+            <Alert status="error" mb={4} borderRadius="md">
+              <AlertIcon />
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+
+          {loading ? (
+            <Flex justify="center" py={8}>
+              <Spinner color="blue.500" />
+            </Flex>
+          ) : (
+            <Stack spacing={3}>
+              {versions.map(version => (
+                <Box
+                  key={version.version}
+                  p={4}
+                  borderWidth="1px"
+                  borderColor={borderColor}
+                  borderRadius="md"
+                  bg={version.current ? currentBg : undefined}
+                >
+                  <Flex justify="space-between" align="center">
+                    <Text fontWeight="bold">
+                      Version {version.version}
+                      {version.current && (
+                        <Badge ml={2} colorScheme="blue">Current</Badge>
+                      )}
+                    </Text>
+                    <Text fontSize="sm" color="gray.500">{formatBytes(version.size)}</Text>
+                  </Flex>
+                  <Text fontSize="sm" color="gray.600" mt={1}>
+                    {new Date(version.uploadedAt).toLocaleString()}
+                    {version.uploadedBy?.username && ` by ${version.uploadedBy.username}`}
+                  </Text>
+                  <Flex mt={3} gap={2} wrap="wrap">
+                    <Button
+                      size="xs"
+                      leftIcon={<FiDownload />}
+                      isLoading={downloadingVersion === version.version}
+                      onClick={() => handleDownload(version.version)}
+                    >
+                      Download
+                    </Button>
+                    {!version.current && (
+                      <>
+                        <Button size="xs" leftIcon={<FiGitCommit />} onClick={() => handleCompare(version.version)}>
+                          Compare
+                        </Button>
+                        <Button
+                          size="xs"
+                          colorScheme="blue"
+                          leftIcon={<FiRotateCcw />}
+                          isLoading={busyVersion === version.version}
+                          onClick={() => handleRestore(version.version)}
+                        >
+                          Restore
+                        </Button>
+                      </>
+                    )}
+                  </Flex>
+                </Box>
+              ))}
+            </Stack>
+          )}
+
+          {diff && (
+            <Box mt={6} p={4} borderWidth="1px" borderColor={borderColor} borderRadius="md">
+              <Text fontWeight="bold" mb={2}>
+                Changes from version {diff.from} to {diff.to}
+              </Text>
+              {Object.keys(diff.changes).length === 0 ? (
+                <Text fontSize="sm" color="gray.500">No metadata changes</Text>
+              ) : (
+                Object.entries(diff.changes).map(([field, change]) => (
+                  <Text key={field} fontSize="sm">
+                    <strong>{field}</strong>: {formatChange(field, change.from)} → {formatChange(field, change.to)}
+                  </Text>
+                ))
+              )}
+              <Text fontSize="xs" color="gray.500" mt={2}>
+                {diff.identicalContent ? 'File contents are identical' : 'File contents differ'}
+              </Text>
+            </Box>
+          )}
+        </DrawerBody>
+
+        <DrawerFooter borderTopWidth="1px">
+          <Button
+            variant="outline"
+            colorScheme="red"
+            size="sm"
+            leftIcon={<FiScissors />}
+            onClick={handlePrune}
+            isDisabled={versions.length <= 1}
+          >
+            Prune old versions
+          </Button>
+        </DrawerFooter>
+      </DrawerContent>
+    </Drawer>
+  );
+};
+
+export default VersionHistoryDrawer;
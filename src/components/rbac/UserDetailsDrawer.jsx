@@ -0,0 +1,316 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Alert,
+  AlertDescription,
+  AlertIcon,
+  Badge,
+  Box,
+  Button,
+  Divider,
+  Drawer,
+  DrawerBody,
+  DrawerCloseButton,
+  DrawerContent,
+  DrawerHeader,
+  DrawerOverlay,
+  Flex,
+  Heading,
+  HStack,
+  Select,
+  SimpleGrid,
+  Spinner,
+  Stack,
+  Text,
+  useToast,
+} from '@chakra-ui/react';
+import { users as usersApi } from '../../services/api';
+import { ASSIGNABLE_ROLES, ROLE_COLORS, STATUS_COLORS } from '../../constants/permissions';
+
+// How long a lock lasts; no minutes locks until an admin unlocks
+const LOCK_DURATIONS = [
+  { label: '15 minutes', minutes: 15 },
+  { label: '1 hour', minutes: 60 },
+  { label: '1 day', minutes: 24 * 60 },
+  { label: 'Until unlocked', minutes: null }
+];
+
+// Actions that ask for confirmation before they run
+const CONFIRM_ACTIONS = {
+  lock: {
+    label: 'Lock account',
+    warning: 'The user is signed out everywhere and cannot sign in until the lock ends.',
+    colorScheme: 'orange'
+  },
+  logout: {
+    label: 'Sign out everywhere',
+    warning: 'Every device the user is signed in on has to sign in again.',
+    colorScheme: 'orange'
+  },
+  resetPattern: {
+    label: 'Reset pattern',
+    warning: 'The user\'s pattern is cleared and they are signed out. They must set a new one through account recovery.',
+    colorScheme: 'red'
+  },
+  deactivate: {
+    label: 'Deactivate account',
+    warning: 'The user is signed out and cannot sign in until the account is reactivated. Their files are kept.',
+    colorScheme: 'red'
+  }
+};
+
+const formatDate = (dateString) => (dateString ? new Date(dateString).toLocaleString() : 'Never');
+
+// Drawer showing one user's account, with the admin actions on it
+const UserDetailsDrawer = ({ userId, currentUserId, onClose, onChange }) => {
+  const [details, setDetails] = useState(null);
+  const [role, setRole] = useState('');
+  const [lockMinutes, setLockMinutes] = useState(String(LOCK_DURATIONS[0].minutes));
+  const [confirming, setConfirming] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+  const toast = useToast();
+  const isSelf = details && String(details.id) === String(currentUserId);
+
+  const fetchDetails = useCallback(async () => {
+    if (!userId) return;
+
+    try {
+      setLoading(true);
+      setError('');
+      const { data } = await usersApi.get(userId);
+      setDetails(data.user);
+      setRole(data.user.role);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    setDetails(null);
+    setConfirming(null);
+    fetchDetails();
+  }, [fetchDetails]);
+
+  // Run an admin action, then show the account as it now is
+  const runAction = async (request, message) => {
+    try {
+      setWorking(true);
+      setError('');
+      const { data } = await request();
+      if (data.user) {
+        onChange(data.user);
+      }
+      setConfirming(null);
+      toast({
+        title: message,
+        status: 'success',
+        duration: 3000,
+        isClosable: true,
+      });
+      await fetchDetails();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const confirmedActions = {
+    lock: () => runAction(
+      () => usersApi.lock(userId, lockMinutes ? Number(lockMinutes) : undefined),
+      'Account locked'
+    ),
+    logout: () => runAction(() => usersApi.logout(userId), 'User signed out everywhere'),
+    resetPattern: () => runAction(() => usersApi.resetPattern(userId), 'Pattern reset'),
+    deactivate: () => runAction(() => usersApi.deactivate(userId), 'Account deactivated')
+  };
+
+  return (
+    <Drawer isOpen={!!userId} placement="right" size="md" onClose={onClose}>
+      <DrawerOverlay />
+      <DrawerContent>
+        <DrawerCloseButton />
+        <DrawerHeader>{details ? details.username : 'User'}</DrawerHeader>
+        <DrawerBody>
+          {error && (
+            <Alert status="error" mb={4}>
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+
+          {loading && !details ? (
+            <Flex justify="center" p={8}>
+              <Spinner />
+            </Flex>
+          ) : details && (
+            <Stack spacing={6}>
+              <Box>
+                <HStack mb={2}>
+                  <Badge colorScheme={ROLE_COLORS[details.role] || 'gray'}>{details.role}</Badge>
+                  <Badge colorScheme={STATUS_COLORS[details.status] || 'gray'}>{details.status}</Badge>
+                  {details.twoFactorEnabled && <Badge colorScheme="blue">2FA</Badge>}
+                  {!details.patternEnrolled && <Badge colorScheme="red">no pattern</Badge>}
+                </HStack>
+                <SimpleGrid columns={2} spacing={2} fontSize="sm">
+                  <Text color="gray.500">Email</Text>
+                  <Text>{details.email}{details.isVerified ? '' : ' (unverified)'}</Text>
+                  <Text color="gray.500">Joined</Text>
+                  <Text>{formatDate(details.createdAt)}</Text>
+                  <Text color="gray.500">Last sign-in</Text>
+                  <Text>{formatDate(details.lastLogin)}</Text>
+                  {details.status === 'locked' && (
+                    <>
+                      <Text color="gray.500">Locked until</Text>
+                      <Text>{details.lockedUntil ? formatDate(details.lockedUntil) : 'Unlocked by an admin'}</Text>
+                    </>
+                  )}
+                  <Text color="gray.500">Passkeys</Text>
+                  <Text>{details.passkeys}</Text>
+                  <Text color="gray.500">Recovery codes</Text>
+                  <Text>{details.recoveryCodesGenerated ? 'Generated' : 'None'}</Text>
+                </SimpleGrid>
+              </Box>
+
+              <Divider />
+
+              <Box>
+                <Heading size="sm" mb={2}>Role</Heading>
+                <HStack>
+                  <Select value={role} onChange={(e) => setRole(e.target.value)} isDisabled={isSelf || working}>
+                    {ASSIGNABLE_ROLES.map(option => (
+                      <option key={option} value={option}>{option}</option>
+                    ))}
+                  </Select>
+                  <Button
+                    colorScheme="blue"
+                    isDisabled={isSelf || role === details.role}
+                    isLoading={working}
+                    onClick={() => runAction(() => usersApi.updateRole(userId, role), `Role changed to ${role}`)}
+                  >
+                    Save
+                  </Button>
+                </HStack>
+                {isSelf && (
+                  <Text fontSize="sm" color="gray.500" mt={1}>
+                    You cannot change your own role.
+                  </Text>
+                )}
+              </Box>
+
+              <Box>
+                <Heading size="sm" mb={2}>Account</Heading>
+                <Stack spacing={3}>
+                  {details.status === 'locked' ? (
+                    <Button
+                      variant="outline"
+                      isLoading={working}
+                      onClick={() => runAction(() => usersApi.unlock(userId), 'Account unlocked')}
+                    >
+                      Unlock account
+                    </Button>
+                  ) : details.status === 'active' && !isSelf && (
+                    <HStack>
+                      <Select value={lockMinutes} onChange={(e) => setLockMinutes(e.target.value)}>
+                        {LOCK_DURATIONS.map(duration => (
+                          <option key={duration.label} value={duration.minutes ?? ''}>{duration.label}</option>
+                        ))}
+                      </Select>
+                      <Button variant="outline" colorScheme="orange" flexShrink={0} onClick={() => setConfirming('lock')}>
+                        Lock
+                      </Button>
+                    </HStack>
+                  )}
+
+                  <Button variant="outline" onClick={() => setConfirming('logout')}>
+                    Sign out everywhere
+                  </Button>
+
+                  {!isSelf && (
+                    <Button variant="outline" colorScheme="red" onClick={() => setConfirming('resetPattern')}>
+                      Reset pattern
+                    </Button>
+                  )}
+
+                  {details.status === 'inactive' ? (
+                    <Button
+                      variant="outline"
+                      isLoading={working}
+                      onClick={() => runAction(() => usersApi.reactivate(userId), 'Account reactivated')}
+                    >
+                      Reactivate account
+                    </Button>
+                  ) : !isSelf && (
+                    <Button variant="outline" colorScheme="red" onClick={() => setConfirming('deactivate')}>
+                      Deactivate account
+                    </Button>
+                  )}
+
+                  {confirming && (
+                    <Alert status="warning" borderRadius="md" flexDirection="column" alignItems="stretch" gap={3}>
+                      <Flex>
+                        <AlertIcon />
+                        <AlertDescription>{CONFIRM_ACTIONS[confirming].warning}</AlertDescription>
+                      </Flex>
+                      <HStack justify="flex-end">
+                        <Button variant="ghost" size="sm" onClick={() => setConfirming(null)}>
+                          Cancel
+                        </Button>
+                        <Button
+                          colorScheme={CONFIRM_ACTIONS[confirming].colorScheme}
+                          size="sm"
+                          isLoading={working}
+                          onClick={confirmedActions[confirming]}
+                        >
+                          {CONFIRM_ACTIONS[confirming].label}
+                        </Button>
+                      </HStack>
+                    </Alert>
+                  )}
+                </Stack>
+              </Box>
+
+              <Box>
+                <Heading size="sm" mb={2}>Signed-in devices</Heading>
+                {details.sessions.length === 0 ? (
+                  <Text fontSize="sm" color="gray.500">Not signed in anywhere.</Text>
+                ) : (
+                  <Stack spacing={2}>
+                    {details.sessions.map(session => (
+                      <Box key={session.id} fontSize="sm">
+                        <Text fontWeight="medium">{session.deviceName}</Text>
+                        <Text color="gray.500">
+                          {session.ipAddress || 'Unknown address'} · last used {formatDate(session.lastUsedAt)}
+                        </Text>
+                      </Box>
+                    ))}
+                  </Stack>
+                )}
+              </Box>
+
+              <Box>
+                <Heading size="sm" mb={2}>Recent activity</Heading>
+                {details.recentActivity.length === 0 ? (
+                  <Text fontSize="sm" color="gray.500">No security events.</Text>
+                ) : (
+                  <Stack spacing={1}>
+                    {details.recentActivity.map(event => (
+                      <Flex key={event._id} justify="space-between" fontSize="sm" gap={2}>
+                        <Text>{event.event_type}</Text>
+                        <Text color="gray.500" flexShrink={0}>{formatDate(event.timestamp)}</Text>
+                      </Flex>
+                    ))}
+                  </Stack>
+                )}
+              </Box>
+            </Stack>
+          )}
+        </DrawerBody>
+      </DrawerContent>
+    </Drawer>
+  );
+};
+
+export default UserDetailsDrawer;
@@ -0,0 +1,239 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Alert,
+  AlertIcon,
+  Badge,
+  Box,
+  Button,
+  Card,
+  CardBody,
+  CardHeader,
+  Checkbox,
+  Flex,
+  FormControl,
+  FormLabel,
+  Heading,
+  HStack,
+  IconButton,
+  Input,
+  SimpleGrid,
+  Spinner,
+  Stack,
+  Switch,
+  Text,
+  useToast,
+} from '@chakra-ui/react';
+import { Trash2 } from 'lucide-react';
+import { security } from '../../services/api';
+
+const ACTION_LABELS = {
+  alert: 'Email admins',
+  reauth: 'Sign the user out',
+  lockout: 'Lock the account or block the address'
+};
+
+const SEVERITY_COLORS = { warning: 'orange', critical: 'red' };
+
+// "maxSpeedKmh" -> "max speed kmh"
+const settingLabel = (name) => name.replace(/([A-Z])/g, ' $1').toLowerCase();
+
+// Admin card for the server's anomaly detection rules and the addresses
+// they have blocked
+const AnomalyRules = () => {
+  const [rules, setRules] = useState([]);
+  const [actions, setActions] = useState([]);
+  const [drafts, setDrafts] = useState({});
+  const [addresses, setAddresses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(null);
+  const [error, setError] = useState('');
+  const toast = useToast();
+
+  const fetchRules = useCallback(async () => {
+    try {
+      setLoading(true);
+      const { data } = await security.getAnomalyRules();
+      setRules(data.rules);
+      setActions(data.actions);
+      setDrafts({});
+      const { data: blocked } = await security.getBlockedAddresses();
+      setAddresses(blocked.addresses);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRules();
+  }, [fetchRules]);
+
+  const saveRule = async (name, changes) => {
+    try {
+      setSaving(name);
+      setError('');
+      const { data } = await security.updateAnomalyRule(name, changes);
+      setRules(prev => prev.map(rule => (rule.rule === name ? data.rule : rule)));
+      setDrafts(prev => ({ ...prev, [name]: undefined }));
+      toast({
+        title: 'Anomaly rule updated',
+        status: 'success',
+        duration: 3000,
+        isClosable: true,
+      });
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  const toggleAction = (rule, action, checked) => {
+    const next = checked
+      ? [...rule.actions, action]
+      : rule.actions.filter(taken => taken !== action);
+    saveRule(rule.rule, { actions: next });
+  };
+
+  const editSetting = (name, setting, value) => {
+    setDrafts(prev => ({ ...prev, [name]: { ...prev[name], [setting]: value } }));
+  };
+
+  const saveSettings = (name) => {
+    const settings = Object.fromEntries(
+      Object.entries(drafts[name] || {}).map(([setting, value]) => [setting, Number(value)])
+    );
+    saveRule(name, { settings });
+  };
+
+  const handleUnblock = async (ipAddress) => {
+    try {
+      await security.unblockAddress(ipAddress);
+      setAddresses(prev => prev.filter(address => address.ipAddress !== ipAddress));
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  return (
+    <Card mt={6}>
+      <CardHeader>
+        <Heading size="md">Anomaly Detection</Heading>
+      </CardHeader>
+      <CardBody>
+        {loading && !rules.length ? (
+          <Flex justify="center" p={4}>
+            <Spinner />
+          </Flex>
+        ) : (
+          <Stack spacing={6}>
+            <Text color="gray.500">
+              The server watches the security and file access logs as they are written. When a
+              rule matches it records suspicious activity and takes the actions chosen below.
+            </Text>
+
+            {error && (
+              <Alert status="error" borderRadius="md">
+                <AlertIcon />
+                {error}
+              </Alert>
+            )}
+
+            {rules.map(rule => {
+              const draft = drafts[rule.rule];
+              return (
+                <Box key={rule.rule} borderWidth="1px" borderRadius="md" p={4}>
+                  <Flex justify="space-between" align="center" mb={2}>
+                    <HStack>
+                      <Text fontWeight="bold" textTransform="capitalize">
+                        {rule.rule.replace(/_/g, ' ')}
+                      </Text>
+                      <Badge colorScheme={SEVERITY_COLORS[rule.severity] || 'gray'}>{rule.severity}</Badge>
+                    </HStack>
+                    <Switch
+                      isChecked={rule.enabled}
+                      isDisabled={saving === rule.rule}
+                      onChange={(e) => saveRule(rule.rule, { enabled: e.target.checked })}
+                    />
+                  </Flex>
+                  <Text fontSize="sm" color="gray.500" mb={3}>{rule.description}</Text>
+
+                  <HStack spacing={4} mb={3} wrap="wrap">
+                    {actions.map(action => (
+                      <Checkbox
+                        key={action}
+                        isChecked={rule.actions.includes(action)}
+                        isDisabled={saving === rule.rule}
+                        onChange={(e) => toggleAction(rule, action, e.target.checked)}
+                      >
+                        {ACTION_LABELS[action] || action}
+                      </Checkbox>
+                    ))}
+                  </HStack>
+
+                  <SimpleGrid columns={{ base: 1, md: 2 }} spacing={3}>
+                    {Object.entries(rule.settings).map(([setting, value]) => (
+                      <FormControl key={setting}>
+                        <FormLabel fontSize="sm" mb={1}>{settingLabel(setting)}</FormLabel>
+                        <Input
+                          size="sm"
+                          type="number"
+                          min={0}
+                          value={draft?.[setting] ?? value}
+                          onChange={(e) => editSetting(rule.rule, setting, e.target.value)}
+                        />
+                      </FormControl>
+                    ))}
+                  </SimpleGrid>
+
+                  {draft && (
+                    <Flex justify="flex-end" mt={3}>
+                      <Button
+                        size="sm"
+                        colorScheme="blue"
+                        isLoading={saving === rule.rule}
+                        onClick={() => saveSettings(rule.rule)}
+                      >
+                        Save settings
+                      </Button>
+                    </Flex>
+                  )}
+                </Box>
+              );
+            })}
+
+            <Box>
+              <Heading size="sm" mb={2}>Blocked Addresses</Heading>
+              {addresses.length === 0 ? (
+                <Text color="gray.500">No addresses are blocked.</Text>
+              ) : (
+                <Stack spacing={2}>
+                  {addresses.map(address => (
+                    <Flex key={address.ipAddress} justify="space-between" align="center">
+                      <Box>
+                        <Text fontFamily="mono">{address.ipAddress}</Text>
+                        <Text fontSize="sm" color="gray.500">
+                          {address.reason} · until {new Date(address.expiresAt).toLocaleString()}
+                        </Text>
+                      </Box>
+                      <IconButton
+                        aria-label="Unblock address"
+                        icon={<Trash2 size={16} />}
+                        size="sm"
+                        variant="ghost"
+                        onClick={() => handleUnblock(address.ipAddress)}
+                      />
+                    </Flex>
+                  ))}
+                </Stack>
+              )}
+            </Box>
+          </Stack>
+        )}
+      </CardBody>
+    </Card>
+  );
+};
+
+export default AnomalyRules;
@@ -0,0 +1,47 @@
+import React from 'react';
+import {
+  Alert,
+  AlertIcon,
+  Button,
+  Code,
+  HStack,
+  SimpleGrid,
+  useClipboard,
+  VStack,
+} from '@chakra-ui/react';
+
+const DEFAULT_DESCRIPTION = 'Store these backup codes somewhere safe. Each one works once if you lose '
+  + 'your authenticator app, and they will not be shown again.';
+
+// One-time backup codes, shown once right after they are generated
+const BackupCodes = ({ codes, onDone, doneLabel = "I've saved these codes", description = DEFAULT_DESCRIPTION }) => {
+  const { hasCopied, onCopy } = useClipboard(codes.join('\n'));
+
+  return (
+    <VStack spacing={4} align="stretch" w="full">
+      <Alert status="warning" borderRadius="md">
+        <AlertIcon />
+        {description}
+      </Alert>
+      <SimpleGrid columns={2} spacing={2}>
+        {codes.map(code => (
+          <Code key={code} p={2} textAlign="center" fontSize="md">
+            {code}
+          </Code>
+        ))}
+      </SimpleGrid>
+      <HStack justify="flex-end">
+        <Button variant="outline" onClick={onCopy}>
+          {hasCopied ? 'Copied' : 'Copy codes'}
+        </Button>
+        {onDone && (
+          <Button colorScheme="blue" onClick={onDone}>
+            {doneLabel}
+          </Button>
+        )}
+      </HStack>
+    </VStack>
+  );
+};
+
+export default BackupCodes;
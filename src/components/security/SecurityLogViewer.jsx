@@ -1,9 +1,9 @@
-import React, { useState, useEffect } from 'react';
-import { RefreshCw, AlertCircle, Search, Download, Filter } from 'lucide-react';
-import { Alert, AlertDescription } from '@/components/ui/alert';
-import { useSecurity } from '../../hooks/useSecurity';
-import { usePermissions } from '../../contexts/PermissionsContext';
+import React, { useState, useEffect, useCallback } from 'react';
+import { RefreshCw, Search, Download, Filter } from 'lucide-react';
 import {
+  Alert,
+  AlertDescription,
+  Badge,
   Box,
   Flex,
   Heading,
@@ -12,74 +12,88 @@ import {
   Button,
   IconButton,
   Container,
+  SimpleGrid,
   VStack,
   Text,
   Spinner
 } from '@chakra-ui/react';
+import useAuth from '../../hooks/useAuth';
+import { security } from '../../services/api';
+import { SECURITY_EVENTS } from '../../constants/security';
+
+const PAGE_SIZE = 50;
+const SEVERITY_COLORS = { info: 'blue', warning: 'orange', error: 'red', critical: 'purple' };
+const EMPTY_FILTERS = {
+  eventType: '',
+  severity: '',
+  source: '',
+  user: '',
+  ip: '',
+  from: '',
+  to: ''
+};
+
+// Query parameters for the filters that are set; dates go out in UTC
+const toParams = (filters, sort) => {
+  const params = { sort, limit: PAGE_SIZE };
+  Object.entries(filters).forEach(([name, value]) => {
+    const trimmed = value.trim();
+    if (!trimmed) return;
+    params[name] = name === 'from' || name === 'to' ? new Date(trimmed).toISOString() : trimmed;
+  });
+  return params;
+};
 
 const SecurityLogViewer = () => {
-  const { securityLogs, loading, fetchSecurityLogs } = useSecurity();
-  const { hasPermission, Permissions } = usePermissions();
-  
-  const [filteredLogs, setFilteredLogs] = useState([]);
-  const [searchTerm, setSearchTerm] = useState('');
-  const [eventTypeFilter, setEventTypeFilter] = useState('');
-  const [dateFilter, setDateFilter] = useState('all');
+  const { user } = useAuth();
+  const [logs, setLogs] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [applied, setApplied] = useState({ filters: EMPTY_FILTERS, sort: '-timestamp' });
+  const [sort, setSort] = useState('-timestamp');
+  const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  // Everyone sees their own events; admins see everyone's
+  const canViewAll = user?.role === 'admin' || (user?.permissions || []).includes('security:logs');
 
-  useEffect(() => {
-    if (!hasPermission(Permissions.SECURITY_LOGS_VIEW)) {
-      setError('You do not have permission to view security logs');
-      return;
+  // Load the first page, or the page after the cursor
+  const fetchLogs = useCallback(async (cursor) => {
+    try {
+      setLoading(true);
+      setError('');
+      const params = toParams(applied.filters, applied.sort);
+      if (cursor) {
+        params.cursor = cursor;
+      }
+      const { data } = await security.getLogs(params);
+      setLogs(prev => (cursor ? [...prev, ...data.logs] : data.logs));
+      setNextCursor(data.nextCursor);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to load security logs');
+    } finally {
+      setLoading(false);
     }
+  }, [applied]);
 
-    fetchSecurityLogs();
-  }, [fetchSecurityLogs, hasPermission, Permissions.SECURITY_LOGS_VIEW]);
-
-  // Apply filters whenever logs, search term or filters change
   useEffect(() => {
-    let filtered = [...securityLogs];
+    fetchLogs();
+  }, [fetchLogs]);
 
-    // Apply event type filter
-    if (eventTypeFilter) {
-      filtered = filtered.filter(log => log.event_type === eventTypeFilter);
-    }
-
-    // Apply date filter
-    if (dateFilter !== 'all') {
-      const now = new Date();
-      let startDate;
-
-      switch (dateFilter) {
-        case 'today':
-          startDate = new Date(now.setHours(0, 0, 0, 0));
-          break;
-        case 'week':
-          startDate = new Date(now.setDate(now.getDate() - 7));
-          break;
-        case 'month':
-          startDate = new Date(now.setMonth(now.getMonth() - 1));
-          break;
-        default:
-          startDate = new Date(0);
-      }
-
-      filtered = filtered.filter(log => new Date(log.timestamp) >= startDate);
-    }
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
 
-    // Apply search term filter
-    if (searchTerm) {
-      const searchTermLower = searchTerm.toLowerCase();
-      filtered = filtered.filter(log => 
-        log.event_type.toLowerCase().includes(searchTermLower) ||
-        (log.user_id && log.user_id.toLowerCase().includes(searchTermLower)) ||
-        (log.ip_address && log.ip_address.toLowerCase().includes(searchTermLower)) ||
-        (log.details && JSON.stringify(log.details).toLowerCase().includes(searchTermLower))
-      );
-    }
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setApplied({ filters, sort });
+  };
 
-    setFilteredLogs(filtered);
-  }, [securityLogs, searchTerm, eventTypeFilter, dateFilter]);
+  const handleClear = () => {
+    setFilters(EMPTY_FILTERS);
+    setSort('-timestamp');
+    setApplied({ filters: EMPTY_FILTERS, sort: '-timestamp' });
+  };
 
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleString('en-US', {
@@ -92,13 +106,13 @@ const SecurityLogViewer = () => {
     });
   };
 
-  const uniqueEventTypes = Array.from(new Set(securityLogs.map(log => log.event_type)));
+  const formatEventType = (eventType) => eventType.replace(/[_:]/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
 
   const downloadLogs = () => {
-    const jsonString = JSON.stringify(filteredLogs, null, 2);
+    const jsonString = JSON.stringify(logs, null, 2);
     const blob = new Blob([jsonString], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
-    
+
     const a = document.createElement('a');
     a.href = url;
     a.download = `security_logs_${new Date().toISOString().split('T')[0]}.json`;
@@ -108,17 +122,7 @@ const SecurityLogViewer = () => {
     URL.revokeObjectURL(url);
   };
 
-  if (!hasPermission(Permissions.SECURITY_LOGS_VIEW)) {
-    return (
-      <Container maxW="4xl" p={4}>
-        <Alert status="error">
-          <AlertDescription>
-            You do not have permission to view security logs
-          </AlertDescription>
-        </Alert>
-      </Container>
-    );
-  }
+  const isFiltered = Object.values(applied.filters).some(value => value.trim());
 
   return (
     <Container maxW="4xl" p={4}>
@@ -127,7 +131,7 @@ const SecurityLogViewer = () => {
         <Flex gap={2}>
           <IconButton
             icon={<RefreshCw />}
-            onClick={fetchSecurityLogs}
+            onClick={() => fetchLogs()}
             isLoading={loading}
             aria-label="Refresh logs"
             title="Refresh logs"
@@ -136,70 +140,106 @@ const SecurityLogViewer = () => {
             icon={<Download />}
             onClick={downloadLogs}
             aria-label="Download logs"
-            title="Download filtered logs"
+            title="Download loaded logs"
           />
         </Flex>
       </Flex>
-      
+
       {error && (
         <Alert status="error" mb={4}>
           <AlertDescription>{error}</AlertDescription>
         </Alert>
       )}
-      
-      <Flex mb={4} gap={4} direction={{ base: 'column', md: 'row' }}>
-        <Box flex={1} position="relative">
-          <Input
-            value={searchTerm}
-            onChange={(e) => setSearchTerm(e.target.value)}
-            placeholder="Search logs..."
-            pl={10}
-          />
-          <Box position="absolute" left={3} top="50%" transform="translateY(-50%)" pointerEvents="none">
-            <Search size={16} />
+
+      <Box as="form" onSubmit={handleSearch} mb={4}>
+        <SimpleGrid columns={{ base: 1, md: 3 }} spacing={4} mb={4}>
+          <Box position="relative">
+            <Input
+              name="eventType"
+              value={filters.eventType}
+              onChange={handleFilterChange}
+              placeholder="Event types, comma-separated"
+              pl={10}
+            />
+            <Box position="absolute" left={3} top="50%" transform="translateY(-50%)" pointerEvents="none">
+              <Filter size={16} />
+            </Box>
           </Box>
-        </Box>
-        
-        <Box flex={1} position="relative">
-          <Select
-            value={eventTypeFilter}
-            onChange={(e) => setEventTypeFilter(e.target.value)}
-            pl={10}
-          >
-            <option value="">All Event Types</option>
-            {uniqueEventTypes.map(type => (
-              <option key={type} value={type}>
-                {type.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase())}
+
+          <Select name="severity" value={filters.severity} onChange={handleFilterChange}>
+            <option value="">All Severities</option>
+            {Object.keys(SEVERITY_COLORS).map(severity => (
+              <option key={severity} value={severity}>
+                {severity.charAt(0).toUpperCase() + severity.slice(1)}
               </option>
             ))}
           </Select>
-          <Box position="absolute" left={3} top="50%" transform="translateY(-50%)" pointerEvents="none">
-            <Filter size={16} />
-          </Box>
-        </Box>
-        
-        <Box flex={1}>
-          <Select
-            value={dateFilter}
-            onChange={(e) => setDateFilter(e.target.value)}
-          >
-            <option value="all">All Time</option>
-            <option value="today">Today</option>
-            <option value="week">Past Week</option>
-            <option value="month">Past Month</option>
+
+          <Select name="source" value={filters.source} onChange={handleFilterChange}>
+            <option value="">Server and Browser Events</option>
+            <option value="server">Server Events</option>
+            <option value="client">Browser Events</option>
           </Select>
-        </Box>
-      </Flex>
-      
-      {loading ? (
+
+          {canViewAll && (
+            <Input
+              name="user"
+              value={filters.user}
+              onChange={handleFilterChange}
+              placeholder="Username or user ID"
+            />
+          )}
+
+          <Input
+            name="ip"
+            value={filters.ip}
+            onChange={handleFilterChange}
+            placeholder="IP address"
+          />
+
+          <Select value={sort} onChange={(e) => setSort(e.target.value)}>
+            <option value="-timestamp">Newest First</option>
+            <option value="timestamp">Oldest First</option>
+            <option value="event_type">Event Type (A-Z)</option>
+            <option value="-event_type">Event Type (Z-A)</option>
+          </Select>
+
+          <Input
+            name="from"
+            type="datetime-local"
+            value={filters.from}
+            onChange={handleFilterChange}
+            aria-label="From"
+          />
+
+          <Input
+            name="to"
+            type="datetime-local"
+            value={filters.to}
+            onChange={handleFilterChange}
+            aria-label="To"
+          />
+        </SimpleGrid>
+
+        <Flex gap={2} justify="flex-end">
+          <Button variant="ghost" onClick={handleClear}>
+            Clear
+          </Button>
+          <Button type="submit" colorScheme="blue" leftIcon={<Search size={16} />}>
+            Search
+          </Button>
+        </Flex>
+      </Box>
+
+      {loading && logs.length === 0 ? (
         <VStack py={8} spacing={4}>
           <Spinner size="xl" />
           <Text color="gray.500">Loading security logs...</Text>
         </VStack>
-      ) : filteredLogs.length === 0 ? (
+      ) : logs.length === 0 ? (
         <VStack py={8} spacing={2} bg="gray.50" borderRadius="md" border="1px" borderColor="gray.200">
           <Text color="gray.500">No security logs found</Text>
-          {(searchTerm || eventTypeFilter || dateFilter !== 'all') && (
+          {isFiltered && (
             <Text fontSize="sm" color="gray.400">
               Try adjusting your filters
             </Text>
@@ -207,9 +247,9 @@ const SecurityLogViewer = () => {
         </VStack>
       ) : (
         <VStack spacing={4} align="stretch">
-          {filteredLogs.map((log, index) => (
+          {logs.map(log => (
             <Box
-              key={index}
+              key={log._id}
               p={4}
               borderRadius="md"
               border="1px"
@@ -217,19 +257,29 @@ const SecurityLogViewer = () => {
               _hover={{ bg: 'gray.50' }}
             >
               <Flex justify="space-between" align="flex-start" mb={2}>
-                <Text fontWeight="bold" color="blue.600">
-                  {log.event_type.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase())}
-                </Text>
+                <Flex align="center" gap={2}>
+                  <Text fontWeight="bold" color="blue.600">
+                    {formatEventType(log.event_type)}
+                  </Text>
+                  <Badge colorScheme={SEVERITY_COLORS[log.severity]}>{log.severity}</Badge>
+                  {log.source === 'client' && <Badge>browser</Badge>}
+                </Flex>
                 <Text fontSize="sm" color="gray.500">
                   {formatDate(log.timestamp)}
                 </Text>
               </Flex>
-              
+
+              {SECURITY_EVENTS[log.event_type] && (
+                <Text fontSize="sm" color="gray.600" mb={1}>
+                  {SECURITY_EVENTS[log.event_type].description}
+                </Text>
+              )}
+
               <Text fontSize="sm" mb={2}>
-                User: {log.user_id || 'Anonymous'} | IP: {log.ip_address || 'Unknown'}
+                User: {log.username || log.user_id || 'Anonymous'} | IP: {log.ip_address || 'Unknown'}
               </Text>
-              
-              {log.details && (
+
+              {log.details && Object.keys(log.details).length > 0 && (
                 <Box
                   mt={2}
                   p={2}
@@ -247,12 +297,19 @@ const SecurityLogViewer = () => {
           ))}
         </VStack>
       )}
-      
-      <Text mt={4} fontSize="sm" color="gray.500">
-        Showing {filteredLogs.length} of {securityLogs.length} logs
-      </Text>
+
+      <Flex mt={4} justify="space-between" align="center">
+        <Text fontSize="sm" color="gray.500">
+          Showing {logs.length} logs{nextCursor ? ', more available' : ''}
+        </Text>
+        {nextCursor && (
+          <Button onClick={() => fetchLogs(nextCursor)} isLoading={loading} variant="outline">
+            Load more
+          </Button>
+        )}
+      </Flex>
     </Container>
   );
 };
 
-export default SecurityLogViewer;
\ No newline at end of file
+export default SecurityLogViewer;
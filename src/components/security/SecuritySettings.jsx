@@ -0,0 +1,441 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Alert,
+  AlertIcon,
+  Badge,
+  Box,
+  Button,
+  Card,
+  CardBody,
+  CardHeader,
+  Code,
+  Container,
+  Flex,
+  FormControl,
+  FormLabel,
+  Heading,
+  HStack,
+  IconButton,
+  Image,
+  Input,
+  Spinner,
+  Stack,
+  Switch,
+  Text,
+  useToast,
+} from '@chakra-ui/react';
+import { Trash2 } from 'lucide-react';
+import { browserSupportsWebAuthn, startRegistration } from '@simplewebauthn/browser';
+import { auth, twoFactor, passkeys } from '../../services/api';
+import useAuth from '../../hooks/useAuth';
+import BackupCodes from './BackupCodes';
+import AnomalyRules from './AnomalyRules';
+
+// Actions that need a fresh authenticator app code before they run
+const CODE_ACTIONS = {
+  confirm: { label: 'Enable', colorScheme: 'blue' },
+  regenerate: { label: 'Generate new codes', colorScheme: 'blue' },
+  disable: { label: 'Turn off', colorScheme: 'red' }
+};
+
+const SecuritySettings = () => {
+  const { user } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [backupCodes, setBackupCodes] = useState(null);
+  const [action, setAction] = useState(null);
+  const [code, setCode] = useState('');
+  const [policies, setPolicies] = useState([]);
+  const [credentials, setCredentials] = useState([]);
+  const [passkeyName, setPasskeyName] = useState('');
+  const [recoveryStatus, setRecoveryStatus] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+  const toast = useToast();
+  const isAdmin = user?.role === 'admin';
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      setLoading(true);
+      const { data } = await twoFactor.getStatus();
+      setStatus(data);
+      const { data: passkeyData } = await passkeys.list();
+      setCredentials(passkeyData.credentials);
+      const { data: recoveryData } = await auth.getRecoveryCodes();
+      setRecoveryStatus(recoveryData);
+      if (isAdmin) {
+        const { data: rolePolicies } = await twoFactor.getPolicy();
+        setPolicies(rolePolicies);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [isAdmin]);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  const startAction = (name) => {
+    setAction(name);
+    setCode('');
+    setError('');
+  };
+
+  const handleEnroll = async () => {
+    try {
+      setWorking(true);
+      setError('');
+      setBackupCodes(null);
+      const { data } = await twoFactor.enroll();
+      setEnrollment(data);
+      startAction('confirm');
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setWorking(true);
+      setError('');
+      if (action === 'confirm') {
+        const { data } = await twoFactor.confirm(code.trim());
+        setBackupCodes(data.backupCodes);
+        setEnrollment(null);
+      } else if (action === 'regenerate') {
+        const { data } = await twoFactor.regenerateBackupCodes(code.trim());
+        setBackupCodes(data.backupCodes);
+      } else if (action === 'disable') {
+        await twoFactor.disable(code.trim());
+        toast({
+          title: 'Two-factor authentication turned off',
+          status: 'info',
+          duration: 3000,
+          isClosable: true,
+        });
+      }
+      setAction(null);
+      await fetchStatus();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setWorking(false);
+      setCode('');
+    }
+  };
+
+  const handleAddPasskey = async () => {
+    try {
+      setWorking(true);
+      setError('');
+      const { data: ceremony } = await passkeys.getRegistrationOptions();
+      const response = await startRegistration({ optionsJSON: ceremony.options });
+      const { data } = await passkeys.verifyRegistration({
+        challengeId: ceremony.challengeId,
+        response,
+        name: passkeyName.trim() || undefined
+      });
+      setCredentials(data.credentials);
+      setPasskeyName('');
+      toast({
+        title: 'Passkey added',
+        status: 'success',
+        duration: 3000,
+        isClosable: true,
+      });
+    } catch (err) {
+      // Closing the browser's passkey prompt is not an error worth reporting
+      if (err.name !== 'NotAllowedError') {
+        setError(err.response?.data?.message || err.message);
+      }
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleGenerateRecoveryCodes = async () => {
+    try {
+      setWorking(true);
+      setError('');
+      const { data } = await auth.regenerateRecoveryCodes();
+      setRecoveryCodes(data.codes);
+      setRecoveryStatus({ remaining: data.remaining, generatedAt: data.generatedAt });
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleRemovePasskey = async (credentialId) => {
+    try {
+      await passkeys.remove(credentialId);
+      setCredentials(prev => prev.filter(credential => credential.id !== credentialId));
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const handlePolicyChange = async (role, requireTwoFactor) => {
+    try {
+      await twoFactor.updatePolicy(role, requireTwoFactor);
+      setPolicies(prev => prev.map(policy => (policy.role === role ? { ...policy, requireTwoFactor } : policy)));
+      toast({
+        title: requireTwoFactor
+          ? `Two-factor authentication is now required for ${role} accounts`
+          : `Two-factor authentication is now optional for ${role} accounts`,
+        status: 'success',
+        duration: 3000,
+        isClosable: true,
+      });
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  if (loading && !status) {
+    return (
+      <Flex justify="center" p={8}>
+        <Spinner />
+      </Flex>
+    );
+  }
+
+  return (
+    <Container maxW="container.md" py={8}>
+      <Heading size="lg" mb={6}>Security Settings</Heading>
+
+      {error && (
+        <Alert status="error" mb={4} borderRadius="md">
+          <AlertIcon />
+          {error}
+        </Alert>
+      )}
+
+      <Card mb={6}>
+        <CardHeader>
+          <Flex justify="space-between" align="center">
+            <Heading size="md">Two-Factor Authentication</Heading>
+            {status && (
+              <Badge colorScheme={status.enabled ? 'green' : 'gray'}>
+                {status.enabled ? 'Enabled' : 'Off'}
+              </Badge>
+            )}
+          </Flex>
+        </CardHeader>
+        <CardBody>
+          <Stack spacing={4}>
+            <Text color="gray.500">
+              After your PassMatrix pattern, sign-in also asks for a code from an
+              authenticator app on your phone.
+            </Text>
+
+            {status?.required && (
+              <Alert status="info" borderRadius="md">
+                <AlertIcon />
+                Your role requires two-factor authentication.
+              </Alert>
+            )}
+
+            {backupCodes && (
+              <BackupCodes codes={backupCodes} onDone={() => setBackupCodes(null)} />
+            )}
+
+            {enrollment && action === 'confirm' && (
+              <Stack spacing={3} align="center">
+                <Text>Scan this code with your authenticator app:</Text>
+                <Image src={enrollment.qrCode} alt="Authenticator app QR code" boxSize="200px" />
+                <Text fontSize="sm" color="gray.500">
+                  Or enter this key: <Code>{enrollment.secret}</Code>
+                </Text>
+              </Stack>
+            )}
+
+            {action ? (
+              <form onSubmit={handleCodeSubmit}>
+                <Stack spacing={3}>
+                  <FormControl isRequired>
+                    <FormLabel>
+                      {action === 'disable'
+                        ? 'Authentication code or backup code'
+                        : 'Authentication code from your app'}
+                    </FormLabel>
+                    <Input
+                      value={code}
+                      onChange={(e) => setCode(e.target.value)}
+                      placeholder={action === 'disable' ? '123456 or XXXXX-XXXXX' : '123456'}
+                      autoComplete="one-time-code"
+                      autoFocus
+                    />
+                  </FormControl>
+                  <HStack justify="flex-end">
+                    <Button
+                      variant="ghost"
+                      onClick={() => {
+                        setAction(null);
+                        setEnrollment(null);
+                      }}
+                    >
+                      Cancel
+                    </Button>
+                    <Button
+                      type="submit"
+                      colorScheme={CODE_ACTIONS[action].colorScheme}
+                      isLoading={working}
+                      isDisabled={!code.trim()}
+                    >
+                      {CODE_ACTIONS[action].label}
+                    </Button>
+                  </HStack>
+                </Stack>
+              </form>
+            ) : status?.enabled ? (
+              <Stack spacing={3}>
+                <Text fontSize="sm">
+                  Enabled since {new Date(status.enabledAt).toLocaleDateString()}.{' '}
+                  {status.backupCodesRemaining} unused backup code(s) left.
+                </Text>
+                <HStack>
+                  <Button onClick={() => startAction('regenerate')}>New backup codes</Button>
+                  <Button onClick={handleEnroll} isLoading={working}>Move to another app</Button>
+                  {!status.required && (
+                    <Button colorScheme="red" variant="outline" onClick={() => startAction('disable')}>
+                      Turn off
+                    </Button>
+                  )}
+                </HStack>
+              </Stack>
+            ) : (
+              <Box>
+                <Button colorScheme="blue" onClick={handleEnroll} isLoading={working}>
+                  Set up authenticator app
+                </Button>
+              </Box>
+            )}
+          </Stack>
+        </CardBody>
+      </Card>
+
+      <Card mb={6}>
+        <CardHeader>
+          <Heading size="md">Passkeys</Heading>
+        </CardHeader>
+        <CardBody>
+          <Stack spacing={4}>
+            <Text color="gray.500">
+              Sign in with your device's fingerprint, face or screen lock, or with a
+              security key, instead of your PassMatrix pattern.
+            </Text>
+
+            {credentials.map(credential => (
+              <Flex key={credential.id} justify="space-between" align="center">
+                <Box>
+                  <Text fontWeight="medium">{credential.name}</Text>
+                  <Text fontSize="sm" color="gray.500">
+                    Added {new Date(credential.createdAt).toLocaleDateString()}
+                    {credential.lastUsedAt && `, last used ${new Date(credential.lastUsedAt).toLocaleDateString()}`}
+                  </Text>
+                </Box>
+                <IconButton
+                  aria-label={`Remove ${credential.name}`}
+                  icon={<Trash2 size={16} />}
+                  variant="ghost"
+                  colorScheme="red"
+                  onClick={() => handleRemovePasskey(credential.id)}
+                />
+              </Flex>
+            ))}
+
+            {browserSupportsWebAuthn() ? (
+              <HStack>
+                <Input
+                  value={passkeyName}
+                  onChange={(e) => setPasskeyName(e.target.value)}
+                  placeholder="Name, e.g. Work laptop"
+                  maxLength={100}
+                />
+                <Button colorScheme="blue" onClick={handleAddPasskey} isLoading={working} flexShrink={0}>
+                  Add passkey
+                </Button>
+              </HStack>
+            ) : (
+              <Text fontSize="sm">This browser does not support passkeys.</Text>
+            )}
+          </Stack>
+        </CardBody>
+      </Card>
+
+      <Card mb={6}>
+        <CardHeader>
+          <Heading size="md">Recovery Codes</Heading>
+        </CardHeader>
+        <CardBody>
+          <Stack spacing={4}>
+            <Text color="gray.500">
+              Reset your PassMatrix pattern with a recovery code if you cannot get
+              a code by email. Each code works once.
+            </Text>
+
+            {recoveryCodes ? (
+              <BackupCodes
+                codes={recoveryCodes}
+                description="Store these recovery codes somewhere safe. Any earlier codes no longer work, and these will not be shown again."
+                onDone={() => setRecoveryCodes(null)}
+              />
+            ) : (
+              <Flex justify="space-between" align="center">
+                <Text>
+                  {recoveryStatus?.generatedAt
+                    ? `${recoveryStatus.remaining} unused codes, generated ${new Date(recoveryStatus.generatedAt).toLocaleDateString()}`
+                    : 'You have no recovery codes.'}
+                </Text>
+                <Button colorScheme="blue" variant="outline" onClick={handleGenerateRecoveryCodes} isLoading={working}>
+                  {recoveryStatus?.generatedAt ? 'Generate new codes' : 'Generate codes'}
+                </Button>
+              </Flex>
+            )}
+          </Stack>
+        </CardBody>
+      </Card>
+
+      {isAdmin && (
+        <Card>
+          <CardHeader>
+            <Heading size="md">Role Requirements</Heading>
+          </CardHeader>
+          <CardBody>
+            <Stack spacing={4}>
+              <Text color="gray.500">
+                Users of a role that requires two-factor authentication set it up at
+                their next sign-in and cannot turn it off.
+              </Text>
+              {policies.map(policy => (
+                <FormControl key={policy.role} display="flex" alignItems="center" justifyContent="space-between">
+                  <FormLabel mb={0} textTransform="capitalize">
+                    {policy.role} accounts
+                  </FormLabel>
+                  <Switch
+                    isChecked={policy.requireTwoFactor}
+                    onChange={(e) => handlePolicyChange(policy.role, e.target.checked)}
+                  />
+                </FormControl>
+              ))}
+            </Stack>
+          </CardBody>
+        </Card>
+      )}
+
+      {isAdmin && <AnomalyRules />}
+    </Container>
+  );
+};
+
+export default SecuritySettings;
@@ -24,3 +24,17 @@ export const Roles = {
   USER: 'user',
   GUEST: 'guest'
 };
+
+// Roles the server assigns
+export const ASSIGNABLE_ROLES = [Roles.ADMIN, Roles.USER];
+
+// Badge colors for roles and account statuses
+export const ROLE_COLORS = {
+  [Roles.ADMIN]: 'purple',
+  [Roles.USER]: 'green'
+};
+export const STATUS_COLORS = {
+  active: 'green',
+  locked: 'orange',
+  inactive: 'gray'
+};
@@ -1,25 +1,14 @@
-export const SecurityEventType = {
-  // Authentication events
-  LOGIN_SUCCESS: 'auth:login:success',
-  LOGIN_FAILURE: 'auth:login:failure',
-  LOGOUT: 'auth:logout',
-  PASSWORD_CHANGE: 'auth:password:change',
-  ACCOUNT_LOCKED: 'auth:account:locked',
+// The catalog of security events, shared with the server
+import catalog from '../../shared/securityEvents.json';
 
-  // Navigation events
-  PAGE_VISIT: 'nav:page:visit',
-  PAGE_NAVIGATION: 'nav:page:navigation',
-  PAGE_EXIT: 'nav:page:exit',
+export const { categories: EVENT_CATEGORIES, events: SECURITY_EVENTS } = catalog;
 
-  // File operations
-  FILE_UPLOAD: 'file:upload',
-  FILE_DOWNLOAD: 'file:download',
-  FILE_DELETE: 'file:delete',
-  FILE_SHARE: 'file:share',
+// Event type names, e.g. SecurityEventType.LOGIN_SUCCESS === 'LOGIN_SUCCESS'
+export const SecurityEventType = Object.freeze(
+  Object.fromEntries(Object.keys(SECURITY_EVENTS).map(name => [name, name]))
+);
 
-  // Security events
-  SECURITY_SETTING_CHANGE: 'security:setting:change',
-  PERMISSION_CHANGE: 'security:permission:change',
-  ROLE_CHANGE: 'security:role:change',
-  SUSPICIOUS_ACTIVITY: 'security:suspicious:activity'
-};
+// Whether the browser may report an event; the server refuses the others
+export const isClientEvent = (eventType) =>
+  Object.prototype.hasOwnProperty.call(SECURITY_EVENTS, eventType) &&
+  SECURITY_EVENTS[eventType].reportedBy.includes('client');
@@ -40,7 +40,7 @@ export function AuthProvider({ children }) {
         
         try {
           // Attempt to refresh the token
-          await auth.refreshToken(refreshToken);
+          await auth.refreshToken();
         } catch (refreshError) {
           console.error('Failed to refresh token:', refreshError);
           setIsAuthenticated(false);
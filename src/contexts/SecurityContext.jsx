@@ -18,7 +18,7 @@ export const SecurityProvider = ({ children }) => {
       // Check for authToken instead of token (which doesn't exist)
       if (!localStorage.getItem('authToken') && 
           eventType !== SecurityEventType.LOGIN_SUCCESS && 
-          eventType !== SecurityEventType.LOGIN_FAILURE) {
+          eventType !== SecurityEventType.LOGIN_FAILED) {
         console.warn('Skipping security log - user not authenticated');
         return;
       }
@@ -26,19 +26,18 @@ export const SecurityProvider = ({ children }) => {
       const event = {
         event_type: eventType,
         timestamp: new Date().toISOString(),
-        device_info: {
-          userAgent: navigator.userAgent,
+        details: {
+          ...details,
           platform: navigator.platform,
           language: navigator.language
-        },
-        ...details
+        }
       };
 
       // Add to local state immediately for responsive UI
       setSecurityLogs(prevLogs => [event, ...prevLogs]);
 
-      // Send to server
-      await security.addLog(event);
+      // Send to server, which adds the time, address and user agent itself
+      await security.addLog({ event_type: event.event_type, details: event.details });
     } catch (error) {
       console.error('Failed to log security event:', error);
     }
@@ -49,7 +48,7 @@ export const SecurityProvider = ({ children }) => {
     try {
       setLoading(true);
       const { data } = await security.getLogs();
-      setSecurityLogs(data);
+      setSecurityLogs(data.logs);
     } catch (error) {
       console.error('Error fetching security logs:', error);
     } finally {
@@ -130,7 +130,7 @@ const useAuth = () => {
       setError(err.message || 'Login failed');
       
       // Log security event
-      await logSecurityEvent(SecurityEventType.LOGIN_FAILURE, {
+      await logSecurityEvent(SecurityEventType.LOGIN_FAILED, {
         error: err.message
       });
       
@@ -79,7 +79,7 @@ const useFiles = () => {
   }, [fetchFiles, logSecurityEvent, SecurityEventType]);
 
   // Download file with decryption
-  const downloadFile = useCallback(async (fileId, filename) => {
+  const downloadFile = useCallback(async (fileId, filename, privateKey) => {
     try {
       setLoading(true);
       setError(null);
@@ -92,7 +92,7 @@ const useFiles = () => {
       });
       
       // Download and decrypt the file
-      const { blob, filename: name } = await fileService.downloadFile(fileId);
+      const { blob, filename: name } = await fileService.downloadFile(fileId, privateKey);
       
       // Create download link
       const url = window.URL.createObjectURL(blob);
@@ -150,7 +150,7 @@ const useFiles = () => {
       setFiles(prevFiles => prevFiles.filter(file => file.id !== fileId));
       
       // Log successful deletion
-      await logSecurityEvent(SecurityEventType.FILE_DELETE, {
+      await logSecurityEvent(SecurityEventType.FILE_DELETED, {
         file_id: fileId,
         filename,
         status: 'success'
@@ -176,16 +176,16 @@ const useFiles = () => {
   }, [logSecurityEvent, SecurityEventType]);
 
   // Share file with another user
-  const shareFile = useCallback(async (fileId, filename, recipientUserId, permission = 'read') => {
+  const shareFile = useCallback(async (fileId, filename, recipientUserId, permission = 'read', privateKey) => {
     try {
       setLoading(true);
       setError(null);
       
-      // Share the file
-      const result = await fileService.shareFile(fileId, recipientUserId, permission);
+      // Share the file; the key is re-wrapped for the recipient locally
+      const result = await fileService.shareFile(fileId, recipientUserId, permission, privateKey);
       
       // Log security event
-      await logSecurityEvent(SecurityEventType.FILE_SHARE, {
+      await logSecurityEvent(SecurityEventType.FILE_SHARED, {
         file_id: fileId,
         filename,
         recipient_id: recipientUserId,
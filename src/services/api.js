@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { isClientEvent } from '../constants/security';
 
 const API_BASE_URL = (import.meta.env.VITE_API_URL || 'http://localhost:8000') + '/api';
 
@@ -43,7 +44,9 @@ const tokenManager = {
     const expiry = localStorage.getItem('authTokenExpiry') || sessionStorage.getItem('authTokenExpiry');
     if (!expiry) return true;
     return new Date(expiry) < new Date();
-  }
+  },
+  // Whether the tokens were saved with "remember me"
+  isRemembered: () => !!localStorage.getItem('refreshToken')
 };
 
 // Request interceptor for adding auth token
@@ -64,6 +67,25 @@ api.interceptors.request.use(
 let isRefreshing = false;
 let failedQueue = [];
 
+// Exchange the stored refresh token for a new token pair. Refresh tokens are
+// single use: the server revokes the session if one is presented twice.
+const refreshSession = async () => {
+  const refreshToken = tokenManager.getRefreshToken();
+  if (!refreshToken) {
+    throw new Error('No refresh token');
+  }
+  
+  const response = await api.post('/auth/refresh', { refreshToken });
+  if (!response.data?.token) {
+    throw new Error('Token refresh failed');
+  }
+  
+  const remember = tokenManager.isRemembered();
+  tokenManager.clearTokens();
+  tokenManager.saveTokens(response.data.token, response.data.refreshToken, remember);
+  return response.data.token;
+};
+
 const processQueue = (error, token = null) => {
   failedQueue.forEach(prom => {
     if (error) {
@@ -102,8 +124,10 @@ api.interceptors.response.use(
   async (error) => {
     const originalRequest = error.config;
     
-    // If error is 401 Unauthorized and we haven't already tried to refresh the token
-    if (error.response?.status === 401 && !originalRequest._retry) {
+    // If error is 401 Unauthorized and we haven't already tried to refresh the
+    // token. A failed refresh itself is final.
+    if (error.response?.status === 401 && !originalRequest._retry &&
+        !originalRequest.url?.endsWith('/auth/refresh')) {
       if (isRefreshing) {
         // If we're already refreshing, add this request to the queue
         return new Promise((resolve, reject) => {
@@ -122,36 +146,25 @@ api.interceptors.response.use(
       isRefreshing = true;
       
       try {
-        const refreshToken = tokenManager.getRefreshToken();
-        
-        if (!refreshToken) {
+        if (!tokenManager.getRefreshToken()) {
           // No refresh token, clear tokens and redirect to login
           tokenManager.clearTokens();
+          processQueue(error, null);
           window.location.href = '/auth';
           return Promise.reject(error);
         }
         
         // Try to refresh the token
-        const response = await api.post('/auth/refresh-token', { refreshToken });
+        const token = await refreshSession();
         
-        if (response.data?.token) {
-          // Save the new tokens
-          tokenManager.saveTokens(response.data.token, response.data.refreshToken);
-          
-          // Update authorization header for the original request
-          originalRequest.headers['Authorization'] = `Bearer ${response.data.token}`;
-          
-          // Process any queued requests
-          processQueue(null, response.data.token);
-          
-          // Retry the original request
-          return api(originalRequest);
-        } else {
-          // Refresh failed, clear tokens and redirect to login
-          tokenManager.clearTokens();
-          window.location.href = '/auth';
-          return Promise.reject(error);
-        }
+        // Update authorization header for the original request
+        originalRequest.headers['Authorization'] = `Bearer ${token}`;
+        
+        // Process any queued requests
+        processQueue(null, token);
+        
+        // Retry the original request
+        return api(originalRequest);
       } catch (refreshError) {
         // Refresh failed, clear tokens and redirect to login
         tokenManager.clearTokens();
@@ -187,20 +200,22 @@ export const auth = {
     }
     return api.get('/auth/me', config);
   },
-  refreshToken: (refreshToken) => api.post('/auth/refresh-token', { refreshToken }),
+  refreshToken: () => refreshSession(),
+  
+  // Device session endpoints
+  getSessions: () => api.get('/auth/sessions'),
+  revokeSession: (sessionId) => api.delete(`/auth/sessions/${sessionId}`),
+  revokeAllSessions: () => {
+    return api.delete('/auth/sessions').finally(() => {
+      tokenManager.clearTokens();
+    });
+  },
   
   // PassMatrix endpoints
   getMatrixImages: (params) => api.get('/auth/matrix-images', { params }),
   createPatternSession: (data) => api.post('/auth/create-pattern-session', data),
-  storePatternHash: (data) => {
-    // Ensure the hash parameter is correctly named for the server
-    const serverData = { ...data };
-    if (data.patternHash) {
-      serverData.hash = data.patternHash;
-      delete serverData.patternHash;
-    }
-    return api.post('/auth/store-pattern-hash', serverData);
-  },
+  // The server hashes the pattern; it is only ever sent over the API connection
+  storePatternHash: (data) => api.post('/auth/store-pattern-hash', data),
   verifyPattern: (data) => {
     // Ensure the hash parameter is correctly named for the server
     const serverData = { ...data };
@@ -211,6 +226,8 @@ export const auth = {
     return api.post('/auth/verify-pattern', serverData);
   },
   completeRegistration: (data) => api.post('/auth/complete-registration', data),
+  verifyEmail: (token) => api.post('/auth/verify-email', { token }),
+  resendVerification: () => api.post('/auth/resend-verification'),
   
   // User verification endpoints
   checkUsername: (username, params) => api.get(`/auth/check-username/${username}`, { params }),
@@ -221,15 +238,31 @@ export const auth = {
   // Pattern recovery endpoints
   requestRecoveryOtp: (data) => api.post('/auth/request-recovery-otp', data),
   verifyRecoveryOtp: (data) => api.post('/auth/verify-recovery-otp', data),
-  resetPattern: (data) => {
-    // Ensure the hash parameter is correctly named for the server
-    const serverData = { ...data };
-    if (data.patternHash) {
-      serverData.hash = data.patternHash;
-      delete serverData.patternHash;
-    }
-    return api.post('/auth/reset-pattern', serverData);
-  }
+  verifyRecoveryCode: (data) => api.post('/auth/verify-recovery-code', data),
+  resetPattern: (data) => api.post('/auth/reset-pattern', data),
+  getRecoveryCodes: () => api.get('/auth/recovery-codes'),
+  regenerateRecoveryCodes: () => api.post('/auth/recovery-codes')
+};
+
+// Two-factor authentication endpoints
+export const twoFactor = {
+  getStatus: () => api.get('/auth/2fa'),
+  enroll: () => api.post('/auth/2fa/enroll'),
+  confirm: (code) => api.post('/auth/2fa/confirm', { code }),
+  regenerateBackupCodes: (code) => api.post('/auth/2fa/backup-codes', { code }),
+  disable: (code) => api.post('/auth/2fa/disable', { code }),
+  getPolicy: () => api.get('/auth/2fa/policy'),
+  updatePolicy: (role, requireTwoFactor) => api.put(`/auth/2fa/policy/${role}`, { requireTwoFactor })
+};
+
+// Passkey (WebAuthn) endpoints
+export const passkeys = {
+  getLoginOptions: (data) => api.post('/auth/webauthn/login/options', data),
+  verifyLogin: (data) => api.post('/auth/webauthn/login/verify', data),
+  getRegistrationOptions: () => api.post('/auth/webauthn/register/options'),
+  verifyRegistration: (data) => api.post('/auth/webauthn/register/verify', data),
+  list: () => api.get('/auth/webauthn/credentials'),
+  remove: (credentialId) => api.delete(`/auth/webauthn/credentials/${encodeURIComponent(credentialId)}`)
 };
 
 // User endpoints
@@ -241,8 +274,10 @@ export const user = {
 
 // Security endpoints
 export const security = {
-  getLogs: () => api.get('/security/logs'),
-  addLog: async ({ event_type, details, sessionToken }) => {
+  // Filters: eventType, severity, source, user, ip, from, to; page with
+  // limit and the previous page's nextCursor
+  getLogs: (params) => api.get('/security/logs', { params }),
+  addLog: async ({ event_type, details, severity }) => {
     try {
       // Make sure we have all required parameters
       if (!event_type) {
@@ -250,25 +285,24 @@ export const security = {
         return { success: false, message: 'Missing required parameters' };
       }
 
-      // Add authorization header if we have a session token
-      const headers = {};
-      if (sessionToken) {
-        headers['Authorization'] = `Bearer ${sessionToken}`;
+      // The server only records catalog events the browser may report
+      if (!isClientEvent(event_type)) {
+        console.warn(`Not a security event the browser may report: ${event_type}`);
+        return { success: false, message: 'Unknown security event' };
       }
 
-      // Skip security logging in development if it's causing issues
-      console.log('Security event:', { event_type, details });
-      return { success: true };
-      
-      /* Uncomment if security logging endpoint is available
-      const response = await axios.post(`${API_BASE_URL}/security/log`, {
+      // Events are recorded against the signed-in user
+      if (!tokenManager.getAccessToken()) {
+        return { success: false, message: 'Not signed in' };
+      }
+
+      const response = await api.post('/security/log', {
         event_type,
-        details: details || '',
-        timestamp: new Date().toISOString()
-      }, { headers });
+        details: details || {},
+        severity
+      });
 
-      return response.data;
-      */
+      return { success: true, ...response.data };
     } catch (error) {
       console.error('Security logging error:', error.message);
       // Non-critical - return error but don't throw
@@ -277,13 +311,35 @@ export const security = {
         message: error.response?.data?.message || error.message 
       };
     }
-  }
+  },
+  // Anomaly detection (admin)
+  getAnomalyRules: () => api.get('/security/anomaly-rules'),
+  // Changes: enabled, actions and any settings to change
+  updateAnomalyRule: (rule, changes) => api.put(`/security/anomaly-rules/${rule}`, changes),
+  getBlockedAddresses: () => api.get('/security/blocked-addresses'),
+  unblockAddress: (ipAddress) => api.delete(`/security/blocked-addresses/${encodeURIComponent(ipAddress)}`)
 };
 
 // Permissions endpoints
 export const permissions = {
   getUserPermissions: () => api.get('/auth/permissions'),
-  updateRole: (userId, role) => api.post('/auth/update-role', { userId, role })
+  updateRole: (userId, role) => api.put(`/users/${userId}/role`, { role })
+};
+
+// User administration endpoints (admin)
+export const users = {
+  // Filters: search (username or email), role, status; page with limit and
+  // the previous page's nextCursor
+  list: (params) => api.get('/users', { params }),
+  get: (userId) => api.get(`/users/${userId}`),
+  updateRole: (userId, role) => api.put(`/users/${userId}/role`, { role }),
+  // Without minutes the lock lasts until an admin lifts it
+  lock: (userId, minutes) => api.post(`/users/${userId}/lock`, { minutes }),
+  unlock: (userId) => api.post(`/users/${userId}/unlock`),
+  logout: (userId) => api.post(`/users/${userId}/logout`),
+  resetPattern: (userId) => api.post(`/users/${userId}/reset-pattern`),
+  deactivate: (userId) => api.post(`/users/${userId}/deactivate`),
+  reactivate: (userId) => api.post(`/users/${userId}/reactivate`)
 };
 
 // File endpoints
@@ -2,6 +2,7 @@
  * Service for authentication and user management
  */
 import { hashData, logSecurityEvent } from '../utils/security';
+import { SecurityEventType } from '../constants/security';
 
 const API_BASE_URL = 'http://localhost:8000/api';
 
@@ -35,7 +36,7 @@ export const authenticateWithPattern = async (patternPoints) => {
       const errorData = await response.json().catch(() => ({}));
       
       // Log failed login attempt
-      logSecurityEvent('login_failure', {
+      logSecurityEvent(SecurityEventType.LOGIN_FAILED, {
         error: errorData.message || 'Authentication failed',
         status: response.status
       });
@@ -46,7 +47,7 @@ export const authenticateWithPattern = async (patternPoints) => {
     const result = await response.json();
     
     // Log successful login
-    logSecurityEvent('login_success', {
+    logSecurityEvent(SecurityEventType.LOGIN_SUCCESS, {
       user_id: result.user.id,
       username: result.user.username
     });
@@ -62,7 +63,7 @@ export const authenticateWithPattern = async (patternPoints) => {
   } catch (error) {
     // Additional logging for client-side errors
     if (!error.message.includes('Authentication failed')) {
-      logSecurityEvent('login_error', {
+      logSecurityEvent(SecurityEventType.LOGIN_FAILED, {
         error: error.message
       });
     }
@@ -102,7 +103,7 @@ export const registerWithPattern = async (patternPoints, userData) => {
       const errorData = await response.json().catch(() => ({}));
       
       // Log registration failure
-      logSecurityEvent('registration_failure', {
+      logSecurityEvent(SecurityEventType.USER_REGISTRATION_FAILED, {
         error: errorData.message || 'Registration failed',
         status: response.status
       });
@@ -113,7 +114,7 @@ export const registerWithPattern = async (patternPoints, userData) => {
     const result = await response.json();
     
     // Log successful registration
-    logSecurityEvent('registration_success', {
+    logSecurityEvent(SecurityEventType.USER_REGISTRATION_COMPLETED, {
       user_id: result.user.id,
       username: result.user.username
     });
@@ -122,7 +123,7 @@ export const registerWithPattern = async (patternPoints, userData) => {
   } catch (error) {
     // Additional logging for client-side errors
     if (!error.message.includes('Registration failed')) {
-      logSecurityEvent('registration_error', {
+      logSecurityEvent(SecurityEventType.USER_REGISTRATION_FAILED, {
         error: error.message
       });
     }
@@ -146,7 +147,7 @@ export const logout = async () => {
     localStorage.removeItem('currentUser');
     
     // Log logout event
-    logSecurityEvent('logout', {});
+    logSecurityEvent(SecurityEventType.LOGOUT, {});
 
     return response.ok;
   } catch (error) {
@@ -194,11 +195,11 @@ export const verifyAuth = async () => {
 
 /**
  * Gets a list of users (admin function)
- * @returns {Promise<Array>} List of users
+ * @returns {Promise<Object>} The first page of users: users, total and nextCursor
  */
 export const listUsers = async () => {
   try {
-    const response = await fetch(`${API_BASE_URL}/auth/users`, {
+    const response = await fetch(`${API_BASE_URL}/users`, {
       credentials: 'include'
     });
 
@@ -208,7 +209,8 @@ export const listUsers = async () => {
 
     return await response.json();
   } catch (error) {
-    logSecurityEvent('user_list_access_error', {
+    logSecurityEvent(SecurityEventType.REQUEST_FAILURE, {
+      action: 'user_list',
       error: error.message
     });
     
@@ -224,14 +226,14 @@ export const listUsers = async () => {
  */
 export const updateUserRole = async (userId, newRole) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/auth/update-role`, {
-      method: 'POST',
+    // The server audits the change
+    const response = await fetch(`${API_BASE_URL}/users/${userId}/role`, {
+      method: 'PUT',
       headers: {
         'Content-Type': 'application/json',
       },
       credentials: 'include',
       body: JSON.stringify({
-        user_id: userId,
         role: newRole
       }),
     });
@@ -240,17 +242,10 @@ export const updateUserRole = async (userId, newRole) => {
       throw new Error('Failed to update user role');
     }
 
-    const result = await response.json();
-    
-    // Log role update
-    logSecurityEvent('user_role_update', {
-      user_id: userId,
-      new_role: newRole
-    });
-
-    return result;
+    return await response.json();
   } catch (error) {
-    logSecurityEvent('user_role_update_error', {
+    logSecurityEvent(SecurityEventType.REQUEST_FAILURE, {
+      action: 'user_role_update',
       user_id: userId,
       new_role: newRole,
       error: error.message
@@ -276,7 +271,8 @@ export const getUserPermissions = async () => {
 
     return await response.json();
   } catch (error) {
-    logSecurityEvent('permission_fetch_error', {
+    logSecurityEvent(SecurityEventType.REQUEST_FAILURE, {
+      action: 'permission_fetch',
       error: error.message
     });
     
@@ -1,9 +1,18 @@
 /**
  * Service for handling file operations with the API
  */
-import { encryptFile, decryptFile } from '../utils/encryption';
+import {
+  encryptFile,
+  decryptFile,
+  decryptSegmentedFile,
+  exportPublicKeyToPem,
+  importPublicKeyFromPem,
+  unwrapFileKey,
+  wrapFileKey
+} from '../utils/encryption';
 import { validateFileSize, validateFileType, logSecurityEvent } from '../utils/security';
 import { API_BASE_URL } from '../constants/securityConstants';
+import { SecurityEventType } from '../constants/security';
 
 /**
  * Uploads a file with client-side encryption
@@ -120,7 +129,7 @@ export const uploadFile = async (file, onProgress = () => {}) => {
     onProgress(100);
     
     // Log successful upload
-    logSecurityEvent('file_upload', {
+    logSecurityEvent(SecurityEventType.FILE_UPLOAD, {
       file_id,
       filename: file.name,
       size: file.size,
@@ -130,7 +139,7 @@ export const uploadFile = async (file, onProgress = () => {}) => {
     return result;
   } catch (error) {
     // Log error
-    logSecurityEvent('file_upload_error', {
+    logSecurityEvent(SecurityEventType.FILE_UPLOAD_FAILURE, {
       filename: file?.name,
       error: error.message
     });
@@ -139,64 +148,172 @@ export const uploadFile = async (file, onProgress = () => {}) => {
   }
 };
 
+const UPLOAD_SESSION_PREFIX = 'uploadSession:';
+
 /**
- * Downloads and decrypts a file
- * @param {string} fileId - ID of the file to download
- * @returns {Promise<Object>} Object with decrypted blob and file info
+ * Builds the localStorage key used to remember an in-progress upload session
+ * @param {File} file - The file being uploaded
+ * @returns {string} Storage key
+ */
+const uploadSessionKey = (file) =>
+  `${UPLOAD_SESSION_PREFIX}${file.name}:${file.size}:${file.lastModified}`;
+
+/**
+ * Computes the SHA-256 hex digest of a chunk
+ * @param {ArrayBuffer} data - Chunk data
+ * @returns {Promise<string>} Hex digest
+ */
+const hashChunk = async (data) => {
+  const hashBuffer = await window.crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(hashBuffer))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+/**
+ * Returns the server-side upload session left behind by an interrupted
+ * upload of the same file, if it is still active
+ * @param {File} file - The file to look up
+ * @returns {Promise<Object|null>} Session state or null
+ */
+export const getPendingUpload = async (file) => {
+  const sessionId = localStorage.getItem(uploadSessionKey(file));
+  if (!sessionId) return null;
+
+  const response = await fetch(`${API_BASE_URL}/files/upload-sessions/${sessionId}`, {
+    credentials: 'include'
+  });
+
+  if (!response.ok) {
+    localStorage.removeItem(uploadSessionKey(file));
+    return null;
+  }
+
+  const session = await response.json();
+  if (session.status !== 'active') {
+    localStorage.removeItem(uploadSessionKey(file));
+    return null;
+  }
+
+  return session;
+};
+
+/**
+ * Uploads a file in numbered chunks through a resumable upload session.
+ * The session id is kept in localStorage so that selecting the same file
+ * again after a reload continues from the chunks the server already has.
+ * @param {File} file - The file to upload
+ * @param {Function} onProgress - Progress callback function
+ * @param {string} [folderId] - Destination folder ID (defaults to the root)
+ * @returns {Promise<Object>} Upload result
  */
-export const downloadFile = async (fileId) => {
+export const uploadFileResumable = async (file, onProgress = () => {}, folderId = 'root') => {
   try {
-    // Get download URL and encryption key
-    const response = await fetch(`${API_BASE_URL}/files/${fileId}`, {
-      credentials: 'include'
-    });
+    if (!file) {
+      throw new Error('No file provided');
+    }
 
-    if (!response.ok) {
-      throw new Error('Failed to get download URL');
+    if (!validateFileType(file.type)) {
+      throw new Error('File type not allowed');
     }
 
-    const { url, encryption_key, filename, content_type } = await response.json();
+    let session = await getPendingUpload(file);
 
-    // Download encrypted file
-    const encryptedResponse = await fetch(url);
-    
-    if (!encryptedResponse.ok) {
-      throw new Error('Failed to download encrypted file');
+    if (!session) {
+      const createResponse = await fetch(`${API_BASE_URL}/files/upload-sessions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        credentials: 'include',
+        body: JSON.stringify({
+          filename: file.name,
+          content_type: file.type,
+          size: file.size,
+          folder_id: folderId,
+        }),
+      });
+
+      if (!createResponse.ok) {
+        const { message } = await createResponse.json().catch(() => ({}));
+        throw new Error(message || 'Failed to start upload');
+      }
+
+      session = await createResponse.json();
+      localStorage.setItem(uploadSessionKey(file), session.session_id);
     }
-    
-    const encryptedData = await encryptedResponse.arrayBuffer();
 
-    // Decrypt file
-    const decryptedData = await decryptFile(
-      new Uint8Array(encryptedData),
-      encryption_key
-    );
+    const received = new Set(session.received_chunks);
+    const { session_id, chunk_size, total_chunks } = session;
 
-    // Create blob with original content type
-    const blob = new Blob([decryptedData], { type: content_type || 'application/octet-stream' });
+    onProgress(Math.round((received.size / total_chunks) * 90));
 
-    // Log successful download
-    logSecurityEvent('file_download', {
-      file_id: fileId,
-      filename
+    for (let index = 0; index < total_chunks; index++) {
+      if (received.has(index)) continue;
+
+      const chunk = await file.slice(index * chunk_size, (index + 1) * chunk_size).arrayBuffer();
+      const chunkHash = await hashChunk(chunk);
+
+      const chunkResponse = await fetch(`${API_BASE_URL}/files/upload-sessions/${session_id}/chunks/${index}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/octet-stream',
+          'X-Chunk-Hash': chunkHash,
+        },
+        credentials: 'include',
+        body: chunk,
+      });
+
+      if (!chunkResponse.ok) {
+        throw new Error(`Failed to upload chunk ${index + 1} of ${total_chunks}`);
+      }
+
+      received.add(index);
+      onProgress(Math.round((received.size / total_chunks) * 90));
+    }
+
+    const finalizeResponse = await fetch(`${API_BASE_URL}/files/upload-sessions/${session_id}/finalize`, {
+      method: 'POST',
+      credentials: 'include',
     });
 
-    return {
-      blob,
-      filename,
-      content_type
-    };
+    if (!finalizeResponse.ok) {
+      const { message } = await finalizeResponse.json().catch(() => ({}));
+      throw new Error(message || 'Failed to finalize upload');
+    }
+
+    const result = await finalizeResponse.json();
+    localStorage.removeItem(uploadSessionKey(file));
+
+    onProgress(100);
+
+    logSecurityEvent(SecurityEventType.FILE_UPLOAD, {
+      file_id: result.file?.id,
+      filename: file.name,
+      size: file.size,
+      type: file.type
+    });
+
+    return result;
   } catch (error) {
-    // Log error
-    logSecurityEvent('file_download_error', {
-      file_id: fileId,
+    logSecurityEvent(SecurityEventType.FILE_UPLOAD_FAILURE, {
+      filename: file?.name,
       error: error.message
     });
-    
+
     throw error;
   }
 };
 
+/**
+ * Downloads and decrypts the current version of a file
+ * @param {string} fileId - ID of the file to download
+ * @param {CryptoKey} [privateKey] - The user's RSA-OAEP private key, needed
+ *   for files encrypted on the server
+ * @returns {Promise<Object>} Object with decrypted blob and file info
+ */
+export const downloadFile = (fileId, privateKey) => downloadSharedFile(fileId, privateKey);
+
 /**
  * Gets a list of user's files
  * @returns {Promise<Array>} List of files
@@ -213,7 +330,8 @@ export const listFiles = async () => {
 
     return await response.json();
   } catch (error) {
-    logSecurityEvent('file_list_error', {
+    logSecurityEvent(SecurityEventType.FILE_ACCESS_FAILURE, {
+      action: 'file_list',
       error: error.message
     });
     
@@ -238,14 +356,15 @@ export const deleteFile = async (fileId) => {
     }
 
     // Log successful deletion
-    logSecurityEvent('file_delete', {
+    logSecurityEvent(SecurityEventType.FILE_DELETED, {
       file_id: fileId
     });
 
     return true;
   } catch (error) {
     // Log error
-    logSecurityEvent('file_delete_error', {
+    logSecurityEvent(SecurityEventType.FILE_ACCESS_FAILURE, {
+      action: 'file_delete',
       file_id: fileId,
       error: error.message
     });
@@ -255,14 +374,84 @@ export const deleteFile = async (fileId) => {
 };
 
 /**
- * Shares a file with another user
+ * Gets the current user's wrapped key for a version of a file
+ * @param {string} fileId - ID of the file
+ * @param {number} [version] - Version number; the current version by default
+ * @returns {Promise<Object>} { version, filename, contentType, encryptionScheme,
+ *   encryptionMetadata, keyWrapping, wrappedKey }
+ */
+export const getFileKey = async (fileId, version) => {
+  const query = version ? `?version=${encodeURIComponent(version)}` : '';
+  const response = await fetch(`${API_BASE_URL}/files/${fileId}/key${query}`, {
+    credentials: 'include'
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.message || 'Failed to get file key');
+  }
+
+  return result;
+};
+
+/**
+ * Registers the public key other users wrap file keys for
+ * @param {string} publicKeyPem - PEM encoded RSA-OAEP public key
+ * @param {string} [encryptedPrivateKey] - Private key backup, encrypted on the client
+ * @returns {Promise<Object>} Registration result
+ */
+export const registerSharingKey = async (publicKeyPem, encryptedPrivateKey) => {
+  const response = await fetch(`${API_BASE_URL}/auth/keys`, {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    credentials: 'include',
+    body: JSON.stringify({ publicKey: publicKeyPem, encryptedPrivateKey }),
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.message || 'Failed to register public key');
+  }
+
+  return result;
+};
+
+/**
+ * Shares a file with another user. The key of a file encrypted on the server
+ * is unwrapped with the owner's private key and re-wrapped for the recipient
+ * locally, so the server never sees it; the server wraps the keys of files
+ * encrypted in the browser, which it holds under its master key.
  * @param {string} fileId - ID of the file to share
  * @param {string} recipientUserId - ID of the user to share with
  * @param {string} permission - Permission level ('read' or 'read_write')
+ * @param {CryptoKey} [privateKey] - The owner's RSA-OAEP private key, needed
+ *   for files encrypted on the server
  * @returns {Promise<Object>} Share result
  */
-export const shareFile = async (fileId, recipientUserId, permission = 'read') => {
+export const shareFile = async (fileId, recipientUserId, permission = 'read', privateKey) => {
   try {
+    let recipientKey;
+    const { keyWrapping, wrappedKey } = await getFileKey(fileId);
+    if (keyWrapping === 'public_key') {
+      if (!privateKey) {
+        throw new Error('Unlock your sharing key to share this file');
+      }
+
+      const keyResponse = await fetch(`${API_BASE_URL}/auth/users/${recipientUserId}/public-key`, {
+        credentials: 'include'
+      });
+      const recipient = await keyResponse.json().catch(() => ({}));
+      if (!keyResponse.ok) {
+        throw new Error(recipient.message || 'Recipient has no public key');
+      }
+
+      const fileKey = await unwrapFileKey(wrappedKey, privateKey);
+      recipientKey = await wrapFileKey(fileKey, await importPublicKeyFromPem(recipient.publicKey));
+      fileKey.fill(0);
+    }
+
     const response = await fetch(`${API_BASE_URL}/files/${fileId}/share`, {
       method: 'POST',
       headers: {
@@ -270,19 +459,19 @@ export const shareFile = async (fileId, recipientUserId, permission = 'read') =>
       },
       credentials: 'include',
       body: JSON.stringify({
-        recipient_id: recipientUserId,
-        permission
+        userId: recipientUserId,
+        permission,
+        wrappedKey: recipientKey
       }),
     });
 
+    const result = await response.json().catch(() => ({}));
     if (!response.ok) {
-      throw new Error('Failed to share file');
+      throw new Error(result.message || 'Failed to share file');
     }
 
-    const result = await response.json();
-
     // Log successful share
-    logSecurityEvent('file_share', {
+    logSecurityEvent(SecurityEventType.FILE_SHARED, {
       file_id: fileId,
       recipient_id: recipientUserId,
       permission
@@ -291,7 +480,8 @@ export const shareFile = async (fileId, recipientUserId, permission = 'read') =>
     return result;
   } catch (error) {
     // Log error
-    logSecurityEvent('file_share_error', {
+    logSecurityEvent(SecurityEventType.FILE_SHARE_FAILURE, {
+      action: 'file_share',
       file_id: fileId,
       recipient_id: recipientUserId,
       error: error.message
@@ -301,10 +491,728 @@ export const shareFile = async (fileId, recipientUserId, permission = 'read') =>
   }
 };
 
+/**
+ * Stops sharing a file with a user; the server deletes their wrapped keys
+ * @param {string} fileId - ID of the file
+ * @param {string} userId - ID of the user to revoke
+ * @returns {Promise<Object>} Revoke result
+ */
+export const revokeFileShare = async (fileId, userId) => {
+  const response = await fetch(`${API_BASE_URL}/files/${fileId}/share/${userId}`, {
+    method: 'DELETE',
+    credentials: 'include'
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.message || 'Failed to revoke share');
+  }
+
+  logSecurityEvent(SecurityEventType.FILE_SHARE_REVOKED, {
+    file_id: fileId,
+    recipient_id: userId
+  });
+
+  return result;
+};
+
+/**
+ * Downloads a file for its owner or a share recipient. Files encrypted on
+ * the server are decrypted locally with the key wrapped for the current
+ * user; the server decrypts files encrypted in the browser, whose keys it
+ * holds under its master key.
+ * @param {string} fileId - ID of the file
+ * @param {CryptoKey} [privateKey] - The user's RSA-OAEP private key, needed
+ *   for files encrypted on the server
+ * @param {number} [version] - Version number; the current version by default
+ * @returns {Promise<Object>} Decrypted blob and file info
+ */
+export const downloadSharedFile = async (fileId, privateKey, version) => {
+  try {
+    const {
+      version: keyVersion,
+      filename,
+      contentType,
+      encryptionMetadata,
+      keyWrapping,
+      wrappedKey
+    } = await getFileKey(fileId, version);
+    if (keyWrapping === 'public_key' && !privateKey) {
+      throw new Error('Unlock your sharing key to download this file');
+    }
+
+    const path = version ? `/files/${fileId}/versions/${keyVersion}` : `/files/${fileId}`;
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+      credentials: 'include'
+    });
+
+    if (!response.ok) {
+      throw new Error('Failed to download file');
+    }
+
+    const data = new Uint8Array(await response.arrayBuffer());
+    let decryptedData = data;
+    if (keyWrapping === 'public_key') {
+      const fileKey = await unwrapFileKey(wrappedKey, privateKey);
+      if (encryptionMetadata.version === 2) {
+        decryptedData = await decryptSegmentedFile(data, fileKey);
+      } else {
+        // IV prefix; legacy server files keep their auth tag in the metadata
+        const authTag = Uint8Array.from(atob(encryptionMetadata.authTag), c => c.charCodeAt(0));
+        const envelope = new Uint8Array(data.length + authTag.length);
+        envelope.set(data);
+        envelope.set(authTag, data.length);
+        decryptedData = await decryptFile(envelope, btoa(String.fromCharCode(...fileKey)));
+      }
+      fileKey.fill(0);
+    }
+
+    logSecurityEvent(SecurityEventType.FILE_DOWNLOAD, {
+      file_id: fileId,
+      version: keyVersion,
+      filename
+    });
+
+    return {
+      blob: new Blob([decryptedData], { type: contentType || 'application/octet-stream' }),
+      filename,
+      content_type: contentType
+    };
+  } catch (error) {
+    logSecurityEvent(SecurityEventType.FILE_DOWNLOAD_FAILURE, {
+      file_id: fileId,
+      error: error.message
+    });
+
+    throw error;
+  }
+};
+
+/**
+ * Creates a public share link for a file. The key of a file encrypted on the
+ * server is wrapped for the owner, so it is unwrapped here and handed to the
+ * server to serve the link with.
+ * @param {string} fileId - ID of the file to share
+ * @param {Object} options - Link options
+ * @param {string} [options.expiresAt] - ISO date after which the link stops working
+ * @param {number} [options.maxDownloads] - Number of downloads allowed
+ * @param {string} [options.passphrase] - Passphrase recipients must enter
+ * @param {CryptoKey} [privateKey] - The owner's RSA-OAEP private key, needed
+ *   for files encrypted on the server
+ * @returns {Promise<Object>} Created link, including its URL (only returned once)
+ */
+export const createShareLink = async (fileId, { expiresAt, maxDownloads, passphrase } = {}, privateKey) => {
+  try {
+    let fileKey;
+    const { keyWrapping, wrappedKey } = await getFileKey(fileId);
+    if (keyWrapping === 'public_key') {
+      if (!privateKey) {
+        throw new Error('Unlock your sharing key to share this file by link');
+      }
+      const key = await unwrapFileKey(wrappedKey, privateKey);
+      fileKey = btoa(String.fromCharCode(...key));
+      key.fill(0);
+    }
+
+    const response = await fetch(`${API_BASE_URL}/files/${fileId}/links`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      credentials: 'include',
+      body: JSON.stringify({ expiresAt, maxDownloads, passphrase, fileKey }),
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(result.message || 'Failed to create share link');
+    }
+
+    logSecurityEvent(SecurityEventType.SHARE_LINK_CREATED, {
+      file_id: fileId,
+      link_id: result.id,
+      passphrase_protected: result.passphraseProtected
+    });
+
+    return result;
+  } catch (error) {
+    logSecurityEvent(SecurityEventType.FILE_SHARE_FAILURE, {
+      action: 'share_link',
+      file_id: fileId,
+      error: error.message
+    });
+
+    throw error;
+  }
+};
+
+/**
+ * Lists the share links of a file
+ * @param {string} fileId - ID of the file
+ * @returns {Promise<Array>} Share links with status and download counts
+ */
+export const listShareLinks = async (fileId) => {
+  const response = await fetch(`${API_BASE_URL}/files/${fileId}/links`, {
+    credentials: 'include'
+  });
+
+  if (!response.ok) {
+    throw new Error('Failed to fetch share links');
+  }
+
+  return await response.json();
+};
+
+/**
+ * Revokes a share link
+ * @param {string} fileId - ID of the file
+ * @param {string} linkId - ID of the link to revoke
+ * @returns {Promise<Object>} Revoked link
+ */
+export const revokeShareLink = async (fileId, linkId) => {
+  const response = await fetch(`${API_BASE_URL}/files/${fileId}/links/${linkId}`, {
+    method: 'DELETE',
+    credentials: 'include'
+  });
+
+  if (!response.ok) {
+    throw new Error('Failed to revoke share link');
+  }
+
+  logSecurityEvent(SecurityEventType.SHARE_LINK_REVOKED, {
+    file_id: fileId,
+    link_id: linkId
+  });
+
+  return await response.json();
+};
+
+/**
+ * Lists all versions of a file, newest first
+ * @param {string} fileId - ID of the file
+ * @returns {Promise<Object>} File name, current version and versions list
+ */
+export const listFileVersions = async (fileId) => {
+  const response = await fetch(`${API_BASE_URL}/files/${fileId}/versions`, {
+    credentials: 'include'
+  });
+
+  if (!response.ok) {
+    throw new Error('Failed to fetch file versions');
+  }
+
+  return await response.json();
+};
+
+/**
+ * Compares the metadata of two versions of a file
+ * @param {string} fileId - ID of the file
+ * @param {number} from - Older version number
+ * @param {number} to - Newer version number
+ * @returns {Promise<Object>} Changed fields
+ */
+export const diffFileVersions = async (fileId, from, to) => {
+  const response = await fetch(`${API_BASE_URL}/files/${fileId}/versions/diff?from=${from}&to=${to}`, {
+    credentials: 'include'
+  });
+
+  if (!response.ok) {
+    throw new Error('Failed to compare file versions');
+  }
+
+  return await response.json();
+};
+
+/**
+ * Restores an older version of a file as the current version
+ * @param {string} fileId - ID of the file
+ * @param {number} version - Version number to restore
+ * @returns {Promise<Object>} Restore result
+ */
+export const restoreFileVersion = async (fileId, version) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/files/${fileId}/versions/${version}/restore`, {
+      method: 'POST',
+      credentials: 'include'
+    });
+
+    if (!response.ok) {
+      throw new Error('Failed to restore file version');
+    }
+
+    const result = await response.json();
+
+    logSecurityEvent(SecurityEventType.FILE_VERSION_RESTORED, {
+      file_id: fileId,
+      version
+    });
+
+    return result;
+  } catch (error) {
+    logSecurityEvent(SecurityEventType.FILE_ACCESS_FAILURE, {
+      action: 'file_version_restore',
+      file_id: fileId,
+      version,
+      error: error.message
+    });
+
+    throw error;
+  }
+};
+
+/**
+ * Deletes the oldest archived versions of a file
+ * @param {string} fileId - ID of the file
+ * @param {number} [keep] - Versions to keep (defaults to the user's retention)
+ * @returns {Promise<Object>} Prune result
+ */
+export const pruneFileVersions = async (fileId, keep) => {
+  const response = await fetch(`${API_BASE_URL}/files/${fileId}/versions/prune`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    credentials: 'include',
+    body: JSON.stringify(keep !== undefined ? { keep } : {}),
+  });
+
+  if (!response.ok) {
+    throw new Error('Failed to prune file versions');
+  }
+
+  return await response.json();
+};
+
+/**
+ * Lists every folder the user owns or has been shared (flat, for building a tree)
+ * @returns {Promise<Array>} Folders with id, name and parent
+ */
+export const listFolders = async () => {
+  const response = await fetch(`${API_BASE_URL}/folders`, {
+    credentials: 'include'
+  });
+
+  if (!response.ok) {
+    throw new Error('Failed to fetch folders');
+  }
+
+  return await response.json();
+};
+
+/**
+ * Lists a folder's subfolders and files
+ * @param {string} folderId - ID of the folder, or 'root'
+ * @returns {Promise<Object>} Folder, breadcrumbs, folders and files
+ */
+export const getFolderContents = async (folderId = 'root') => {
+  const response = await fetch(`${API_BASE_URL}/folders/${folderId}/contents`, {
+    credentials: 'include'
+  });
+
+  if (!response.ok) {
+    throw new Error('Failed to fetch folder contents');
+  }
+
+  return await response.json();
+};
+
+/**
+ * Wraps file keys for new recipients, as listed by the server when a folder
+ * request would share files without them. Each key is unwrapped with the
+ * owner's private key and re-wrapped for the recipient locally.
+ * @param {Array} keysRequired - [{ fileId, userId, wrappedKey, publicKey }]
+ * @param {CryptoKey} privateKey - The owner's RSA-OAEP private key
+ * @returns {Promise<Array>} [{ fileId, userId, wrappedKey }]
+ */
+const wrapKeysForRecipients = async (keysRequired, privateKey) => {
+  if (!privateKey) {
+    throw new Error('Unlock your sharing key to share these files');
+  }
+
+  const wrappedKeys = [];
+  for (const { fileId, userId, wrappedKey, publicKey } of keysRequired) {
+    const fileKey = await unwrapFileKey(wrappedKey, privateKey);
+    wrappedKeys.push({
+      fileId,
+      userId,
+      wrappedKey: await wrapFileKey(fileKey, await importPublicKeyFromPem(publicKey))
+    });
+    fileKey.fill(0);
+  }
+  return wrappedKeys;
+};
+
+/**
+ * Sends a JSON request to a folder endpoint and returns the parsed body. If
+ * the request gives files new recipients, the server asks for their keys
+ * and the request is repeated with them.
+ * @param {string} url - Request URL
+ * @param {string} method - HTTP method
+ * @param {Object} body - JSON body
+ * @param {string} errorMessage - Message used when the server gives none
+ * @param {CryptoKey} [privateKey] - The owner's RSA-OAEP private key, needed
+ *   when files encrypted on the server gain recipients
+ * @returns {Promise<Object>} Response body
+ */
+const sendFolderRequest = async (url, method, body, errorMessage, privateKey) => {
+  const send = async (requestBody) => {
+    const response = await fetch(url, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      credentials: 'include',
+      body: JSON.stringify(requestBody),
+    });
+    return { response, result: await response.json().catch(() => ({})) };
+  };
+
+  let { response, result } = await send(body);
+  if (response.status === 409 && result.keysRequired) {
+    const wrappedKeys = await wrapKeysForRecipients(result.keysRequired, privateKey);
+    ({ response, result } = await send({ ...body, wrappedKeys }));
+  }
+
+  if (!response.ok) {
+    throw new Error(result.message || result.error || errorMessage);
+  }
+
+  return result;
+};
+
+/**
+ * Creates a folder
+ * @param {string} name - Folder name
+ * @param {string} [parentId] - Parent folder ID (defaults to the root)
+ * @returns {Promise<Object>} Created folder
+ */
+export const createFolder = (name, parentId = 'root') =>
+  sendFolderRequest(`${API_BASE_URL}/folders`, 'POST', { name, parentId }, 'Failed to create folder');
+
+/**
+ * Renames a folder
+ * @param {string} folderId - ID of the folder
+ * @param {string} name - New name
+ * @returns {Promise<Object>} Updated folder
+ */
+export const renameFolder = (folderId, name) =>
+  sendFolderRequest(`${API_BASE_URL}/folders/${folderId}`, 'PUT', { name }, 'Failed to rename folder');
+
+/**
+ * Moves a folder under another folder
+ * @param {string} folderId - ID of the folder to move
+ * @param {string} parentId - Destination folder ID, or 'root'
+ * @param {CryptoKey} [privateKey] - The owner's RSA-OAEP private key, needed
+ *   to share its files with the recipients of a shared destination
+ * @returns {Promise<Object>} Updated folder
+ */
+export const moveFolder = (folderId, parentId, privateKey) =>
+  sendFolderRequest(`${API_BASE_URL}/folders/${folderId}/move`, 'POST', { parentId }, 'Failed to move folder', privateKey);
+
+/**
+ * Moves a file into a folder
+ * @param {string} fileId - ID of the file to move
+ * @param {string} folderId - Destination folder ID, or 'root'
+ * @param {CryptoKey} [privateKey] - The owner's RSA-OAEP private key, needed
+ *   to share the file with the recipients of a shared destination
+ * @returns {Promise<Object>} Move result
+ */
+export const moveFile = (fileId, folderId, privateKey) =>
+  sendFolderRequest(`${API_BASE_URL}/files/${fileId}/move`, 'POST', { folderId }, 'Failed to move file', privateKey);
+
+/**
+ * Shares a folder and everything in it with another user. The key of each
+ * file is unwrapped with the owner's private key and re-wrapped for the
+ * recipient locally, as in shareFile.
+ * @param {string} folderId - ID of the folder
+ * @param {string} recipientUserId - ID of the user to share with
+ * @param {string} permission - Permission level ('read' or 'read_write')
+ * @param {CryptoKey} privateKey - The owner's RSA-OAEP private key
+ * @returns {Promise<Object>} Share result with cascaded folder and file counts
+ */
+export const shareFolder = async (folderId, recipientUserId, permission = 'read', privateKey) => {
+  const result = await sendFolderRequest(
+    `${API_BASE_URL}/folders/${folderId}/share`,
+    'POST',
+    { userId: recipientUserId, permission },
+    'Failed to share folder',
+    privateKey
+  );
+
+  logSecurityEvent(SecurityEventType.FOLDER_SHARED, {
+    folder_id: folderId,
+    recipient_id: recipientUserId,
+    permission
+  });
+
+  return result;
+};
+
+/**
+ * Deletes a folder. A folder that is not empty is only deleted when
+ * `confirmName` matches its name; otherwise the content counts are returned
+ * so the user can be asked to confirm.
+ * @param {string} folderId - ID of the folder
+ * @param {string} [confirmName] - Folder name typed by the user to confirm a recursive delete
+ * @returns {Promise<Object>} { deleted: true, ... } or { deleted: false, folders, files }
+ */
+export const deleteFolder = async (folderId, confirmName) => {
+  const query = confirmName !== undefined
+    ? `?recursive=true&confirm=${encodeURIComponent(confirmName)}`
+    : '';
+  const response = await fetch(`${API_BASE_URL}/folders/${folderId}${query}`, {
+    method: 'DELETE',
+    credentials: 'include'
+  });
+
+  const result = await response.json().catch(() => ({}));
+
+  if (response.status === 409) {
+    return { deleted: false, folders: result.folders, files: result.files };
+  }
+
+  if (!response.ok) {
+    throw new Error(result.message || 'Failed to delete folder');
+  }
+
+  logSecurityEvent(SecurityEventType.FOLDER_DELETED, {
+    folder_id: folderId,
+    recursive: confirmName !== undefined
+  });
+
+  return { deleted: true, ...result };
+};
+
+/**
+ * Lists files in the user's trash
+ * @returns {Promise<Object>} Retention period in days and trashed files with their purge dates
+ */
+export const listTrash = async () => {
+  const response = await fetch(`${API_BASE_URL}/files/trash`, {
+    credentials: 'include'
+  });
+
+  if (!response.ok) {
+    throw new Error('Failed to fetch trash');
+  }
+
+  return await response.json();
+};
+
+/**
+ * Restores a file from the trash
+ * @param {string} fileId - ID of the trashed file
+ * @param {CryptoKey} [privateKey] - The owner's RSA-OAEP private key, needed
+ *   to share the file with the recipients of a shared folder it returns to
+ * @returns {Promise<Object>} Restore result
+ */
+export const restoreFromTrash = async (fileId, privateKey) => {
+  const result = await sendFolderRequest(
+    `${API_BASE_URL}/files/trash/${fileId}/restore`,
+    'POST',
+    {},
+    'Failed to restore file',
+    privateKey
+  );
+
+  logSecurityEvent(SecurityEventType.FILE_RESTORED, {
+    file_id: fileId
+  });
+
+  return result;
+};
+
+/**
+ * Permanently deletes everything in the trash
+ * @returns {Promise<Object>} Number of purged files
+ */
+export const emptyTrash = async () => {
+  const response = await fetch(`${API_BASE_URL}/files/trash`, {
+    method: 'DELETE',
+    credentials: 'include'
+  });
+
+  if (!response.ok) {
+    throw new Error('Failed to empty trash');
+  }
+
+  const result = await response.json();
+
+  logSecurityEvent(SecurityEventType.FILE_PURGED, {
+    purged: result.purged
+  });
+
+  return result;
+};
+
+/**
+ * Sends a key rotation request and returns the parsed body, including a
+ * server request for file keys (keysRequired)
+ * @param {string} url - Request URL
+ * @param {string} method - HTTP method
+ * @param {Object} [body] - JSON body
+ * @param {string} errorMessage - Message used when the server gives none
+ * @returns {Promise<Object>} Response body
+ */
+const sendRotationRequest = async (url, method, body, errorMessage) => {
+  const response = await fetch(url, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    credentials: 'include',
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok && !(response.status === 409 && result.keysRequired)) {
+    throw new Error(result.message || result.error || errorMessage);
+  }
+
+  return result;
+};
+
+/**
+ * Re-wraps every file key held for the user in a running key pair rotation,
+ * batch by batch. Keys are unwrapped with the old private key and wrapped
+ * with the new public key locally; keys the old private key cannot open
+ * were wrapped for the new one since the rotation started and are left as
+ * they are.
+ * @param {string} jobId - ID of the key pair rotation
+ * @param {CryptoKey} oldPrivateKey - The private key being rotated away from
+ * @param {CryptoKey} newPublicKey - The new public key
+ * @param {Function} [onProgress] - Called with the job after every batch
+ * @returns {Promise<Object>} The completed job
+ */
+export const continueKeyPairRotation = async (jobId, oldPrivateKey, newPublicKey, onProgress = () => {}) => {
+  const url = `${API_BASE_URL}/key-rotations/${jobId}/keys`;
+
+  for (;;) {
+    const batch = await sendRotationRequest(url, 'GET', undefined, 'Failed to fetch file keys');
+
+    const files = [];
+    for (const file of batch.files) {
+      const rewrapped = [];
+      for (const wrappedKey of file.wrappedKeys) {
+        const fileKey = await unwrapFileKey(wrappedKey, oldPrivateKey).catch(() => null);
+        if (fileKey) {
+          rewrapped.push({ from: wrappedKey, to: await wrapFileKey(fileKey, newPublicKey) });
+          fileKey.fill(0);
+        }
+      }
+      files.push({ id: file.id, rewrapped });
+    }
+
+    const job = await sendRotationRequest(url, 'POST', { files }, 'Failed to save file keys');
+    onProgress(job);
+    if (job.status !== 'running') {
+      return job;
+    }
+  }
+};
+
+/**
+ * Rotates the user's sharing key pair: registers a new pair generated here
+ * and re-wraps every file key held for the user with it
+ * @param {CryptoKey} oldPrivateKey - The current RSA-OAEP private key
+ * @param {CryptoKeyPair} newKeyPair - New pair, from generateSharingKeyPair
+ * @param {string} [encryptedPrivateKey] - Backup of the new private key, encrypted on the client
+ * @param {Function} [onProgress] - Called with the job after every batch
+ * @returns {Promise<Object>} The completed job
+ */
+export const rotateSharingKeyPair = async (oldPrivateKey, newKeyPair, encryptedPrivateKey, onProgress) => {
+  const job = await sendRotationRequest(
+    `${API_BASE_URL}/key-rotations/user`,
+    'POST',
+    { publicKey: await exportPublicKeyToPem(newKeyPair.publicKey), encryptedPrivateKey },
+    'Failed to start key rotation'
+  );
+
+  return continueKeyPairRotation(job.id, oldPrivateKey, newKeyPair.publicKey, onProgress);
+};
+
+/**
+ * Starts or resumes re-encrypting a file under new data keys. The server
+ * asks for the keys of server-encrypted versions, which are unwrapped with
+ * the owner's private key here.
+ * @param {string} url - Start or resume URL
+ * @param {CryptoKey} [privateKey] - The owner's RSA-OAEP private key
+ * @returns {Promise<Object>} The running job
+ */
+const sendFileRotation = async (url, privateKey) => {
+  let result = await sendRotationRequest(url, 'POST', {}, 'Failed to start key rotation');
+
+  if (result.keysRequired) {
+    if (!privateKey) {
+      throw new Error('Unlock your sharing key to rotate this file\'s keys');
+    }
+
+    const fileKeys = [];
+    for (const { version, wrappedKey } of result.keysRequired) {
+      const key = await unwrapFileKey(wrappedKey, privateKey);
+      fileKeys.push({ version, fileKey: btoa(String.fromCharCode(...key)) });
+      key.fill(0);
+    }
+
+    result = await sendRotationRequest(url, 'POST', { fileKeys }, 'Failed to start key rotation');
+    if (result.keysRequired) {
+      throw new Error('Failed to start key rotation');
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Re-encrypts every stored version of a file under new data keys
+ * @param {string} fileId - ID of the file
+ * @param {CryptoKey} [privateKey] - The owner's RSA-OAEP private key, needed
+ *   for files encrypted on the server
+ * @returns {Promise<Object>} The running job
+ */
+export const rotateFileKeys = (fileId, privateKey) =>
+  sendFileRotation(`${API_BASE_URL}/key-rotations/files/${fileId}`, privateKey);
+
+/**
+ * Resumes a file key rotation that was interrupted or failed
+ * @param {string} jobId - ID of the rotation
+ * @param {CryptoKey} [privateKey] - The owner's RSA-OAEP private key, needed
+ *   for files encrypted on the server
+ * @returns {Promise<Object>} The running job
+ */
+export const resumeFileKeyRotation = (jobId, privateKey) =>
+  sendFileRotation(`${API_BASE_URL}/key-rotations/${jobId}/resume`, privateKey);
+
 export default {
   uploadFile,
+  uploadFileResumable,
+  getPendingUpload,
   downloadFile,
   listFiles,
   deleteFile,
-  shareFile
+  shareFile,
+  revokeFileShare,
+  getFileKey,
+  registerSharingKey,
+  downloadSharedFile,
+  createShareLink,
+  listShareLinks,
+  revokeShareLink,
+  listFileVersions,
+  diffFileVersions,
+  restoreFileVersion,
+  pruneFileVersions,
+  listFolders,
+  getFolderContents,
+  createFolder,
+  renameFolder,
+  moveFolder,
+  moveFile,
+  shareFolder,
+  deleteFolder,
+  listTrash,
+  restoreFromTrash,
+  emptyTrash,
+  rotateSharingKeyPair,
+  continueKeyPairRotation,
+  rotateFileKeys,
+  resumeFileKeyRotation
 };
\ No newline at end of file
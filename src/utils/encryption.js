@@ -222,4 +222,140 @@ export const generateEncryptionKey = async () => {
       console.error('Password verification failed:', error);
       throw new Error('Password verification failed');
     }
-  };
\ No newline at end of file
+  };
+  // Segmented AES-GCM files written by the server: 'PXS1' | segment size (uint32 BE) | base nonce (12)
+  const SEGMENT_MAGIC = 'PXS1';
+  const SEGMENT_HEADER_LENGTH = 20;
+  const AUTH_TAG_LENGTH = 16;
+
+  const bytesToBase64 = (bytes) => btoa(Array.from(bytes, b => String.fromCharCode(b)).join(''));
+  const base64ToBytes = (base64) => Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+
+  /**
+   * Generates the RSA-OAEP key pair used to share files end-to-end
+   * @returns {Promise<CryptoKeyPair>} Key pair; the private key never leaves the client unencrypted
+   */
+  export const generateSharingKeyPair = async () => {
+    try {
+      return await window.crypto.subtle.generateKey(
+        {
+          name: 'RSA-OAEP',
+          modulusLength: 3072,
+          publicExponent: new Uint8Array([1, 0, 1]),
+          hash: 'SHA-256'
+        },
+        true, // extractable, so the private key can be backed up encrypted
+        ['wrapKey', 'unwrapKey', 'encrypt', 'decrypt']
+      );
+    } catch (error) {
+      console.error('Failed to generate key pair:', error);
+      throw new Error('Key pair generation failed');
+    }
+  };
+
+  /**
+   * Exports a public key to PEM (SPKI) format for the server
+   * @param {CryptoKey} publicKey - RSA-OAEP public key
+   * @returns {Promise<string>} PEM encoded public key
+   */
+  export const exportPublicKeyToPem = async (publicKey) => {
+    const spki = new Uint8Array(await window.crypto.subtle.exportKey('spki', publicKey));
+    const lines = bytesToBase64(spki).match(/.{1,64}/g).join('\n');
+    return `-----BEGIN PUBLIC KEY-----\n${lines}\n-----END PUBLIC KEY-----\n`;
+  };
+
+  /**
+   * Imports a PEM (SPKI) public key, e.g. a share recipient's
+   * @param {string} pem - PEM encoded public key
+   * @returns {Promise<CryptoKey>} RSA-OAEP public key
+   */
+  export const importPublicKeyFromPem = async (pem) => {
+    try {
+      const body = pem.replace(/-----(BEGIN|END) PUBLIC KEY-----/g, '').replace(/\s+/g, '');
+      return await window.crypto.subtle.importKey(
+        'spki',
+        base64ToBytes(body),
+        { name: 'RSA-OAEP', hash: 'SHA-256' },
+        true,
+        ['encrypt']
+      );
+    } catch (error) {
+      console.error('Failed to import public key:', error);
+      throw new Error('Public key import failed');
+    }
+  };
+
+  /**
+   * Wraps a raw file key with a public key (RSA-OAEP, SHA-256)
+   * @param {Uint8Array} fileKey - Raw 256-bit file key
+   * @param {CryptoKey} publicKey - Recipient's public key
+   * @returns {Promise<string>} Base64 wrapped key, as stored by the server
+   */
+  export const wrapFileKey = async (fileKey, publicKey) => {
+    const wrapped = await window.crypto.subtle.encrypt({ name: 'RSA-OAEP' }, publicKey, fileKey);
+    return bytesToBase64(new Uint8Array(wrapped));
+  };
+
+  /**
+   * Unwraps a file key wrapped for this user
+   * @param {string} wrappedKey - Base64 wrapped key
+   * @param {CryptoKey} privateKey - The user's RSA-OAEP private key
+   * @returns {Promise<Uint8Array>} Raw file key
+   */
+  export const unwrapFileKey = async (wrappedKey, privateKey) => {
+    try {
+      const fileKey = await window.crypto.subtle.decrypt({ name: 'RSA-OAEP' }, privateKey, base64ToBytes(wrappedKey));
+      return new Uint8Array(fileKey);
+    } catch (error) {
+      console.error('Failed to unwrap file key:', error);
+      throw new Error('File key could not be unwrapped');
+    }
+  };
+
+  /**
+   * Decrypts a file stored in the server's segmented AES-GCM format. Every
+   * segment is authenticated with its index and whether it is the last one.
+   * @param {Uint8Array} encryptedData - Stored file (header + sealed segments)
+   * @param {Uint8Array} fileKey - Raw file key
+   * @returns {Promise<Uint8Array>} The decrypted file data
+   */
+  export const decryptSegmentedFile = async (encryptedData, fileKey) => {
+    try {
+      const magic = String.fromCharCode(...encryptedData.slice(0, 4));
+      if (magic !== SEGMENT_MAGIC) {
+        throw new Error('Not a segmented file');
+      }
+
+      const header = new DataView(encryptedData.buffer, encryptedData.byteOffset, SEGMENT_HEADER_LENGTH);
+      const segmentSize = header.getUint32(4);
+      const baseNonce = encryptedData.slice(8, SEGMENT_HEADER_LENGTH);
+      const sealedSize = segmentSize + AUTH_TAG_LENGTH;
+      const body = encryptedData.subarray(SEGMENT_HEADER_LENGTH);
+      const totalSegments = Math.max(1, Math.ceil(body.length / sealedSize));
+
+      const key = await window.crypto.subtle.importKey('raw', fileKey, { name: 'AES-GCM' }, false, ['decrypt']);
+      const plaintext = new Uint8Array(Math.max(0, body.length - totalSegments * AUTH_TAG_LENGTH));
+
+      for (let index = 0; index < totalSegments; index++) {
+        const nonce = baseNonce.slice();
+        const nonceView = new DataView(nonce.buffer);
+        nonceView.setUint32(8, (nonceView.getUint32(8) ^ index) >>> 0);
+
+        const aad = new Uint8Array(5);
+        new DataView(aad.buffer).setUint32(0, index);
+        aad[4] = index === totalSegments - 1 ? 1 : 0;
+
+        const segment = await window.crypto.subtle.decrypt(
+          { name: 'AES-GCM', iv: nonce, additionalData: aad, tagLength: 128 },
+          key,
+          body.subarray(index * sealedSize, (index + 1) * sealedSize)
+        );
+        plaintext.set(new Uint8Array(segment), index * segmentSize);
+      }
+
+      return plaintext;
+    } catch (error) {
+      console.error('Decryption failed:', error);
+      throw new Error('File decryption failed');
+    }
+  };
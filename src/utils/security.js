@@ -1,6 +1,8 @@
 /**
  * Security utility functions for application protection
  */
+import { security } from '../services/api';
+import { isClientEvent } from '../constants/security';
 
 /**
  * Sanitizes user input to prevent XSS attacks
@@ -192,7 +194,7 @@ export const sanitizeInput = (input) => {
   
   /**
    * Logs a security event to the console and optionally to a remote endpoint
-   * @param {string} eventType - Type of security event
+   * @param {string} eventType - Type of security event, from SecurityEventType
    * @param {Object} details - Event details
    * @param {boolean} reportToServer - Whether to send to server
    */
@@ -208,17 +210,14 @@ export const sanitizeInput = (input) => {
     // Log to console in non-production environments
     if (process.env.NODE_ENV !== 'production') {
       console.warn('Security event:', event);
+      if (!isClientEvent(eventType)) {
+        console.warn(`${eventType} is not in the security event catalog`);
+      }
     }
     
-    // Send to server in production
+    // Send to server in production; it adds the address and user agent
     if (reportToServer && process.env.NODE_ENV === 'production') {
-      // In a real app, this would be an API call to log the event
-      fetch('/api/security/log', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(event),
-        credentials: 'include'
-      }).catch(err => {
+      security.addLog({ event_type: eventType, details }).catch(err => {
         console.error('Failed to report security event:', err);
       });
     }